@@ -1,5 +1,22 @@
 require('dotenv').config();
 
+/**
+ * Parse a comma separated list of "kid:value" keys
+ * @param {String} list - Environment value
+ * @returns {Object} - { kid: value }
+ */
+const parseKeyList = (list = '') => list
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .reduce((keys, entry) => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+    return keys;
+  }, {});
+
 module.exports = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -21,6 +38,136 @@ module.exports = {
         process.env.CLIENT_URL,
         process.env.ADMIN_URL
       ].filter(Boolean), // Remove undefined values
+  // Temporary seat holds during checkout
+  seatHold: {
+    durationMinutes: parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 10,
+    maxDurationMinutes: parseInt(process.env.SEAT_HOLD_MAX_MINUTES, 10) || 30
+  },
+  // Unpaid pending bookings are cancelled once their payment window passes
+  bookingExpiry: {
+    paymentWindowMinutes: parseInt(process.env.BOOKING_PAYMENT_WINDOW_MINUTES, 10) || 60,
+    // Shorter window for bookings made close to departure
+    lateWindowMinutes: parseInt(process.env.BOOKING_LATE_PAYMENT_WINDOW_MINUTES, 10) || 15,
+    lateThresholdHours: parseInt(process.env.BOOKING_LATE_THRESHOLD_HOURS, 10) || 24
+  },
+  // Waitlists for sold-out trips
+  waitlist: {
+    // How long offered seats are held for a waiting customer (capped by SEAT_HOLD_MAX_MINUTES)
+    offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 15
+  },
+  // Holiday calendar used in pricing
+  holidays: {
+    // State holidays observed in this state count as holidays
+    state: process.env.HOLIDAY_STATE || 'Akwa Ibom'
+  },
+  // Demand-based fares
+  pricing: {
+    // How long a quoted fare is held for the customer during checkout
+    lockMinutes: parseInt(process.env.PRICE_LOCK_MINUTES, 10) || 15,
+    // Period booking velocity (seats booked on a trip) is measured over
+    velocityWindowHours: parseInt(process.env.PRICING_VELOCITY_WINDOW_HOURS, 10) || 24,
+    // How long a signed fare quote can be booked at
+    quoteMinutes: parseInt(process.env.FARE_QUOTE_MINUTES, 10) || 15
+  },
+  // Tax added to fares and hire costs after discounts
+  fareTax: {
+    name: process.env.FARE_TAX_NAME || 'VAT',
+    ratePercent: parseFloat(process.env.FARE_TAX_RATE_PERCENT) || 0
+  },
+  // Charter quotes staff issue on hiring requests
+  hiringQuotes: {
+    // How long a quote can be accepted for when staff don't set an expiry
+    validDays: parseInt(process.env.HIRING_QUOTE_VALID_DAYS, 10) || 7,
+    // Share of the total invoiced as a deposit on acceptance, or on approval of a hire that wasn't quoted
+    depositPercent: parseFloat(process.env.HIRING_DEPOSIT_PERCENT) || 30,
+    depositDueDays: parseInt(process.env.HIRING_DEPOSIT_DUE_DAYS, 10) || 2
+  },
+  // Payment plan of confirmed hires: the deposit, then the balance before the hire starts
+  hiringPayments: {
+    balanceDueDays: parseInt(process.env.HIRING_BALANCE_DUE_DAYS, 10) || 7,
+    // Reminders go out this many days before each payment is due
+    reminderDays: (process.env.HIRING_PAYMENT_REMINDER_DAYS || '3,1')
+      .split(',')
+      .map(days => parseFloat(days))
+      .filter(days => days > 0),
+    // Time allowed after a due date before a missed payment puts the hire on hold or cancels it
+    graceHours: parseInt(process.env.HIRING_PAYMENT_GRACE_HOURS, 10) || 24,
+    missedAction: process.env.HIRING_MISSED_PAYMENT_ACTION === 'cancel' ? 'cancel' : 'hold'
+  },
+  // Journey planner for itineraries with transfers
+  journeys: {
+    maxTransfers: parseInt(process.env.JOURNEY_MAX_TRANSFERS, 10) || 2,
+    // Shortest and longest acceptable wait at a transfer stop
+    minConnectionMinutes: parseInt(process.env.JOURNEY_MIN_CONNECTION_MINUTES, 10) || 30,
+    maxConnectionHours: parseInt(process.env.JOURNEY_MAX_CONNECTION_HOURS, 10) || 6,
+    maxResults: parseInt(process.env.JOURNEY_MAX_RESULTS, 10) || 10
+  },
+  // Scheduled trip generation
+  trips: {
+    generationHorizonDays: parseInt(process.env.TRIP_GENERATION_DAYS, 10) || 30
+  },
+  // Background job scheduler (cron schedules use server local time)
+  jobs: {
+    tickSeconds: parseInt(process.env.JOB_TICK_SECONDS, 10) || 30,
+    lockTimeoutSeconds: parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 600,
+    // Optional Redis used for job locks when running several instances
+    redisUrl: process.env.JOBS_REDIS_URL,
+    notificationRetentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 30,
+    schedules: {
+      journeyReminders: process.env.JOB_JOURNEY_REMINDERS_CRON || '0 18 * * *',
+      scheduledNotifications: process.env.JOB_SCHEDULED_NOTIFICATIONS_CRON || '* * * * *',
+      notificationCleanup: process.env.JOB_NOTIFICATION_CLEANUP_CRON || '0 3 * * *',
+      tripGeneration: process.env.JOB_TRIP_GENERATION_CRON || '0 1 * * *',
+      hiringPayments: process.env.JOB_HIRING_PAYMENTS_CRON || '0 * * * *',
+      seatHoldExpiry: process.env.JOB_SEAT_HOLD_EXPIRY_CRON || '* * * * *',
+      bookingExpiry: process.env.JOB_BOOKING_EXPIRY_CRON || '* * * * *',
+      waitlistOffers: process.env.JOB_WAITLIST_OFFERS_CRON || '* * * * *',
+      refundRetries: process.env.JOB_REFUND_RETRIES_CRON || '*/5 * * * *'
+    }
+  },
+  // Live bus GPS tracking
+  tracking: {
+    retentionDays: parseInt(process.env.TRACKING_RETENTION_DAYS, 10) || 30,
+    // Minimum time between position broadcasts to a bus room
+    broadcastIntervalSeconds: parseInt(process.env.TRACKING_BROADCAST_SECONDS, 10) || 5,
+    maxBatchSize: parseInt(process.env.TRACKING_MAX_BATCH, 10) || 100
+  },
+  // Live arrival estimates for in-progress trips
+  eta: {
+    // Minimum time between recalculations for one trip
+    recomputeSeconds: parseInt(process.env.ETA_RECOMPUTE_SECONDS, 10) || 30,
+    // Passengers are notified when the predicted delay reaches this, and again per further step
+    delayThresholdMinutes: parseInt(process.env.ETA_DELAY_THRESHOLD_MINUTES, 10) || 15,
+    // Completed trips averaged for the historic journey time
+    historyTrips: parseInt(process.env.ETA_HISTORY_TRIPS, 10) || 10,
+    // How close (km) the bus must be to the terminus to count as departed/arrived
+    terminalRadiusKm: parseFloat(process.env.ETA_TERMINAL_RADIUS_KM) || 0.5,
+    // Positions further than this (km) from the route are ignored
+    offRouteKm: parseFloat(process.env.ETA_OFF_ROUTE_KM) || 5
+  },
+  // Payment gateway: 'paystack' or 'mock' (local, no network)
+  payments: {
+    gateway: process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'test' ? 'mock' : 'paystack'),
+    paystackSecretKey: process.env.PAYSTACK_SECRET_KEY,
+    // Required for the mock gateway; there is deliberately no default
+    mockWebhookSecret: process.env.MOCK_GATEWAY_SECRET,
+    // A webhook event still processing after this long was interrupted and is retried on redelivery
+    webhookTimeoutMinutes: parseInt(process.env.PAYMENT_WEBHOOK_TIMEOUT_MINUTES, 10) || 10
+  },
+  // Automatic gateway refunds
+  refunds: {
+    maxAttempts: parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 5,
+    retryBaseMinutes: parseInt(process.env.REFUND_RETRY_BASE_MINUTES, 10) || 15
+  },
+  // QR ticket signing keys, "kid:secret" pairs separated by commas
+  // Keep retired keys listed until tickets signed with them are no longer valid
+  ticketSigning: {
+    activeKeyId: process.env.TICKET_SIGNING_KEY_ID,
+    keys: parseKeyList(process.env.TICKET_SIGNING_KEYS),
+    // Ed25519 private keys (PEM) for tickets and manifests checked offline
+    manifestActiveKeyId: process.env.TICKET_MANIFEST_KEY_ID,
+    manifestKeys: parseKeyList((process.env.TICKET_MANIFEST_KEYS || '').replace(/\\n/g, '\n'))
+  },
   emailFrom: process.env.EMAIL_FROM || 'noreply@busbooking.com',
   smtp: {
     host: process.env.SMTP_HOST || '',
@@ -1,12 +1,24 @@
 const Booking = require('../models/Booking');
 const Route = require('../models/Route');
 const Bus = require('../models/Bus');
+const SeatHold = require('../models/SeatHold');
+const SeatClaim = require('../models/SeatClaim');
+const Trip = require('../models/Trip');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const NotificationService = require('../services/notificationService');
 const { generateTicket, generateTicketPDF } = require('../utils/ticketGenerator');
 const TicketNotificationService = require('../services/ticketNotificationService');
-const Paystack = require("paystack-api")(process.env.PAYSTACK_SECRET_KEY);
+const SeatHoldService = require('../services/seatHoldService');
+const PaymentService = require('../services/paymentService');
+const RefundService = require('../services/refundService');
+const JourneyPlanner = require('../services/journeyPlanner');
+const { segmentsOverlap } = require('../utils/segments');
+const config = require('../config/config');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Promotion = require('../models/Promotion');
+const PricingEngine = require('../services/pricingEngine');
 // Helper functions
 const generatePDF = async (booking) => {
   // In a real application, this would generate a PDF
@@ -19,22 +31,403 @@ const generatePDF = async (booking) => {
   };
 };
 
-const verifyPayment = async (transactionId) => {
-  try {
-    const response = await Paystack.transaction.verify({
-      reference: transactionId,
+/**
+ * Helper function to resolve what a booking request is for: the scheduled trips
+ * (which decide the route, bus and departure times), the route, the bus and the
+ * part of the route travelled
+ * Booking and quoting both use it, so a quote is for exactly what gets booked
+ * @param {Object} body - { route, bus, trip, returnTrip, departureDate, returnDate, bookingType, fromStop, toStop }
+ * @returns {Promise<Object>} - { error: { status, body } }, or { tripData, returnTripData, routeData,
+ *   busData, departureDate, returnDate, segment }
+ */
+const resolveBookingRequest = async ({
+  route,
+  bus,
+  trip,
+  returnTrip,
+  departureDate,
+  returnDate,
+  bookingType,
+  fromStop,
+  toStop,
+}) => {
+  const fail = (message) => ({ error: { status: 400, body: { status: "error", message } } });
+
+  // Resolve the scheduled trip - it decides the route, bus and departure time
+  let tripData = null;
+  if (trip) {
+    tripData = await Trip.findById(trip);
+    if (!tripData) {
+      return fail("Trip not found");
+    }
+  } else if (route && departureDate) {
+    tripData = await Trip.findForRouteAndDate(route, departureDate);
+  }
+
+  if (tripData) {
+    if (!["Scheduled", "Delayed"].includes(tripData.status)) {
+      return fail(`This trip is ${tripData.status.toLowerCase()} and cannot be booked`);
+    }
+    route = tripData.route.toString();
+    bus = tripData.bus.toString();
+    departureDate = tripData.departureDateTime;
+  }
+
+  let returnTripData = null;
+  if (bookingType === "Round-Trip" && returnTrip) {
+    returnTripData = await Trip.findById(returnTrip);
+    if (!returnTripData) {
+      return fail("Return trip not found");
+    }
+    if (!["Scheduled", "Delayed"].includes(returnTripData.status)) {
+      return fail(`The return trip is ${returnTripData.status.toLowerCase()} and cannot be booked`);
+    }
+    returnDate = returnTripData.departureDateTime;
+  }
+
+  // Check if route exists
+  const routeData = await Route.findById(route);
+  if (!routeData) {
+    return fail("Route not found");
+  }
+
+  // Journeys between intermediate stops only occupy their part of the route
+  let segment = null;
+  if (fromStop || toStop) {
+    const resolved = routeData.resolveSegment(fromStop, toStop);
+    if (resolved.error) {
+      return fail(resolved.error);
+    }
+
+    const coversWholeRoute =
+      resolved.segment.from === routeData.source &&
+      resolved.segment.to === routeData.destination;
+    if (!coversWholeRoute) {
+      if (bookingType === "Round-Trip") {
+        return fail("Journeys between intermediate stops can only be booked one way");
+      }
+      segment = resolved.segment;
+    }
+  }
+
+  // Check if bus exists
+  const busData = await Bus.findById(bus);
+  if (!busData) {
+    return fail("Bus not found");
+  }
+
+  return {
+    tripData,
+    returnTripData,
+    routeData,
+    busData,
+    departureDate,
+    returnDate,
+    segment,
+  };
+};
+
+/**
+ * Helper function to find the bookings already holding seats on one leg of a new booking
+ * Bookings on a scheduled trip are found through the trip, so they still count
+ * after the trip is retimed; other departures are matched on their date
+ * @param {Object} options - { trip, bus, date, segment, returnLeg }
+ * @returns {Promise<Array>} - [{ bookingNumber, seats }]
+ */
+const findBookedSeats = async ({ trip, bus, date, segment = null, returnLeg = false }) => {
+  const seatsOn = (booking, isReturnLeg) => isReturnLeg
+    ? booking.selectedSeats?.return || []
+    : booking.passengers.map((passenger) => passenger.seatNumber);
+
+  if (trip) {
+    // A return leg covers the whole route
+    const { bookings } = await trip.getBookedSeats(returnLeg ? null : segment);
+    return bookings.map((booking) => ({
+      bookingNumber: booking.bookingNumber,
+      seats: seatsOn(booking, Boolean(booking.returnTrip && booking.returnTrip.equals(trip._id))),
+    }));
+  }
+
+  const bookings = await Booking.find({
+    bus,
+    [returnLeg ? "returnDate" : "departureDate"]: date,
+    status: { $in: ["Pending", "Confirmed"] },
+  });
+  // Outbound seats only count where the journeys share part of the route
+  return bookings
+    .filter((booking) => returnLeg || segmentsOverlap(booking.segment, segment))
+    .map((booking) => ({ bookingNumber: booking.bookingNumber, seats: seatsOn(booking, returnLeg) }));
+};
+
+/**
+ * Helper function to check a booking can move to another departure and price the move
+ * The quote and the change itself both use it, so they always agree
+ * @param {Object} req - Express request with { tripId, seats, fromStop, toStop, waiveFee }
+ * @param {Object} booking - Booking being changed
+ * @param {Object} [claim] - When applying the change, receives the ID of the claim on the new seats
+ * @returns {Promise<Object>} - { error: { status, body } }, or the quote and what's needed to apply it
+ */
+const prepareReschedule = async (req, booking, claim = null) => {
+  const fail = (status, message, extra = {}) => ({
+    error: { status, body: { status: "error", message, ...extra } },
+  });
+  const round = (value) => Math.round(value * 100) / 100;
+  const { tripId, seats, fromStop, toStop, waiveFee } = req.body;
+  const isAdmin = req.user.role === "admin";
+
+  if (!["Pending", "Confirmed"].includes(booking.status)) {
+    return fail(400, `Cannot change a booking that is ${booking.status.toLowerCase()}`);
+  }
+
+  if (booking.journey && booking.journey.reference) {
+    return fail(400, "Legs of a multi-leg journey can't be changed on their own. Cancel and rebook the journey instead");
+  }
+
+  if ((booking.verifications || []).some((verification) => verification.result === "valid")) {
+    return fail(400, "This booking has already been used to board");
+  }
+
+  const trip = await Trip.findById(tripId);
+  if (!trip) {
+    return fail(404, "Trip not found");
+  }
+
+  if (booking.trip && booking.trip.equals(trip._id)) {
+    return fail(400, "The booking is already on this trip");
+  }
+
+  if (!trip.route.equals(booking.route)) {
+    return fail(400, "Bookings can only be moved to another departure on the same route");
+  }
+
+  if (!["Scheduled", "Delayed"].includes(trip.status) || trip.departureDateTime <= new Date()) {
+    return fail(400, "This trip is no longer taking bookings");
+  }
+
+  // The return leg stays on the booking's bus, so the outbound leg must too
+  if (booking.bookingType === "Round-Trip") {
+    if (!trip.bus.equals(booking.bus)) {
+      return fail(400, "Round trips can only be moved to a departure on the same bus");
+    }
+    if (booking.returnDate && trip.departureDateTime >= booking.returnDate) {
+      return fail(400, "The new departure must be before the return journey");
+    }
+  }
+
+  // Change fees and limits come from the booking's cancellation policy
+  const previousFees = booking.getChangeFeesTotal();
+  const currentFare = round(booking.totalFare - previousFees);
+  const policy = await CancellationPolicy.resolveForBooking(booking);
+  const changeQuote = policy.calculateChangeFee({
+    fare: currentFare,
+    departureDate: booking.departureDate,
+    changesMade: booking.changeHistory.length,
+    isStaff: isAdmin,
+  });
+
+  if (!changeQuote.canChange) {
+    return fail(400, changeQuote.reason, { hoursToDeparture: changeQuote.hoursToDeparture });
+  }
+
+  const [routeData, busData] = await Promise.all([
+    Route.findById(trip.route),
+    Bus.findById(trip.bus),
+  ]);
+  if (!routeData || !busData) {
+    return fail(400, "The trip's route or bus could not be found");
+  }
+
+  // Keep the booked stops unless new ones are given
+  let segment = booking.segment && booking.segment.from ? booking.segment : null;
+  if (fromStop || toStop) {
+    const resolved = routeData.resolveSegment(fromStop, toStop);
+    if (resolved.error) {
+      return fail(400, resolved.error);
+    }
+
+    const coversWholeRoute =
+      resolved.segment.from === routeData.source &&
+      resolved.segment.to === routeData.destination;
+    if (!coversWholeRoute && booking.bookingType === "Round-Trip") {
+      return fail(400, "Journeys between intermediate stops can only be booked one way");
+    }
+    segment = coversWholeRoute ? null : resolved.segment;
+  }
+
+  // Passengers keep their seats unless new ones are chosen
+  const newSeats = seats && seats.length > 0
+    ? seats
+    : booking.passengers.map((passenger) => passenger.seatNumber);
+
+  if (newSeats.length !== booking.passengers.length) {
+    return fail(400, `Choose one seat for each of the ${booking.passengers.length} passengers`);
+  }
+
+  if (new Set(newSeats).size !== newSeats.length) {
+    return fail(400, "Duplicate seat selections are not allowed within the same booking");
+  }
+
+  const unbookableSeats = busData.findUnbookableSeats(newSeats);
+  if (unbookableSeats.unknown.length > 0 || unbookableSeats.blocked.length > 0) {
+    return fail(400, "Some selected seats can't be booked on this bus", {
+      unknownSeats: unbookableSeats.unknown,
+      blockedSeats: unbookableSeats.blocked,
     });
-    return {
-      success: response.data.status === "success",
-      transactionId: response.data.reference,
-      amount: response.data.amount / 100, // Convert from kobo to NGN
-      timestamp: new Date(response.data.paid_at),
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+  }
+
+  // Moving the booking claims the new seats before they are checked; the
+  // caller keeps the claim until the booking is saved
+  if (claim) {
+    claim.id = await SeatClaim.acquire([
+      { bus: trip.bus, departureDate: trip.departureDateTime, seats: newSeats },
+    ]);
+    if (!claim.id) {
+      return fail(409, "Some of the selected seats are being booked by another customer; please try again");
+    }
+  }
+
+  // A hired bus can't carry scheduled passengers
+  const Hiring = require('../models/Hiring');
+  const hiringConflict = await Hiring.findOne({
+    bus: trip.bus,
+    startDate: { $lte: trip.departureDateTime },
+    endDate: { $gte: trip.departureDateTime },
+    status: { $in: ['Confirmed', 'Pending', 'In Progress'] },
+  });
+  if (hiringConflict) {
+    return fail(400, "Bus is not available for booking as it is hired during the selected period");
+  }
+
+  // Seats taken by other bookings on the new trip
+  const { bookings: occupying } = await trip.getBookedSeats(segment);
+  const takenSeats = new Set();
+  occupying
+    .filter((other) => !other._id.equals(booking._id))
+    .forEach((other) => {
+      const isReturnLeg = other.returnTrip && other.returnTrip.equals(trip._id);
+      const otherSeats = isReturnLeg
+        ? other.selectedSeats?.return || []
+        : other.passengers.map((passenger) => passenger.seatNumber);
+      otherSeats.forEach((seat) => takenSeats.add(seat));
+    });
+
+  const bookedConflicts = newSeats.filter((seat) => takenSeats.has(seat));
+  if (bookedConflicts.length > 0) {
+    return fail(400, "The selected seats are already booked on this trip", {
+      bookedSeats: bookedConflicts,
+    });
+  }
+
+  const heldSeats = await SeatHold.getHeldSeats({
+    bus: trip.bus,
+    departureDate: trip.departureDateTime,
+    excludeUser: booking.user,
+    segment,
+  });
+  const heldConflicts = newSeats.filter((seat) => heldSeats.has(seat));
+  if (heldConflicts.length > 0) {
+    return fail(400, "The selected seats are currently held by another customer", {
+      heldSeats: heldConflicts,
+    });
+  }
+
+  // Re-price the booking on the new departure, keeping its promotion
+  const promotion = booking.additionalInformation?.promotion
+    ? await Promotion.findById(booking.additionalInformation.promotion)
+    : null;
+  // The outbound leg is priced afresh; a return leg keeps the fare it was booked at
+  const returnPricing = (booking.farePricing || []).find((entry) => entry.leg === "return");
+  const pricingEngine = new PricingEngine();
+  const legs = await pricingEngine.priceLegs({
+    route: routeData,
+    segment,
+    bookingType: booking.bookingType,
+    trip,
+    returnTrip: booking.returnTrip && !returnPricing ? await Trip.findById(booking.returnTrip) : null,
+    returnDate: booking.returnDate,
+    keep: returnPricing ? { return: returnPricing.toObject() } : {},
+  });
+  const { totalFare: newFare, seatCharges, discount, tax } = pricingEngine.priceBooking({
+    route: routeData,
+    bus: busData,
+    bookingType: booking.bookingType,
+    outboundSeats: newSeats,
+    returnSeats: booking.selectedSeats?.return || [],
+    passengerTypes: booking.passengers.map((passenger) => passenger.passengerType),
+    segment,
+    promotion,
+    legs,
+  });
+
+  // Staff may waive the change fee
+  const changeFee = isAdmin && waiveFee ? 0 : changeQuote.fee;
+  const newTotalFare = round(newFare + previousFees + changeFee);
+  const amountPaid = booking.getTotalPaid();
+  const balance = round(newTotalFare - amountPaid);
+
+  const quote = {
+    policyName: changeQuote.policyName,
+    hoursToDeparture: changeQuote.hoursToDeparture,
+    changesMade: changeQuote.changesMade,
+    maxChanges: changeQuote.maxChanges,
+    from: {
+      trip: booking.trip,
+      bus: booking.bus,
+      departureDate: booking.departureDate,
+      segment: booking.segment && booking.segment.from
+        ? { from: booking.segment.from, to: booking.segment.to }
+        : undefined,
+      seats: booking.passengers.map((passenger) => passenger.seatNumber),
+      fare: currentFare,
+    },
+    to: {
+      trip: trip._id,
+      bus: trip.bus,
+      departureDate: trip.departureDateTime,
+      segment: segment ? { from: segment.from, to: segment.to } : undefined,
+      seats: newSeats,
+      fare: newFare,
+    },
+    fareDifference: round(newFare - currentFare),
+    changeFee,
+    feeWaived: changeFee !== changeQuote.fee,
+    newTotalFare,
+    amountPaid,
+    // Unpaid bookings simply owe the new total
+    amountDue: Math.max(0, balance),
+    refundAmount: Math.max(0, -balance),
+  };
+
+  return {
+    quote,
+    trip,
+    segment,
+    seatCharges,
+    discount,
+    tax,
+    pricingCalendar: legs.pricingCalendar,
+    farePricing: legs.farePricing,
+  };
+};
+
+/**
+ * Helper function to offer a booking's released seats to the trip waitlists
+ * after it was cancelled or moved to another departure
+ * Runs in the background so the response isn't held up
+ * @param {Object} req - Express request (for the app's waitlist service)
+ * @param {Object} booking - Booking, or the { trip, bus, departureDate } it left
+ */
+const offerReleasedSeats = (req, booking) => {
+  const waitlistService = req.app.get('waitlistService');
+  if (!waitlistService) return;
+
+  waitlistService.handleSeatsReleased({
+    trip: booking.trip,
+    bus: booking.bus,
+    departureDate: booking.departureDate,
+  }).catch(() => {});
+  if (booking.returnTrip) {
+    waitlistService.handleSeatsReleased({ trip: booking.returnTrip }).catch(() => {});
   }
 };
 
@@ -231,6 +624,133 @@ exports.getBooking = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Quote a booking's fare, itemized, with a signed quote id to book it at
+ * @route   POST /api/fares/quote
+ * @access  Private
+ */
+exports.quoteBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { bookingType, selectedSeats, passengers, promoCode, fareLockId, returnFareLockId } = req.body;
+
+    const journey = await resolveBookingRequest(req.body);
+    if (journey.error) {
+      return res.status(journey.error.status).json(journey.error.body);
+    }
+    const { tripData, returnTripData, routeData, busData, segment } = journey;
+    const returnSeats = bookingType === "Round-Trip" ? selectedSeats?.return || [] : [];
+
+    // Seats decide the surcharges, so they must exist on the bus
+    const unbookableSeats = busData.findUnbookableSeats([
+      ...passengers.map((passenger) => passenger.seatNumber),
+      ...returnSeats,
+    ]);
+    if (unbookableSeats.unknown.length > 0 || unbookableSeats.blocked.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Some selected seats can't be booked on this bus",
+        unknownSeats: unbookableSeats.unknown,
+        blockedSeats: unbookableSeats.blocked,
+      });
+    }
+
+    const pricingEngine = new PricingEngine();
+    const lockResult = await pricingEngine.findUsableLocks({
+      user: req.user.id,
+      bookingType,
+      fareLockId,
+      returnFareLockId,
+      trip: tripData,
+      returnTrip: returnTripData,
+      segment,
+    });
+    if (!lockResult.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: lockResult.message,
+        reason: lockResult.reason,
+      });
+    }
+
+    const priced = await pricingEngine.quoteBooking({
+      user: req.user.id,
+      route: routeData,
+      bus: busData,
+      bookingType,
+      trip: tripData,
+      departureDate: journey.departureDate,
+      returnTrip: returnTripData,
+      returnDate: journey.returnDate,
+      segment,
+      passengers,
+      returnSeats,
+      promoCode,
+      fareLocks: lockResult.locks,
+    });
+    if (!priced.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: priced.message,
+        reason: priced.reason,
+      });
+    }
+
+    const { pricing } = priced;
+    const request = pricingEngine.describeBookingRequest({
+      ...journey,
+      route: routeData,
+      bus: busData,
+      trip: tripData,
+      returnTrip: returnTripData,
+      bookingType,
+      passengers,
+      returnSeats,
+      promoCode,
+    });
+    // A quote can't be booked once the trip has left
+    const { quote, quoteId } = await pricingEngine.createQuote({
+      recordType: "booking",
+      user: req.user.id,
+      request,
+      pricing,
+      total: pricing.totalFare,
+      expiresBy: tripData ? tripData.departureDateTime : journey.departureDate,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Fare quoted successfully",
+      data: {
+        quoteId,
+        expiresAt: quote.expiresAt,
+        request,
+        legs: pricing.farePricing,
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        promoCode: pricing.promoCode || undefined,
+        discount: pricing.discount,
+        tax: pricing.tax,
+        totalFare: pricing.totalFare,
+      },
+    });
+  } catch (error) {
+    console.error("Error quoting booking:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while quoting booking",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Create a new booking
  * POST /api/bookings
@@ -247,9 +767,11 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    const {
+    let {
       route,
       bus,
+      trip,
+      returnTrip,
       departureDate,
       returnDate,
       bookingType,
@@ -258,25 +780,22 @@ exports.createBooking = async (req, res) => {
       additionalInformation,
       specialRequests,
       promoCode,
+      fromStop,
+      toStop,
+      fareLockId,
+      returnFareLockId,
+      quoteId,
     } = req.body;
 
-    // Check if route exists
-    const routeData = await Route.findById(route);
-    if (!routeData) {
-      return res.status(400).json({
-        status: "error",
-        message: "Route not found",
-      });
-    }
-
-    // Check if bus exists
-    const busData = await Bus.findById(bus);
-    if (!busData) {
-      return res.status(400).json({
-        status: "error",
-        message: "Bus not found",
-      });
+    const journey = await resolveBookingRequest(req.body);
+    if (journey.error) {
+      return res.status(journey.error.status).json(journey.error.body);
     }
+    const { tripData, returnTripData, routeData, busData, segment } = journey;
+    route = routeData._id.toString();
+    bus = busData._id.toString();
+    departureDate = journey.departureDate;
+    returnDate = journey.returnDate;
 
     // Check bus availability
     const departureDateTime = new Date(departureDate);
@@ -313,58 +832,6 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // Get all bookings for the same bus and dates (outbound and return)
-    const existingBookings = await Booking.find({
-      bus,
-      $or: [
-        { departureDate: departureDateTime },
-        ...(returnDateTime ? [{ returnDate: returnDateTime }] : []),
-      ],
-      status: { $in: ["Pending", "Confirmed"] },
-    });
-
-    // Count total booked seats for outbound and return dates
-    const bookedSeats = { outbound: new Set(), return: new Set() };
-    existingBookings.forEach((booking) => {
-      if (booking.departureDate.getTime() === departureDateTime.getTime()) {
-        booking.passengers.forEach((p) =>
-          bookedSeats.outbound.add(p.seatNumber)
-        );
-      }
-      if (
-        booking.returnDate &&
-        booking.returnDate.getTime() === returnDateTime?.getTime()
-      ) {
-        booking.selectedSeats.return.forEach((seat) =>
-          bookedSeats.return.add(seat)
-        );
-      }
-    });
-
-    // Check if there are enough seats available
-    const requiredSeats = passengers.length;
-    if (bookedSeats.outbound.size + requiredSeats > busData.capacity) {
-      return res.status(400).json({
-        status: "error",
-        message: "Not enough seats available for the outbound trip",
-        availableSeats: busData.capacity - bookedSeats.outbound.size,
-        requiredSeats,
-        conflictingBookings: existingBookings.map((b) => b.bookingNumber),
-      });
-    }
-    if (
-      bookingType === "Round-Trip" &&
-      bookedSeats.return.size + requiredSeats > busData.capacity
-    ) {
-      return res.status(400).json({
-        status: "error",
-        message: "Not enough seats available for the return trip",
-        availableSeats: busData.capacity - bookedSeats.return.size,
-        requiredSeats,
-        conflictingBookings: existingBookings.map((b) => b.bookingNumber),
-      });
-    }
-
     // Check for duplicate seats within the request
     const outboundSeats = selectedSeats?.outbound || [];
     const passengerSeats = passengers.map((p) => p.seatNumber);
@@ -401,125 +868,343 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // Check seat conflicts
-    if (selectedSeats?.outbound && selectedSeats.outbound.length > 0) {
-      const existingSeatConflicts = await Booking.find({
-        bus,
-        $or: [
-          { departureDate: departureDateTime },
-          ...(returnDateTime ? [{ returnDate: returnDateTime }] : []),
-        ],
-        status: { $in: ["Pending", "Confirmed"] },
-        "passengers.seatNumber": { $in: selectedSeats.outbound },
+    // Seats must exist in the bus layout and not be blocked
+    const unbookableSeats = busData.findUnbookableSeats([
+      ...outboundSeats,
+      ...(selectedSeats?.return || []),
+    ]);
+    if (unbookableSeats.unknown.length > 0 || unbookableSeats.blocked.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Some selected seats can't be booked on this bus",
+        unknownSeats: unbookableSeats.unknown,
+        blockedSeats: unbookableSeats.blocked,
       });
+    }
 
-      if (existingSeatConflicts.length > 0) {
-        const bookedSeats = [];
-        existingSeatConflicts.forEach((booking) => {
-          booking.passengers.forEach((passenger) => {
-            if (selectedSeats.outbound.includes(passenger.seatNumber)) {
-              bookedSeats.push(passenger.seatNumber);
-            }
-          });
+    const returnSeats = bookingType === "Round-Trip" ? selectedSeats?.return || [] : [];
+
+    // Claim the seats first, so no other request can take them
+    // between the checks below and the booking being saved
+    const claimId = await SeatClaim.acquire([
+      { bus, departureDate: departureDateTime, seats: outboundSeats },
+      ...(returnDateTime ? [{ bus, departureDate: returnDateTime, seats: returnSeats }] : []),
+    ]);
+    if (!claimId) {
+      return res.status(409).json({
+        status: "error",
+        message: "Some of the selected seats are being booked by another customer; please try again",
+      });
+    }
+
+    let newBooking;
+    try {
+      // Seats already booked on each leg
+      const booked = {
+        outbound: await findBookedSeats({ trip: tripData, bus, date: departureDateTime, segment }),
+        return: bookingType === "Round-Trip" && returnDateTime
+          ? await findBookedSeats({ trip: returnTripData, bus, date: returnDateTime, returnLeg: true })
+          : [],
+      };
+      const existingBookings = [...booked.outbound, ...booked.return];
+      const bookedSeats = {
+        outbound: new Set(booked.outbound.flatMap((entry) => entry.seats)),
+        return: new Set(booked.return.flatMap((entry) => entry.seats)),
+      };
+
+      // Check if there are enough seats available
+      const requiredSeats = passengers.length;
+      const sellableSeats = busData.getSellableCapacity();
+      if (bookedSeats.outbound.size + requiredSeats > sellableSeats) {
+        return res.status(400).json({
+          status: "error",
+          message: "Not enough seats available for the outbound trip",
+          availableSeats: Math.max(0, sellableSeats - bookedSeats.outbound.size),
+          requiredSeats,
+          conflictingBookings: existingBookings.map((b) => b.bookingNumber),
+          // Sold-out trips can be waitlisted through POST /api/waitlist
+          waitlistTripId: tripData ? tripData._id : undefined,
+        });
+      }
+      if (
+        bookingType === "Round-Trip" &&
+        bookedSeats.return.size + requiredSeats > sellableSeats
+      ) {
+        return res.status(400).json({
+          status: "error",
+          message: "Not enough seats available for the return trip",
+          availableSeats: Math.max(0, sellableSeats - bookedSeats.return.size),
+          requiredSeats,
+          conflictingBookings: existingBookings.map((b) => b.bookingNumber),
         });
+      }
 
+      // Check seat conflicts
+      const findConflicts = (entries, seats) => {
+        const conflicting = entries.filter((entry) => entry.seats.some((seat) => seats.includes(seat)));
+        return {
+          seats: [...new Set(conflicting.flatMap((entry) => entry.seats.filter((seat) => seats.includes(seat))))],
+          bookings: conflicting.map((entry) => entry.bookingNumber),
+        };
+      };
+
+      const outboundConflicts = findConflicts(booked.outbound, outboundSeats);
+      if (outboundConflicts.bookings.length > 0) {
         return res.status(400).json({
           status: "error",
           message:
             "The selected seats are already booked for the specified dates",
-          bookedSeats: [...new Set(bookedSeats)], // Remove duplicates
-          conflictingBookings: existingSeatConflicts.map(
-            (b) => b.bookingNumber
-          ),
+          bookedSeats: outboundConflicts.seats,
+          conflictingBookings: outboundConflicts.bookings,
         });
       }
 
-      // Check return seats for round-trip
-      if (
-        bookingType === "Round-Trip" &&
-        selectedSeats?.return &&
-        selectedSeats.return.length > 0
-      ) {
-        const returnSeatConflicts = await Booking.find({
+      const returnConflicts = findConflicts(booked.return, returnSeats);
+      if (returnConflicts.bookings.length > 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "The selected return seats are already booked",
+          bookedSeats: returnConflicts.seats,
+          conflictingBookings: returnConflicts.bookings,
+        });
+      }
+
+      // Seats held by other customers during their checkout cannot be booked
+      const heldSeats = await SeatHold.getHeldSeats({
+        bus,
+        departureDate: departureDateTime,
+        excludeUser: req.user.id,
+        segment,
+      });
+      const heldConflicts = outboundSeats.filter((seat) => heldSeats.has(seat));
+
+      if (heldConflicts.length > 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "The selected seats are currently held by another customer",
+          heldSeats: heldConflicts,
+        });
+      }
+
+      if (bookingType === "Round-Trip" && returnDateTime && selectedSeats?.return?.length) {
+        const heldReturnSeats = await SeatHold.getHeldSeats({
           bus,
-          returnDate: returnDateTime,
-          status: { $in: ["Pending", "Confirmed"] },
-          "passengers.seatNumber": { $in: selectedSeats.return },
+          departureDate: returnDateTime,
+          excludeUser: req.user.id,
         });
+        const heldReturnConflicts = selectedSeats.return.filter((seat) =>
+          heldReturnSeats.has(seat)
+        );
 
-        if (returnSeatConflicts.length > 0) {
-          const bookedReturnSeats = [];
-          returnSeatConflicts.forEach((booking) => {
-            booking.passengers.forEach((passenger) => {
-              if (selectedSeats.return.includes(passenger.seatNumber)) {
-                bookedReturnSeats.push(passenger.seatNumber);
-              }
-            });
+        if (heldReturnConflicts.length > 0) {
+          return res.status(400).json({
+            status: "error",
+            message: "The selected return seats are currently held by another customer",
+            heldSeats: heldReturnConflicts,
           });
+        }
+      }
 
+      // A quote is honoured for exactly what was quoted; otherwise the booking is priced now
+      const pricingEngine = new PricingEngine();
+      const code = promoCode || additionalInformation?.promoCode;
+      let quote = null;
+      let fareLocks = {};
+      let pricing;
+      if (quoteId) {
+        const quoteResult = await pricingEngine.findUsableQuote({
+          quoteId,
+          user: req.user.id,
+          recordType: "booking",
+          request: pricingEngine.describeBookingRequest({
+            ...journey,
+            route: routeData,
+            bus: busData,
+            trip: tripData,
+            returnTrip: returnTripData,
+            bookingType,
+            passengers,
+            returnSeats,
+            promoCode: code,
+          }),
+        });
+        if (!quoteResult.valid) {
+          return res.status(400).json({
+            status: "error",
+            message: quoteResult.message,
+            reason: quoteResult.reason,
+          });
+        }
+        quote = quoteResult.quote;
+        pricing = quote.pricing;
+      } else {
+        // Fares locked at checkout are honoured while the lock lasts
+        const lockResult = await pricingEngine.findUsableLocks({
+          user: req.user.id,
+          bookingType,
+          fareLockId,
+          returnFareLockId,
+          trip: tripData,
+          returnTrip: returnTripData,
+          segment,
+        });
+        if (!lockResult.valid) {
+          return res.status(400).json({
+            status: "error",
+            message: lockResult.message,
+            reason: lockResult.reason,
+          });
+        }
+        fareLocks = lockResult.locks;
+
+        const priced = await pricingEngine.quoteBooking({
+          user: req.user.id,
+          route: routeData,
+          bus: busData,
+          bookingType,
+          trip: tripData,
+          departureDate: departureDateTime,
+          returnTrip: returnTripData,
+          returnDate: returnDateTime,
+          segment,
+          passengers,
+          returnSeats,
+          promoCode: code,
+          fareLocks,
+        });
+        if (!priced.valid) {
           return res.status(400).json({
             status: "error",
-            message: "The selected return seats are already booked",
-            bookedSeats: [...new Set(bookedReturnSeats)],
-            conflictingBookings: returnSeatConflicts.map(
-              (b) => b.bookingNumber
-            ),
+            message: priced.message,
+            reason: priced.reason,
           });
         }
+        pricing = priced.pricing;
       }
-    }
-
-    // Calculate fare
-    let totalFare = 0;
-    let baseFare = routeData.baseFare || 0;
 
-    // Add passenger fare
-    totalFare = baseFare * passengers.length;
+      // Create booking
+      newBooking = new Booking({
+        user: req.user.id,
+        route,
+        bus,
+        trip: tripData ? tripData._id : undefined,
+        returnTrip: returnTripData ? returnTripData._id : undefined,
+        departureDate,
+        returnDate,
+        bookingType,
+        selectedSeats: selectedSeats || { outbound: [], return: [] },
+        segment: segment || undefined,
+        passengers,
+        seatCharges: pricing.seatCharges,
+        pricingCalendar: pricing.pricingCalendar,
+        farePricing: pricing.farePricing,
+        tax: pricing.tax,
+        specialRequests,
+        additionalInformation: {
+          bookingSource: additionalInformation?.bookingSource || "Website",
+          promoCode: pricing.promoCode || undefined,
+          promotion: pricing.promotion || undefined,
+          discountApplied: pricing.discount,
+          ipAddress: additionalInformation?.ipAddress,
+          userAgent: additionalInformation?.userAgent,
+        },
+        totalFare: pricing.totalFare,
+        status: "Pending",
+      });
 
-    // Apply round trip pricing if applicable
-    if (bookingType === "Round-Trip") {
-      totalFare *= 2; // Round trip is 2x the one-way price
-    }
+      // Quotes and locked fares can only be booked once; claim them before saving
+      if (quote && !(await pricingEngine.claimQuote(quote, newBooking))) {
+        return res.status(409).json({
+          status: "error",
+          message: "This quote has just been used or has run out; please get a new quote",
+          reason: "quote_used",
+        });
+      }
+      const locks = Object.values(fareLocks);
+      if (!(await pricingEngine.claimLocks(locks, newBooking))) {
+        return res.status(409).json({
+          status: "error",
+          message: "This locked fare has just been used or has run out; please lock the fare again",
+          reason: "lock_used",
+        });
+      }
+
+      // Reserve a use of the promotion, so concurrent bookings can't take it past its limits
+      if (pricing.promotion) {
+        const redemption = await Promotion.reserveRedemption(pricing.promotion, req.user.id);
+        if (!redemption.valid) {
+          if (quote) {
+            await pricingEngine.releaseQuote(quote, newBooking);
+          }
+          await pricingEngine.releaseLocks(locks, newBooking);
+          return res.status(409).json({
+            status: "error",
+            message: redemption.message,
+            reason: redemption.reason,
+          });
+        }
+      }
 
-    // Apply promo code discount if applicable
-    if (promoCode) {
-      // In a real application, validate promo code from database
-      if (promoCode === "WELCOME10") {
-        totalFare = totalFare * 0.9; // 10% discount
+      try {
+        await newBooking.save();
+      } catch (saveError) {
+        if (quote) {
+          await pricingEngine.releaseQuote(quote, newBooking);
+        }
+        await pricingEngine.releaseLocks(locks, newBooking);
+        if (pricing.promotion) {
+          await Promotion.releaseRedemption(pricing.promotion, req.user.id);
+        }
+        throw saveError;
       }
+    } finally {
+      await SeatClaim.release(claimId);
     }
 
-    // Create booking
-    const newBooking = new Booking({
-      user: req.user.id,
-      route,
-      bus,
-      departureDate,
-      returnDate,
-      bookingType,
-      selectedSeats: selectedSeats || { outbound: [], return: [] },
-      passengers,
-      specialRequests,
-      promoCode,
-      additionalInformation: {
-        bookingSource: additionalInformation?.bookingSource || "Website",
-        promoCode: additionalInformation?.promoCode || promoCode,
-        discountApplied: additionalInformation?.discountApplied || 0,
-        ipAddress: additionalInformation?.ipAddress,
-        userAgent: additionalInformation?.userAgent,
-      },
-      totalFare: Math.round(totalFare * 100) / 100,
-      status: "Pending",
-    });
+    // The customer's own holds on this departure are now fulfilled
+    try {
+      const seatHoldService = new SeatHoldService(req.io);
+      await seatHoldService.convertHolds({
+        user: req.user.id,
+        bus,
+        departureDate: departureDateTime,
+        bookingId: newBooking._id,
+        seats: outboundSeats,
+      });
+      if (returnDateTime) {
+        await seatHoldService.convertHolds({
+          user: req.user.id,
+          bus,
+          departureDate: returnDateTime,
+          bookingId: newBooking._id,
+          seats: returnSeats,
+        });
+      }
+    } catch (holdError) {
+      console.error("Error converting seat holds:", holdError);
+      // Don't fail the booking if holds could not be updated; they expire anyway
+    }
 
-    await newBooking.save();
+    // A waitlist offer on this departure has been taken up
+    try {
+      await WaitlistEntry.markBooked({
+        user: req.user.id,
+        bus,
+        departureDate: departureDateTime,
+        booking: newBooking._id,
+      });
+    } catch (waitlistError) {
+      console.error("Error updating waitlist entries:", waitlistError);
+    }
 
     // Emit real-time seat update to all users viewing this bus
     if (req.io) {
-      req.io.to(`bus:${bus}`).emit('seat-updated', {
+      req.io.to(`seats:${bus}`).emit('seat-updated', {
         busId: bus,
         date: departureDate,
+        tripId: newBooking.trip,
         bookingId: newBooking._id,
+        segment: segment || undefined,
         action: 'booking_created',
         affectedSeats: passengers.map(p => p.seatNumber),
         timestamp: new Date()
@@ -545,6 +1230,323 @@ exports.createBooking = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Book every leg of a multi-leg journey in one request
+ * @route   POST /api/bookings/journeys
+ * @access  Private
+ */
+exports.createJourneyBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { legs, passengers, contactDetails, additionalInformation } = req.body;
+    const maxLegs = config.journeys.maxTransfers + 1;
+
+    if (legs.length > maxLegs) {
+      return res.status(400).json({
+        status: "error",
+        message: `A journey can have at most ${maxLegs} legs`,
+      });
+    }
+
+    // Resolve each leg's trip, stops and timetable
+    const planner = new JourneyPlanner();
+    const plannedLegs = [];
+    for (const [index, leg] of legs.entries()) {
+      const legNumber = index + 1;
+      const trip = await Trip.findById(leg.trip);
+      if (!trip) {
+        return res.status(400).json({
+          status: "error",
+          message: `Trip for leg ${legNumber} not found`,
+        });
+      }
+
+      if (!["Scheduled", "Delayed"].includes(trip.status)) {
+        return res.status(400).json({
+          status: "error",
+          message: `The trip for leg ${legNumber} is ${trip.status.toLowerCase()} and cannot be booked`,
+        });
+      }
+
+      const route = await Route.findById(trip.route);
+      if (!route) {
+        return res.status(400).json({
+          status: "error",
+          message: `Route for leg ${legNumber} not found`,
+        });
+      }
+
+      const resolved = route.resolveSegment(leg.fromStop, leg.toStop);
+      if (resolved.error) {
+        return res.status(400).json({
+          status: "error",
+          message: `Leg ${legNumber}: ${resolved.error}`,
+        });
+      }
+
+      const coversWholeRoute =
+        resolved.segment.from === route.source &&
+        resolved.segment.to === route.destination;
+      const segment = coversWholeRoute ? null : resolved.segment;
+      const schedule = planner.getLegSchedule(trip, route, segment);
+
+      if (!schedule || schedule.departure < new Date()) {
+        return res.status(400).json({
+          status: "error",
+          message: `Leg ${legNumber} has already departed`,
+        });
+      }
+
+      const seats = leg.seats;
+      if (seats.length !== passengers.length || new Set(seats).size !== seats.length) {
+        return res.status(400).json({
+          status: "error",
+          message: `Leg ${legNumber} needs one different seat for each passenger`,
+        });
+      }
+
+      plannedLegs.push({ trip, route, segment, schedule, seats, from: resolved.segment.from, to: resolved.segment.to });
+    }
+
+    // Each leg must leave from where the previous one arrives, with time to connect
+    for (let i = 1; i < plannedLegs.length; i++) {
+      const previous = plannedLegs[i - 1];
+      const leg = plannedLegs[i];
+
+      if (previous.to.trim().toLowerCase() !== leg.from.trim().toLowerCase()) {
+        return res.status(400).json({
+          status: "error",
+          message: `Leg ${i + 1} must start at ${previous.to}, where leg ${i} ends`,
+        });
+      }
+
+      const waitMinutes = Math.round((leg.schedule.departure - previous.schedule.arrival) / 60000);
+      if (waitMinutes < config.journeys.minConnectionMinutes) {
+        return res.status(400).json({
+          status: "error",
+          message: `Leg ${i + 1} leaves ${waitMinutes} minutes after leg ${i} arrives; at least ${config.journeys.minConnectionMinutes} minutes are needed to connect`,
+        });
+      }
+    }
+
+    // Claim every leg's seats first, so no other request can take them
+    // between the checks below and the legs being saved
+    const claimId = await SeatClaim.acquire(plannedLegs.map((leg) => ({
+      bus: leg.trip.bus,
+      departureDate: leg.trip.departureDateTime,
+      seats: leg.seats,
+    })));
+    if (!claimId) {
+      return res.status(409).json({
+        status: "error",
+        message: "Some of the selected seats are being booked by another customer; please try again",
+      });
+    }
+
+    const bookings = [];
+    try {
+      // Check every leg before reserving anything
+      const Hiring = require('../models/Hiring');
+      for (const [index, leg] of plannedLegs.entries()) {
+        const legNumber = index + 1;
+        const departure = leg.trip.departureDateTime;
+
+        const hired = await Hiring.exists({
+          bus: leg.trip.bus,
+          startDate: { $lte: departure },
+          endDate: { $gte: departure },
+          status: { $in: ['Confirmed', 'Pending', 'In Progress'] }
+        });
+        if (hired) {
+          return res.status(400).json({
+            status: "error",
+            message: `The bus for leg ${legNumber} is hired during this trip`,
+          });
+        }
+
+        const { seats: bookedSeats } = await leg.trip.getBookedSeats(leg.segment);
+        const bookedConflicts = leg.seats.filter((seat) => bookedSeats.has(seat));
+        if (bookedConflicts.length > 0) {
+          return res.status(400).json({
+            status: "error",
+            message: `The selected seats on leg ${legNumber} are already booked`,
+            leg: legNumber,
+            bookedSeats: bookedConflicts,
+          });
+        }
+
+        const heldSeats = await SeatHold.getHeldSeats({
+          bus: leg.trip.bus,
+          departureDate: departure,
+          excludeUser: req.user.id,
+          segment: leg.segment,
+        });
+        const heldConflicts = leg.seats.filter((seat) => heldSeats.has(seat));
+        if (heldConflicts.length > 0) {
+          return res.status(400).json({
+            status: "error",
+            message: `The selected seats on leg ${legNumber} are currently held by another customer`,
+            leg: legNumber,
+            heldSeats: heldConflicts,
+          });
+        }
+
+        const bus = await Bus.findById(leg.trip.bus);
+        if (!bus || bookedSeats.size + leg.seats.length > bus.getSellableCapacity()) {
+          return res.status(400).json({
+            status: "error",
+            message: `Not enough seats available on leg ${legNumber}`,
+            leg: legNumber,
+            availableSeats: bus ? Math.max(0, bus.getSellableCapacity() - bookedSeats.size) : 0,
+          });
+        }
+
+        const unbookableSeats = bus.findUnbookableSeats(leg.seats);
+        if (unbookableSeats.unknown.length > 0 || unbookableSeats.blocked.length > 0) {
+          return res.status(400).json({
+            status: "error",
+            message: `Some selected seats on leg ${legNumber} can't be booked on this bus`,
+            leg: legNumber,
+            unknownSeats: unbookableSeats.unknown,
+            blockedSeats: unbookableSeats.blocked,
+          });
+        }
+        leg.bus = bus;
+      }
+
+      // Reserve all legs or none: undo the legs already saved if one fails
+      const reference = 'JRN-' + crypto.randomBytes(4).toString('hex').toUpperCase();
+      // Every leg shares the first leg's payment deadline so the journey expires as a whole
+      const paymentDueAt = Booking.calculatePaymentDueAt(plannedLegs[0].trip.departureDateTime);
+      const pricingEngine = new PricingEngine();
+
+      try {
+        for (const [index, leg] of plannedLegs.entries()) {
+          // Each leg is priced on its own trip's calendar and demand, as in the planner
+          const legs = await pricingEngine.priceLegs({
+            route: leg.route,
+            segment: leg.segment || null,
+            bookingType: "One-Way",
+            trip: leg.trip,
+          });
+          const { totalFare, seatCharges, tax } = pricingEngine.priceBooking({
+            route: leg.route,
+            bus: leg.bus,
+            bookingType: "One-Way",
+            outboundSeats: leg.seats,
+            passengerTypes: passengers.map((passenger) => passenger.passengerType),
+            segment: leg.segment || null,
+            legs,
+          });
+
+          const booking = new Booking({
+            user: req.user.id,
+            route: leg.route._id,
+            bus: leg.trip.bus,
+            trip: leg.trip._id,
+            departureDate: leg.trip.departureDateTime,
+            bookingType: "One-Way",
+            selectedSeats: { outbound: leg.seats, return: [] },
+            segment: leg.segment || undefined,
+            journey: { reference, leg: index + 1, legs: plannedLegs.length },
+            passengers: passengers.map((passenger, i) => ({
+              ...passenger,
+              seatNumber: leg.seats[i],
+            })),
+            contactDetails,
+            additionalInformation: {
+              bookingSource: additionalInformation?.bookingSource || "Website",
+              ipAddress: additionalInformation?.ipAddress,
+              userAgent: additionalInformation?.userAgent,
+            },
+            seatCharges,
+            pricingCalendar: legs.pricingCalendar,
+            farePricing: legs.farePricing,
+            tax,
+            totalFare,
+            status: "Pending",
+            paymentDueAt,
+          });
+
+          await booking.save();
+          bookings.push(booking);
+        }
+      } catch (saveError) {
+        if (bookings.length > 0) {
+          await Booking.deleteMany({ _id: { $in: bookings.map((booking) => booking._id) } });
+        }
+        throw saveError;
+      }
+    } finally {
+      await SeatClaim.release(claimId);
+    }
+
+    const seatHoldService = new SeatHoldService(req.io);
+    for (const booking of bookings) {
+      try {
+        await seatHoldService.convertHolds({
+          user: req.user.id,
+          bus: booking.bus,
+          departureDate: booking.departureDate,
+          bookingId: booking._id,
+          seats: booking.selectedSeats.outbound,
+        });
+      } catch (holdError) {
+        console.error("Error converting seat holds:", holdError);
+      }
+
+      try {
+        await WaitlistEntry.markBooked({
+          user: req.user.id,
+          bus: booking.bus,
+          departureDate: booking.departureDate,
+          booking: booking._id,
+        });
+      } catch (waitlistError) {
+        console.error("Error updating waitlist entries:", waitlistError);
+      }
+
+      if (req.io) {
+        req.io.to(`seats:${booking.bus}`).emit('seat-updated', {
+          busId: booking.bus,
+          date: booking.departureDate,
+          tripId: booking.trip,
+          bookingId: booking._id,
+          segment: booking.segment && booking.segment.from ? booking.segment : undefined,
+          action: 'booking_created',
+          affectedSeats: booking.selectedSeats.outbound,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: `Journey booked with ${bookings.length} leg${bookings.length === 1 ? "" : "s"}`,
+      data: {
+        reference,
+        totalFare: Math.round(bookings.reduce((total, booking) => total + booking.totalFare, 0) * 100) / 100,
+        paymentDueAt,
+        bookings,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating journey booking:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while booking journey",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * @desc    Update booking
  * @route   PUT /api/bookings/:id
@@ -644,23 +1646,50 @@ exports.updateBooking = async (req, res) => {
       // Recalculate fare if related fields changed
       if (route || passengers) {
         const routeData = await Route.findById(booking.route);
-        if (routeData) {
-          let baseFare = routeData.baseFare || 0;
-          let totalFare = baseFare * booking.passengers.length;
-
-          // Apply round trip pricing if applicable
-          if (booking.bookingType === "Round-Trip") {
-            totalFare *= 2; // Round trip is 2x the one-way price
-          }
+        // Passengers may have moved to seats in a different class
+        const busData = await Bus.findById(booking.bus);
+        if (routeData && busData) {
+          // The promotion redeemed at booking is revalued on the new fare
+          const promotion = booking.additionalInformation?.promotion
+            ? await Promotion.findById(booking.additionalInformation.promotion)
+            : null;
+          // Legs keep the fares they were booked at unless the booking moved to another route
+          const segment = booking.segment && booking.segment.from ? booking.segment : null;
+          const keep = route
+            ? {}
+            : Object.fromEntries((booking.farePricing || []).map((entry) => [entry.leg, entry.toObject()]));
+          const pricingEngine = new PricingEngine();
+          const legs = await pricingEngine.priceLegs({
+            route: routeData,
+            segment,
+            bookingType: booking.bookingType,
+            trip: booking.trip && !route ? await Trip.findById(booking.trip) : null,
+            departureDate: booking.departureDate,
+            returnTrip: booking.returnTrip && !route ? await Trip.findById(booking.returnTrip) : null,
+            returnDate: booking.returnDate,
+            keep,
+          });
+          const { totalFare, seatCharges, discount, tax } = pricingEngine.priceBooking({
+            route: routeData,
+            bus: busData,
+            bookingType: booking.bookingType,
+            outboundSeats: booking.passengers.map((passenger) => passenger.seatNumber),
+            returnSeats: booking.selectedSeats?.return || [],
+            passengerTypes: booking.passengers.map((passenger) => passenger.passengerType),
+            segment,
+            promotion,
+            legs,
+          });
 
-          // Apply promo code discount if applicable
-          if (booking.promoCode) {
-            if (booking.promoCode === "WELCOME10") {
-              totalFare = totalFare * 0.9; // 10% discount
-            }
+          booking.seatCharges = seatCharges;
+          booking.pricingCalendar = legs.pricingCalendar;
+          booking.farePricing = legs.farePricing;
+          booking.tax = tax;
+          if (promotion) {
+            booking.additionalInformation.discountApplied = discount;
           }
-
-          booking.totalFare = Math.round(totalFare * 100) / 100;
+          // Fees for earlier changes of departure stay part of the fare
+          booking.totalFare = Math.round((totalFare + booking.getChangeFeesTotal()) * 100) / 100;
         }
       }
     }
@@ -777,247 +1806,786 @@ exports.updateBookingStatus = async (req, res) => {
         console.error('Error sending booking completion notification:', error);
       }
     }
-    
-    if (oldStatus !== "Cancelled" && status === "Cancelled") {
-      // Send booking cancellation notification
-      try {
-        await notificationController.createBookingNotification(booking, 'booking_cancelled', req.io);
-      } catch (error) {
-        console.error('Error sending booking cancellation notification:', error);
+    
+    if (oldStatus !== "Cancelled" && status === "Cancelled") {
+      // Send booking cancellation notification
+      try {
+        await notificationController.createBookingNotification(booking, 'booking_cancelled', req.io);
+      } catch (error) {
+        console.error('Error sending booking cancellation notification:', error);
+      }
+      offerReleasedSeats(req, booking);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: `Booking status updated from ${oldStatus} to ${status}`,
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        status: booking.status,
+        statusHistory: booking.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating booking status:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while updating booking status",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Cancel booking
+ * @route   DELETE /api/bookings/:id
+ * @access  Private (own booking or admin)
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    // Find booking
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        status: "error",
+        message: "Booking not found",
+      });
+    }
+
+    // Check if booking can be cancelled
+    if (booking.status === "Cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "Booking is already cancelled",
+      });
+    }
+
+    if (booking.status === "Completed") {
+      return res.status(400).json({
+        status: "error",
+        message: "Cannot cancel a completed booking",
+      });
+    }
+
+    // Work out the refund under the applicable cancellation policy
+    const isAdmin = req.user.role === "admin";
+    const quote = await booking.getCancellationQuote({ isStaff: isAdmin });
+
+    // Only admins can cancel inside the policy's cutoff window
+    if (!quote.canCancel) {
+      return res.status(400).json({
+        status: "error",
+        message: quote.reason,
+        hoursToDepature: quote.hoursToDeparture,
+      });
+    }
+
+    const refundAmount = quote.refundAmount;
+    const refundPercentage = quote.refundPercentage;
+
+    // Update booking
+    booking.status = "Cancelled";
+    booking.cancellationReason = reason || "Cancelled by user";
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = req.user.id;
+    booking.refundAmount = refundAmount;
+
+    // Add status history entry
+    booking.statusHistory = booking.statusHistory || [];
+    booking.statusHistory.push({
+      status: "Cancelled",
+      date: new Date(),
+      notes: reason || "Cancelled by user",
+      updatedBy: req.user.id,
+    });
+
+    // Record the refund against the original payments before saving
+    const refundService = new RefundService(req.io);
+    const refunds = refundAmount > 0
+      ? refundService.createRefunds(booking, {
+          amount: refundAmount,
+          reason: `Cancellation: ${reason || "Cancelled by user"}`,
+          processedBy: req.user.id,
+        })
+      : [];
+
+    await booking.save();
+
+    // Emit real-time seat update to all users viewing this bus
+    if (req.io) {
+      req.io.to(`seats:${booking.bus}`).emit('seat-updated', {
+        busId: booking.bus,
+        date: booking.departureDate,
+        bookingId: booking._id,
+        action: 'booking_cancelled',
+        affectedSeats: booking.passengers.map(p => p.seatNumber),
+        timestamp: new Date()
+      });
+      console.log(`🚌 Seat update emitted for bus ${booking.bus} (booking cancelled)`);
+    }
+
+    offerReleasedSeats(req, booking);
+
+    // Send the refund through the payment gateway; failures are retried later
+    if (refunds.length > 0) {
+      try {
+        await refundService.processRefunds(booking, "booking", refunds);
+      } catch (refundError) {
+        console.error("Error processing cancellation refund:", refundError);
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Booking cancelled successfully",
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        refundAmount,
+        refundPercentage,
+        cancellationPolicy: quote.policyName,
+        refunds: refunds.map(refund => ({
+          refundTransactionId: refund.refundTransactionId,
+          amount: refund.amount,
+          status: refund.status,
+          gateway: refund.gateway,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error cancelling booking:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while cancelling booking",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Preview the refund for cancelling a booking
+ * @route   GET /api/bookings/:id/cancellation-preview
+ * @access  Private (own booking or admin)
+ */
+exports.getCancellationPreview = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        status: "error",
+        message: "Booking not found",
+      });
+    }
+
+    if (["Cancelled", "Completed"].includes(booking.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot cancel a booking that is ${booking.status.toLowerCase()}`,
+      });
+    }
+
+    const quote = await booking.getCancellationQuote({
+      isStaff: req.user.role === "admin",
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        ...quote,
+      },
+    });
+  } catch (error) {
+    console.error("Error previewing booking cancellation:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while previewing cancellation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Quote moving a booking to another departure
+ * @route   POST /api/bookings/:id/reschedule/quote
+ * @access  Private (own booking or admin)
+ */
+exports.getRescheduleQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        status: "error",
+        message: "Booking not found",
+      });
+    }
+
+    const prepared = await prepareReschedule(req, booking);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        ...prepared.quote,
+      },
+    });
+  } catch (error) {
+    console.error("Error quoting booking change:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while quoting booking change",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Move a booking to another departure, charging or refunding the difference
+ * @route   POST /api/bookings/:id/reschedule
+ * @access  Private (own booking or admin)
+ */
+exports.rescheduleBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        status: "error",
+        message: "Booking not found",
+      });
+    }
+
+    // The new seats stay claimed from their check until the booking is saved
+    const claim = {};
+    const refundService = new RefundService(req.io);
+    let prepared;
+    let previous;
+    let refunds;
+    try {
+      prepared = await prepareReschedule(req, booking, claim);
+      if (prepared.error) {
+        return res.status(prepared.error.status).json(prepared.error.body);
+      }
+      const { quote, trip, segment, seatCharges, discount, tax, pricingCalendar, farePricing } = prepared;
+
+      // Don't apply a change whose price moved since the customer was quoted
+      const { quotedTotal, reason } = req.body;
+      if (quotedTotal !== undefined && Number(quotedTotal) !== quote.newTotalFare) {
+        return res.status(409).json({
+          status: "error",
+          message: "The price of this change has changed since it was quoted",
+          data: quote,
+        });
+      }
+
+      previous = {
+        trip: booking.trip,
+        bus: booking.bus,
+        departureDate: booking.departureDate,
+        seats: quote.from.seats,
+      };
+
+      booking.changeHistory.push({
+        changedAt: new Date(),
+        changedBy: req.user.id,
+        reason,
+        from: quote.from,
+        to: quote.to,
+        fareDifference: quote.fareDifference,
+        changeFee: quote.changeFee,
+        feeWaived: quote.feeWaived,
+        amountDue: quote.amountDue,
+        refundAmount: quote.refundAmount,
+      });
+
+      booking.trip = trip._id;
+      booking.bus = trip.bus;
+      booking.departureDate = trip.departureDateTime;
+      booking.segment = segment || undefined;
+      booking.passengers.forEach((passenger, index) => {
+        passenger.seatNumber = quote.to.seats[index];
+      });
+      booking.selectedSeats.outbound = quote.to.seats;
+      booking.seatCharges = seatCharges;
+      booking.pricingCalendar = pricingCalendar;
+      booking.farePricing = farePricing;
+      booking.tax = tax;
+      booking.totalFare = quote.newTotalFare;
+      if (booking.additionalInformation?.promotion) {
+        booking.additionalInformation.discountApplied = discount;
+      }
+
+      // Unpaid bookings still expire, at the latest when the new trip leaves
+      if (booking.status === "Pending" && booking.paymentDueAt && booking.paymentDueAt > trip.departureDateTime) {
+        booking.paymentDueAt = trip.departureDateTime;
+      }
+
+      // QR codes carry their issue time to the second; older tickets stop scanning
+      booking.ticketsValidFrom = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+      booking.statusHistory.push({
+        status: booking.status,
+        date: new Date(),
+        notes: `Moved from ${previous.departureDate.toISOString()} to ${trip.departureDateTime.toISOString()}${reason ? `: ${reason}` : ""}`,
+        updatedBy: req.user.id,
+      });
+
+      // Return any overpayment against the original payments
+      refunds = quote.refundAmount > 0
+        ? refundService.createRefunds(booking, {
+            amount: quote.refundAmount,
+            reason: `Fare difference: booking moved to ${trip.departureDateTime.toISOString()}`,
+            processedBy: req.user.id,
+            kind: "fare_difference",
+          })
+        : [];
+
+      // A higher fare leaves a balance to pay through the payment endpoint
+      booking.updatePaymentStatus();
+      booking.updatePaymentMetadata();
+
+      await booking.save();
+    } finally {
+      await SeatClaim.release(claim.id);
+    }
+
+    const { quote, trip, segment } = prepared;
+
+    // The customer's own holds on the new departure are now fulfilled
+    try {
+      const seatHoldService = new SeatHoldService(req.io);
+      await seatHoldService.convertHolds({
+        user: booking.user,
+        bus: trip.bus,
+        departureDate: trip.departureDateTime,
+        bookingId: booking._id,
+        seats: quote.to.seats,
+      });
+    } catch (holdError) {
+      console.error("Error converting seat holds:", holdError);
+    }
+
+    try {
+      await WaitlistEntry.markBooked({
+        user: booking.user,
+        bus: trip.bus,
+        departureDate: trip.departureDateTime,
+        booking: booking._id,
+      });
+    } catch (waitlistError) {
+      console.error("Error updating waitlist entries:", waitlistError);
+    }
+
+    // Emit real-time seat updates for the departure left and the one joined
+    if (req.io) {
+      req.io.to(`seats:${previous.bus}`).emit('seat-updated', {
+        busId: previous.bus,
+        date: previous.departureDate,
+        tripId: previous.trip,
+        bookingId: booking._id,
+        action: 'booking_rescheduled_out',
+        affectedSeats: previous.seats,
+        timestamp: new Date()
+      });
+      req.io.to(`seats:${trip.bus}`).emit('seat-updated', {
+        busId: trip.bus,
+        date: trip.departureDateTime,
+        tripId: trip._id,
+        bookingId: booking._id,
+        segment: segment || undefined,
+        action: 'booking_rescheduled_in',
+        affectedSeats: quote.to.seats,
+        timestamp: new Date()
+      });
+    }
+
+    offerReleasedSeats(req, previous);
+
+    // Send the refund through the payment gateway; failures are retried later
+    if (refunds.length > 0) {
+      try {
+        await refundService.processRefunds(booking, "booking", refunds);
+      } catch (refundError) {
+        console.error("Error processing fare difference refund:", refundError);
+      }
+    }
+
+    try {
+      const notificationService = new NotificationService(req.io);
+      await notificationService.sendBookingNotification(booking, "booking_rescheduled", {
+        departureDate: booking.departureDate,
+        amountDue: quote.amountDue,
+        refundAmount: quote.refundAmount,
+      });
+    } catch (notificationError) {
+      console.error("Error sending booking change notification:", notificationError);
+    }
+
+    // Paid bookings get their new ticket straight away; others once the balance is paid
+    let ticket = null;
+    if (booking.paymentStatus === "Paid") {
+      try {
+        await booking.populate([
+          { path: "user", select: "name email phone" },
+          { path: "route", select: "source destination departureTime arrivalTime" },
+          { path: "bus", select: "busNumber type capacity amenities" },
+        ]);
+        ticket = await generateTicket(booking, 'booking');
+        await TicketNotificationService.sendTicketNotification(ticket, booking.user, 'booking');
+      } catch (ticketError) {
+        console.error("Error reissuing ticket:", ticketError);
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: quote.amountDue > 0
+        ? "Booking changed. Pay the outstanding balance to receive your new ticket"
+        : "Booking changed successfully",
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        trip: trip._id,
+        departureDate: booking.departureDate,
+        seats: quote.to.seats,
+        totalFare: booking.totalFare,
+        paymentStatus: booking.paymentStatus,
+        remainingBalance: Math.max(0, booking.totalFare - booking.getTotalPaid()),
+        change: quote,
+        refunds: refunds.map(refund => ({
+          refundTransactionId: refund.refundTransactionId,
+          amount: refund.amount,
+          status: refund.status,
+          gateway: refund.gateway,
+        })),
+        ticket,
+      },
+    });
+  } catch (error) {
+    console.error("Error changing booking:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while changing booking",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Check seat availability for a bus on a specific date
+ * @route   GET /api/bookings/check-availability
+ * @access  Public
+ */
+exports.checkSeatAvailability = async (req, res) => {
+  try {
+    const { tripId, fromStop, toStop } = req.query;
+    let { busId, date, routeId } = req.query;
+
+    // A trip pins down the bus and the service day
+    let trip = null;
+    if (tripId) {
+      trip = await Trip.findById(tripId);
+      if (!trip) {
+        return res.status(404).json({
+          status: "error",
+          message: "Trip not found",
+        });
+      }
+      busId = trip.bus.toString();
+      routeId = trip.route.toString();
+      date = trip.date;
+    }
+
+    if (!busId || !date) {
+      return res.status(400).json({
+        status: "error",
+        message: "Trip ID, or bus ID and date, are required",
+      });
+    }
+
+    // Availability for a journey between two stops on the route
+    let segment = null;
+    if (fromStop || toStop) {
+      const route = routeId ? await Route.findById(routeId) : null;
+      if (!route) {
+        return res.status(400).json({
+          status: "error",
+          message: "A trip or route is required to check availability between stops",
+        });
+      }
+
+      const resolved = route.resolveSegment(fromStop, toStop);
+      if (resolved.error) {
+        return res.status(400).json({
+          status: "error",
+          message: resolved.error,
+        });
+      }
+      segment = resolved.segment;
+    }
+
+    // Validate bus exists
+    const Bus = require('../models/Bus');
+    const bus = await Bus.findById(busId);
+    if (!bus) {
+      return res.status(404).json({
+        status: "error",
+        message: "Bus not found",
+      });
+    }
+
+    // Parse the date and get start/end of day
+    const searchDate = new Date(date);
+    const startOfDay = new Date(searchDate.setHours(0, 0, 0, 0));
+    const endOfDay = new Date(searchDate.setHours(23, 59, 59, 999));
+
+    // Extract booked seats
+    let bookedSeats = new Set();
+    if (trip) {
+      ({ seats: bookedSeats } = await trip.getBookedSeats(segment));
+    } else {
+      // Get all confirmed and pending bookings for this bus on this date
+      const existingBookings = await Booking.find({
+        bus: busId,
+        departureDate: {
+          $gte: startOfDay,
+          $lte: endOfDay,
+        },
+        status: { $in: ["Pending", "Confirmed"] },
+      }).populate('passengers');
+
+      existingBookings.forEach(booking => {
+        if (segment && !segmentsOverlap(booking.segment, segment)) {
+          return;
+        }
+        booking.passengers.forEach(passenger => {
+          if (passenger.seatNumber) {
+            bookedSeats.add(passenger.seatNumber);
+          }
+        });
+      });
+    }
+
+    // Seats temporarily held by customers in checkout
+    const heldSeats = await SeatHold.getHeldSeats({
+      bus: busId,
+      departureDate: startOfDay,
+      segment,
+    });
+    bookedSeats.forEach((seat) => heldSeats.delete(seat));
+
+    // Available seats come from the bus layout; blocked seats are never offered
+    const availableSeats = [];
+    const blockedSeats = [];
+    bus.getSeats().forEach((seat) => {
+      if (seat.attributes.includes("blocked")) {
+        blockedSeats.push(seat.label);
+      } else if (!bookedSeats.has(seat.label) && !heldSeats.has(seat.label)) {
+        availableSeats.push(seat.label);
       }
-    }
+    });
 
     res.status(200).json({
       status: "success",
-      message: `Booking status updated from ${oldStatus} to ${status}`,
       data: {
-        id: booking._id,
-        bookingNumber: booking.bookingNumber,
-        status: booking.status,
-        statusHistory: booking.statusHistory,
+        busId,
+        date,
+        tripId: trip ? trip._id : undefined,
+        tripStatus: trip ? trip.status : undefined,
+        segment: segment || undefined,
+        capacity: bus.capacity,
+        totalBooked: bookedSeats.size,
+        totalHeld: heldSeats.size,
+        totalAvailable: availableSeats.length,
+        bookedSeats: Array.from(bookedSeats),
+        heldSeats: Array.from(heldSeats),
+        blockedSeats,
+        availableSeats,
       },
     });
   } catch (error) {
-    console.error("Error updating booking status:", error);
+    console.error("Error checking seat availability:", error);
     res.status(500).json({
       status: "error",
-      message: "Server error while updating booking status",
+      message: "Server error while checking seat availability",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 };
 
 /**
- * @desc    Cancel booking
- * @route   DELETE /api/bookings/:id
- * @access  Private (own booking or admin)
+ * @desc    Hold seats on a bus for a departure while the customer checks out
+ * @route   POST /api/bookings/holds
+ * @access  Private
  */
-exports.cancelBooking = async (req, res) => {
+exports.createSeatHold = async (req, res) => {
   try {
-    const { reason } = req.body;
-
-    // Find booking
-    const booking = await Booking.findById(req.params.id);
+    const { bus, route, departureDate, seats, durationMinutes, fromStop, toStop } = req.body;
 
-    if (!booking) {
-      return res.status(404).json({
+    if (!bus || !departureDate || !Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({
         status: "error",
-        message: "Booking not found",
+        message: "Bus, departure date and at least one seat are required",
       });
     }
 
-    // Check if booking can be cancelled
-    if (booking.status === "Cancelled") {
+    const departureDateTime = new Date(departureDate);
+    if (isNaN(departureDateTime.getTime())) {
       return res.status(400).json({
         status: "error",
-        message: "Booking is already cancelled",
+        message: "Invalid departure date",
       });
     }
 
-    if (booking.status === "Completed") {
+    if (departureDateTime < SeatHold.dayRange(new Date()).start) {
       return res.status(400).json({
         status: "error",
-        message: "Cannot cancel a completed booking",
+        message: "Cannot hold seats for a past departure",
       });
     }
 
-    // Check if it's too late to cancel
-    const now = new Date();
-    const departureDate = new Date(booking.departureDate);
-    const hoursToDepature = (departureDate - now) / (1000 * 60 * 60);
+    const busData = await Bus.findById(bus);
+    if (!busData) {
+      return res.status(404).json({
+        status: "error",
+        message: "Bus not found",
+      });
+    }
 
-    // Only admins can cancel last-minute (less than 24 hours to departure)
-    const isAdmin = req.user.role === "admin";
-    if (hoursToDepature < 24 && !isAdmin) {
+    const unbookableSeats = busData.findUnbookableSeats(seats);
+    if (unbookableSeats.unknown.length > 0 || unbookableSeats.blocked.length > 0) {
       return res.status(400).json({
         status: "error",
-        message:
-          "Bookings cannot be cancelled less than 24 hours before departure",
-        hoursToDepature,
+        message: "Some selected seats can't be held on this bus",
+        unknownSeats: unbookableSeats.unknown,
+        blockedSeats: unbookableSeats.blocked,
       });
     }
 
-    // Calculate refund amount (if any)
-    let refundAmount = 0;
-    let refundPercentage = 0;
-
-    if (
-      booking.paymentStatus === "Paid" ||
-      booking.paymentStatus === "Partially Paid"
-    ) {
-      // Example refund policy
-      if (hoursToDepature > 72) {
-        // More than 3 days - full refund
-        refundPercentage = 1.0;
-      } else if (hoursToDepature > 48) {
-        // 2-3 days - 75% refund
-        refundPercentage = 0.75;
-      } else if (hoursToDepature > 24) {
-        // 1-2 days - 50% refund
-        refundPercentage = 0.5;
-      } else if (isAdmin) {
-        // Less than 24 hours but admin is cancelling - 50% refund
-        refundPercentage = 0.5;
+    // Hold seats only for a journey between two stops
+    let segment = null;
+    if (fromStop || toStop) {
+      const routeData = route ? await Route.findById(route) : null;
+      if (!routeData) {
+        return res.status(400).json({
+          status: "error",
+          message: "A route is required to hold seats between stops",
+        });
       }
 
-      // Calculate actual refund amount
-      const totalPaid =
-        booking.payments?.reduce((sum, payment) => sum + payment.amount, 0) ||
-        0;
-      refundAmount = Math.round(totalPaid * refundPercentage * 100) / 100;
+      const resolved = routeData.resolveSegment(fromStop, toStop);
+      if (resolved.error) {
+        return res.status(400).json({
+          status: "error",
+          message: resolved.error,
+        });
+      }
+      segment = resolved.segment;
     }
 
-    // Update booking
-    booking.status = "Cancelled";
-    booking.cancellationReason = reason || "Cancelled by user";
-    booking.cancelledAt = new Date();
-    booking.cancelledBy = req.user.id;
-    booking.refundAmount = refundAmount;
-
-    // Add status history entry
-    booking.statusHistory = booking.statusHistory || [];
-    booking.statusHistory.push({
-      status: "Cancelled",
-      date: new Date(),
-      notes: reason || "Cancelled by user",
-      updatedBy: req.user.id,
+    const seatHoldService = new SeatHoldService(req.io);
+    const result = await seatHoldService.createHold({
+      user: req.user.id,
+      bus,
+      route,
+      departureDate: departureDateTime,
+      seats,
+      segment,
+      durationMinutes,
     });
 
-    await booking.save();
-
-    // Emit real-time seat update to all users viewing this bus
-    if (req.io) {
-      req.io.to(`bus:${booking.bus}`).emit('seat-updated', {
-        busId: booking.bus,
-        date: booking.departureDate,
-        bookingId: booking._id,
-        action: 'booking_cancelled',
-        affectedSeats: booking.passengers.map(p => p.seatNumber),
-        timestamp: new Date()
+    if (!result.success) {
+      return res.status(409).json({
+        status: "error",
+        message: result.message,
+        reason: result.reason,
+        conflictingSeats: result.conflictingSeats,
       });
-      console.log(`🚌 Seat update emitted for bus ${booking.bus} (booking cancelled)`);
     }
 
-    // In a real app, process the refund here
-    // const refundResult = await processRefund(booking, refundAmount);
-
-    res.status(200).json({
+    res.status(201).json({
       status: "success",
-      message: "Booking cancelled successfully",
-      data: {
-        id: booking._id,
-        bookingNumber: booking.bookingNumber,
-        refundAmount,
-        refundPercentage,
-      },
+      message: "Seats held successfully",
+      data: result.hold,
     });
   } catch (error) {
-    console.error("Error cancelling booking:", error);
+    console.error("Error creating seat hold:", error);
     res.status(500).json({
       status: "error",
-      message: "Server error while cancelling booking",
+      message: "Server error while holding seats",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 };
 
 /**
- * @desc    Check seat availability for a bus on a specific date
- * @route   GET /api/bookings/check-availability
- * @access  Public
+ * @desc    Release a seat hold before it expires
+ * @route   DELETE /api/bookings/holds/:holdId
+ * @access  Private (own hold or admin)
  */
-exports.checkSeatAvailability = async (req, res) => {
+exports.releaseSeatHold = async (req, res) => {
   try {
-    const { busId, date } = req.query;
+    const hold = await SeatHold.findById(req.params.holdId);
 
-    if (!busId || !date) {
-      return res.status(400).json({
+    if (!hold) {
+      return res.status(404).json({
         status: "error",
-        message: "Bus ID and date are required",
+        message: "Seat hold not found",
       });
     }
 
-    // Validate bus exists
-    const Bus = require('../models/Bus');
-    const bus = await Bus.findById(busId);
-    if (!bus) {
-      return res.status(404).json({
+    const isAdmin = req.user.role === "admin";
+    if (!isAdmin && hold.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
         status: "error",
-        message: "Bus not found",
+        message: "You are not authorized to release this hold",
       });
     }
 
-    // Parse the date and get start/end of day
-    const searchDate = new Date(date);
-    const startOfDay = new Date(searchDate.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(searchDate.setHours(23, 59, 59, 999));
-
-    // Get all confirmed and pending bookings for this bus on this date
-    const existingBookings = await Booking.find({
-      bus: busId,
-      departureDate: {
-        $gte: startOfDay,
-        $lte: endOfDay,
-      },
-      status: { $in: ["Pending", "Confirmed"] },
-    }).populate('passengers');
-
-    // Extract booked seats
-    const bookedSeats = new Set();
-    existingBookings.forEach(booking => {
-      booking.passengers.forEach(passenger => {
-        if (passenger.seatNumber) {
-          bookedSeats.add(passenger.seatNumber);
-        }
-      });
-    });
-
-    // Generate available seats based on bus capacity
-    const availableSeats = [];
-    for (let i = 1; i <= bus.capacity; i++) {
-      const seatId = `S${i}`;
-      if (!bookedSeats.has(seatId)) {
-        availableSeats.push(seatId);
-      }
-    }
+    const seatHoldService = new SeatHoldService(req.io, req.app.get('waitlistService'));
+    await seatHoldService.releaseHold(hold);
 
     res.status(200).json({
       status: "success",
+      message: "Seat hold released",
       data: {
-        busId,
-        date,
-        capacity: bus.capacity,
-        totalBooked: bookedSeats.size,
-        totalAvailable: availableSeats.length,
-        bookedSeats: Array.from(bookedSeats),
-        availableSeats,
+        id: hold._id,
+        status: hold.status,
+        seats: hold.seats,
       },
     });
   } catch (error) {
-    console.error("Error checking seat availability:", error);
+    console.error("Error releasing seat hold:", error);
     res.status(500).json({
       status: "error",
-      message: "Server error while checking seat availability",
+      message: "Server error while releasing seat hold",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -1033,7 +2601,7 @@ exports.processPayment = async (req, res) => {
     const { amount, paymentMethod, cardDetails, transactionId } = req.body;
 
     // Find booking
-    const booking = await Booking.findById(req.params.id);
+    let booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({
@@ -1057,121 +2625,148 @@ exports.processPayment = async (req, res) => {
       });
     }
 
-    // Validate amount
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        status: "error",
-        message: "Invalid payment amount",
-      });
-    }
+    let paidAmount, paidMethod, paidTransactionId;
 
-    // Validate payment amount
-    try {
-      booking.validatePaymentAmount(amount);
-    } catch (validationError) {
-      return res.status(400).json({
-        status: "error",
-        message: validationError.message,
+    if (transactionId) {
+      // Gateway payments are verified with the gateway before they are recorded
+      const paymentService = new PaymentService(req.io);
+      const result = await paymentService.verifyAndApply({
+        reference: transactionId,
+        bookingId: booking._id,
+        processedBy: req.user.id
       });
-    }
 
-    // In a real application, process payment through a payment gateway
-    // For this example, we'll simulate a successful payment
-    const paymentResult = {
-      success: true,
-      transactionId:
-        transactionId ||
-        `TXN-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
-      timestamp: new Date(),
-    };
+      if (result.outcome === "verification_failed") {
+        return res.status(400).json({
+          status: "error",
+          message: "Payment processing failed",
+          data: {
+            reason: result.verification.message || "Payment not successful",
+            gatewayStatus: result.verification.status,
+          },
+        });
+      }
 
-    if (paymentResult.success) {
-      try {
-        // Add payment using the new method
-        const payment = booking.addPayment({
-          amount,
-          transactionId: paymentResult.transactionId,
-          reference: paymentResult.transactionId,
-          method: paymentMethod || "Credit Card",
-          gateway: "Manual",
-          gatewayResponse: paymentResult,
-          processedBy: req.user.id
+      if (result.outcome === "already_processed") {
+        return res.status(400).json({
+          status: "error",
+          message: "Payment with this transaction ID already exists",
         });
+      }
 
-        await booking.save();
+      if (result.outcome === "amount_exceeds") {
+        return res.status(400).json({
+          status: "error",
+          message: `Payment amount (${result.verification.amount}) exceeds remaining balance (${result.remainingAmount})`,
+        });
+      }
 
-        // Send automatic payment success notification with payment details
-        try {
-          const notificationService = new NotificationService(req.io);
-          await notificationService.sendBookingNotification(booking, 'payment_successful', {
-            amount,
-            method: paymentMethod || 'Credit Card',
-            transactionId: paymentResult.transactionId,
-            currency: '₦',
-            timestamp: new Date()
-          });
-        } catch (notificationError) {
-          console.error('Error sending payment success notification:', notificationError);
-          // Don't fail the payment processing if notification fails
-        }
+      booking = result.record;
+      paidAmount = result.verification.amount;
+      paidMethod = paymentService.gateway.name;
+      paidTransactionId = result.verification.reference;
+    } else {
+      // Offline payments (cash, bank transfer) can only be recorded by staff
+      if (req.user.role !== "admin") {
+        return res.status(400).json({
+          status: "error",
+          message: "A payment gateway reference is required. Initialize the payment first",
+        });
+      }
 
-        // Generate and send ticket notification after successful payment
-        if (booking.paymentStatus === 'Paid') {
-          try {
-            // Generate ticket
-            const ticket = await generateTicket(booking, 'booking');
-            
-            // Send ticket notification with email, in-app notification, and SMS
-            await TicketNotificationService.sendTicketNotification(
-              ticket, 
-              booking.user, 
-              'booking'
-            );
-            
-            console.log(`Ticket notification sent for booking ${booking.bookingNumber}`);
-          } catch (ticketError) {
-            console.error('Error sending ticket notification:', ticketError);
-            // Don't fail the payment processing if ticket notification fails
-          }
-        }
+      // Validate amount
+      if (!amount || amount <= 0) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid payment amount",
+        });
+      }
 
-        // In a real app, send payment confirmation email
-        // sendPaymentConfirmationEmail(booking, amount);
+      try {
+        booking.validatePaymentAmount(amount);
+      } catch (validationError) {
+        return res.status(400).json({
+          status: "error",
+          message: validationError.message,
+        });
+      }
 
-        res.status(200).json({
-          status: "success",
-          message: "Payment processed successfully",
-          data: {
-            id: booking._id,
-            bookingNumber: booking.bookingNumber,
-            paymentStatus: booking.paymentStatus,
-            bookingStatus: booking.status,
-            paymentDetails: {
-              amount,
-              method: paymentMethod || "Credit Card",
-              transactionId: paymentResult.transactionId,
-              date: new Date(),
-              totalPaid: booking.getTotalPaid(),
-              remainingBalance: Math.max(0, booking.totalFare - booking.getTotalPaid()),
-            },
-          },
+      paidAmount = amount;
+      paidMethod = paymentMethod || "Cash";
+      paidTransactionId = `TXN-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+      try {
+        booking.addPayment({
+          amount,
+          transactionId: paidTransactionId,
+          reference: paidTransactionId,
+          method: paidMethod,
+          gateway: "Manual",
+          processedBy: req.user.id
         });
+
+        await booking.save();
       } catch (paymentError) {
         return res.status(400).json({
           status: "error",
           message: paymentError.message || "Failed to process payment",
         });
       }
-    } else {
-      // Handle payment failure
-      res.status(400).json({
-        status: "error",
-        message: "Payment processing failed",
-        data: {
-          reason: paymentResult.error || "Unknown payment processing error",
-        },
-      });
+
+      // Send automatic payment success notification with payment details
+      try {
+        const notificationService = new NotificationService(req.io);
+        await notificationService.sendBookingNotification(booking, 'payment_successful', {
+          amount,
+          method: paidMethod,
+          transactionId: paidTransactionId,
+          currency: '₦',
+          timestamp: new Date()
+        });
+      } catch (notificationError) {
+        console.error('Error sending payment success notification:', notificationError);
+        // Don't fail the payment processing if notification fails
+      }
+    }
+
+    // Generate and send ticket notification after successful payment
+    if (booking.paymentStatus === 'Paid') {
+      try {
+        // Generate ticket
+        const ticket = await generateTicket(booking, 'booking');
+
+        // Send ticket notification with email, in-app notification, and SMS
+        await TicketNotificationService.sendTicketNotification(
+          ticket, 
+          booking.user, 
+          'booking'
+        );
+
+        console.log(`Ticket notification sent for booking ${booking.bookingNumber}`);
+      } catch (ticketError) {
+        console.error('Error sending ticket notification:', ticketError);
+        // Don't fail the payment processing if ticket notification fails
+      }
     }
+
+    res.status(200).json({
+      status: "success",
+      message: "Payment processed successfully",
+      data: {
+        id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        paymentStatus: booking.paymentStatus,
+        bookingStatus: booking.status,
+        paymentDetails: {
+          amount: paidAmount,
+          method: paidMethod,
+          transactionId: paidTransactionId,
+          date: new Date(),
+          totalPaid: booking.getTotalPaid(),
+          remainingBalance: Math.max(0, booking.totalFare - booking.getTotalPaid()),
+        },
+      },
+    });
   } catch (error) {
     console.error("Error processing payment:", error);
     res.status(500).json({
@@ -1377,6 +2972,32 @@ exports.getBookingStats = async (req, res) => {
           : 0,
     };
 
+    // Revenue from seat class surcharges on paid bookings
+    const seatClassRevenue = await Booking.aggregate([
+      {
+        $match: {
+          createdAt: {
+            $gte: new Date(startDate),
+            $lte: new Date(endDate),
+          },
+          paymentStatus: { $in: ["Paid", "Partially Paid"] },
+        },
+      },
+      { $unwind: "$seatCharges" },
+      {
+        $group: {
+          _id: "$seatCharges.seatClass",
+          seats: { $sum: 1 },
+          surchargeRevenue: { $sum: "$seatCharges.surcharge" },
+        },
+      },
+      { $sort: { surchargeRevenue: -1 } },
+    ]);
+    overall.seatSurchargeRevenue = seatClassRevenue.reduce(
+      (sum, seatClass) => sum + seatClass.surchargeRevenue,
+      0
+    );
+
     // Get status distribution
     const statusCounts = await Booking.aggregate([
       {
@@ -1405,6 +3026,7 @@ exports.getBookingStats = async (req, res) => {
         },
         periodStats: stats,
         overall,
+        seatClassRevenue,
         statusDistribution: statusCounts,
       },
     });
@@ -1,7 +1,9 @@
 const Bus = require('../models/Bus');
 const Booking = require('../models/Booking');
 const Hiring = require('../models/Hiring');
+const Trip = require('../models/Trip');
 const { validationResult } = require('express-validator');
+const { validateLayout, deriveSeats } = require('../utils/seatLayout');
 
 // @desc    Get all buses
 // @route   GET /api/buses
@@ -147,19 +149,39 @@ exports.createBus = async (req, res) => {
       });
     }
 
+    // A supplied layout must match the bus capacity
+    const suppliedLayout = req.body.seatingArrangement?.layout;
+    if (suppliedLayout && suppliedLayout.length > 0) {
+      const layoutErrors = validateLayout({
+        layout: suppliedLayout,
+        seats: req.body.seatingArrangement.seats,
+        capacity: parseInt(req.body.capacity, 10)
+      });
+      if (layoutErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid seating layout',
+          errors: layoutErrors
+        });
+      }
+    }
+
     // Create bus
     const newBus = new Bus(req.body);
     
     // Generate seating layout if not provided
-    if (!req.body.seatingArrangement?.layout || req.body.seatingArrangement.layout.length === 0) {
+    if (!suppliedLayout || suppliedLayout.length === 0) {
       const { rows, columns } = req.body.seatingArrangement || { rows: 0, columns: 0 };
       if (rows > 0 && columns > 0) {
         const layout = [];
+        let seatCount = 0;
         for (let i = 0; i < rows; i++) {
           const row = [];
           for (let j = 0; j < columns; j++) {
             // Default seat naming: A1, A2, B1, B2, etc.
-            row.push(String.fromCharCode(65 + i) + (j + 1));
+            // Cells beyond the bus capacity are left empty
+            seatCount++;
+            row.push(seatCount <= newBus.capacity ? String.fromCharCode(65 + i) + (j + 1) : '');
           }
           layout.push(row);
         }
@@ -198,6 +220,26 @@ exports.updateBus = async (req, res) => {
       });
     }
 
+    // The seating layout has its own endpoint, which checks it against bookings
+    if (req.body.seatingArrangement?.layout || req.body.seatingArrangement?.seats) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use PUT /api/buses/:id/layout to change the seating layout'
+      });
+    }
+
+    // A bus with a layout must keep its capacity in step with it
+    if (req.body.capacity !== undefined) {
+      const current = await Bus.findById(req.params.id);
+      const layoutSeats = current ? current.getSeats().filter(seat => seat.row !== null).length : 0;
+      if (layoutSeats > 0 && layoutSeats !== parseInt(req.body.capacity, 10)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `The seating layout has ${layoutSeats} seats; update the layout to change the capacity`
+        });
+      }
+    }
+
     // Check if updating busNumber or registrationNumber and if they already exist on another bus
     if (req.body.busNumber || req.body.registrationNumber) {
       const existingBus = await Bus.findOne({
@@ -244,6 +286,162 @@ exports.updateBus = async (req, res) => {
   }
 };
 
+// @desc    Get the seating layout with each seat's attributes
+// @route   GET /api/buses/:id/layout
+// @access  Public
+exports.getSeatLayout = async (req, res) => {
+  try {
+    const bus = await Bus.findById(req.params.id);
+
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        busId: bus._id,
+        busNumber: bus.busNumber,
+        capacity: bus.capacity,
+        sellableCapacity: bus.getSellableCapacity(),
+        rows: bus.seatingArrangement.rows,
+        columns: bus.seatingArrangement.columns,
+        layout: bus.seatingArrangement.layout,
+        seats: bus.getSeats()
+      }
+    });
+  } catch (error) {
+    console.error('Error getting seat layout:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching seat layout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Replace the seating layout and seat attributes
+// @route   PUT /api/buses/:id/layout
+// @access  Private/Admin
+exports.updateSeatLayout = async (req, res) => {
+  try {
+    const { layout, seats = [] } = req.body;
+
+    const bus = await Bus.findById(req.params.id);
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    const capacity = req.body.capacity !== undefined ? parseInt(req.body.capacity, 10) : bus.capacity;
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Capacity must be a number greater than 0'
+      });
+    }
+
+    const layoutErrors = validateLayout({ layout, seats, capacity });
+    if (layoutErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid seating layout',
+        errors: layoutErrors
+      });
+    }
+
+    const nextLayout = layout.map(row => row.map(cell => cell.trim()));
+    const derivedSeats = deriveSeats(nextLayout);
+    const nextSeats = seats.map(seat => {
+      const label = seat.label.trim();
+      return {
+        label,
+        attributes: [...new Set(seat.attributes || derivedSeats.get(label).attributes)],
+        seatClass: seat.seatClass || 'Standard'
+      };
+    });
+
+    // Seats sold on upcoming departures must stay in the layout
+    const candidate = new Bus({
+      capacity,
+      seatingArrangement: { layout: nextLayout, seats: nextSeats }
+    });
+    const labels = new Set(candidate.getSeats().map(seat => seat.label));
+    const upcomingBookings = await Booking.find({
+      bus: bus._id,
+      status: { $in: ['Pending', 'Confirmed'] },
+      $or: [
+        { departureDate: { $gte: new Date() } },
+        { returnDate: { $gte: new Date() } }
+      ]
+    }).select('bookingNumber passengers.seatNumber selectedSeats');
+
+    const missingSeats = new Set();
+    const affectedBookings = [];
+    upcomingBookings.forEach(booking => {
+      const bookedSeats = [
+        ...booking.passengers.map(passenger => passenger.seatNumber),
+        ...(booking.selectedSeats?.return || [])
+      ].filter(Boolean);
+      const missing = bookedSeats.filter(seat => !labels.has(seat));
+      if (missing.length > 0) {
+        missing.forEach(seat => missingSeats.add(seat));
+        affectedBookings.push(booking.bookingNumber);
+      }
+    });
+
+    if (missingSeats.size > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The new layout removes seats that are booked on upcoming departures',
+        missingSeats: Array.from(missingSeats),
+        affectedBookings
+      });
+    }
+
+    bus.capacity = capacity;
+    bus.seatingArrangement.rows = nextLayout.length;
+    bus.seatingArrangement.columns = nextLayout[0].length;
+    bus.seatingArrangement.layout = nextLayout;
+    bus.seatingArrangement.seats = nextSeats;
+    await bus.save();
+
+    // Seat maps open for this bus need redrawing
+    if (req.io) {
+      req.io.to(`seats:${bus._id}`).emit('seat-layout-updated', {
+        busId: bus._id,
+        timestamp: new Date()
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Seating layout updated successfully',
+      data: {
+        busId: bus._id,
+        capacity: bus.capacity,
+        sellableCapacity: bus.getSellableCapacity(),
+        rows: bus.seatingArrangement.rows,
+        columns: bus.seatingArrangement.columns,
+        layout: bus.seatingArrangement.layout,
+        seats: bus.getSeats()
+      }
+    });
+  } catch (error) {
+    console.error('Error updating seat layout:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating seat layout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Delete bus
 // @route   DELETE /api/buses/:id
 // @access  Private/Admin
@@ -441,6 +639,14 @@ exports.getBusSchedule = async (req, res) => {
       ]
     }).populate('route', 'source destination departureTime arrivalTime');
     
+    // Get all scheduled trips operated by this bus within date range
+    const trips = await Trip.find({
+      bus: bus._id,
+      date: { $gte: Trip.startOfDay(start), $lte: end }
+    })
+      .populate('route', 'routeCode source destination')
+      .sort({ departureDateTime: 1 });
+
     // Get all hirings for this bus within date range
     const hirings = await Hiring.find({
       bus: bus._id,
@@ -452,9 +658,22 @@ exports.getBusSchedule = async (req, res) => {
     
     // Format schedule as array of events
     const schedule = [
+      ...trips.map(trip => ({
+        type: 'trip',
+        id: trip._id,
+        reference: trip.route ? trip.route.routeCode : 'N/A',
+        status: trip.status,
+        route: trip.route ? `${trip.route.source} to ${trip.route.destination}` : 'N/A',
+        startDateTime: trip.expectedDepartureDateTime,
+        endDateTime: trip.arrivalDateTime,
+        delayMinutes: trip.delayMinutes,
+        driver: trip.driver,
+        isSubstitute: !!trip.originalBus
+      })),
       ...bookings.map(booking => ({
         type: 'booking',
         id: booking._id,
+        trip: booking.trip,
         reference: booking.bookingNumber,
         status: booking.status,
         route: booking.route ? `${booking.route.source} to ${booking.route.destination}` : 'N/A',
@@ -0,0 +1,278 @@
+const { validationResult } = require('express-validator');
+const CancellationPolicy = require('../models/CancellationPolicy');
+
+// Fields an admin may set on a policy
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'appliesTo',
+  'routes',
+  'busTypes',
+  'rateTypes',
+  'isDefault',
+  'tiers',
+  'fixedFee',
+  'nonRefundableDeposit',
+  'customerCutoffHours',
+  'staffLateRefundPercent',
+  'changeFee',
+  'changeCutoffHours',
+  'maxChanges',
+  'isActive'
+];
+
+/**
+ * Helper function to keep only one default policy per record type
+ */
+const clearOtherDefaults = async (policy) => {
+  if (policy.isDefault) {
+    await CancellationPolicy.updateMany(
+      { appliesTo: policy.appliesTo, _id: { $ne: policy._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+};
+
+// @desc    Get cancellation policies
+// @route   GET /api/cancellation-policies
+// @access  Private/Admin
+exports.getPolicies = async (req, res) => {
+  try {
+    const { appliesTo, isActive } = req.query;
+
+    const query = {};
+    if (appliesTo) query.appliesTo = appliesTo;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const policies = await CancellationPolicy.find(query)
+      .populate('routes', 'name routeCode source destination')
+      .sort({ appliesTo: 1, name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: policies.length,
+      data: policies,
+      builtIn: CancellationPolicy.BUILT_IN_POLICIES
+    });
+  } catch (error) {
+    console.error('Error fetching cancellation policies:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching cancellation policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single cancellation policy
+// @route   GET /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id)
+      .populate('routes', 'name routeCode source destination');
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error fetching cancellation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create cancellation policy
+// @route   POST /api/cancellation-policies
+// @access  Private/Admin
+exports.createPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const existingPolicy = await CancellationPolicy.findOne({
+      name: req.body.name,
+      appliesTo: req.body.appliesTo
+    });
+
+    if (existingPolicy) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A ${req.body.appliesTo} cancellation policy with this name already exists`
+      });
+    }
+
+    const policy = new CancellationPolicy({ createdBy: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Cancellation policy created successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error creating cancellation policy:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while creating cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update cancellation policy
+// @route   PUT /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.updatePolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    if (!policy.tiers || policy.tiers.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one refund tier is required'
+      });
+    }
+
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error updating cancellation policy:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A cancellation policy with this name already exists'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete cancellation policy
+// @route   DELETE /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.deletePolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting cancellation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Preview what a policy would refund for a given payment and departure
+// @route   POST /api/cancellation-policies/:id/preview
+// @access  Private/Admin
+exports.previewPolicy = async (req, res) => {
+  try {
+    const { amountPaid, departureDate, deposit, cancelledAt, isStaff } = req.body;
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    if (!(Number(amountPaid) >= 0) || !departureDate || isNaN(new Date(departureDate))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide amountPaid and a valid departureDate'
+      });
+    }
+
+    const quote = policy.calculateRefund({
+      amountPaid: Number(amountPaid),
+      departureDate,
+      deposit: Number(deposit) || 0,
+      isStaff: Boolean(isStaff),
+      now: cancelledAt ? new Date(cancelledAt) : new Date()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error previewing cancellation policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while previewing cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,10 +1,16 @@
 const Hiring = require('../models/Hiring');
 const Bus = require('../models/Bus');
+const Promotion = require('../models/Promotion');
+const SeatClaim = require('../models/SeatClaim');
 const User = require('../models/User');
 const crypto = require('crypto');
 const path = require('path');
 const { validationResult } = require('express-validator');
 const NotificationService = require('../services/notificationService');
+const PaymentService = require('../services/paymentService');
+const RefundService = require('../services/refundService');
+const PricingEngine = require('../services/pricingEngine');
+const config = require('../config/config');
 const { generateTicket, generateTicketPDF } = require('../utils/ticketGenerator');
 
 // Helper functions
@@ -418,6 +424,204 @@ exports.getHiring = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to check the bus can be hired and set up the hire to price
+ * Quoting and hiring both use it, so a quote is for exactly what gets hired
+ * @param {Object} body - Hiring request body
+ * @returns {Promise<Object>} - { error: { status, body } }, or { busData, tempHiring, request }
+ */
+const prepareHiring = async (body) => {
+  const {
+    bus,
+    route,
+    startDate,
+    endDate,
+    returnDate,
+    estimatedDistance,
+    tripType,
+    isRoundTrip, // Legacy support
+    baseRate,
+    rateType,
+    routePriceMultiplier,
+    additionalCharges,
+    driverAllowance,
+    promoCode,
+  } = body;
+
+  // Check if bus exists
+  const busData = await Bus.findById(bus);
+  if (!busData) {
+    return { error: { status: 400, body: { status: "error", message: "Bus not found" } } };
+  }
+
+  // Check bus availability
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  const existingHirings = await Hiring.find({
+    bus,
+    $or: [
+      { startDate: { $gte: start, $lte: end } },
+      { endDate: { $gte: start, $lte: end } },
+      { $and: [{ startDate: { $lte: start } }, { endDate: { $gte: end } }] },
+    ],
+    status: { $in: ["Pending", "Approved", "Confirmed"] },
+  });
+
+  if (existingHirings.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          status: "error",
+          message: "Bus is not available for the selected date range",
+          conflicts: existingHirings,
+        },
+      },
+    };
+  }
+
+  // Create a temporary hiring object to use the model's calculation method
+  const tempHiring = new Hiring({
+    route,
+    bus, // Add bus reference for route-based calculation
+    startDate,
+    endDate,
+    returnDate,
+    tripType: tripType || (isRoundTrip ? 'Round-Trip' : 'One-Way'),
+    rateType: rateType || 'Fixed', // Default to Fixed if not provided  
+    baseRate,
+    routePriceMultiplier,
+    estimatedDistance,
+    additionalCharges,
+    driverAllowance,
+    totalCost: 0 // Will be calculated
+  });
+
+  return {
+    busData,
+    tempHiring,
+    request: new PricingEngine().describeHiringRequest(tempHiring, promoCode),
+  };
+};
+
+/**
+ * Helper function to price a hire, checking its promo code on the way
+ * @param {Object} options - { tempHiring, busData, promoCode, user }
+ * @returns {Promise<Object>} - { error: { status, body } }, or { pricing } where pricing is
+ *   { items, subtotal, discount, tax, totalCost, pricingCalendar, promotion, promoCode }
+ */
+const priceHiring = async ({ tempHiring, busData, promoCode, user }) => {
+  const fail = (message, extra = {}) => ({ error: { status: 400, body: { status: "error", message, ...extra } } });
+
+  let cost;
+  try {
+    cost = await tempHiring.itemizeCost();
+  } catch (error) {
+    return fail(`Error calculating cost: ${error.message}`);
+  }
+
+  // Promo codes are checked and valued here, on the cost before any discount
+  let promotion = null;
+  if (promoCode) {
+    const promoResult = await Promotion.evaluateCode({
+      code: promoCode,
+      user,
+      recordType: "hiring",
+      amount: cost.subtotal,
+      route: tempHiring.route,
+      busType: busData.type,
+    });
+    if (!promoResult.valid) {
+      return fail(promoResult.message, { reason: promoResult.reason });
+    }
+    promotion = promoResult.promotion;
+    tempHiring.promotion = promotion._id;
+    cost = await tempHiring.itemizeCost();
+  }
+
+  return {
+    pricing: {
+      items: cost.items,
+      subtotal: cost.subtotal,
+      discount: cost.discount,
+      tax: cost.tax,
+      totalCost: cost.total,
+      pricingCalendar: cost.calendar,
+      promotion: promotion ? promotion._id : null,
+      promoCode: promotion ? promotion.code : null,
+    },
+  };
+};
+
+/**
+ * @desc    Quote a hire, itemized, with a signed quote id to hire at
+ * @route   POST /api/hiring/quote
+ * @access  Private
+ */
+exports.quoteHiring = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const prepared = await prepareHiring(req.body);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+    const { busData, tempHiring, request } = prepared;
+
+    const priced = await priceHiring({
+      tempHiring,
+      busData,
+      promoCode: req.body.promoCode,
+      user: req.user.id,
+    });
+    if (priced.error) {
+      return res.status(priced.error.status).json(priced.error.body);
+    }
+
+    const { pricing } = priced;
+    // A quote can't be taken up once the hire has started
+    const { quote, quoteId } = await new PricingEngine().createQuote({
+      recordType: "hiring",
+      user: req.user.id,
+      request,
+      pricing,
+      total: pricing.totalCost,
+      expiresBy: tempHiring.startDate,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Hire quoted successfully",
+      data: {
+        quoteId,
+        expiresAt: quote.expiresAt,
+        request,
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        promoCode: pricing.promoCode || undefined,
+        discount: pricing.discount,
+        tax: pricing.tax,
+        totalCost: pricing.totalCost,
+        pricingCalendar: pricing.pricingCalendar,
+      },
+    });
+  } catch (error) {
+    console.error("Error quoting hiring:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while quoting hiring",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  Create a new hiring request
  POST /api/hiring
@@ -460,36 +664,50 @@ exports.createHiring = async (req, res) => {
       cancellationPolicy,
       contactPerson,
       contactPhone,
+      promoCode,
+      quoteId,
     } = req.body;
 
-    // Check if bus exists
-    const busData = await Bus.findById(bus);
-    if (!busData) {
-      return res.status(400).json({
-        status: "error",
-        message: "Bus not found",
+    const prepared = await prepareHiring(req.body);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+    const { busData, tempHiring, request } = prepared;
+
+    // A quote is honoured for exactly what was quoted; otherwise the hire is priced now
+    const pricingEngine = new PricingEngine();
+    let quote = null;
+    let pricing;
+    if (quoteId) {
+      const quoteResult = await pricingEngine.findUsableQuote({
+        quoteId,
+        user: req.user.id,
+        recordType: "hiring",
+        request,
       });
+      if (!quoteResult.valid) {
+        return res.status(400).json({
+          status: "error",
+          message: quoteResult.message,
+          reason: quoteResult.reason,
+        });
+      }
+      quote = quoteResult.quote;
+      pricing = quote.pricing;
+    } else {
+      const priced = await priceHiring({ tempHiring, busData, promoCode, user: req.user.id });
+      if (priced.error) {
+        return res.status(priced.error.status).json(priced.error.body);
+      }
+      pricing = priced.pricing;
     }
 
-    // Check bus availability
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    const existingHirings = await Hiring.find({
-      bus,
-      $or: [
-        { startDate: { $gte: start, $lte: end } },
-        { endDate: { $gte: start, $lte: end } },
-        { $and: [{ startDate: { $lte: start } }, { endDate: { $gte: end } }] },
-      ],
-      status: { $in: ["Pending", "Approved", "Confirmed"] },
-    });
-
-    if (existingHirings.length > 0) {
+    // Validate provided totalCost if given; older clients send the cost before any discount
+    if (totalCost && Math.abs(totalCost - pricing.subtotal) > 0.01) {
       return res.status(400).json({
         status: "error",
-        message: "Bus is not available for the selected date range",
-        conflicts: existingHirings,
+        message: `Provided totalCost (${totalCost}) does not match calculated cost (${pricing.subtotal})`,
+        calculatedCost: pricing.subtotal
       });
     }
 
@@ -497,42 +715,6 @@ exports.createHiring = async (req, res) => {
     const hiringNumber =
       "HIR-" + crypto.randomBytes(4).toString("hex").toUpperCase();
 
-    // Create a temporary hiring object to use the model's calculation method
-    const tempHiring = new Hiring({
-      route,
-      bus, // Add bus reference for route-based calculation
-      startDate,
-      endDate,
-      tripType: tripType || (isRoundTrip ? 'Round-Trip' : 'One-Way'),
-      rateType: rateType || 'Fixed', // Default to Fixed if not provided  
-      baseRate,
-      routePriceMultiplier,
-      estimatedDistance,
-      additionalCharges,
-      driverAllowance,
-      totalCost: 0 // Will be calculated
-    });
-
-    // Calculate total cost using the model's method
-    let calculatedTotalCost;
-    try {
-      calculatedTotalCost = await tempHiring.calculateTotalCost();
-    } catch (error) {
-      return res.status(400).json({
-        status: "error",
-        message: `Error calculating cost: ${error.message}`,
-      });
-    }
-
-    // Validate provided totalCost if given
-    if (totalCost && Math.abs(totalCost - calculatedTotalCost) > 0.01) {
-      return res.status(400).json({
-        status: "error",
-        message: `Provided totalCost (${totalCost}) does not match calculated cost (${calculatedTotalCost})`,
-        calculatedCost: calculatedTotalCost
-      });
-    }
-
     // Create hiring request
     const newHiring = new Hiring({
       hiringNumber,
@@ -555,12 +737,51 @@ exports.createHiring = async (req, res) => {
       routePriceMultiplier,
       additionalCharges,
       driverAllowance,
-      totalCost: totalCost || calculatedTotalCost,
+      totalCost: pricing.totalCost,
+      promoCode: pricing.promoCode || undefined,
+      promotion: pricing.promotion || undefined,
+      discountApplied: pricing.discount,
+      tax: pricing.tax,
+      pricingCalendar: pricing.pricingCalendar,
       cancellationPolicy,
       paymentStatus: "Pending",
     });
 
-    await newHiring.save();
+    // A quote can only be taken up once; claim it before saving
+    if (quote && !(await pricingEngine.claimQuote(quote, newHiring))) {
+      return res.status(409).json({
+        status: "error",
+        message: "This quote has just been used or has run out; please get a new quote",
+        reason: "quote_used",
+      });
+    }
+
+    // Reserve a use of the promotion, so concurrent requests can't take it past its limits
+    if (pricing.promotion) {
+      const redemption = await Promotion.reserveRedemption(pricing.promotion, req.user.id);
+      if (!redemption.valid) {
+        if (quote) {
+          await pricingEngine.releaseQuote(quote, newHiring);
+        }
+        return res.status(409).json({
+          status: "error",
+          message: redemption.message,
+          reason: redemption.reason,
+        });
+      }
+    }
+
+    try {
+      await newHiring.save();
+    } catch (saveError) {
+      if (quote) {
+        await pricingEngine.releaseQuote(quote, newHiring);
+      }
+      if (pricing.promotion) {
+        await Promotion.releaseRedemption(pricing.promotion, req.user.id);
+      }
+      throw saveError;
+    }
 
     res.status(201).json({
       status: "success",
@@ -702,52 +923,26 @@ exports.updateHiring = async (req, res) => {
         recalculatePrice = true;
       }
       
-      // Recalculate price if necessary
-      if (recalculatePrice) {
-        const busData = await Bus.findById(hiring.bus);
-        const durationDays = Math.ceil((hiring.endDate - hiring.startDate) / (1000 * 60 * 60 * 24));
-        hiring.durationDays = durationDays;
-        
-        const baseDailyRate = busData.hiringRates?.dailyRate || 500;
-        let distanceBasedPrice = 0;
-        
-        if (hiring.estimatedDistance) {
-          const ratePerKm = busData.hiringRates?.perKilometer || 5;
-          distanceBasedPrice = hiring.estimatedDistance * ratePerKm;
-        }
-        
-        const baseTimeFare = durationDays * baseDailyRate;
-        let totalFare = Math.max(baseTimeFare, distanceBasedPrice);
-        
-        if (hiring.additionalServices && hiring.additionalServices.length > 0) {
-          const servicesCost = hiring.additionalServices.reduce((sum, service) => {
-            switch (service) {
-              case 'driver':
-                return sum + (durationDays * 150);
-              case 'food':
-                return sum + (hiring.numberOfPassengers * durationDays * 50);
-              case 'guide':
-                return sum + (durationDays * 200);
-              case 'wifi':
-                return sum + 100;
-              default:
-                return sum;
-            }
-          }, 0);
-          
-          totalFare += servicesCost;
+      // Reprice with the same itemized costing hires are quoted with;
+      // a price agreed on a charter quote stands
+      if (recalculatePrice && hiring.acceptedRevision === undefined) {
+        try {
+          await hiring.calculateTotalCost();
+        } catch (error) {
+          return res.status(400).json({
+            status: 'error',
+            message: `Error calculating cost: ${error.message}`
+          });
         }
         
-        hiring.totalFare = Math.round(totalFare * 100) / 100;
-        
         // Update payment status if price changed
         const totalPaid = hiring.payments?.reduce((sum, payment) => sum + payment.amount, 0) || 0;
-        if (totalPaid >= hiring.totalFare) {
+        if (totalPaid >= hiring.totalCost) {
           hiring.paymentStatus = 'Paid';
         } else if (totalPaid > 0) {
           hiring.paymentStatus = 'Partially Paid';
         } else {
-          hiring.paymentStatus = 'Unpaid';
+          hiring.paymentStatus = 'Pending';
         }
       }
     }
@@ -787,7 +982,7 @@ exports.processHiringPayment = async (req, res) => {
     const { amount, method, transactionId, reference } = req.body;
     
     // Find the hiring
-    const hiring = await Hiring.findById(req.params.id);
+    let hiring = await Hiring.findById(req.params.id);
     
     if (!hiring) {
       return res.status(404).json({
@@ -807,48 +1002,102 @@ exports.processHiringPayment = async (req, res) => {
       });
     }
     
-    // Validate payment amount
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Valid payment amount is required'
-      });
-    }
-    
-    // Check if the payment amount doesn't exceed remaining balance
-    const remainingBalance = hiring.totalCost - hiring.totalPaid;
-    if (amount > remainingBalance + 0.01) { // Allow for small rounding differences
-      return res.status(400).json({
-        status: 'error',
-        message: `Payment amount (${amount}) exceeds remaining balance (${remainingBalance})`,
-        data: {
-          totalCost: hiring.totalCost,
-          totalPaid: hiring.totalPaid,
-          remainingBalance
-        }
+    const gatewayReference = transactionId || reference;
+    let payment;
+
+    if (gatewayReference) {
+      // Gateway payments are verified with the gateway before they are recorded
+      const paymentService = new PaymentService(req.io);
+      const result = await paymentService.verifyAndApply({
+        reference: gatewayReference,
+        hiringId: hiring._id,
+        processedBy: req.user.id
       });
-    }
-    
-    // Process the payment
-    const result = await hiring.processPayment({
-      amount,
-      method: method || 'Paystack',
-      transactionId: transactionId || reference || `PAY-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
-    });
-    
-    // Send automatic payment success notification with payment details
-    try {
-      const notificationService = new NotificationService(req.io);
-      await notificationService.sendBookingNotification(hiring, 'payment_successful', {
+
+      if (result.outcome === 'verification_failed') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Payment verification failed',
+          data: {
+            reason: result.verification.message || 'Payment not successful',
+            gatewayStatus: result.verification.status
+          }
+        });
+      }
+
+      if (result.outcome === 'already_processed') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Payment with this transaction ID already exists'
+        });
+      }
+
+      if (result.outcome === 'amount_exceeds') {
+        return res.status(400).json({
+          status: 'error',
+          message: `Payment amount (${result.verification.amount}) exceeds remaining balance (${result.remainingAmount})`,
+          data: {
+            totalCost: hiring.totalCost,
+            totalPaid: result.totalPaid,
+            remainingBalance: result.remainingAmount
+          }
+        });
+      }
+
+      hiring = result.record;
+      payment = result.payment;
+    } else {
+      // Offline payments (cash, bank transfer) can only be recorded by staff
+      if (!isAdmin) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A payment gateway reference is required. Initialize the payment first'
+        });
+      }
+
+      // Validate payment amount
+      if (!amount || amount <= 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Valid payment amount is required'
+        });
+      }
+
+      // Check if the payment amount doesn't exceed remaining balance
+      const remainingBalance = hiring.totalCost - hiring.totalPaid;
+      if (amount > remainingBalance + 0.01) { // Allow for small rounding differences
+        return res.status(400).json({
+          status: 'error',
+          message: `Payment amount (${amount}) exceeds remaining balance (${remainingBalance})`,
+          data: {
+            totalCost: hiring.totalCost,
+            totalPaid: hiring.totalPaid,
+            remainingBalance
+          }
+        });
+      }
+
+      const result = await hiring.processPayment({
         amount,
-        method: method || 'Paystack',
-        transactionId: transactionId || reference || `PAY-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-        currency: '₦',
-        timestamp: new Date()
+        method: method || 'Cash',
+        gateway: 'Manual'
       });
-    } catch (notificationError) {
-      console.error('Error sending payment success notification:', notificationError);
-      // Don't fail the payment processing if notification fails
+      payment = result.payment;
+
+      // Send automatic payment success notification with payment details
+      try {
+        const notificationService = new NotificationService(req.io);
+        await notificationService.sendHiringNotification(hiring, 'payment_successful', {
+          amount,
+          method: method || 'Cash',
+          transactionId: payment.transactionId,
+          currency: '₦',
+          timestamp: new Date()
+        });
+      } catch (notificationError) {
+        console.error('Error sending payment success notification:', notificationError);
+        // Don't fail the payment processing if notification fails
+      }
     }
     
     res.status(200).json({
@@ -864,7 +1113,7 @@ exports.processHiringPayment = async (req, res) => {
           totalPaid: hiring.totalPaid,
           remainingBalance: hiring.remainingBalance
         },
-        payment: result.payment
+        payment
       }
     });
   } catch (error) {
@@ -912,6 +1161,14 @@ exports.updateHiringStatus = async (req, res) => {
         message: `Cannot change status of a hiring request that is ${hiring.status.toLowerCase()}`
       });
     }
+
+    // A hire held for a missed payment can't start until it is paid
+    if (status === 'In Progress' && hiring.paymentHold && hiring.paymentHold.heldAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: `This hire is on hold for a missed payment (invoice ${hiring.paymentHold.invoiceNumber})`
+      });
+    }
     
     // Update status
     const oldStatus = hiring.status;
@@ -927,20 +1184,41 @@ exports.updateHiringStatus = async (req, res) => {
     });
     
     // Status-specific processing
+    const refundService = new RefundService(req.io);
+    let refunds = [];
+    if (['Approved', 'Confirmed'].includes(status)) {
+      // Hires that weren't quoted go on the default payment plan
+      hiring.applyDefaultPaymentPlan();
+    }
     if (status === 'Cancelled') {
       hiring.cancellationReason = notes || 'Cancelled by admin';
       hiring.cancelledAt = new Date();
       
-      // In a real app, process refunds based on cancellation policy
+      // Refund according to the cancellation policy
       try {
-        const cancellationResult = await hiring.handleCancellation(notes);
+        const cancellationResult = await hiring.handleCancellation(notes, { isStaff: true });
         hiring.refundAmount = cancellationResult.refundAmount;
+        if (cancellationResult.refundAmount > 0) {
+          refunds = refundService.createRefunds(hiring, {
+            amount: cancellationResult.refundAmount,
+            reason: `Cancellation: ${notes || 'Cancelled by admin'}`,
+            processedBy: req.user.id
+          });
+        }
       } catch (error) {
         console.error('Error processing cancellation:', error);
       }
     }
     
     await hiring.save();
+
+    if (refunds.length > 0) {
+      try {
+        await refundService.processRefunds(hiring, 'hiring', refunds);
+      } catch (refundError) {
+        console.error('Error processing cancellation refund:', refundError);
+      }
+    }
     
     // Real-time notification (if applicable)
     if (req.io) {
@@ -1015,6 +1293,51 @@ exports.deleteHiring = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Preview the refund for cancelling a hiring
+ * @route   GET /api/hiring/:id/cancellation-preview
+ * @access  Private (own hiring or admin)
+ */
+exports.getCancellationPreview = async (req, res) => {
+  try {
+    const hiring = await Hiring.findById(req.params.id);
+    
+    if (!hiring) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hiring request not found'
+      });
+    }
+    
+    if (['Cancelled', 'Completed', 'Rejected'].includes(hiring.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot cancel a ${hiring.status.toLowerCase()} hiring request`
+      });
+    }
+    
+    const quote = await hiring.getCancellationQuote({
+      isStaff: req.user.role === 'admin'
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        ...quote
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing hiring cancellation:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while previewing cancellation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Cancel hiring request (change status to cancelled)
  * @route   PATCH /api/hiring/:id/cancel
@@ -1049,24 +1372,20 @@ exports.cancelHiring = async (req, res) => {
       });
     }
     
-    // Check if it's too late to cancel
-    const now = new Date();
-    const startDate = new Date(hiring.startDate);
-    const daysToStart = (startDate - now) / (1000 * 60 * 60 * 24);
-    
-    // Only admins can cancel last-minute (less than 24 hours to start)
+    // Only admins can cancel inside the cancellation policy's cutoff window
     const isAdmin = req.user.role === 'admin';
-    if (daysToStart < 1 && !isAdmin) {
+    const quote = await hiring.getCancellationQuote({ isStaff: isAdmin });
+    if (!quote.canCancel) {
       return res.status(400).json({
         status: 'error',
-        message: 'Hiring requests cannot be cancelled less than 24 hours before start date',
-        daysToStart
+        message: quote.reason,
+        hoursToStart: quote.hoursToDeparture
       });
     }
     
     // Process cancellation using model's method
     try {
-      const cancellationResult = await hiring.handleCancellation(reason || 'Cancelled by user');
+      const cancellationResult = await hiring.handleCancellation(reason || 'Cancelled by user', { isStaff: isAdmin });
       
       // Update status
       hiring.status = 'Cancelled';
@@ -1082,8 +1401,26 @@ exports.cancelHiring = async (req, res) => {
         notes: reason || 'Cancelled by user',
         updatedBy: req.user.id
       });
+
+      const refundService = new RefundService(req.io);
+      const refunds = cancellationResult.refundAmount > 0
+        ? refundService.createRefunds(hiring, {
+            amount: cancellationResult.refundAmount,
+            reason: `Cancellation: ${reason || 'Cancelled by user'}`,
+            processedBy: req.user.id
+          })
+        : [];
       
       await hiring.save();
+
+      // Send the refund through the payment gateway; failures are retried later
+      if (refunds.length > 0) {
+        try {
+          await refundService.processRefunds(hiring, 'hiring', refunds);
+        } catch (refundError) {
+          console.error('Error processing cancellation refund:', refundError);
+        }
+      }
       
       // Notify about the cancellation (in a real app)
       if (req.io) {
@@ -1102,7 +1439,14 @@ exports.cancelHiring = async (req, res) => {
           id: hiring._id,
           hiringNumber: hiring.hiringNumber,
           refundAmount: cancellationResult.refundAmount,
-          refundPercentage: cancellationResult.refundPercentage
+          refundPercentage: cancellationResult.refundPercentage,
+          cancellationPolicy: cancellationResult.quote.policyName,
+          refunds: refunds.map(refund => ({
+            refundTransactionId: refund.refundTransactionId,
+            amount: refund.amount,
+            status: refund.status,
+            gateway: refund.gateway
+          }))
         }
       });
     } catch (error) {
@@ -1423,6 +1767,9 @@ exports.approveHiring = async (req, res) => {
     // Add approval details
     hiring.approvedBy = req.user.id;
     hiring.approvedAt = new Date();
+
+    // Invoice the deposit and balance on the default payment plan
+    const invoices = hiring.applyDefaultPaymentPlan(hiring.approvedAt);
     
     // Add status history entry
     hiring.statusHistory = hiring.statusHistory || [];
@@ -1441,7 +1788,8 @@ exports.approveHiring = async (req, res) => {
         id: hiring._id,
         hiringNumber: hiring.hiringNumber,
         approvedAt: new Date(),
-        notes: notes || 'Approved by admin'
+        notes: notes || 'Approved by admin',
+        invoices
       });
     }
     
@@ -1452,7 +1800,9 @@ exports.approveHiring = async (req, res) => {
         id: hiring._id,
         hiringNumber: hiring.hiringNumber,
         status: hiring.status,
-        approvedAt: hiring.approvedAt
+        approvedAt: hiring.approvedAt,
+        paymentPlan: hiring.paymentPlan,
+        invoices
       }
     });
   } catch (error) {
@@ -1517,28 +1867,26 @@ exports.rejectHiring = async (req, res) => {
       updatedBy: req.user.id
     });
     
-    // Process refund if any payment was made
-    const totalPaid = hiring.payments?.reduce((sum, payment) => {
-      if (payment.status === 'Completed') {
-        return sum + payment.amount;
-      }
-      return sum;
-    }, 0) || 0;
-    
-    if (totalPaid > 0) {
-      // Record full refund for rejection
-      hiring.payments.push({
-        amount: -totalPaid, // Negative to indicate refund
-        date: new Date(),
-        method: 'Refund',
-        status: 'Completed',
-        transactionId: `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
-      });
-      
-      hiring.paymentStatus = 'Refunded';
-    }
+    // Refund everything paid so far
+    const totalPaid = hiring.totalPaid;
+    const refundService = new RefundService(req.io);
+    const refunds = totalPaid > 0
+      ? refundService.createRefunds(hiring, {
+          amount: totalPaid,
+          reason: `Rejected: ${reason}`,
+          processedBy: req.user.id
+        })
+      : [];
     
     await hiring.save();
+
+    if (refunds.length > 0) {
+      try {
+        await refundService.processRefunds(hiring, 'hiring', refunds);
+      } catch (refundError) {
+        console.error('Error processing rejection refund:', refundError);
+      }
+    }
     
     // Notify the client about rejection (in a real app)
     if (req.io) {
@@ -1572,6 +1920,476 @@ exports.rejectHiring = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to load a hiring and one of its quote revisions
+ * @returns {Promise<Object>} - { hiring, quote } or { error: { status, message } }
+ */
+const findQuoteRevision = async (hiringId, revision) => {
+  const hiring = await Hiring.findById(hiringId);
+  if (!hiring) {
+    return { error: { status: 404, message: 'Hiring request not found' } };
+  }
+
+  const quote = hiring.getQuoteRevision(revision);
+  if (!quote) {
+    return { error: { status: 404, message: 'Quote revision not found' } };
+  }
+
+  return { hiring, quote };
+};
+
+/**
+ * @desc    Request a charter quote; staff price it with one or more quote revisions
+ * @route   POST /api/hiring/requests
+ * @access  Private
+ */
+exports.requestHiringQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      bus,
+      route,
+      startDate,
+      endDate,
+      returnDate,
+      tripType,
+      purpose,
+      startLocation,
+      endLocation,
+      returnLocation,
+      estimatedDistance,
+      passengerCount,
+      specialRequirements,
+      notes
+    } = req.body;
+
+    const busData = await Bus.findById(bus);
+    if (!busData) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    // Nothing is priced yet; the accepted quote sets the cost
+    const hiring = new Hiring({
+      user: req.user.id,
+      status: 'Quote Requested',
+      bus,
+      route,
+      startDate,
+      endDate,
+      returnDate,
+      tripType: tripType || 'One-Way',
+      purpose,
+      startLocation,
+      endLocation,
+      returnLocation,
+      estimatedDistance: estimatedDistance || 0,
+      passengerCount,
+      specialRequirements,
+      notes,
+      rateType: 'Fixed',
+      baseRate: 0,
+      totalCost: 0,
+      paymentStatus: 'Pending'
+    });
+
+    await hiring.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Quote requested successfully. We will send you a price shortly.',
+      data: hiring
+    });
+  } catch (error) {
+    console.error('Error requesting hiring quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while requesting hiring quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the quote revisions and invoices on a hiring
+ * @route   GET /api/hiring/:id/quotes
+ * @access  Private (own hiring or admin)
+ */
+exports.getHiringQuotes = async (req, res) => {
+  try {
+    const hiring = await Hiring.findById(req.params.id)
+      .populate('quoteRevisions.bus', 'busNumber type capacity');
+
+    if (!hiring) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hiring request not found'
+      });
+    }
+
+    const now = new Date();
+    res.status(200).json({
+      status: 'success',
+      count: hiring.quoteRevisions.length,
+      data: {
+        hiringNumber: hiring.hiringNumber,
+        status: hiring.status,
+        acceptedRevision: hiring.acceptedRevision,
+        quotes: hiring.quoteRevisions.map(quote => ({
+          ...quote.toObject(),
+          isOpen: hiring.isQuoteOpen(quote, now)
+        })),
+        invoices: hiring.invoices
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching hiring quotes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching hiring quotes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Issue a priced quote revision on a charter request
+ * @route   POST /api/hiring/:id/quotes
+ * @access  Private/Admin
+ */
+exports.issueHiringQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      items,
+      depositPercent,
+      balanceDueDays,
+      missedAction,
+      expiresAt,
+      notes,
+      bus,
+      supersedePrevious
+    } = req.body;
+
+    const hiring = await Hiring.findById(req.params.id);
+    if (!hiring) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hiring request not found'
+      });
+    }
+
+    if (!['Quote Requested', 'Quoted'].includes(hiring.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Only open quote requests can be quoted. Current status: ${hiring.status}`
+      });
+    }
+
+    if (bus && !(await Bus.exists({ _id: bus }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    // A quote can't be accepted once the hire has started
+    const now = new Date();
+    const defaultExpiry = new Date(now.getTime() + config.hiringQuotes.validDays * 24 * 60 * 60 * 1000);
+    const expiry = new Date(Math.min(
+      expiresAt ? new Date(expiresAt).getTime() : defaultExpiry.getTime(),
+      hiring.startDate.getTime()
+    ));
+    if (expiry <= now) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This hire has already started and can no longer be quoted'
+      });
+    }
+
+    const quote = hiring.issueQuoteRevision({
+      items: items.map(item => ({ description: item.description, amount: Number(item.amount) })),
+      depositPercent: depositPercent !== undefined ? Number(depositPercent) : config.hiringQuotes.depositPercent,
+      balanceDueDays: balanceDueDays !== undefined ? Number(balanceDueDays) : config.hiringPayments.balanceDueDays,
+      missedAction: missedAction || config.hiringPayments.missedAction,
+      expiresAt: expiry,
+      notes,
+      bus,
+      issuedBy: req.user.id,
+      supersedePrevious: supersedePrevious !== false && supersedePrevious !== 'false'
+    });
+
+    await hiring.save();
+
+    try {
+      const notificationService = new NotificationService(req.io);
+      await notificationService.sendHiringNotification(hiring, 'hiring_quoted', {
+        revision: quote.revision,
+        total: quote.total,
+        expiresAt: quote.expiresAt
+      });
+    } catch (notificationError) {
+      console.error('Error sending hiring quote notification:', notificationError);
+    }
+
+    if (req.io) {
+      req.io.to(`hiring:${hiring._id}`).emit('hiring:quoted', {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        revision: quote.revision,
+        total: quote.total,
+        expiresAt: quote.expiresAt
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Quote revision ${quote.revision} issued successfully`,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error issuing hiring quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while issuing hiring quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Accept a quote revision, confirming the hire and invoicing the deposit
+ * @route   POST /api/hiring/:id/quotes/:revision/accept
+ * @access  Private (own hiring or admin)
+ */
+exports.acceptHiringQuote = async (req, res) => {
+  try {
+    const found = await findQuoteRevision(req.params.id, req.params.revision);
+    if (found.error) {
+      return res.status(found.error.status).json({
+        status: 'error',
+        message: found.error.message
+      });
+    }
+    const { hiring, quote } = found;
+
+    const now = new Date();
+    if (hiring.status !== 'Quoted' || !hiring.isQuoteOpen(quote, now)) {
+      return res.status(400).json({
+        status: 'error',
+        message: quote.status === 'Issued'
+          ? 'This quote has expired; please ask for a new one'
+          : `This quote can no longer be accepted. Quote status: ${quote.status}`
+      });
+    }
+
+    // The bus may have been hired by someone else since the quote was issued
+    const requestedBus = hiring.bus;
+    if (quote.bus) {
+      hiring.bus = quote.bus;
+    }
+
+    // Two quotes for the same bus and days can't both pass the check below
+    const claimId = await SeatClaim.acquireBus(hiring.bus, hiring.startDate, hiring.endDate);
+    if (!claimId) {
+      hiring.bus = requestedBus;
+      return res.status(409).json({
+        status: 'error',
+        message: 'The quoted bus is being booked for these dates. Please try again'
+      });
+    }
+
+    let invoices;
+    try {
+      const availability = await hiring.checkBusAvailability();
+      if (!availability.available) {
+        hiring.bus = requestedBus;
+        return res.status(400).json({
+          status: 'error',
+          message: `The quoted bus is no longer available: ${availability.reason}`,
+          conflictingHirings: availability.conflictingHirings
+        });
+      }
+
+      invoices = hiring.acceptQuoteRevision(quote, {
+        depositDueAt: hiring.getDepositDueAt(now),
+        note: req.body.note,
+        now
+      });
+
+      await hiring.save();
+    } finally {
+      await SeatClaim.release(claimId);
+    }
+    const invoice = invoices.find(raised => raised.kind === 'Deposit');
+
+    try {
+      const notificationService = new NotificationService(req.io);
+      await notificationService.sendHiringNotification(hiring, 'hiring_confirmed', {
+        revision: quote.revision,
+        total: quote.total,
+        invoiceNumber: invoice ? invoice.invoiceNumber : undefined,
+        depositDue: invoice ? invoice.amount : 0,
+        depositDueAt: invoice ? invoice.dueDate : undefined
+      });
+    } catch (notificationError) {
+      console.error('Error sending hiring confirmation:', notificationError);
+    }
+
+    if (req.io) {
+      req.io.to(`hiring:${hiring._id}`).emit('hiring:quote-accepted', {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        revision: quote.revision,
+        acceptedAt: now
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: invoice
+        ? `Quote accepted. Your deposit of ₦${invoice.amount.toLocaleString()} is due by ${invoice.dueDate.toLocaleDateString()}`
+        : 'Quote accepted',
+      data: {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        status: hiring.status,
+        acceptedRevision: hiring.acceptedRevision,
+        totalCost: hiring.totalCost,
+        deposit: hiring.deposit,
+        paymentPlan: hiring.paymentPlan,
+        invoices
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting hiring quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while accepting hiring quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Decline a quote revision, asking staff for a revised quote
+ * @route   POST /api/hiring/:id/quotes/:revision/decline
+ * @access  Private (own hiring or admin)
+ */
+exports.declineHiringQuote = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const found = await findQuoteRevision(req.params.id, req.params.revision);
+    if (found.error) {
+      return res.status(found.error.status).json({
+        status: 'error',
+        message: found.error.message
+      });
+    }
+    const { hiring, quote } = found;
+
+    if (hiring.status !== 'Quoted' || quote.status !== 'Issued') {
+      return res.status(400).json({
+        status: 'error',
+        message: `This quote can no longer be declined. Quote status: ${quote.status}`
+      });
+    }
+
+    const now = new Date();
+    quote.status = 'Declined';
+    quote.respondedAt = now;
+    quote.responseNote = reason;
+
+    // With no other quote open the request goes back to staff to revise
+    if (!hiring.quoteRevisions.some(other => hiring.isQuoteOpen(other, now))) {
+      hiring.status = 'Quote Requested';
+    }
+
+    await hiring.save();
+
+    if (req.io) {
+      req.io.to(`hiring:${hiring._id}`).emit('hiring:quote-declined', {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        revision: quote.revision,
+        reason
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Quote revision ${quote.revision} declined`,
+      data: {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        status: hiring.status,
+        quote
+      }
+    });
+  } catch (error) {
+    console.error('Error declining hiring quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while declining hiring quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the payment statement of a hiring: paid, due and overdue amounts by milestone
+ * @route   GET /api/hiring/:id/statement
+ * @access  Private (own hiring or admin)
+ */
+exports.getHiringStatement = async (req, res) => {
+  try {
+    const hiring = await Hiring.findById(req.params.id);
+
+    if (!hiring) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hiring request not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        status: hiring.status,
+        paymentStatus: hiring.paymentStatus,
+        startDate: hiring.startDate,
+        ...hiring.getPaymentStatement()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching hiring statement:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching hiring statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Send hiring notification
  * @route   POST /api/hiring/:id/notify
@@ -0,0 +1,407 @@
+const { validationResult } = require('express-validator');
+const Holiday = require('../models/Holiday');
+
+// Fields an admin may set on a holiday
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'scope',
+  'state',
+  'startDate',
+  'endDate',
+  'recurring',
+  'isActive'
+];
+
+// Most rows one import may contain
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Helper function to send model validation and duplicate holiday errors as 400s
+ */
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This holiday is already on the calendar'
+    });
+  }
+  console.error(`Error ${action} holiday:`, error);
+  res.status(500).json({
+    status: 'error',
+    message: `Server error while ${action} holiday`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Helper function to split CSV text into rows keyed by the header line
+ * Handles quoted fields with commas and doubled quotes
+ */
+const parseCsv = (text) => {
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  lines.push(row);
+
+  const rows = lines.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(cell => cell.trim());
+  return rows.slice(1).map(cells => header.reduce((entry, column, index) => {
+    const value = (cells[index] || '').trim();
+    if (column && value !== '') entry[column] = value;
+    return entry;
+  }, {}));
+};
+
+/**
+ * Helper function to turn an imported row into holiday fields
+ * Accepts "date" for one-day holidays and yes/no style flags from spreadsheets
+ */
+const normaliseImportRow = (row) => {
+  const toBoolean = (value) => typeof value === 'string'
+    ? ['true', 'yes', 'y', '1'].includes(value.trim().toLowerCase())
+    : Boolean(value);
+
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (row[field] !== undefined && row[field] !== '') fields[field] = row[field];
+  });
+  if (!fields.startDate && row.date) fields.startDate = row.date;
+  if (fields.recurring !== undefined) fields.recurring = toBoolean(fields.recurring);
+  if (fields.isActive !== undefined) fields.isActive = toBoolean(fields.isActive);
+  if (typeof fields.type === 'string') fields.type = fields.type.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (typeof fields.scope === 'string') fields.scope = fields.scope.trim().toLowerCase();
+  return fields;
+};
+
+// @desc    Get holidays on the calendar
+// @route   GET /api/holidays
+// @access  Public
+exports.getHolidays = async (req, res) => {
+  try {
+    const { year, type, scope, state, isActive } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (scope) query.scope = scope;
+    if (state) query.state = new RegExp(`^${state.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    query.isActive = isActive !== undefined ? isActive === 'true' : true;
+
+    // A year shows that year's holidays and the ones that come round every year
+    if (year) {
+      const yearStart = new Date(parseInt(year, 10), 0, 1);
+      const yearEnd = new Date(parseInt(year, 10), 11, 31);
+      query.$or = [
+        { recurring: true },
+        { startDate: { $lte: yearEnd }, endDate: { $gte: yearStart } }
+      ];
+    }
+
+    const holidays = await Holiday.find(query).sort({ startDate: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check whether holiday or seasonal pricing applies to a date or date range
+// @route   GET /api/holidays/check
+// @access  Public
+exports.checkDates = async (req, res) => {
+  try {
+    const { date, endDate, state } = req.query;
+
+    const start = new Date(date);
+    const end = endDate ? new Date(endDate) : start;
+    if (!date || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const options = state ? { state } : {};
+    const holidays = await Holiday.findForRange(start, end, options);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        isHoliday: holidays.some(holiday => holiday.type === 'public_holiday'),
+        isSeasonal: holidays.some(holiday => holiday.type === 'travel_season'),
+        holidays
+      }
+    });
+  } catch (error) {
+    console.error('Error checking holiday calendar:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while checking holiday calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single holiday
+// @route   GET /api/holidays/:id
+// @access  Public
+exports.getHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: holiday
+    });
+  } catch (error) {
+    console.error('Error fetching holiday:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Add a holiday or travel season to the calendar
+// @route   POST /api/holidays
+// @access  Private/Admin
+exports.createHoliday = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const holiday = new Holiday({ createdBy: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) holiday[field] = req.body[field];
+    });
+
+    await holiday.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Holiday created successfully',
+      data: holiday
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Update holiday
+// @route   PUT /api/holidays/:id
+// @access  Private/Admin
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+
+    const wasOneDay = holiday.endDate.getTime() === holiday.startDate.getTime();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) holiday[field] = req.body[field];
+    });
+    // A new start date on a one-day holiday moves the whole holiday
+    if (req.body.startDate !== undefined && req.body.endDate === undefined && wasOneDay) {
+      holiday.endDate = undefined;
+    }
+
+    await holiday.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Holiday updated successfully',
+      data: holiday
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private/Admin
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+
+    // Bookings keep the names of the holidays they were priced with
+    await holiday.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Import holidays from a CSV file or a JSON list, updating ones already on the calendar
+// @route   POST /api/holidays/import
+// @access  Private/Admin
+exports.importHolidays = async (req, res) => {
+  try {
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else if (Array.isArray(req.body.holidays)) {
+      rows = req.body.holidays;
+    } else if (typeof req.body.csv === 'string') {
+      rows = parseCsv(req.body.csv);
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide holidays as a CSV file or a list'
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An import can contain at most ${MAX_IMPORT_ROWS} holidays`
+      });
+    }
+
+    const created = [];
+    const updated = [];
+    const failed = [];
+
+    for (const [index, row] of rows.entries()) {
+      // Row numbers count the CSV header line
+      const rowNumber = typeof req.body === 'string' || req.body.csv ? index + 2 : index + 1;
+      try {
+        const fields = normaliseImportRow(row || {});
+
+        // Validate first so the lookup uses the same day the holiday is saved with
+        const holiday = new Holiday({ ...fields, createdBy: req.user.id });
+        await holiday.validate();
+
+        const existing = await Holiday.findOne({
+          name: holiday.name,
+          startDate: holiday.startDate,
+          scope: holiday.scope,
+          state: holiday.state
+        });
+
+        if (existing) {
+          EDITABLE_FIELDS.forEach(field => {
+            if (fields[field] !== undefined) existing[field] = holiday[field];
+          });
+          await existing.save();
+          updated.push(existing);
+        } else {
+          await holiday.save();
+          created.push(holiday);
+        }
+      } catch (rowError) {
+        failed.push({
+          row: rowNumber,
+          name: row && row.name,
+          message: rowError.name === 'ValidationError' || rowError.name === 'CastError'
+            ? rowError.message
+            : 'Could not import this holiday'
+        });
+        if (rowError.name !== 'ValidationError' && rowError.name !== 'CastError') {
+          console.error('Error importing holiday row:', rowError);
+        }
+      }
+    }
+
+    res.status(failed.length > 0 && created.length + updated.length === 0 ? 400 : 200).json({
+      status: failed.length > 0 && created.length + updated.length === 0 ? 'error' : 'success',
+      message: `${created.length} holidays added, ${updated.length} updated, ${failed.length} failed`,
+      data: {
+        created,
+        updated,
+        failed
+      }
+    });
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while importing holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,166 @@
+const Job = require('../models/Job');
+
+/**
+ * Helper function to get the scheduler the server registered its jobs with
+ */
+const getScheduler = (req) => req.app.get('jobScheduler');
+
+// @desc    Get background jobs
+// @route   GET /api/jobs
+// @access  Private/Admin
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await Job.find()
+      .select('-history')
+      .sort({ name: 1 });
+
+    const scheduler = getScheduler(req);
+
+    res.status(200).json({
+      status: 'success',
+      count: jobs.length,
+      data: jobs.map(job => ({
+        ...job.toObject(),
+        registered: Boolean(scheduler && scheduler.isDefined(job.name))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a background job with its run history
+// @route   GET /api/jobs/:name
+// @access  Private/Admin
+exports.getJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name })
+      .populate('history.triggeredBy', 'name email')
+      .populate('pausedBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Pause a background job
+// @route   PATCH /api/jobs/:name/pause
+// @access  Private/Admin
+exports.pauseJob = async (req, res) => {
+  try {
+    const job = await getScheduler(req).pauseJob(req.params.name, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Job ${job.name} paused`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while pausing job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Resume a paused background job
+// @route   PATCH /api/jobs/:name/resume
+// @access  Private/Admin
+exports.resumeJob = async (req, res) => {
+  try {
+    const job = await getScheduler(req).resumeJob(req.params.name);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Job ${job.name} resumed`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error resuming job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while resuming job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Run a background job now
+// @route   POST /api/jobs/:name/run
+// @access  Private/Admin
+exports.runJob = async (req, res) => {
+  try {
+    const scheduler = getScheduler(req);
+
+    if (!scheduler || !scheduler.isDefined(req.params.name)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    const result = await scheduler.runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    if (!result.started) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Job is already running'
+      });
+    }
+
+    res.status(200).json({
+      status: result.status === 'Succeeded' ? 'success' : 'error',
+      message: result.status === 'Succeeded'
+        ? `Job ${req.params.name} completed`
+        : `Job ${req.params.name} failed: ${result.error}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while running job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
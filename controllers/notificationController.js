@@ -13,7 +13,8 @@ exports.getNotifications = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Build filter based on query parameters
-    const filter = { recipient: req.user.id };
+    // Notifications scheduled for later stay hidden until they are due
+    const filter = { recipient: req.user.id, ...Notification.visibleFilter() };
     
     if (req.query.read !== undefined) {
       filter.read = req.query.read === 'true';
@@ -1,23 +1,14 @@
 const Booking = require("../models/Booking");
 const Hiring = require("../models/Hiring");
-const crypto = require('crypto');
-const NotificationService = require('../services/notificationService');
-
-// Initialize Paystack with error handling
-let Paystack;
-try {
-  if (!process.env.PAYSTACK_SECRET_KEY) {
-    throw new Error('PAYSTACK_SECRET_KEY is not configured');
-  }
-  Paystack = require("paystack-api")(process.env.PAYSTACK_SECRET_KEY);
-} catch (error) {
-  console.error('Failed to initialize Paystack:', error.message);
-}
+const PaymentEvent = require("../models/PaymentEvent");
+const PaymentService = require('../services/paymentService');
+const { getPaymentGateway } = require('../services/paymentGateway');
+const config = require('../config/config');
 
 /**
- * @desc    Verify Paystack payment
+ * @desc    Verify a gateway payment
  * @route   POST /api/payments/verify
- * @access  Public (webhook) / Private (manual verification)
+ * @access  Private
  */
 exports.verifyPayment = async (req, res) => {
   try {
@@ -31,197 +22,151 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    if (!Paystack) {
+    const gateway = getPaymentGateway();
+    if (!gateway.isConfigured()) {
       return res.status(500).json({
         status: "error",
         message: "Payment gateway not configured",
       });
     }
 
-    // Verify payment with Paystack
-    const verification = await Paystack.transaction.verify({ reference });
-
-    if (verification.status && verification.data.status === "success") {
-      const paymentData = verification.data;
-      const amount = paymentData.amount / 100; // Convert from kobo to NGN
-      
-      // Find booking or hiring by ID or by metadata
-      let booking, hiring;
-      if (bookingId) {
-        booking = await Booking.findById(bookingId);
-      } else if (paymentData.metadata && paymentData.metadata.bookingId) {
-        booking = await Booking.findById(paymentData.metadata.bookingId);
-      }
-      
-      // Check for hiring if no booking found
-      const { hiringId } = req.body;
-      if (!booking && hiringId) {
-        hiring = await Hiring.findById(hiringId);
-      } else if (!booking && paymentData.metadata && paymentData.metadata.hiringId) {
-        hiring = await Hiring.findById(paymentData.metadata.hiringId);
-      }
+    const { hiringId } = req.body;
 
-      if (!booking && !hiring) {
-        // If no booking or hiring found, still return successful verification
-        // This handles cases where payment verification is called independently
-        return res.status(200).json({
-          status: "success",
-          message: "Payment verified successfully (no booking/hiring linked)",
-          data: {
-            reference,
-            amount,
-            status: paymentData.status,
-            paidAt: paymentData.paid_at,
-            customer: paymentData.customer,
-          },
-        });
-      }
+    let result;
+    try {
+      const paymentService = new PaymentService(req.io, gateway);
+      result = await paymentService.verifyAndApply({
+        reference,
+        bookingId,
+        hiringId,
+        processedBy: req.user?.id
+      });
+    } catch (paymentError) {
+      console.error('Error adding payment to booking:', paymentError);
+      return res.status(400).json({
+        status: "error",
+        message: paymentError.message || "Failed to process payment",
+      });
+    }
 
-      // Validate payment amount against booking/hiring total
-      const currentRecord = booking || hiring;
-      const expectedAmount = booking ? booking.totalFare : hiring.totalCost;
-      const totalPaid = booking ? booking.getTotalPaid() : hiring.totalPaid;
-      const remainingAmount = expectedAmount - totalPaid;
-
-      if (amount > remainingAmount + 0.01) { // Allow for small rounding differences
-        return res.status(400).json({
-          status: "error",
-          message: `Payment amount (${amount}) exceeds remaining balance (${remainingAmount})`,
-          data: {
-            expectedAmount,
-            totalPaid,
-            remainingAmount,
-            paymentAmount: amount
-          }
-        });
-      }
+    const { verification } = result;
 
-      // Check if payment hasn't been processed already
-      const existingPayment = currentRecord.payments.find(
-        payment => payment.reference === reference || payment.transactionId === reference
-      );
+    if (result.outcome === 'verification_failed') {
+      return res.status(400).json({
+        status: "error",
+        message: "Payment verification failed",
+        data: {
+          reference,
+          status: verification.status || 'failed',
+          message: verification.message || 'Payment not successful'
+        },
+      });
+    }
 
-      if (existingPayment) {
-        return res.status(200).json({
-          status: "success",
-          message: "Payment has already been processed",
-          data: {
-            [booking ? 'booking' : 'hiring']: {
-              id: currentRecord._id,
-              [booking ? 'bookingNumber' : 'hiringNumber']: booking ? booking.bookingNumber : hiring.hiringNumber,
-              status: currentRecord.status,
-              paymentStatus: currentRecord.paymentStatus,
-            },
-            payment: {
-              reference,
-              amount,
-              status: "already_processed",
-              paidAt: existingPayment.date,
-            },
-          },
-        });
-      }
+    const amount = verification.amount;
 
-      // Add payment to booking/hiring using the appropriate method
-      try {
-        let payment;
-        if (booking) {
-          payment = booking.addPayment({
-            amount,
-            transactionId: reference,
-            reference,
-            method: 'Paystack',
-            gateway: 'Paystack',
-            gatewayResponse: paymentData,
-            processedBy: req.user?.id
-          });
-          await booking.save();
-        } else {
-          // For hiring, use the processPayment method
-          const result = await hiring.processPayment({
-            amount,
-            method: 'Credit Card', // Use valid enum value instead of 'Paystack'
-            transactionId: reference
-          });
-          payment = result.payment;
-          
-          // Update hiring status based on payment
-          if (hiring.paymentStatus === 'Paid' && hiring.status === 'Pending') {
-            hiring.status = 'Confirmed';
-            await hiring.save();
-          }
-        }
+    if (result.outcome === 'unlinked') {
+      // If no booking or hiring found, still return successful verification
+      // This handles cases where payment verification is called independently
+      return res.status(200).json({
+        status: "success",
+        message: "Payment verified successfully (no booking/hiring linked)",
+        data: {
+          reference,
+          amount,
+          status: verification.status,
+          paidAt: verification.paidAt,
+          customer: verification.customer,
+        },
+      });
+    }
 
-        // Log successful payment
-        console.log(`Payment processed successfully: ${reference} for ${booking ? 'booking' : 'hiring'} ${booking ? booking.bookingNumber : hiring.hiringNumber}`);
+    if (['reference_mismatch', 'reference_in_use'].includes(result.outcome)) {
+      return res.status(400).json({
+        status: "error",
+        message: `This payment does not belong to this ${result.recordType}`,
+        data: { reference },
+      });
+    }
 
-        // Send automatic payment success notification
-        try {
-          const notificationService = new NotificationService(req.io);
-          const paymentDetails = {
-            amount,
-            method: 'Paystack',
-            transactionId: reference,
-            currency: 'NGN'
-          };
-          
-          if (booking) {
-            await notificationService.sendBookingNotification(
-              booking,
-              'payment_successful',
-              paymentDetails
-            );
-          } else if (hiring) {
-            await notificationService.sendHiringNotification(
-              hiring,
-              'payment_successful',
-              paymentDetails
-            );
-          }
-        } catch (notificationError) {
-          console.error('Error sending payment success notification:', notificationError);
-          // Don't fail the payment verification if notification fails
+    const { record: currentRecord, recordType } = result;
+    const isBooking = recordType === 'booking';
+
+    if (result.outcome === 'amount_exceeds') {
+      return res.status(400).json({
+        status: "error",
+        message: `Payment amount (${amount}) exceeds remaining balance (${result.remainingAmount})`,
+        data: {
+          expectedAmount: result.expectedAmount,
+          totalPaid: result.totalPaid,
+          remainingAmount: result.remainingAmount,
+          paymentAmount: amount
         }
+      });
+    }
 
-        return res.status(200).json({
-          status: "success",
-          message: `Payment verified and ${booking ? 'booking' : 'hiring'} updated successfully`,
-          data: {
-            [booking ? 'booking' : 'hiring']: {
-              id: currentRecord._id,
-              [booking ? 'bookingNumber' : 'hiringNumber']: booking ? booking.bookingNumber : hiring.hiringNumber,
-              status: currentRecord.status,
-              paymentStatus: currentRecord.paymentStatus,
-              totalPaid: booking ? booking.getTotalPaid() : hiring.totalPaid,
-              remainingBalance: Math.max(0, (booking ? booking.totalFare : hiring.totalCost) - (booking ? booking.getTotalPaid() : hiring.totalPaid))
-            },
-            payment: {
-              reference,
-              amount,
-              status: paymentData.status,
-              paidAt: paymentData.paid_at,
-              transactionId: payment.transactionId || reference
-            },
-          },
-        });
-      } catch (paymentError) {
-        console.error('Error adding payment to booking:', paymentError);
-        return res.status(400).json({
-          status: "error",
-          message: paymentError.message || "Failed to process payment",
-        });
-      }
-    } else {
+    if (result.outcome === 'record_cancelled') {
       return res.status(400).json({
         status: "error",
-        message: "Payment verification failed",
+        message: "The booking was cancelled before this payment was received. The payment is being refunded",
         data: {
           reference,
-          status: verification.data?.status || 'failed',
-          message: verification.message || 'Payment not successful'
+          amount,
+          cancellationReason: currentRecord.cancellationReason,
+          refunds: result.refunds.map(refund => ({
+            refundTransactionId: refund.refundTransactionId,
+            amount: refund.amount,
+            status: refund.status,
+          })),
         },
       });
     }
+
+    if (result.outcome === 'already_processed') {
+      return res.status(200).json({
+        status: "success",
+        message: "Payment has already been processed",
+        data: {
+          [recordType]: {
+            id: currentRecord._id,
+            [isBooking ? 'bookingNumber' : 'hiringNumber']: isBooking ? currentRecord.bookingNumber : currentRecord.hiringNumber,
+            status: currentRecord.status,
+            paymentStatus: currentRecord.paymentStatus,
+          },
+          payment: {
+            reference,
+            amount,
+            status: "already_processed",
+            paidAt: result.payment.date,
+          },
+        },
+      });
+    }
+
+    const totalPaid = isBooking ? currentRecord.getTotalPaid() : currentRecord.totalPaid;
+    const totalDue = isBooking ? currentRecord.totalFare : currentRecord.totalCost;
+
+    return res.status(200).json({
+      status: "success",
+      message: `Payment verified and ${recordType} updated successfully`,
+      data: {
+        [recordType]: {
+          id: currentRecord._id,
+          [isBooking ? 'bookingNumber' : 'hiringNumber']: isBooking ? currentRecord.bookingNumber : currentRecord.hiringNumber,
+          status: currentRecord.status,
+          paymentStatus: currentRecord.paymentStatus,
+          totalPaid,
+          remainingBalance: Math.max(0, totalDue - totalPaid)
+        },
+        payment: {
+          reference,
+          amount,
+          status: verification.status,
+          paidAt: verification.paidAt,
+          transactionId: result.payment.transactionId || reference
+        },
+      },
+    });
   } catch (error) {
     console.error("Error verifying payment:", error);
     res.status(500).json({
@@ -233,13 +178,13 @@ exports.verifyPayment = async (req, res) => {
 };
 
 /**
- * @desc    Initialize Paystack payment
+ * @desc    Initialize a gateway payment
  * @route   POST /api/payments/initialize
  * @access  Private
  */
 exports.initializePayment = async (req, res) => {
   try {
-    const { email, amount, bookingId, hiringId, metadata } = req.body;
+    const { email, amount, bookingId, hiringId, metadata, callbackUrl } = req.body;
 
     if (!email || !amount) {
       return res.status(400).json({
@@ -248,7 +193,8 @@ exports.initializePayment = async (req, res) => {
       });
     }
 
-    if (!Paystack) {
+    const gateway = getPaymentGateway();
+    if (!gateway.isConfigured()) {
       return res.status(500).json({
         status: "error",
         message: "Payment gateway not configured",
@@ -263,29 +209,29 @@ exports.initializePayment = async (req, res) => {
       });
     }
 
-    // Initialize payment with Paystack
-    const paymentData = {
+    const response = await gateway.initialize({
       email,
-      amount: amount, // Amount should already be in kobo from client
-      currency: "NGN",
+      amount: amount / 100, // Amount arrives in kobo from the client
+      callbackUrl,
+      // Client metadata goes first so it can't override which booking or
+      // hiring, or whose account, the payment is reconciled against
       metadata: {
+        ...metadata,
         bookingId,
         hiringId,
         userId: req.user?.id,
-        ...metadata,
       },
-    };
-
-    const response = await Paystack.transaction.initialize(paymentData);
+    });
 
-    if (response.status) {
+    if (response.success) {
       res.status(200).json({
         status: "success",
         message: "Payment initialized successfully",
         data: {
-          authorizationUrl: response.data.authorization_url,
-          accessCode: response.data.access_code,
-          reference: response.data.reference,
+          gateway: gateway.name,
+          authorizationUrl: response.authorizationUrl,
+          accessCode: response.accessCode,
+          reference: response.reference,
         },
       });
     } else {
@@ -314,18 +260,18 @@ exports.getPaymentDetails = async (req, res) => {
   try {
     const { reference } = req.params;
 
-    const response = await Paystack.transaction.verify({ reference });
+    const transaction = await getPaymentGateway().verify(reference);
 
-    if (response.status) {
+    if (transaction.found) {
       res.status(200).json({
         status: "success",
         data: {
-          reference: response.data.reference,
-          amount: response.data.amount / 100,
-          status: response.data.status,
-          paidAt: response.data.paid_at,
-          customer: response.data.customer,
-          metadata: response.data.metadata,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          status: transaction.status,
+          paidAt: transaction.paidAt,
+          customer: transaction.customer,
+          metadata: transaction.metadata,
         },
       });
     } else {
@@ -343,3 +289,246 @@ exports.getPaymentDetails = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Receive payment gateway webhook events
+ * @route   POST /api/payments/webhook
+ * @access  Public (signed by the gateway)
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const gateway = getPaymentGateway();
+    const webhook = gateway.parseWebhook({
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+
+    if (!webhook.valid) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid webhook signature",
+      });
+    }
+
+    const { event, reference, data } = webhook;
+    const handledEvents = ['charge.success', 'charge.failed', 'refund.processed'];
+
+    // Acknowledge events we don't act on so the gateway stops retrying them
+    if (!handledEvents.includes(event) || !reference) {
+      return res.status(200).json({
+        status: "success",
+        message: "Event ignored",
+      });
+    }
+
+    // Claim the event; redeliveries of an event already handled are skipped
+    let paymentEvent;
+    try {
+      paymentEvent = await PaymentEvent.create({
+        gateway: gateway.name,
+        event,
+        reference,
+        payload: data.raw
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      // Retry events that failed, or whose processing was interrupted
+      const staleBefore = new Date(Date.now() - config.payments.webhookTimeoutMinutes * 60 * 1000);
+      paymentEvent = await PaymentEvent.findOneAndUpdate(
+        {
+          gateway: gateway.name,
+          event,
+          reference,
+          $or: [
+            { status: 'Failed' },
+            { status: 'Processing', updatedAt: { $lte: staleBefore } }
+          ]
+        },
+        { status: 'Processing', $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!paymentEvent) {
+        return res.status(200).json({
+          status: "success",
+          message: "Event already processed",
+        });
+      }
+    }
+
+    try {
+      const paymentService = new PaymentService(req.io, gateway);
+      let result;
+
+      if (event === 'charge.success') {
+        result = await paymentService.applySuccessfulCharge({
+          reference,
+          amount: data.amount,
+          paymentData: data.raw
+        });
+      } else if (event === 'charge.failed') {
+        result = await paymentService.applyFailedCharge({ reference, paymentData: data.raw });
+      } else {
+        result = await paymentService.applyProcessedRefund({
+          transactionReference: data.transactionReference,
+          refundReference: reference,
+          amount: data.amount
+        });
+      }
+
+      if (['unlinked', 'reference_mismatch', 'reference_in_use'].includes(result.outcome)) {
+        paymentEvent.status = 'Ignored';
+      } else if (result.outcome === 'amount_exceeds') {
+        // The customer has been charged but the payment wasn't recorded
+        paymentEvent.status = 'Review';
+        paymentEvent.error = `Charge of ${data.amount} exceeds the remaining balance of ${result.remainingAmount}`;
+        console.warn(`${gateway.name} charge ${reference} needs review: ${paymentEvent.error}`);
+      } else {
+        paymentEvent.status = 'Processed';
+      }
+      paymentEvent.outcome = result.outcome;
+      paymentEvent.recordType = result.recordType;
+      paymentEvent.record = result.record?._id;
+      paymentEvent.processedAt = new Date();
+      await paymentEvent.save();
+
+      console.log(`${gateway.name} webhook ${event} for ${reference}: ${result.outcome}`);
+    } catch (processingError) {
+      paymentEvent.status = 'Failed';
+      paymentEvent.error = processingError.message;
+      await paymentEvent.save();
+      throw processingError;
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Webhook processed",
+    });
+  } catch (error) {
+    console.error("Error handling payment webhook:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while handling payment webhook",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    List refunds across bookings and hirings (outstanding by default)
+ * @route   GET /api/payments/refunds
+ * @access  Private/Admin
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const {
+      status = 'Pending,Failed',
+      type,
+      gateway,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const statuses = status.split(',').map(value => value.trim()).filter(Boolean);
+    const refundMatch = { 'refunds.status': { $in: statuses } };
+    if (gateway) refundMatch['refunds.gateway'] = gateway;
+
+    const buildPipeline = (numberField, recordType) => [
+      { $match: { refunds: { $elemMatch: { status: { $in: statuses } } } } },
+      { $unwind: '$refunds' },
+      { $match: refundMatch },
+      {
+        $project: {
+          _id: 0,
+          recordType: { $literal: recordType },
+          recordId: '$_id',
+          number: `$${numberField}`,
+          user: 1,
+          recordStatus: '$status',
+          paymentStatus: 1,
+          refund: '$refunds'
+        }
+      }
+    ];
+
+    const [bookingRefunds, hiringRefunds] = await Promise.all([
+      type === 'hiring' ? [] : Booking.aggregate(buildPipeline('bookingNumber', 'booking')),
+      type === 'booking' ? [] : Hiring.aggregate(buildPipeline('hiringNumber', 'hiring'))
+    ]);
+
+    const refunds = [...bookingRefunds, ...hiringRefunds]
+      .sort((a, b) => new Date(a.refund.date) - new Date(b.refund.date));
+
+    const totals = refunds.reduce((summary, entry) => {
+      summary.count += 1;
+      summary.amount += entry.refund.amount;
+      summary.byStatus[entry.refund.status] = (summary.byStatus[entry.refund.status] || 0) + entry.refund.amount;
+      return summary;
+    }, { count: 0, amount: 0, byStatus: {} });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    res.status(200).json({
+      status: "success",
+      count: Math.min(parseInt(limit), Math.max(0, refunds.length - skip)),
+      pagination: {
+        total: refunds.length,
+        page: parseInt(page),
+        pages: Math.ceil(refunds.length / parseInt(limit)),
+        limit: parseInt(limit)
+      },
+      totals,
+      data: refunds.slice(skip, skip + parseInt(limit)),
+    });
+  } catch (error) {
+    console.error("Error getting refunds:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while fetching refunds",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    List gateway webhook events needing attention (for review or failed by default)
+ * @route   GET /api/payments/events
+ * @access  Private/Admin
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    const { status = 'Review,Failed', page = 1, limit = 20 } = req.query;
+    const statuses = status.split(',').map(value => value.trim()).filter(Boolean);
+    const query = { status: { $in: statuses } };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PaymentEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      count: events.length,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      },
+      data: events,
+    });
+  } catch (error) {
+    console.error("Error getting payment events:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Server error while fetching payment events",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -0,0 +1,391 @@
+const { validationResult } = require('express-validator');
+const PricingRule = require('../models/PricingRule');
+const FareLock = require('../models/FareLock');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const PricingEngine = require('../services/pricingEngine');
+
+// Fields an admin may set on a pricing rule
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'metric',
+  'min',
+  'max',
+  'adjustmentType',
+  'adjustment',
+  'routes',
+  'priority',
+  'isActive'
+];
+
+/**
+ * Helper function to send model validation errors as 400s
+ */
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  console.error(`Error ${action} pricing rule:`, error);
+  res.status(500).json({
+    status: 'error',
+    message: `Server error while ${action} pricing rule`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Helper function to load a bookable trip and the part of its route being priced
+ * @returns {Promise<Object>} - { trip, route, segment } or { error: { status, message } }
+ */
+const resolveTripJourney = async (tripId, fromStop, toStop) => {
+  const trip = await Trip.findById(tripId);
+  if (!trip) {
+    return { error: { status: 404, message: 'Trip not found' } };
+  }
+
+  const route = await Route.findById(trip.route);
+  if (!route) {
+    return { error: { status: 404, message: 'Route not found' } };
+  }
+
+  // A journey between two stops is priced on its segment
+  let segment = null;
+  if (fromStop || toStop) {
+    const resolved = route.resolveSegment(fromStop, toStop);
+    if (resolved.error) {
+      return { error: { status: 400, message: resolved.error } };
+    }
+    const coversWholeRoute = resolved.segment.from === route.source && resolved.segment.to === route.destination;
+    segment = coversWholeRoute ? null : resolved.segment;
+  }
+
+  return { trip, route, segment };
+};
+
+// @desc    Get pricing rules
+// @route   GET /api/pricing/rules
+// @access  Private/Admin
+exports.getRules = async (req, res) => {
+  try {
+    const { metric, isActive, route } = req.query;
+
+    const query = {};
+    if (metric) query.metric = metric;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    // Rules for a route include the ones for every route
+    if (route) query.$or = [{ routes: route }, { routes: { $size: 0 } }];
+
+    const rules = await PricingRule.find(query)
+      .populate('routes', 'name routeCode source destination')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching pricing rules:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching pricing rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single pricing rule
+// @route   GET /api/pricing/rules/:id
+// @access  Private/Admin
+exports.getRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id)
+      .populate('routes', 'name routeCode source destination');
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error fetching pricing rule:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create pricing rule
+// @route   POST /api/pricing/rules
+// @access  Private/Admin
+exports.createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new PricingRule({ createdBy: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Pricing rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Update pricing rule
+// @route   PUT /api/pricing/rules/:id
+// @access  Private/Admin
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pricing rule not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pricing rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete pricing rule (bookings and fare locks keep their record of it)
+// @route   DELETE /api/pricing/rules/:id
+// @access  Private/Admin
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Pricing rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pricing rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting pricing rule:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting pricing rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the current fare on a trip and how it was reached
+// @route   GET /api/pricing/trips/:tripId
+// @access  Public
+exports.getTripFare = async (req, res) => {
+  try {
+    const { fromStop, toStop } = req.query;
+
+    const journey = await resolveTripJourney(req.params.tripId, fromStop, toStop);
+    if (journey.error) {
+      return res.status(journey.error.status).json({
+        status: 'error',
+        message: journey.error.message
+      });
+    }
+
+    const { trip, route, segment } = journey;
+    const pricing = await new PricingEngine().priceTrip({ route, trip, segment });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tripId: trip._id,
+        routeId: route._id,
+        departureDateTime: trip.departureDateTime,
+        segment: segment || undefined,
+        ...pricing
+      }
+    });
+  } catch (error) {
+    console.error('Error pricing trip:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while pricing trip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Lock the current fare on a trip while the customer checks out
+// @route   POST /api/pricing/locks
+// @access  Private
+exports.lockFare = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { tripId, fromStop, toStop } = req.body;
+
+    const journey = await resolveTripJourney(tripId, fromStop, toStop);
+    if (journey.error) {
+      return res.status(journey.error.status).json({
+        status: 'error',
+        message: journey.error.message
+      });
+    }
+
+    const { trip, route, segment } = journey;
+    if (!['Scheduled', 'Delayed'].includes(trip.status) || trip.departureDateTime <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This trip is no longer taking bookings'
+      });
+    }
+
+    const lock = await new PricingEngine().lockFare({
+      user: req.user.id,
+      trip,
+      route,
+      segment
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Fare of ₦${lock.fare.toLocaleString()} per passenger held until ${lock.lockedUntil.toLocaleTimeString()}`,
+      data: lock
+    });
+  } catch (error) {
+    console.error('Error locking fare:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while locking fare',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get quoted and locked fares, the audit of how each price was reached
+// @route   GET /api/pricing/locks
+// @access  Private/Admin
+exports.getFareLocks = async (req, res) => {
+  try {
+    const { trip, route, user, status, rule, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (trip) query.trip = trip;
+    if (route) query.route = route;
+    if (user) query.user = user;
+    if (status) query.status = status;
+    if (rule) query['adjustments.rule'] = rule;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [locks, total] = await Promise.all([
+      FareLock.find(query)
+        .populate('user', 'name email')
+        .populate('route', 'name routeCode')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      FareLock.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      count: locks.length,
+      total,
+      page: pageNumber,
+      data: locks
+    });
+  } catch (error) {
+    console.error('Error fetching fare locks:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching fare locks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a fare lock
+// @route   GET /api/pricing/locks/:id
+// @access  Private (own lock or admin)
+exports.getFareLock = async (req, res) => {
+  try {
+    const lock = await FareLock.findById(req.params.id);
+
+    if (!lock) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare lock not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && lock.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this fare lock'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...lock.toObject(),
+        isActive: lock.isActive()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fare lock:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching fare lock',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,305 @@
+const { validationResult } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+
+// Fields an admin may set on a promotion
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minAmount',
+  'validFrom',
+  'validUntil',
+  'appliesTo',
+  'routes',
+  'busTypes',
+  'firstRideOnly',
+  'usageLimit',
+  'perUserLimit',
+  'isActive'
+];
+
+/**
+ * Helper function to send model validation and duplicate code errors as 400s
+ */
+const sendSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A promotion with this code already exists'
+    });
+  }
+  console.error(`Error ${action} promotion:`, error);
+  res.status(500).json({
+    status: 'error',
+    message: `Server error while ${action} promotion`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get promotions with how often each has been used
+// @route   GET /api/promotions
+// @access  Private/Admin
+exports.getPromotions = async (req, res) => {
+  try {
+    const { isActive, appliesTo } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (appliesTo) query.appliesTo = appliesTo;
+
+    const promotions = await Promotion.find(query)
+      .populate('routes', 'name routeCode source destination')
+      .sort({ createdAt: -1 });
+
+    const data = await Promise.all(promotions.map(async promotion => ({
+      ...promotion.toObject(),
+      redemptions: await promotion.countRedemptions()
+    })));
+
+    res.status(200).json({
+      status: 'success',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching promotions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private/Admin
+exports.getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('routes', 'name routeCode source destination');
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...promotion.toObject(),
+        redemptions: await promotion.countRedemptions()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create promotion
+// @route   POST /api/promotions
+// @access  Private/Admin
+exports.createPromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = new Promotion({ createdBy: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+
+    await promotion.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Update promotion
+// @route   PUT /api/promotions/:id
+// @access  Private/Admin
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promotion not found'
+      });
+    }
+
+    // Bookings keep the code they were made with
+    if (req.body.code !== undefined && req.body.code.toUpperCase() !== promotion.code &&
+        await promotion.countRedemptions() > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The code of a promotion that has been used cannot be changed'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+
+    await promotion.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete promotion (used promotions are deactivated instead)
+// @route   DELETE /api/promotions/:id
+// @access  Private/Admin
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promotion not found'
+      });
+    }
+
+    // Bookings and hirings that used the promotion still refer to it
+    if (await promotion.countRedemptions() > 0) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Promotion has been used, so it was deactivated instead of deleted',
+        data: promotion
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check a promo code and preview its discount before booking or hiring
+// @route   POST /api/promotions/validate
+// @access  Private
+exports.validatePromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { code, recordType = 'booking', amount, tripId } = req.body;
+    let { routeId, busId } = req.body;
+
+    // A trip decides the route and bus
+    if (tripId) {
+      const trip = await Trip.findById(tripId);
+      if (!trip) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Trip not found'
+        });
+      }
+      routeId = trip.route;
+      busId = trip.bus;
+    }
+
+    const bus = busId ? await Bus.findById(busId).select('type') : null;
+
+    const result = await Promotion.evaluateCode({
+      code,
+      user: req.user.id,
+      recordType,
+      amount: Number(amount),
+      route: routeId,
+      busType: bus ? bus.type : undefined
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message,
+        data: {
+          valid: false,
+          reason: result.reason
+        }
+      });
+    }
+
+    const { promotion, discount } = result;
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promo code applied',
+      data: {
+        valid: true,
+        code: promotion.code,
+        name: promotion.name,
+        description: promotion.description,
+        discountType: promotion.discountType,
+        discountValue: promotion.discountValue,
+        amount: Number(amount),
+        discount,
+        amountAfterDiscount: Math.round((Number(amount) - discount) * 100) / 100,
+        validUntil: promotion.validUntil
+      }
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while validating promo code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,28 +1,36 @@
 const Route = require('../models/Route');
 const Bus = require('../models/Bus');
 const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
 const { validationResult } = require('express-validator');
+const JourneyPlanner = require('../services/journeyPlanner');
+const Holiday = require('../models/Holiday');
+const PricingEngine = require('../services/pricingEngine');
+const config = require('../config/config');
 
 /**
- * Helper function to determine if a given time is during peak hours
- * @param {Date} date - The date to check
- * @returns {Boolean} - Whether the time is during peak hours
+ * Helper function to find the stop-to-stop journey a search matched on a route
+ * @param {Object} route - Route document
+ * @param {String} source - Searched boarding place
+ * @param {String} destination - Searched alighting place
+ * @returns {Object|null|undefined} - Segment, null for the whole route, or
+ *   undefined when no matching stop pair runs in the right direction
  */
-const isPeakTime = (date) => {
-  const hours = date.getHours();
-  // Define peak hours as 7-9 AM and 4-7 PM
-  return (hours >= 7 && hours <= 9) || (hours >= 16 && hours <= 19);
-};
+const findSearchSegment = (route, source, destination) => {
+  const stops = route.getStopSequence();
+  const matches = (stop, text) => stop.name.toLowerCase().includes(String(text).toLowerCase());
+
+  for (let from = 0; from < stops.length - 1; from++) {
+    if (!matches(stops[from], source)) continue;
+    for (let to = stops.length - 1; to > from; to--) {
+      if (!matches(stops[to], destination)) continue;
+      if (from === 0 && to === stops.length - 1) return null;
+      const resolved = route.resolveSegment(stops[from].name, stops[to].name);
+      return resolved.error ? undefined : resolved.segment;
+    }
+  }
 
-/**
- * Helper function to determine if a given date falls on a weekend
- * @param {Date} date - The date to check
- * @returns {Boolean} - Whether the date is a weekend (Saturday or Sunday)
- */
-const isWeekend = (date) => {
-  const day = date.getDay();
-  // 0 is Sunday, 6 is Saturday
-  return day === 0 || day === 6;
+  return undefined;
 };
 
 // @desc    Get all routes
@@ -371,6 +379,28 @@ exports.getRouteSchedule = async (req, res) => {
     const today = new Date();
     const start = startDate ? new Date(startDate) : today;
     const end = endDate ? new Date(endDate) : new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide valid start and end dates'
+      });
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The start date must not be after the end date'
+      });
+    }
+
+    const maxDays = config.trips.generationHorizonDays;
+    if (end - start > maxDays * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        status: 'error',
+        message: `The schedule can cover at most ${maxDays} days`
+      });
+    }
     
     const route = await Route.findById(req.params.id);
     
@@ -381,31 +411,34 @@ exports.getRouteSchedule = async (req, res) => {
       });
     }
     
-    // Generate schedule based on operating days within the date range
+    // Trips are generated ahead by the scheduled job, so this only reads them
+    const trips = await Trip.find({
+      route: route._id,
+      date: { $gte: Trip.startOfDay(start), $lte: Trip.startOfDay(end) }
+    })
+      .populate('bus', 'busNumber type capacity')
+      .sort({ date: 1 });
+
     const schedule = [];
-    let currentDate = new Date(start);
-    
-    while (currentDate <= end) {
-      const dayOfWeek = currentDate.toLocaleString('en-us', { weekday: 'long' });
-      
-      // Check if route operates on this day
-      if (route.operatingDays.includes(dayOfWeek)) {
-        // Check availability for this date
-        const availability = await route.checkAvailability(new Date(currentDate));
-        
-        schedule.push({
-          date: new Date(currentDate),
-          dayOfWeek,
-          departureTime: route.departureTime,
-          arrivalTime: route.arrivalTime,
-          available: availability.available,
-          availableSeats: availability.availableSeats || 0,
-          totalCapacity: availability.totalCapacity || 0
-        });
-      }
-      
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
+    for (const trip of trips) {
+      const availability = await trip.checkAvailability();
+
+      schedule.push({
+        tripId: trip._id,
+        date: trip.date,
+        dayOfWeek: trip.date.toLocaleString('en-us', { weekday: 'long' }),
+        departureTime: trip.departureTime,
+        arrivalTime: trip.arrivalTime,
+        departureDateTime: trip.departureDateTime,
+        expectedDepartureDateTime: trip.expectedDepartureDateTime,
+        status: trip.status,
+        delayMinutes: trip.delayMinutes,
+        bus: trip.bus,
+        busSubstituted: !!trip.originalBus,
+        available: availability.available,
+        availableSeats: availability.availableSeats || 0,
+        totalCapacity: availability.totalCapacity || 0
+      });
     }
     
     res.status(200).json({
@@ -423,6 +456,52 @@ exports.getRouteSchedule = async (req, res) => {
   }
 };
 
+// @desc    Get live arrival estimates for each stop of a trip
+// @route   GET /api/routes/:id/trips/:date/eta
+// @access  Public
+exports.getTripEta = async (req, res) => {
+  try {
+    const date = new Date(req.params.date);
+
+    if (isNaN(date)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid trip date'
+      });
+    }
+
+    const trip = await Trip.findForRouteAndDate(req.params.id, date);
+
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No trip found for this route on the given date'
+      });
+    }
+
+    const eta = await req.app.get('etaService').getTripEta(trip);
+
+    if (!eta) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Route not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: eta
+    });
+  } catch (error) {
+    console.error('Error getting trip ETA:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while estimating arrival times',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Search routes by source and destination
 // @route   GET /api/routes/search
 // @access  Public
@@ -438,31 +517,55 @@ exports.searchRoutes = async (req, res) => {
       });
     }
     
-    // Build search query
+    // Build search query - intermediate stops match too, for stop-to-stop journeys
+    const sourcePattern = { $regex: source, $options: 'i' };
+    const destinationPattern = { $regex: destination, $options: 'i' };
     const query = {
-      source: { $regex: source, $options: 'i' },
-      destination: { $regex: destination, $options: 'i' },
+      $and: [
+        { $or: [{ source: sourcePattern }, { 'stopPoints.name': sourcePattern }] },
+        { $or: [{ destination: destinationPattern }, { 'stopPoints.name': destinationPattern }] }
+      ],
       isActive: true
     };
     
-    // Find matching routes
-    const routes = await Route.find(query)
+    // Find matching routes where the boarding stop comes before the alighting stop
+    const matchedRoutes = await Route.find(query)
       .populate('bus', 'busNumber type capacity status amenities');
+    const segments = new Map();
+    const routes = matchedRoutes.filter(route => {
+      const segment = findSearchSegment(route, source, destination);
+      if (segment === undefined) return false;
+      segments.set(route._id.toString(), segment);
+      return true;
+    });
     
     // If a specific date is provided, check availability for each route
-    let availableRoutes = routes;
+    let availableRoutes = routes.map(route => ({
+      ...route.toObject(),
+      segment: segments.get(route._id.toString())
+    }));
     
     if (date) {
       const searchDate = new Date(date);
       const dayOfWeek = searchDate.toLocaleString('en-us', { weekday: 'long' });
       
       // Filter routes that operate on the specified day
-      availableRoutes = routes.filter(route => route.operatingDays.includes(dayOfWeek));
+      const operatingRoutes = routes.filter(route => route.operatingDays.includes(dayOfWeek));
+      
+      // Check availability for each route, priced as a booking would be
+      const calendar = await Holiday.getPricingCalendar(searchDate);
+      const pricingEngine = new PricingEngine();
+      const rules = await pricingEngine.loadRules();
       
-      // Check availability for each route
       const routesWithAvailability = await Promise.all(
-        availableRoutes.map(async route => {
-          const availability = await route.checkAvailability(searchDate);
+        operatingRoutes.map(async route => {
+          const segment = segments.get(route._id.toString());
+          // The day's trip counts seats per segment and sets the departure time
+          const trip = await Trip.findForRouteAndDate(route._id, searchDate);
+          const pricing = await pricingEngine.priceTrip({ route, trip, segment, departureDate: searchDate, rules });
+          const availability = trip
+            ? await trip.checkAvailability(segment)
+            : await route.checkAvailability(searchDate);
           
           // Make sure there are enough seats for the requested number of passengers
           const isAvailableForPassengers = 
@@ -471,15 +574,14 @@ exports.searchRoutes = async (req, res) => {
             
           return {
             ...route.toObject(),
+            segment,
             availability: {
               ...availability,
               availableForPassengers: isAvailableForPassengers
             },
-            fare: route.calculateFare({
-              isPeakTime: isPeakTime(searchDate),
-              isWeekend: isWeekend(searchDate),
-              isHoliday: false // Would need a holiday service to determine this
-            })
+            fare: pricing.fare,
+            pricing,
+            holidays: calendar.holidays
           };
         })
       );
@@ -505,6 +607,63 @@ exports.searchRoutes = async (req, res) => {
   }
 };
 
+// @desc    Plan journeys between two places, with up to two transfers
+// @route   GET /api/routes/journeys
+// @access  Public
+exports.planJourneys = async (req, res) => {
+  try {
+    const { source, destination, date, passengers = 1, maxTransfers, minConnectionMinutes, sortBy, limit } = req.query;
+
+    if (!source || !destination || !date) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide source, destination and date parameters'
+      });
+    }
+
+    const travelDate = new Date(date);
+    if (isNaN(travelDate)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid travel date'
+      });
+    }
+
+    if (sortBy && !['duration', 'price', 'transfers'].includes(sortBy)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'sortBy must be one of: duration, price, transfers'
+      });
+    }
+
+    const passengerCount = Math.max(parseInt(passengers, 10) || 1, 1);
+    const planner = new JourneyPlanner();
+    const itineraries = await planner.plan({
+      source,
+      destination,
+      date: travelDate,
+      passengers: passengerCount,
+      maxTransfers,
+      minConnectionMinutes,
+      sortBy,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      count: itineraries.length,
+      data: itineraries
+    });
+  } catch (error) {
+    console.error('Error planning journeys:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while planning journeys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get popular routes by booking count
 // @route   GET /api/routes/popular
 // @access  Public
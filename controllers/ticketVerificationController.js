@@ -1,6 +1,9 @@
 const Booking = require('../models/Booking');
 const Hiring = require('../models/Hiring');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
 const { verifyTicket } = require('../utils/ticketGenerator');
+const { signDocument, getManifestPublicKeys, PUBLIC_TOKEN_VERSION } = require('../utils/ticketSigning');
 const { validationResult } = require('express-validator');
 
 /**
@@ -19,7 +22,7 @@ exports.verifyTicketQR = async (req, res) => {
       });
     }
 
-    // Basic QR code format validation
+    // Reject forged, tampered or unsigned QR codes before touching the database
     const qrVerification = await verifyTicket(qrData);
     if (!qrVerification.valid) {
       return res.status(400).json({
@@ -27,7 +30,7 @@ exports.verifyTicketQR = async (req, res) => {
         message: qrVerification.message,
         data: { 
           valid: false,
-          reason: 'invalid_qr_format'
+          reason: qrVerification.reason
         }
       });
     }
@@ -416,6 +419,379 @@ exports.manualTicketValidation = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Download a signed boarding manifest for a bus departure
+ * @route   GET /api/tickets/manifest
+ * @access  Private (Admin/Conductor)
+ */
+exports.getOfflineManifest = async (req, res) => {
+  try {
+    const { busId, departureDate, tripId } = req.query;
+
+    let trip = null;
+    if (tripId) {
+      trip = await Trip.findById(tripId);
+      if (!trip) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Trip not found'
+        });
+      }
+    }
+
+    const bus = await Bus.findById(trip ? trip.bus : busId);
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    if (!trip && !departureDate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Trip ID, or bus ID and departure date, are required'
+      });
+    }
+
+    const dayStart = Trip.startOfDay(trip ? trip.date : departureDate);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    // A bus can run several trips a day, so one is only picked for the
+    // caller when it is the bus's only trip that day
+    if (!trip) {
+      const trips = await Trip.find({ bus: bus._id, date: dayStart }).select('_id departureTime');
+      if (trips.length > 1) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'This bus runs more than one trip that day; choose a trip',
+          data: {
+            trips: trips.map(dayTrip => ({ id: dayTrip._id, departureTime: dayTrip.departureTime }))
+          }
+        });
+      }
+      trip = trips[0] || null;
+    }
+
+    // Bookings made before trips existed are matched on the bus and day
+    const departureConditions = [
+      { bus: bus._id, trip: null, departureDate: { $gte: dayStart, $lte: dayEnd } },
+      { bus: bus._id, returnTrip: null, returnDate: { $gte: dayStart, $lte: dayEnd } }
+    ];
+    if (trip) {
+      departureConditions.push({ trip: trip._id }, { returnTrip: trip._id });
+    }
+
+    const bookings = await Booking.find({
+      status: 'Confirmed',
+      paymentStatus: 'Paid',
+      $or: departureConditions
+    }).populate('route', 'source destination');
+
+    const entries = bookings.map(booking => {
+      const isReturnLeg = trip
+        ? Boolean(booking.returnTrip && booking.returnTrip.equals(trip._id))
+        : Boolean(booking.returnDate && booking.returnDate >= dayStart && booking.returnDate <= dayEnd);
+      const boardedToday = (booking.verifications || []).some(verification =>
+        verification.result === 'valid' &&
+        verification.verifiedAt >= dayStart &&
+        verification.verifiedAt <= dayEnd
+      );
+
+      return {
+        bookingId: booking._id.toString(),
+        bookingNumber: booking.bookingNumber,
+        leg: isReturnLeg ? 'return' : 'outbound',
+        seats: isReturnLeg
+          ? booking.selectedSeats?.return || []
+          : booking.passengers.map(passenger => passenger.seatNumber),
+        passengers: booking.passengers.map(passenger => ({
+          name: passenger.name,
+          seatNumber: passenger.seatNumber
+        })),
+        boarded: boardedToday,
+        // Tickets issued before this were replaced when the booking was changed
+        ticketsValidFrom: booking.ticketsValidFrom ? booking.ticketsValidFrom.toISOString() : null
+      };
+    });
+
+    const generatedAt = new Date();
+    const validUntil = new Date(dayEnd.getTime() + 24 * 60 * 60 * 1000);
+
+    // Ticket QRs are signed with the same keyring as the manifest: the app
+    // checks a scan's signature with the key its kid names, then that its
+    // booking is listed here and that it wasn't issued before the entry's
+    // ticketsValidFrom
+    const manifest = {
+      version: 2,
+      ticketFormat: {
+        tokenVersion: PUBLIC_TOKEN_VERSION,
+        algorithm: 'Ed25519',
+        // Tokens are <tokenVersion>.<kid>.<base64url payload>.<signature>,
+        // with these pipe-separated fields in the payload
+        fields: ['type', 'recordId', 'ticketId', 'issuedAtSeconds36']
+      },
+      bus: { id: bus._id.toString(), busNumber: bus.busNumber },
+      tripId: trip ? trip._id.toString() : null,
+      departureDate: dayStart.toISOString(),
+      generatedAt: generatedAt.toISOString(),
+      validUntil: validUntil.toISOString(),
+      entries
+    };
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        manifest,
+        ...signDocument(manifest),
+        // Every key in the keyring, so tickets signed before a rotation still check
+        keys: getManifestPublicKeys()
+      }
+    });
+  } catch (error) {
+    console.error('Error generating offline manifest:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while generating offline manifest',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the public keys for checking tickets and manifests offline
+ * @route   GET /api/tickets/manifest-key
+ * @access  Private (Admin/Conductor)
+ */
+exports.getManifestKey = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        algorithm: 'Ed25519',
+        keys: getManifestPublicKeys()
+      }
+    });
+  } catch (error) {
+    console.error('Error getting manifest key:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching manifest keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Upload ticket scans made while offline
+ * @route   POST /api/tickets/sync
+ * @access  Private (Admin/Conductor)
+ */
+exports.syncOfflineScans = async (req, res) => {
+  try {
+    const { busId, scans } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one scan is required'
+      });
+    }
+
+    if (scans.length > 500) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A maximum of 500 scans can be synced at once'
+      });
+    }
+
+    const summary = {
+      accepted: [],
+      duplicates: [],
+      conflicts: [],
+      rejected: []
+    };
+    const bookings = new Map();
+    const syncedAt = new Date();
+
+    // Scans are applied oldest first so the earliest boarding wins
+    const orderedScans = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+
+    for (const scan of orderedScans) {
+      const { scanId, qrData, scannedAt, location } = scan;
+      const scannedTime = new Date(scannedAt);
+
+      if (!scanId || !qrData || isNaN(scannedTime.getTime())) {
+        summary.rejected.push({ scanId, reason: 'invalid_scan' });
+        continue;
+      }
+
+      const qrVerification = await verifyTicket(qrData);
+      if (!qrVerification.valid) {
+        summary.rejected.push({ scanId, reason: qrVerification.reason });
+        continue;
+      }
+
+      const ticketData = qrVerification.data;
+      if (ticketData.type !== 'booking') {
+        summary.rejected.push({ scanId, reason: 'unsupported_ticket_type' });
+        continue;
+      }
+
+      let booking = bookings.get(ticketData.id) || await Booking.findById(ticketData.id);
+      if (!booking) {
+        summary.rejected.push({ scanId, reason: 'record_not_found' });
+        continue;
+      }
+
+      const dayStart = Trip.startOfDay(scannedTime);
+      const dayEnd = new Date(dayStart);
+      dayEnd.setHours(23, 59, 59, 999);
+
+      // Each scan is recorded with a conditional update. When another sync
+      // changed the booking first, the scan is checked again against it
+      let check = null;
+      let recorded = false;
+      for (let attempt = 0; attempt < 3 && booking && !recorded; attempt++) {
+        check = checkOfflineScan(booking, ticketData, { scanId, busId, dayStart, dayEnd });
+        if (check.result === 'duplicate') {
+          break;
+        }
+
+        const updated = await recordOfflineScan(booking._id, {
+          verifiedAt: scannedTime,
+          verifiedBy: req.user.id,
+          verificationLocation: location,
+          busUsed: busId,
+          result: check.result,
+          notes: check.notes,
+          scanId,
+          ticketId: ticketData.ticketId,
+          scannedOffline: true,
+          syncedAt
+        }, dayStart, dayEnd);
+
+        recorded = Boolean(updated);
+        booking = updated || await Booking.findById(booking._id);
+      }
+
+      if (!booking) {
+        summary.rejected.push({ scanId, reason: 'record_not_found' });
+        continue;
+      }
+      bookings.set(ticketData.id, booking);
+
+      const outcome = { scanId, bookingNumber: booking.bookingNumber };
+      if (check.result === 'duplicate') {
+        // The same scan may be uploaded more than once after a flaky sync
+        summary.duplicates.push(outcome);
+      } else if (!recorded) {
+        summary.rejected.push({ ...outcome, reason: 'concurrent_update' });
+      } else if (check.result === 'conflict') {
+        const { previousBoarding } = check;
+        summary.conflicts.push({
+          ...outcome,
+          result: check.result,
+          previousVerification: {
+            verifiedAt: previousBoarding.verifiedAt,
+            verifiedBy: previousBoarding.verifiedBy,
+            busUsed: previousBoarding.busUsed
+          }
+        });
+      } else if (check.result === 'valid') {
+        summary.accepted.push({ ...outcome, result: check.result });
+      } else {
+        summary.rejected.push({ ...outcome, result: check.result, reason: check.reason });
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Synced ${scans.length} scans with ${summary.conflicts.length} conflicts`,
+      data: {
+        received: scans.length,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Error syncing offline scans:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while syncing offline scans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Work out what an offline scan of a booking records
+ * @param {Object} booking - Booking as it stands now
+ * @param {Object} ticketData - Verified ticket payload
+ * @param {Object} scan - { scanId, busId, dayStart, dayEnd }
+ * @returns {Object} - { result, notes, reason, previousBoarding }, or
+ * { result: 'duplicate' } when the scan is already recorded
+ */
+function checkOfflineScan(booking, ticketData, { scanId, busId, dayStart, dayEnd }) {
+  if (booking.verifications.some(verification => verification.scanId === scanId)) {
+    return { result: 'duplicate' };
+  }
+
+  const previousBoarding = booking.verifications.find(verification =>
+    verification.result === 'valid' &&
+    verification.verifiedAt >= dayStart &&
+    verification.verifiedAt <= dayEnd
+  );
+  if (previousBoarding) {
+    return {
+      result: 'conflict',
+      notes: `Ticket already boarded at ${previousBoarding.verifiedAt.toISOString()}`,
+      previousBoarding
+    };
+  }
+
+  let statusCheck = validateTicketStatus(booking, 'booking', ticketData);
+  if (statusCheck.valid && busId && !booking.bus.equals(busId)) {
+    statusCheck = {
+      valid: false,
+      message: 'Ticket is for a different bus',
+      reason: 'wrong_bus'
+    };
+  }
+
+  if (!statusCheck.valid) {
+    return {
+      result: statusCheck.reason === 'expired' ? 'expired' : 'invalid',
+      notes: statusCheck.message,
+      reason: statusCheck.reason
+    };
+  }
+
+  return { result: 'valid', notes: 'Scanned offline' };
+}
+
+/**
+ * Add a synced scan to a booking in one conditional update. No scan is added
+ * twice, and a boarding is only added while the booking has none that day,
+ * so two conductors syncing at once can't both board the same ticket.
+ * @returns {Promise<Object|null>} - The updated booking, or null when refused
+ */
+function recordOfflineScan(bookingId, verification, dayStart, dayEnd) {
+  const filter = {
+    _id: bookingId,
+    'verifications.scanId': { $ne: verification.scanId }
+  };
+  if (verification.result === 'valid') {
+    filter.verifications = {
+      $not: {
+        $elemMatch: { result: 'valid', verifiedAt: { $gte: dayStart, $lte: dayEnd } }
+      }
+    };
+  }
+
+  return Booking.findOneAndUpdate(filter, { $push: { verifications: verification } }, { new: true });
+}
+
 /**
  * Helper function to validate ticket status
  */
@@ -432,6 +808,15 @@ function validateTicketStatus(record, recordType, ticketData) {
     };
   }
 
+  // Changing a booking's departure reissues its ticket and voids the earlier ones
+  if (record.ticketsValidFrom && ticketData.issuedAt && ticketData.issuedAt < record.ticketsValidFrom) {
+    return {
+      valid: false,
+      message: 'Ticket was replaced when the booking was changed',
+      reason: 'superseded'
+    };
+  }
+
   // Check payment status
   if (record.paymentStatus !== 'Paid') {
     return {
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const { protect } = require('../middleware/auth');
+const { canFollowBus } = require('../middleware/socketAuth');
+const config = require('../config/config');
+
+// Roles that may report positions for any bus
+const REPORTER_ROLES = ['admin', 'conductor', 'driver'];
+
+// Longest window the track endpoint returns in one request
+const MAX_TRACK_HOURS = 24;
+
+/**
+ * Helper function to get the tracking service the server created
+ */
+const getTrackingService = (req) => req.app.get('trackingService');
+
+/**
+ * Middleware allowing either the bus's GPS device (X-Device-Key header)
+ * or a signed-in driver, conductor or admin to report positions
+ */
+exports.authenticateReporter = async (req, res, next) => {
+  const deviceKey = req.headers['x-device-key'];
+
+  if (!deviceKey) {
+    return protect(req, res, () => {
+      if (!REPORTER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          status: 'error',
+          message: `User role '${req.user.role}' is not authorized to report bus locations`
+        });
+      }
+      next();
+    });
+  }
+
+  try {
+    const bus = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bus.findById(req.params.id).select('+trackingKeyHash')
+      : null;
+
+    if (!bus || !bus.verifyTrackingKey(deviceKey)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid tracking device key'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Tracking device authentication error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'An error occurred during authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Middleware allowing passengers on the bus and staff to see its position
+ */
+exports.authorizeFollower = async (req, res, next) => {
+  try {
+    if (!(await canFollowBus(req.user, req.params.id))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to follow this bus'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Bus follow check error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while checking access to this bus',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Report GPS fixes for a bus (single fix or a buffered batch)
+// @route   POST /api/buses/:id/location
+// @access  Private (bus tracking device, driver, conductor or admin)
+exports.reportLocation = async (req, res) => {
+  try {
+    const fixes = Array.isArray(req.body.fixes) ? req.body.fixes : [req.body];
+
+    if (fixes.length === 0 || fixes.length > config.tracking.maxBatchSize) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Send between 1 and ${config.tracking.maxBatchSize} fixes`
+      });
+    }
+
+    const bus = await Bus.exists({ _id: req.params.id });
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    const result = await getTrackingService(req).recordFixes(req.params.id, fixes, {
+      source: 'http',
+      reportedBy: req.user ? req.user._id : undefined
+    });
+
+    if (result.accepted === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No valid location fixes were provided',
+        data: result
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Recorded ${result.accepted} location fix${result.accepted === 1 ? '' : 'es'}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error reporting bus location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while recording bus location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the latest position of a bus
+// @route   GET /api/buses/:id/location
+// @access  Private (passengers on the bus or staff)
+exports.getLocation = async (req, res) => {
+  try {
+    const bus = await Bus.findById(req.params.id).select('busNumber status +lastLocation');
+
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    if (!bus.lastLocation || !bus.lastLocation.recordedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No location has been reported for this bus yet'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        busId: bus._id,
+        busNumber: bus.busNumber,
+        ...bus.lastLocation.toObject(),
+        ageSeconds: Math.round((Date.now() - bus.lastLocation.recordedAt) / 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting bus location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching bus location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the recorded track of a bus (defaults to the last two hours)
+// @route   GET /api/buses/:id/track
+// @access  Private (passengers on the bus or staff)
+exports.getTrack = async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 2 * 60 * 60 * 1000);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 5000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid from/to time range'
+      });
+    }
+
+    if (to - from > MAX_TRACK_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Track requests are limited to ${MAX_TRACK_HOURS} hours`
+      });
+    }
+
+    const bus = await Bus.exists({ _id: req.params.id });
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    const points = await getTrackingService(req).getTrack(req.params.id, { from, to, limit });
+
+    res.status(200).json({
+      status: 'success',
+      count: points.length,
+      data: {
+        busId: req.params.id,
+        from,
+        to,
+        points
+      }
+    });
+  } catch (error) {
+    console.error('Error getting bus track:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching bus track',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Issue a new key for the bus's GPS device (replaces the old one)
+// @route   POST /api/buses/:id/tracking-key
+// @access  Private/Admin
+exports.rotateTrackingKey = async (req, res) => {
+  try {
+    const bus = await Bus.findById(req.params.id);
+
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    const key = bus.createTrackingKey();
+    await bus.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Tracking key issued. It will not be shown again',
+      data: {
+        busId: bus._id,
+        trackingKey: key
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing tracking key:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while issuing tracking key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,466 @@
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const Booking = require('../models/Booking');
+const Route = require('../models/Route');
+const SeatHold = require('../models/SeatHold');
+const NotificationService = require('../services/notificationService');
+const PricingEngine = require('../services/pricingEngine');
+const config = require('../config/config');
+const { cellType } = require('../utils/seatLayout');
+
+/**
+ * Helper function to broadcast a trip change to everyone watching the bus
+ * @param {Object} io - Socket.io server
+ * @param {Object} trip - Trip document
+ * @param {Array} changes - Names of the fields that changed
+ */
+const emitTripUpdate = (io, trip, changes) => {
+  if (!io) return;
+
+  const payload = {
+    tripId: trip._id,
+    routeId: trip.route,
+    busId: trip.bus,
+    date: trip.date,
+    status: trip.status,
+    delayMinutes: trip.delayMinutes,
+    expectedDepartureDateTime: trip.expectedDepartureDateTime,
+    changes,
+    timestamp: new Date()
+  };
+
+  io.to(`bus:${trip.bus}`).emit('trip:updated', payload);
+  if (trip.originalBus && !trip.originalBus.equals(trip.bus)) {
+    io.to(`bus:${trip.originalBus}`).emit('trip:updated', payload);
+  }
+};
+
+// @desc    Get scheduled trips
+// @route   GET /api/trips
+// @access  Public
+exports.getTrips = async (req, res) => {
+  try {
+    const {
+      route,
+      bus,
+      status,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = {};
+    if (route) query.route = route;
+    if (bus) query.bus = bus;
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = Trip.startOfDay(startDate);
+      if (endDate) query.date.$lte = Trip.startOfDay(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const trips = await Trip.find(query)
+      .populate('route', 'name routeCode source destination')
+      .populate('bus', 'busNumber type capacity status')
+      .sort({ departureDateTime: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Trip.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      count: trips.length,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      },
+      data: trips
+    });
+  } catch (error) {
+    console.error('Error getting trips:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching trips',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single trip with seat availability
+// @route   GET /api/trips/:id
+// @access  Public
+exports.getTrip = async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id)
+      .populate('route', 'name routeCode source destination stops baseFare')
+      .populate('bus', 'busNumber type capacity status amenities')
+      .populate('originalBus', 'busNumber type capacity');
+
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Trip not found'
+      });
+    }
+
+    const availability = await trip.checkAvailability();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...trip.toObject(),
+        availability
+      }
+    });
+  } catch (error) {
+    console.error('Error getting trip:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching trip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the seat map for a trip with live occupancy and holds
+// @route   GET /api/trips/:id/seat-map
+// @access  Public
+exports.getSeatMap = async (req, res) => {
+  try {
+    const { fromStop, toStop } = req.query;
+
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Trip not found'
+      });
+    }
+
+    const bus = await Bus.findById(trip.bus);
+    if (!bus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bus not found'
+      });
+    }
+
+    const route = await Route.findById(trip.route);
+
+    // Occupancy for a journey between two stops on the route
+    let segment = null;
+    if (fromStop || toStop) {
+      const resolved = route ? route.resolveSegment(fromStop, toStop) : { error: 'Route not found' };
+      if (resolved.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: resolved.error
+        });
+      }
+      segment = resolved.segment;
+    }
+
+    const { seats: bookedSeats } = await trip.getBookedSeats(segment);
+    const heldSeats = await SeatHold.getHeldSeats({
+      bus: bus._id,
+      departureDate: trip.departureDateTime,
+      segment
+    });
+
+    const seatStatus = (seat) => {
+      if (seat.attributes.includes('blocked')) return 'blocked';
+      if (bookedSeats.has(seat.label)) return 'booked';
+      if (heldSeats.has(seat.label)) return 'held';
+      return 'available';
+    };
+
+    // Surcharges for premium seats follow the fare for the journey before holiday pricing
+    const journeyFare = route ? (segment ? route.getSegmentFare(segment) : route.baseFare) : 0;
+    const pricing = route ? await new PricingEngine().priceTrip({ route, trip, segment }) : null;
+    const seats = bus.getSeats().map(seat => ({
+      ...seat,
+      surcharge: route ? route.getSeatSurcharge(seat.seatClass, journeyFare) : 0,
+      status: seatStatus(seat)
+    }));
+    const seatsByLabel = new Map(seats.map(seat => [seat.label, seat]));
+
+    // Grid for drawing the bus; null when the bus has no layout yet
+    const layout = bus.seatingArrangement.layout || [];
+    const grid = seats.some(seat => seat.row !== null)
+      ? layout.map(row => row.map(cell => {
+        const type = cellType(cell);
+        if (type !== 'seat') return { type };
+        const { label, attributes, seatClass, surcharge, status } = seatsByLabel.get(cell.trim());
+        return { type, label, attributes, seatClass, surcharge, status };
+      }))
+      : null;
+
+    const summary = { available: 0, booked: 0, held: 0, blocked: 0 };
+    seats.forEach(seat => {
+      summary[seat.status]++;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tripId: trip._id,
+        tripStatus: trip.status,
+        departureDateTime: trip.departureDateTime,
+        busId: bus._id,
+        busNumber: bus.busNumber,
+        segment: segment || undefined,
+        capacity: bus.capacity,
+        fare: pricing ? pricing.fare : 0,
+        holidays: pricing ? pricing.calendar.holidays : [],
+        rows: grid ? grid.length : null,
+        columns: grid ? grid[0].length : null,
+        summary,
+        grid,
+        seats
+      }
+    });
+  } catch (error) {
+    console.error('Error getting seat map:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching seat map',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Generate trips from route operating days
+// @route   POST /api/trips/generate
+// @access  Private/Admin
+exports.generateTrips = async (req, res) => {
+  try {
+    const {
+      startDate = new Date(),
+      days = config.trips.generationHorizonDays,
+      routeIds
+    } = req.body;
+
+    const parsedDays = parseInt(days);
+    if (isNaN(new Date(startDate).getTime()) || !parsedDays || parsedDays < 1 || parsedDays > 366) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid start date and a number of days between 1 and 366'
+      });
+    }
+
+    const summary = await Trip.generateTrips({
+      startDate,
+      days: parsedDays,
+      routeIds
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Generated ${summary.created} new trips`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error generating trips:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while generating trips',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Override a single trip (cancel, delay, substitute bus, assign driver)
+// @route   PUT /api/trips/:id
+// @access  Private/Admin
+exports.updateTrip = async (req, res) => {
+  try {
+    const { status, delayMinutes, bus, driver, departureTime, notes, reason } = req.body;
+    const meta = { reason, updatedBy: req.user.id };
+
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Trip not found'
+      });
+    }
+
+    if (['Cancelled', 'Completed'].includes(trip.status) && status === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot modify a trip with status: ${trip.status}`
+      });
+    }
+
+    const changes = [];
+
+    // Bus substitution
+    if (bus && !trip.bus.equals(bus)) {
+      const newBus = await Bus.findById(bus);
+      if (!newBus) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Bus not found'
+        });
+      }
+
+      if (newBus.status !== 'Active') {
+        return res.status(400).json({
+          status: 'error',
+          message: `Cannot assign a bus with status: ${newBus.status}`
+        });
+      }
+
+      const { seats } = await trip.getBookedSeats();
+      if (newBus.capacity < seats.size) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Bus capacity (${newBus.capacity}) is less than the ${seats.size} seats already booked on this trip`
+        });
+      }
+
+      // Passengers keep their seat numbers, so the new bus must have those seats
+      const { unknown: missingSeats } = newBus.findUnbookableSeats(Array.from(seats));
+      if (missingSeats.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The new bus has no seats matching some booked seats on this trip',
+          missingSeats
+        });
+      }
+
+      if (!trip.originalBus) {
+        trip.originalBus = trip.bus;
+      }
+      trip.applyOverride('bus', newBus._id, meta);
+      changes.push('bus');
+    }
+
+    if (departureTime && departureTime !== trip.departureTime) {
+      if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(departureTime)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Departure time must be in HH:MM format (24-hour)'
+        });
+      }
+
+      const duration = trip.arrivalDateTime
+        ? trip.arrivalDateTime.getTime() - trip.departureDateTime.getTime()
+        : 0;
+      const [hours, minutes] = departureTime.split(':').map(Number);
+      const departureDateTime = new Date(trip.date);
+      departureDateTime.setHours(hours, minutes, 0, 0);
+
+      trip.applyOverride('departureTime', departureTime, meta);
+      trip.departureDateTime = departureDateTime;
+      if (duration) {
+        trip.arrivalDateTime = new Date(departureDateTime.getTime() + duration);
+      }
+      changes.push('departureTime');
+    }
+
+    if (delayMinutes !== undefined && Number(delayMinutes) !== trip.delayMinutes) {
+      const delay = parseInt(delayMinutes);
+      if (isNaN(delay) || delay < 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Delay must be a non-negative number of minutes'
+        });
+      }
+
+      trip.applyOverride('delayMinutes', delay, meta);
+      if (status === undefined && ['Scheduled', 'Delayed'].includes(trip.status)) {
+        trip.status = delay > 0 ? 'Delayed' : 'Scheduled';
+      }
+      changes.push('delayMinutes');
+    }
+
+    if (status && status !== trip.status) {
+      if (status === 'Cancelled' && !reason) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please provide a reason for cancelling the trip'
+        });
+      }
+
+      trip.applyOverride('status', status, meta);
+      if (status === 'Cancelled') {
+        trip.cancellationReason = reason;
+      }
+      changes.push('status');
+    }
+
+    if (driver) {
+      trip.applyOverride('driver', { ...trip.driver?.toObject?.(), ...driver }, meta);
+      changes.push('driver');
+    }
+
+    if (notes !== undefined) {
+      trip.notes = notes;
+    }
+
+    await trip.save();
+
+    // Keep bookings on the trip pointing at the bus and time that will actually run
+    const activeBookings = { $in: ['Pending', 'Confirmed'] };
+    const bookingUpdate = {};
+    if (changes.includes('bus')) {
+      bookingUpdate.bus = trip.bus;
+    }
+    if (changes.includes('departureTime')) {
+      bookingUpdate.departureDate = trip.departureDateTime;
+    }
+    if (Object.keys(bookingUpdate).length > 0) {
+      await Booking.updateMany({ trip: trip._id, status: activeBookings }, bookingUpdate);
+    }
+    if (changes.includes('departureTime')) {
+      await Booking.updateMany(
+        { returnTrip: trip._id, status: activeBookings },
+        { returnDate: trip.departureDateTime }
+      );
+      // Unpaid bookings still expire, at the latest when the trip now leaves
+      await Booking.updateMany(
+        { trip: trip._id, status: 'Pending', paymentDueAt: { $gt: trip.departureDateTime } },
+        { paymentDueAt: trip.departureDateTime }
+      );
+    }
+
+    if (changes.length > 0) {
+      emitTripUpdate(req.io, trip, changes);
+
+      try {
+        const notificationService = new NotificationService(req.io);
+        if (changes.includes('status') && trip.status === 'Cancelled') {
+          await notificationService.sendTripNotification(trip, 'bus_cancelled', { reason });
+        } else if (changes.includes('delayMinutes') && trip.delayMinutes > 0) {
+          await notificationService.sendTripNotification(trip, 'bus_delayed', { reason });
+        } else if (changes.includes('bus') || changes.includes('departureTime')) {
+          await notificationService.sendTripNotification(trip, 'route_updated', { reason, changes });
+        }
+      } catch (notificationError) {
+        console.error('Error sending trip notifications:', notificationError);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Trip updated successfully',
+      data: trip
+    });
+  } catch (error) {
+    console.error('Error updating trip:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating trip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const mongoose = require('mongoose');
+const { disconnectUser } = require('../middleware/socketAuth');
 
 /**
  * @desc    Get all users with pagination and filtering
@@ -226,11 +227,19 @@ exports.updateUser = async (req, res) => {
     if (name) user.name = name;
     if (email) user.email = email;
     if (phone) user.phone = phone;
+    const roleChanged = role && role !== user.role;
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
     
     // Save updated user
     await user.save();
+
+    // Drop live connections so they reconnect with the new access rights
+    if (roleChanged || !user.isActive) {
+      disconnectUser(req.io, user._id, user.isActive
+        ? 'Your account permissions have changed. Please reconnect.'
+        : 'Your account has been deactivated. Please contact support.');
+    }
     
     res.status(200).json({
       status: 'success',
@@ -284,6 +293,7 @@ exports.deleteUser = async (req, res) => {
       });
     }
     await user.deleteOne();
+    disconnectUser(req.io, user._id);
     res.status(200).json({
       status: "success",
       message: "User deleted successfully",
@@ -419,6 +429,7 @@ exports.deactivateUser = async (req, res) => {
     
     user.isActive = false;
     await user.save();
+    disconnectUser(req.io, user._id, 'Your account has been deactivated. Please contact support.');
     
     res.status(200).json({
       status: 'success',
@@ -469,6 +480,9 @@ exports.changePassword = async (req, res) => {
     user.passwordChangedAt = Date.now();
     await user.save();
     
+    // Tokens issued before the change no longer authenticate
+    disconnectUser(req.io, user._id, 'Your password was changed. Please log in again.');
+    
     res.status(200).json({
       status: 'success',
       message: 'Password updated successfully'
@@ -596,6 +610,7 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     
     await user.save();
+    disconnectUser(req.io, user._id, 'Your password was changed. Please log in again.');
     
     res.status(200).json({
       status: 'success',
@@ -833,6 +848,7 @@ exports.updateUserRole = async (req, res) => {
     // Update role
     user.role = role;
     await user.save();
+    disconnectUser(req.io, user._id, 'Your account permissions have changed. Please reconnect.');
     
     res.status(200).json({
       status: 'success',
@@ -0,0 +1,259 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const WaitlistService = require('../services/waitlistService');
+const { validationResult } = require('express-validator');
+
+/**
+ * Helper function to get the app's waitlist service
+ * Falls back to a request-scoped one when the app hasn't registered it
+ */
+const getWaitlistService = (req) => req.app.get('waitlistService') || new WaitlistService(req.io);
+
+/**
+ * Helper function to check the user may see or change a waitlist entry
+ */
+const canAccessEntry = (req, entry) =>
+  req.user.role === 'admin' || entry.user.toString() === req.user.id.toString();
+
+// @desc    Join the waitlist for a sold-out trip
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const { tripId, passengers, fromStop, toStop, deadline } = req.body;
+
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Trip not found'
+      });
+    }
+
+    // Wait for seats between two stops on the route
+    let segment = null;
+    if (fromStop || toStop) {
+      const route = await Route.findById(trip.route);
+      const resolved = route ? route.resolveSegment(fromStop, toStop) : { error: 'Route not found' };
+      if (resolved.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: resolved.error
+        });
+      }
+      const coversWholeRoute = resolved.segment.from === route.source && resolved.segment.to === route.destination;
+      segment = coversWholeRoute ? null : resolved.segment;
+    }
+
+    const result = await getWaitlistService(req).join({
+      user: req.user.id,
+      trip,
+      passengers: parseInt(passengers, 10),
+      segment,
+      deadline
+    });
+
+    if (!result.success) {
+      return res.status(result.reason === 'already_waiting' ? 409 : 400).json({
+        status: 'error',
+        message: result.message,
+        reason: result.reason,
+        availableSeats: result.availableSeats,
+        entryId: result.entry ? result.entry._id : undefined
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `You are number ${result.position} on the waitlist`,
+      data: {
+        ...result.entry.toObject(),
+        position: result.position
+      }
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while joining waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get waitlist entries (own entries; admins can filter by trip or user)
+// @route   GET /api/waitlist
+// @access  Private
+exports.getWaitlistEntries = async (req, res) => {
+  try {
+    const { trip, status, user } = req.query;
+    const isAdmin = req.user.role === 'admin';
+
+    const query = {};
+    if (isAdmin) {
+      if (user) query.user = user;
+    } else {
+      query.user = req.user.id;
+    }
+    if (trip) query.trip = trip;
+    if (status) query.status = status;
+
+    const entriesQuery = WaitlistEntry.find(query)
+      .populate('trip', 'departureDateTime status')
+      .populate('route', 'name routeCode source destination')
+      .sort({ createdAt: 1 });
+    if (isAdmin) {
+      entriesQuery.populate('user', 'name email phone');
+    }
+    const entries = await entriesQuery;
+
+    const waitlistService = getWaitlistService(req);
+    const data = [];
+    for (const entry of entries) {
+      data.push({
+        ...entry.toObject(),
+        position: await waitlistService.getPosition(entry)
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting waitlist entries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching waitlist entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a waitlist entry with its position
+// @route   GET /api/waitlist/:id
+// @access  Private (own entry or admin)
+exports.getWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id)
+      .populate('trip', 'departureDateTime status')
+      .populate('route', 'name routeCode source destination');
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!canAccessEntry(req, entry)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to view this waitlist entry'
+      });
+    }
+
+    const position = await getWaitlistService(req).getPosition(entry);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...entry.toObject(),
+        position
+      }
+    });
+  } catch (error) {
+    console.error('Error getting waitlist entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching waitlist entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Leave the waitlist, giving up any seats on offer
+// @route   DELETE /api/waitlist/:id
+// @access  Private (own entry or admin)
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!canAccessEntry(req, entry)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to change this waitlist entry'
+      });
+    }
+
+    if (!WaitlistEntry.ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `This waitlist entry is already ${entry.status.toLowerCase()}`
+      });
+    }
+
+    await getWaitlistService(req).leave(entry);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You have left the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while leaving waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Offer any free seats on a trip to its waitlist now
+// @route   POST /api/waitlist/trips/:tripId/process
+// @access  Private/Admin
+exports.processTripWaitlist = async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.tripId);
+    if (!trip) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Trip not found'
+      });
+    }
+
+    const offered = await getWaitlistService(req).processTrip(trip._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${offered.length} waitlist offer${offered.length === 1 ? '' : 's'} made`,
+      count: offered.length,
+      data: offered
+    });
+  } catch (error) {
+    console.error('Error processing trip waitlist:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while processing waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -16,6 +16,12 @@ const { cacheControl, serverCache } = require('./middleware/cache');
 const { detectVersion, deprecationCheck, versionedResponse } = require('./middleware/apiVersion');
 const { protect, authorize, refreshToken } = require('./middleware/auth');
 const { handleValidationErrors } = require('./middleware/validation');
+const { socketAuth, authenticateSocket, canJoinBooking, canJoinBus, canReportLocation } = require('./middleware/socketAuth');
+const JobScheduler = require('./services/jobScheduler');
+const registerScheduledJobs = require('./services/scheduledJobs');
+const TrackingService = require('./services/trackingService');
+const EtaService = require('./services/etaService');
+const WaitlistService = require('./services/waitlistService');
 
 // Initialize Express app
 const app = express();
@@ -65,7 +71,15 @@ app.use(versionedResponse()); // Format responses based on API version
 app.use(compression()); // Compress responses
 
 // 6. Body parsing middleware
-app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies with size limit
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+})); // Parse JSON request bodies with size limit
 app.use(express.urlencoded({ extended: true, limit: '1mb' })); // Parse URL-encoded request bodies
 app.use(cookieParser(config.cookieSecret)); // Parse cookies
 
@@ -110,6 +124,9 @@ app.use('/api/buses',
   require('./routes/buses')
 );
 
+// Live route data (no caching, it changes with every booking and position update)
+app.use('/api/routes', require('./routes/liveRoutes'));
+
 // Route routes
 app.use('/api/routes', 
   standardCacheControl,
@@ -124,12 +141,66 @@ app.use('/api/bookings',
   require('./routes/bookings')
 );
 
+// Waitlist routes (no caching, positions and offers change constantly)
+app.use('/api/waitlist', 
+  noCacheControl,
+  require('./routes/waitlist')
+);
+
+// Trip routes (no caching, trips change with delays and substitutions)
+app.use('/api/trips', 
+  noCacheControl,
+  require('./routes/trips')
+);
+
+// Ticket verification routes (no caching for verification results)
+app.use('/api/tickets', 
+  noCacheControl,
+  require('./routes/tickets')
+);
+
 // Payment routes (no caching for payment operations)
 app.use('/api/payments', 
   noCacheControl,
   require('./routes/payments')
 );
 
+// Cancellation policy routes (admin only, no caching)
+app.use('/api/cancellation-policies', 
+  noCacheControl,
+  require('./routes/cancellationPolicies')
+);
+
+// Promotion routes (no caching, usage limits change with every booking)
+app.use('/api/promotions', 
+  noCacheControl,
+  require('./routes/promotions')
+);
+
+// Holiday calendar routes (no caching, edits change fares straight away)
+app.use('/api/holidays', 
+  noCacheControl,
+  require('./routes/holidays')
+);
+
+// Pricing routes (no caching, fares move with demand)
+app.use('/api/pricing', 
+  noCacheControl,
+  require('./routes/pricing')
+);
+
+// Fare quote routes (no caching, quotes are priced per request)
+app.use('/api/fares', 
+  noCacheControl,
+  require('./routes/fares')
+);
+
+// Background job routes (admin only, no caching)
+app.use('/api/jobs', 
+  noCacheControl,
+  require('./routes/jobs')
+);
+
 // Hiring routes (no caching for hiring operations)
 app.use('/api/hiring', 
   //bookingLimiter,
@@ -206,25 +277,25 @@ app.use((req, res) => {
 
 // ===== SOCKET.IO SETUP =====
 
+// Authenticate connections with the same JWT the REST API uses
+io.use(socketAuth);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('New client connected', socket.id);
   
-  // Handle user authentication for notifications
-  socket.on('authenticate', (data) => {
+  // Handle authentication for clients that didn't send a token when connecting
+  socket.on('authenticate', async (data = {}) => {
     try {
-      // In a real app, you'd verify the JWT token here
-      const { userId, token } = data;
-      
-      // For now, we'll just join the user to their room
-      if (userId) {
-        socket.join(`user:${userId}`);
-        socket.userId = userId;
-        console.log(`User ${userId} authenticated and joined their room`);
-        
-        // Send confirmation
-        socket.emit('authenticated', { success: true, userId });
+      const result = await authenticateSocket(socket, data.token);
+
+      if (!result.success) {
+        socket.emit('authenticated', { success: false, error: result.error });
+        return;
       }
+
+      console.log(`User ${socket.userId} authenticated and joined their room`);
+      socket.emit('authenticated', { success: true, userId: socket.userId });
     } catch (error) {
       console.error('Authentication error:', error);
       socket.emit('authenticated', { success: false, error: 'Authentication failed' });
@@ -233,22 +304,75 @@ io.on('connection', (socket) => {
   
   // Handle user disconnection
   socket.on('disconnect', () => {
+    clearTimeout(socket.authExpiryTimer);
     if (socket.userId) {
       console.log(`User ${socket.userId} disconnected`);
     }
     console.log('Client disconnected', socket.id);
   });
   
-  // Handle booking status updates
-  socket.on('join:booking', (bookingId) => {
-    socket.join(`booking:${bookingId}`);
-    console.log(`Socket ${socket.id} joined booking room: ${bookingId}`);
+  // Handle booking status updates (booking owner or staff)
+  socket.on('join:booking', async (bookingId) => {
+    try {
+      if (!(await canJoinBooking(socket, bookingId))) {
+        socket.emit('join:denied', { room: 'booking', id: bookingId, message: 'Not authorized to follow this booking' });
+        return;
+      }
+      socket.join(`booking:${bookingId}`);
+      console.log(`Socket ${socket.id} joined booking room: ${bookingId}`);
+    } catch (error) {
+      console.error('Error joining booking room:', error);
+    }
+  });
+  
+  // Live seat maps are public, so customers see seats go before they hold any
+  socket.on('join:seats', (busId) => {
+    if (!mongoose.Types.ObjectId.isValid(busId)) {
+      socket.emit('join:denied', { room: 'seats', id: busId, message: 'Invalid bus ID' });
+      return;
+    }
+    socket.join(`seats:${busId}`);
+  });
+  
+  // Handle bus location tracking (passengers on the bus or staff)
+  socket.on('join:bus', async (busId) => {
+    try {
+      if (!(await canJoinBus(socket, busId))) {
+        socket.emit('join:denied', { room: 'bus', id: busId, message: 'Not authorized to follow this bus' });
+        return;
+      }
+      socket.join(`bus:${busId}`);
+      console.log(`Socket ${socket.id} joined bus room: ${busId}`);
+    } catch (error) {
+      console.error('Error joining bus room:', error);
+    }
   });
   
-  // Handle bus location tracking
-  socket.on('join:bus', (busId) => {
-    socket.join(`bus:${busId}`);
-    console.log(`Socket ${socket.id} joined bus room: ${busId}`);
+  // Handle GPS fixes from tracking devices and driver apps
+  socket.on('bus:location', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const busId = socket.trackingBusId || data.busId;
+      if (!canReportLocation(socket, busId) || !mongoose.Types.ObjectId.isValid(busId)) {
+        reply({ success: false, error: 'Not authorized to report this bus location' });
+        return;
+      }
+
+      const fixes = Array.isArray(data.fixes) ? data.fixes : [data];
+      if (fixes.length === 0 || fixes.length > config.tracking.maxBatchSize) {
+        reply({ success: false, error: `Send between 1 and ${config.tracking.maxBatchSize} fixes` });
+        return;
+      }
+
+      const result = await trackingService.recordFixes(busId, fixes, {
+        source: 'socket',
+        reportedBy: socket.user ? socket.user._id : undefined
+      });
+      reply({ success: result.accepted > 0, ...result });
+    } catch (error) {
+      console.error('Error recording bus location:', error);
+      reply({ success: false, error: 'Failed to record location' });
+    }
   });
   
   // Handle notification events
@@ -260,6 +384,29 @@ io.on('connection', (socket) => {
   });
 });
 
+// ===== BACKGROUND TASKS =====
+
+// Offer freed seats on sold-out trips to waiting customers
+const waitlistService = new WaitlistService(io);
+app.set('waitlistService', waitlistService);
+
+// Store and broadcast live bus positions, refreshing trip ETAs as buses move
+const etaService = new EtaService(io);
+const trackingService = new TrackingService(io, etaService);
+app.set('etaService', etaService);
+app.set('trackingService', trackingService);
+
+// Recurring jobs: reminders, scheduled notifications, cleanup, trip generation,
+// and the sweeps for seat holds, unpaid bookings, waitlist offers and refunds
+const jobScheduler = new JobScheduler(io);
+registerScheduledJobs(jobScheduler, io, { waitlistService });
+app.set('jobScheduler', jobScheduler);
+if (!isTest) {
+  mongoose.connection.once('open', () => {
+    jobScheduler.start().catch(error => console.error('Error starting job scheduler:', error));
+  });
+}
+
 // ===== SERVER STARTUP =====
 
 // Start server
@@ -278,6 +425,11 @@ process.on('SIGINT', gracefulShutdown);
  */
 async function gracefulShutdown() {
   console.log('Received shutdown signal, closing connections...');
+
+  // Stop background tasks
+  trackingService.stop();
+  etaService.stop();
+  await jobScheduler.stop();
   
   // Close HTTP server first (stop accepting new connections)
   server.close(() => {
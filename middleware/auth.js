@@ -2,6 +2,54 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
 
+/**
+ * Verify a JWT and load the active user it belongs to
+ * Shared by HTTP routes and Socket.io connections
+ * @param {String} token - JWT
+ * @returns {Promise<Object>} - { user, decoded } or { error } with a message for the client
+ */
+exports.verifyToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    // Handle token verification errors
+    if (error.name === 'JsonWebTokenError') {
+      return { error: 'Invalid token. Please log in again.' };
+    } else if (error.name === 'TokenExpiredError') {
+      return { error: 'Your token has expired. Please log in again.' };
+    }
+    throw error;
+  }
+
+  // Check if user still exists
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { error: 'The user belonging to this token no longer exists' };
+  }
+
+  // Check if user changed password after token was issued
+  if (user.passwordChangedAt && decoded.iat) {
+    const changedTimestamp = parseInt(
+      user.passwordChangedAt.getTime() / 1000,
+      10
+    );
+
+    // If password was changed after token was issued
+    if (changedTimestamp > decoded.iat) {
+      return { error: 'User recently changed password. Please log in again' };
+    }
+  }
+
+  // Check if user account is active
+  if (!user.isActive) {
+    return { error: 'Your account has been deactivated. Please contact support.' };
+  }
+
+  return { user, decoded };
+};
+
 /**
  * Middleware to protect routes that require authentication
  * Verifies the JWT token and attaches the user to the request object
@@ -34,63 +82,18 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, config.jwtSecret);
-
-      // Check if user still exists
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'The user belonging to this token no longer exists'
-        });
-      }
-
-      // Check if user changed password after token was issued
-      if (user.passwordChangedAt && decoded.iat) {
-        const changedTimestamp = parseInt(
-          user.passwordChangedAt.getTime() / 1000,
-          10
-        );
-
-        // If password was changed after token was issued
-        if (changedTimestamp > decoded.iat) {
-          return res.status(401).json({
-            status: 'error',
-            message: 'User recently changed password. Please log in again'
-          });
-        }
-      }
-
-      // Check if user account is active
-      if (!user.isActive) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Your account has been deactivated. Please contact support.'
-        });
-      }
+    const { user, error } = await exports.verifyToken(token);
 
-      // Add user to request object
-      req.user = user;
-      next();
-    } catch (error) {
-      // Handle token verification errors
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid token. Please log in again.'
-        });
-      } else if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Your token has expired. Please log in again.'
-        });
-      } else {
-        throw error; // Pass other errors to the general error handler
-      }
+    if (error) {
+      return res.status(401).json({
+        status: 'error',
+        message: error
+      });
     }
+
+    // Add user to request object
+    req.user = user;
+    next();
   } catch (error) {
     console.error('Authentication error:', error);
     return res.status(500).json({
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const { verifyToken } = require('./auth');
+const Booking = require('../models/Booking');
+const SeatHold = require('../models/SeatHold');
+const Bus = require('../models/Bus');
+
+// Roles that can follow any bus
+const STAFF_ROLES = ['admin', 'conductor', 'driver'];
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Helper function to find the JWT a socket connected with
+ * Accepts the Socket.io auth payload, a Bearer header or the token cookie
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token;
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  if (headers.cookie) {
+    const tokenCookie = headers.cookie
+      .split(';')
+      .map(cookie => cookie.trim())
+      .find(cookie => cookie.startsWith('token='));
+    if (tokenCookie) {
+      return decodeURIComponent(tokenCookie.slice('token='.length));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Authenticate a socket with a JWT and join it to its user room
+ * The socket is disconnected when the token expires
+ * @param {Object} socket - Socket.io socket
+ * @param {String} token - JWT
+ * @returns {Promise<Object>} - { success, user } or { success: false, error }
+ */
+exports.authenticateSocket = async (socket, token) => {
+  const { user, decoded, error } = await verifyToken(token);
+
+  if (error) {
+    return { success: false, error };
+  }
+
+  // Re-authenticating with another token replaces the previous identity
+  if (socket.userId && socket.userId !== user._id.toString()) {
+    socket.leave(`user:${socket.userId}`);
+  }
+  clearTimeout(socket.authExpiryTimer);
+
+  socket.user = user;
+  socket.userId = user._id.toString();
+  socket.join(`user:${socket.userId}`);
+
+  if (decoded.exp) {
+    const msUntilExpiry = decoded.exp * 1000 - Date.now();
+    socket.authExpiryTimer = setTimeout(() => {
+      socket.emit('auth:expired', { message: 'Your token has expired. Please log in again.' });
+      socket.disconnect(true);
+    }, Math.min(Math.max(msUntilExpiry, 0), MAX_TIMER_MS));
+    socket.authExpiryTimer.unref();
+  }
+
+  return { success: true, user };
+};
+
+/**
+ * Socket.io middleware authenticating connections that send a token
+ * Connections without a token are accepted but can't join private rooms
+ * until they send an 'authenticate' event. GPS devices connect with
+ * { busId, deviceKey } instead of a token.
+ */
+exports.socketAuth = async (socket, next) => {
+  const { busId, deviceKey } = socket.handshake.auth || {};
+  const token = getHandshakeToken(socket);
+
+  if (deviceKey) {
+    try {
+      const bus = mongoose.Types.ObjectId.isValid(busId)
+        ? await Bus.findById(busId).select('+trackingKeyHash')
+        : null;
+      if (!bus || !bus.verifyTrackingKey(deviceKey)) {
+        return next(new Error('Invalid tracking device key'));
+      }
+      socket.trackingBusId = bus._id.toString();
+      return next();
+    } catch (error) {
+      console.error('Socket device authentication error:', error);
+      return next(new Error('An error occurred during authentication'));
+    }
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const result = await exports.authenticateSocket(socket, token);
+    if (!result.success) {
+      return next(new Error(result.error));
+    }
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('An error occurred during authentication'));
+  }
+};
+
+/**
+ * Check whether a socket's user may follow a booking
+ * @param {Object} socket - Authenticated socket
+ * @param {String} bookingId - Booking ID
+ * @returns {Promise<Boolean>}
+ */
+exports.canJoinBooking = async (socket, bookingId) => {
+  if (!socket.user || !mongoose.Types.ObjectId.isValid(bookingId)) {
+    return false;
+  }
+
+  if (STAFF_ROLES.includes(socket.user.role)) {
+    return true;
+  }
+
+  return Boolean(await Booking.exists({ _id: bookingId, user: socket.user._id }));
+};
+
+/**
+ * Check whether a user may follow a bus (live location, trip updates and ETAs)
+ * Seat map updates go to the public seats:<bus> room instead
+ * Passengers can follow buses they have an upcoming booking or seat hold on
+ * @param {Object} user - User document
+ * @param {String} busId - Bus ID
+ * @returns {Promise<Boolean>}
+ */
+exports.canFollowBus = async (user, busId) => {
+  if (!user || !mongoose.Types.ObjectId.isValid(busId)) {
+    return false;
+  }
+
+  if (STAFF_ROLES.includes(user.role)) {
+    return true;
+  }
+
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  const hasBooking = await Booking.exists({
+    user: user._id,
+    bus: busId,
+    status: { $in: ['Pending', 'Confirmed'] },
+    departureDate: { $gte: startOfToday }
+  });
+
+  if (hasBooking) {
+    return true;
+  }
+
+  return Boolean(await SeatHold.exists({
+    user: user._id,
+    bus: busId,
+    status: 'Active',
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+/**
+ * Check whether a socket's user may follow a bus
+ * @param {Object} socket - Authenticated socket
+ * @param {String} busId - Bus ID
+ * @returns {Promise<Boolean>}
+ */
+exports.canJoinBus = (socket, busId) => exports.canFollowBus(socket.user, busId);
+
+/**
+ * Check whether a socket may report GPS fixes for a bus
+ * @param {Object} socket - Socket
+ * @param {String} busId - Bus ID
+ * @returns {Boolean}
+ */
+exports.canReportLocation = (socket, busId) => {
+  if (socket.trackingBusId) {
+    return socket.trackingBusId === String(busId);
+  }
+  return Boolean(socket.user && STAFF_ROLES.includes(socket.user.role));
+};
+
+/**
+ * Disconnect every socket of a user, e.g. after deactivation
+ * @param {Object} io - Socket.io server
+ * @param {String} userId - User ID
+ * @param {String} message - Reason sent to the client
+ */
+exports.disconnectUser = (io, userId, message = 'Your session has ended. Please log in again.') => {
+  if (!io) {
+    return;
+  }
+
+  const room = `user:${userId}`;
+  io.to(room).emit('auth:revoked', { message });
+  io.in(room).disconnectSockets(true);
+};
@@ -1,5 +1,6 @@
 const { body, check, param, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { SEAT_CLASSES } = require('../utils/seatLayout');
 
 /**
  * Helper function to validate MongoDB ObjectId
@@ -115,6 +116,19 @@ exports.routeValidation = [
     .withMessage("Base fare must be a number")
     .custom((value) => value >= 0)
     .withMessage("Base fare cannot be negative"),
+  body("fareFloor")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Fare floor cannot be negative"),
+  body("fareCeiling")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Fare ceiling cannot be negative")
+    .custom((value, { req }) => {
+      const floor = req.body.fareFloor;
+      return floor === undefined || floor === null || Number(value) >= Number(floor);
+    })
+    .withMessage("Fare ceiling cannot be below the fare floor"),
   body("status")
     .optional()
     .isIn(["Active", "Inactive", "Seasonal", "Discontinued"])
@@ -137,6 +151,36 @@ exports.routeValidation = [
     .optional()
     .isFloat()
     .withMessage("Longitude must be a valid float"),
+  body([
+    "sourceCoordinates.latitude",
+    "destinationCoordinates.latitude",
+    "stopPoints.*.coordinates.latitude",
+  ])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+  body([
+    "sourceCoordinates.longitude",
+    "destinationCoordinates.longitude",
+    "stopPoints.*.coordinates.longitude",
+  ])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+  body("seatClassSurcharges")
+    .optional()
+    .isArray()
+    .withMessage("Seat class surcharges must be an array"),
+  body("seatClassSurcharges.*.seatClass")
+    .isIn(SEAT_CLASSES)
+    .withMessage(`Seat class must be one of: ${SEAT_CLASSES.join(", ")}`),
+  body("seatClassSurcharges.*.type")
+    .optional()
+    .isIn(["fixed", "percentage"])
+    .withMessage("Surcharge type must be fixed or percentage"),
+  body("seatClassSurcharges.*.amount")
+    .isFloat({ min: 0 })
+    .withMessage("Surcharge amount must be a non-negative number"),
 ];
 
 /**
@@ -192,6 +236,10 @@ exports.bookingValidation = [
       return true;
     }).withMessage('Return date validation failed'),
   body('bookingType').isIn(['One-Way', 'Round-Trip']).withMessage('Invalid booking type'),
+  body(['fromStop', 'toStop']).optional().isString().trim().notEmpty()
+    .withMessage('Stop names must be non-empty strings'),
+  body(['fareLockId', 'returnFareLockId']).optional().custom(isValidObjectId)
+    .withMessage('Invalid fare lock ID format'),
   body('passengers').isArray().withMessage('Passengers must be an array')
     .custom(value => value.length > 0).withMessage('At least one passenger is required'),
   body('passengers.*.name').notEmpty().withMessage('Passenger name is required'),
@@ -200,8 +248,76 @@ exports.bookingValidation = [
   body('passengers.*.gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Invalid gender'),
   body('passengers.*.passengerType').optional().isIn(['Adult', 'Child', 'Student', 'Senior'])
     .withMessage('Invalid passenger type'),
-  body('totalFare').isNumeric().withMessage('Total fare must be a number')
-    .custom(value => value >= 0).withMessage('Total fare cannot be negative')
+  // The fare is worked out on the server; a total sent by older clients is ignored
+  body('totalFare').optional().isNumeric().withMessage('Total fare must be a number')
+    .custom(value => value >= 0).withMessage('Total fare cannot be negative'),
+  body('quoteId').optional().isString().notEmpty().withMessage('Invalid quote ID')
+];
+
+/**
+ * Validation rules for quoting a booking's fare
+ */
+exports.fareQuoteValidation = [
+  body('trip').optional().custom(isValidObjectId).withMessage('Invalid trip ID format'),
+  body('returnTrip').optional().custom(isValidObjectId).withMessage('Invalid return trip ID format'),
+  body('route').optional().custom(isValidObjectId).withMessage('Invalid route ID format'),
+  body('bus').optional().custom(isValidObjectId).withMessage('Invalid bus ID format'),
+  body('departureDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Departure date must be a valid date/time'),
+  body('returnDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Return date must be a valid date/time'),
+  body('trip')
+    .custom((value, { req }) => Boolean(value || (req.body.route && req.body.bus && req.body.departureDate)))
+    .withMessage('Please provide a trip, or a route, bus and departure date'),
+  body('bookingType').isIn(['One-Way', 'Round-Trip']).withMessage('Invalid booking type'),
+  body(['fromStop', 'toStop']).optional().isString().trim().notEmpty()
+    .withMessage('Stop names must be non-empty strings'),
+  body(['fareLockId', 'returnFareLockId']).optional().custom(isValidObjectId)
+    .withMessage('Invalid fare lock ID format'),
+  body('passengers').isArray({ min: 1 }).withMessage('At least one passenger is required'),
+  body('passengers.*.seatNumber').notEmpty().withMessage('Seat number is required'),
+  body('passengers.*.passengerType').optional().isIn(['Adult', 'Child', 'Senior'])
+    .withMessage('Invalid passenger type'),
+  body('selectedSeats.return').optional().isArray().withMessage('Return seats must be an array'),
+  body('promoCode').optional().isString().trim().withMessage('Invalid promo code')
+];
+
+/**
+ * Validation rules for booking every leg of a multi-leg journey
+ */
+exports.journeyBookingValidation = [
+  body('legs').isArray({ min: 1 }).withMessage('At least one leg is required'),
+  body('legs.*.trip').custom(isValidObjectId).withMessage('Invalid trip ID format'),
+  body(['legs.*.fromStop', 'legs.*.toStop']).optional().isString().trim().notEmpty()
+    .withMessage('Stop names must be non-empty strings'),
+  body('legs.*.seats').isArray({ min: 1 }).withMessage('Each leg needs seat selections'),
+  body('passengers').isArray({ min: 1 }).withMessage('At least one passenger is required'),
+  body('passengers.*.name').notEmpty().withMessage('Passenger name is required'),
+  body('passengers.*.age').isInt({ min: 0, max: 120 }).withMessage('Age must be between 0 and 120'),
+  body('passengers.*.gender').isIn(['Male', 'Female', 'Other', 'Prefer not to say'])
+    .withMessage('Invalid gender'),
+  body('passengers.*.passengerType').optional().isIn(['Adult', 'Child', 'Senior'])
+    .withMessage('Invalid passenger type')
+];
+
+/**
+ * Validation rules for moving a booking to another departure
+ */
+exports.rescheduleValidation = [
+  body('tripId').notEmpty().withMessage('Trip ID is required')
+    .custom(isValidObjectId).withMessage('Invalid trip ID format'),
+  body('seats').optional().isArray({ min: 1 }).withMessage('Seats must be a non-empty array'),
+  body('seats.*').isString().trim().notEmpty().withMessage('Seat numbers must be non-empty strings'),
+  body(['fromStop', 'toStop']).optional().isString().trim().notEmpty()
+    .withMessage('Stop names must be non-empty strings'),
+  body('waiveFee').optional().isBoolean().withMessage('Waive fee must be true or false'),
+  body('quotedTotal').optional().isFloat({ min: 0 }).withMessage('Quoted total must be a positive number'),
+  body('reason').optional().isString().isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
 ];
 
 /**
@@ -299,6 +415,239 @@ exports.hiringValidation = [
     .withMessage("Total cost must be a number")
     .custom((value) => value >= 0)
     .withMessage("Total cost cannot be negative"),
+  body("quoteId").optional().isString().notEmpty().withMessage("Invalid quote ID"),
+];
+
+/**
+ * Validation rules for quoting a hire (only what the cost depends on)
+ */
+exports.hiringQuoteValidation = [
+  body("bus").custom(isValidObjectId).withMessage("Invalid bus ID format"),
+  body("route").optional().custom(isValidObjectId).withMessage("Invalid route ID format"),
+  body("startDate")
+    .isISO8601()
+    .withMessage("Start date must be a valid date/time"),
+  body("endDate")
+    .isISO8601()
+    .custom((value, { req }) => !req.body.startDate || new Date(value) > new Date(req.body.startDate))
+    .withMessage("End date must be after start date"),
+  body("tripType")
+    .optional()
+    .isIn(['One-Way', 'Round-Trip'])
+    .withMessage("Trip type must be either One-Way or Round-Trip"),
+  body("returnDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Return date must be a valid date"),
+  body("rateType")
+    .optional()
+    .isIn(['Per Day', 'Per Hour', 'Per Kilometer', 'Fixed', 'Route-Based'])
+    .withMessage("Invalid rate type"),
+  body("routePriceMultiplier")
+    .optional()
+    .isNumeric()
+    .custom((value) => value >= 1)
+    .withMessage("Route price multiplier must be at least 1"),
+  body("baseRate")
+    .isNumeric()
+    .withMessage("Base rate must be a number")
+    .custom((value) => value > 0)
+    .withMessage("Base rate must be greater than 0"),
+  body("estimatedDistance")
+    .isNumeric()
+    .withMessage("Estimated distance must be a number")
+    .custom((value) => value > 0)
+    .withMessage("Estimated distance must be greater than 0"),
+  body("additionalCharges").optional().isArray().withMessage("Additional charges must be an array"),
+  body("driverAllowance").optional().isFloat({ min: 0 }).withMessage("Driver allowance cannot be negative"),
+  body("promoCode").optional().isString().trim().withMessage("Invalid promo code"),
+];
+
+/**
+ * Validation rules for charter requests that staff price with a quote
+ */
+exports.hiringRequestValidation = [
+  body("bus").custom(isValidObjectId).withMessage("Invalid bus ID format"),
+  body("route").optional().custom(isValidObjectId).withMessage("Invalid route ID format"),
+  body("startDate")
+    .isISO8601()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Start date must be a future date/time"),
+  body("endDate")
+    .isISO8601()
+    .custom((value, { req }) => !req.body.startDate || new Date(value) > new Date(req.body.startDate))
+    .withMessage("End date must be after start date"),
+  body("tripType")
+    .optional()
+    .isIn(['One-Way', 'Round-Trip'])
+    .withMessage("Trip type must be either One-Way or Round-Trip"),
+  body("returnDate")
+    .custom((value, { req }) => req.body.tripType !== 'Round-Trip' || Boolean(value && new Date(value).getTime()))
+    .withMessage("Return date is required for round trips"),
+  body(["startLocation", "endLocation"])
+    .custom((value, { req }) => Boolean(req.body.route || value))
+    .withMessage("Start and end locations are required when no route is specified"),
+  body("purpose").notEmpty().withMessage("Purpose is required"),
+  body("passengerCount")
+    .isInt({ min: 1 })
+    .withMessage("Passenger count must be a positive integer"),
+  body("estimatedDistance")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Estimated distance cannot be negative"),
+];
+
+/**
+ * Validation rules for a quote revision on a charter request
+ */
+exports.hiringQuoteRevisionValidation = [
+  body("items").isArray({ min: 1 }).withMessage("A quote needs at least one line item"),
+  body("items.*.description").trim().notEmpty().withMessage("Each line item needs a description"),
+  body("items.*.amount").isFloat().withMessage("Each line item needs an amount"),
+  body("depositPercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Deposit must be between 0 and 100 percent"),
+  body("balanceDueDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Balance due days cannot be negative"),
+  body("missedAction")
+    .optional()
+    .isIn(['hold', 'cancel'])
+    .withMessage("A missed payment must either hold or cancel the hire"),
+  body("expiresAt")
+    .optional()
+    .isISO8601()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Quote expiry must be a future date/time"),
+  body("bus").optional().custom(isValidObjectId).withMessage("Invalid bus ID format"),
+  body("notes").optional().isString().isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+  body("supersedePrevious").optional().isBoolean()
+    .withMessage("Supersede previous must be true or false"),
+];
+
+/**
+ * Validation rules for cancellation policies
+ */
+exports.cancellationPolicyValidation = [
+  body('name').trim().notEmpty().withMessage('Policy name is required'),
+  body('appliesTo').isIn(['booking', 'hiring'])
+    .withMessage('Policy must apply to booking or hiring'),
+  body('routes').optional().isArray().withMessage('Routes must be an array'),
+  body('routes.*').custom(isValidObjectId).withMessage('Invalid route ID format'),
+  body('busTypes').optional().isArray().withMessage('Bus types must be an array'),
+  body('busTypes.*').isIn(['Standard', 'Luxury', 'Mini', 'Double-Decker', 'Sleeper'])
+    .withMessage('Invalid bus type'),
+  body('rateTypes').optional().isArray().withMessage('Rate types must be an array'),
+  body('rateTypes.*').isIn(['Per Day', 'Per Hour', 'Per Kilometer', 'Fixed', 'Route-Based'])
+    .withMessage('Invalid rate type'),
+  body('tiers').isArray({ min: 1 }).withMessage('At least one refund tier is required'),
+  body('tiers.*.minHoursBefore').isFloat({ min: 0 })
+    .withMessage('Tier hours before departure must be zero or more'),
+  body('tiers.*.refundPercent').isFloat({ min: 0, max: 100 })
+    .withMessage('Tier refund percentage must be between 0 and 100'),
+  body('fixedFee').optional().isFloat({ min: 0 }).withMessage('Fee cannot be negative'),
+  body('nonRefundableDeposit.type').optional()
+    .isIn(['none', 'fixed', 'percentage', 'hiring_deposit'])
+    .withMessage('Invalid non-refundable deposit type'),
+  body('nonRefundableDeposit.amount').optional().isFloat({ min: 0 })
+    .withMessage('Deposit cannot be negative'),
+  body('customerCutoffHours').optional().isFloat({ min: 0 })
+    .withMessage('Cutoff hours must be zero or more'),
+  body('staffLateRefundPercent').optional().isFloat({ min: 0, max: 100 })
+    .withMessage('Staff refund percentage must be between 0 and 100'),
+  body('changeFee.type').optional().isIn(['none', 'fixed', 'percentage'])
+    .withMessage('Invalid change fee type'),
+  body('changeFee.amount').optional().isFloat({ min: 0 })
+    .withMessage('Change fee cannot be negative'),
+  body('changeCutoffHours').optional().isFloat({ min: 0 })
+    .withMessage('Change cutoff hours must be zero or more'),
+  body('maxChanges').optional({ nullable: true }).isInt({ min: 0 })
+    .withMessage('Maximum changes must be zero or more')
+];
+
+/**
+ * Validation rules for promotions
+ */
+exports.promotionValidation = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Promo codes must be 3-30 letters, numbers, dashes or underscores'),
+  body('name').trim().notEmpty().withMessage('Promotion name is required'),
+  body('discountType').isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  body('discountValue').isFloat({ min: 0 }).withMessage('Discount value cannot be negative'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 })
+    .withMessage('Maximum discount cannot be negative'),
+  body('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount cannot be negative'),
+  body(['validFrom', 'validUntil']).optional({ nullable: true }).isISO8601()
+    .withMessage('Validity dates must be valid dates'),
+  body('appliesTo').optional().isArray().withMessage('Applies to must be an array'),
+  body('appliesTo.*').isIn(['booking', 'hiring']).withMessage('Promotions apply to booking or hiring'),
+  body('routes').optional().isArray().withMessage('Routes must be an array'),
+  body('routes.*').custom(isValidObjectId).withMessage('Invalid route ID format'),
+  body('busTypes').optional().isArray().withMessage('Bus types must be an array'),
+  body('busTypes.*').isIn(['Standard', 'Luxury', 'Mini', 'Double-Decker', 'Sleeper'])
+    .withMessage('Invalid bus type'),
+  body('firstRideOnly').optional().isBoolean().withMessage('First ride only must be true or false'),
+  body(['usageLimit', 'perUserLimit']).optional({ nullable: true }).isInt({ min: 1 })
+    .withMessage('Usage limits must be at least 1')
+];
+
+/**
+ * Validation rules for checking a promo code before booking or hiring
+ */
+exports.promotionCheckValidation = [
+  body('code').trim().notEmpty().withMessage('Promo code is required'),
+  body('recordType').optional().isIn(['booking', 'hiring'])
+    .withMessage('Record type must be booking or hiring'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  body(['tripId', 'routeId', 'busId']).optional().custom(isValidObjectId)
+    .withMessage('Invalid ID format')
+];
+
+/**
+ * Validation rules for holidays and travel seasons
+ */
+exports.holidayValidation = [
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  body('type').optional().isIn(['public_holiday', 'travel_season'])
+    .withMessage('Type must be public_holiday or travel_season'),
+  body('scope').optional().isIn(['national', 'state']).withMessage('Scope must be national or state'),
+  body('state').if(body('scope').equals('state')).trim().notEmpty()
+    .withMessage('State is required for state holidays'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('recurring').optional().isBoolean().withMessage('Recurring must be true or false'),
+  body('isActive').optional().isBoolean().withMessage('Is active must be true or false')
+];
+
+/**
+ * Validation rules for demand pricing rules
+ */
+exports.pricingRuleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('metric').isIn(['load_factor', 'days_before_departure', 'booking_velocity'])
+    .withMessage('Metric must be load_factor, days_before_departure or booking_velocity'),
+  body(['min', 'max']).optional({ nullable: true }).isFloat({ min: 0 })
+    .withMessage('Range limits must be zero or more'),
+  body('adjustmentType').optional().isIn(['percentage', 'fixed'])
+    .withMessage('Adjustment type must be percentage or fixed'),
+  body('adjustment').isFloat().withMessage('Adjustment must be a number'),
+  body('routes').optional().isArray().withMessage('Routes must be an array'),
+  body('routes.*').custom(isValidObjectId).withMessage('Invalid route ID format'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+  body('isActive').optional().isBoolean().withMessage('Is active must be true or false')
+];
+
+/**
+ * Validation rules for locking a fare during checkout
+ */
+exports.fareLockValidation = [
+  body('tripId').custom(isValidObjectId).withMessage('Invalid trip ID format'),
+  body(['fromStop', 'toStop']).optional().trim().notEmpty()
+    .withMessage('Stops cannot be empty')
 ];
 
 /**
@@ -310,7 +659,7 @@ exports.userValidation = [
     .normalizeEmail(),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('phone').optional().isMobilePhone().withMessage('Please include a valid phone number'),
-  body('role').optional().isIn(['client', 'admin', 'driver']).withMessage('Invalid role')
+  body('role').optional().isIn(['client', 'admin', 'driver', 'conductor']).withMessage('Invalid role')
 ];
 
 /**
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Bus = require('../models/Bus');
+const Booking = require('../models/Booking');
+const { isGeneratedLayout, reconcileGeneratedLayout, deriveSeats } = require('../utils/seatLayout');
+
+// Seat labels used before buses had layouts
+const LEGACY_SEAT = /^S\d+$/;
+
+/**
+ * Buses created before seat layouts were used for booking got an A1, A2, ...
+ * grid from their rows and columns, while their bookings were made on seats
+ * S1..S<capacity>. This relabels the grids of buses with such bookings to
+ * S1..S<capacity> so booked seats stay taken, and gives every generated grid
+ * exactly as many seats as the bus capacity.
+ *
+ * Layouts drawn by an admin are left alone. Run with --dry-run to list the
+ * changes without saving them.
+ */
+async function reconcileLegacySeatLayouts() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`=== Reconciling Legacy Seat Layouts${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const buses = await Bus.find({ 'seatingArrangement.layout.0': { $exists: true } });
+    let updated = 0;
+
+    for (const bus of buses) {
+      const layout = bus.seatingArrangement.layout.map(row => [...row]);
+      if (!isGeneratedLayout(layout)) continue;
+
+      const bookings = await Booking.find({ bus: bus._id })
+        .select('passengers.seatNumber selectedSeats');
+      const hasLegacyBookings = bookings.some(booking => [
+        ...booking.passengers.map(passenger => passenger.seatNumber),
+        ...(booking.selectedSeats?.return || [])
+      ].some(seat => LEGACY_SEAT.test(seat || '')));
+
+      const seatCount = deriveSeats(layout).size;
+      if (!hasLegacyBookings && seatCount === bus.capacity) continue;
+
+      const nextLayout = reconcileGeneratedLayout(layout, bus.capacity, { legacyLabels: hasLegacyBookings });
+      const labels = deriveSeats(nextLayout);
+      console.log(`- Bus ${bus.busNumber}: ${seatCount} seats -> ${labels.size}` +
+        `${hasLegacyBookings ? ', relabelled S1..S' + bus.capacity : ''}`);
+
+      if (!dryRun) {
+        bus.seatingArrangement.rows = nextLayout.length;
+        bus.seatingArrangement.columns = nextLayout[0].length;
+        bus.seatingArrangement.layout = nextLayout;
+        // Attributes saved for seats that no longer exist are dropped
+        bus.seatingArrangement.seats = (bus.seatingArrangement.seats || [])
+          .filter(seat => labels.has(seat.label));
+        await bus.save();
+      }
+      updated++;
+    }
+
+    console.log(`\n✅ ${updated} of ${buses.length} bus layouts ${dryRun ? 'would be ' : ''}updated`);
+  } catch (error) {
+    console.error('❌ Error reconciling seat layouts:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+reconcileLegacySeatLayouts();
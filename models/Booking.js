@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const CancellationPolicy = require('./CancellationPolicy');
+const config = require('../config/config');
 
 const BookingSchema = new mongoose.Schema({
   // Basic booking information
@@ -69,6 +71,15 @@ const BookingSchema = new mongoose.Schema({
     ref: 'Bus',
     required: [true, 'Please specify the bus']
   },
+  // Scheduled trip instances for each leg (bookings made before trips existed have none)
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  returnTrip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   departureDate: {
     type: Date,
     required: [true, 'Please provide departure date']
@@ -90,6 +101,108 @@ const BookingSchema = new mongoose.Schema({
     outbound: [String],
     return: [String] // For round trips
   },
+  // Set on each leg of a multi-leg journey booked in one request
+  journey: {
+    reference: String,
+    leg: Number,
+    legs: Number
+  },
+  // Stops the passengers board and leave at on the outbound trip;
+  // absent when the booking covers the whole route
+  segment: {
+    from: String,
+    to: String,
+    fromKm: Number,
+    toKm: Number
+  },
+  
+  // Surcharge on each booked seat sold in a premium class (included in totalFare)
+  seatCharges: [{
+    _id: false,
+    leg: {
+      type: String,
+      enum: ['outbound', 'return'],
+      default: 'outbound'
+    },
+    seatNumber: String,
+    seatClass: String,
+    surcharge: {
+      type: Number,
+      default: 0
+    }
+  }],
+  
+  // Holidays and travel seasons the fare was raised for
+  pricingCalendar: {
+    isHoliday: {
+      type: Boolean,
+      default: false
+    },
+    isSeasonal: {
+      type: Boolean,
+      default: false
+    },
+    holidays: [String]
+  },
+  
+  // How each leg's fare per passenger was reached: calendar, demand and pricing rules
+  farePricing: [{
+    _id: false,
+    leg: {
+      type: String,
+      enum: ['outbound', 'return'],
+      default: 'outbound'
+    },
+    trip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip'
+    },
+    fare: Number,
+    baseFare: Number,
+    calendarFare: Number,
+    calendar: {
+      isHoliday: Boolean,
+      isSeasonal: Boolean,
+      holidays: [String]
+    },
+    metrics: {
+      loadFactor: Number,
+      daysBeforeDeparture: Number,
+      bookingVelocity: Number
+    },
+    adjustments: [{
+      _id: false,
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PricingRule'
+      },
+      name: String,
+      metric: String,
+      value: Number,
+      adjustmentType: String,
+      adjustment: Number,
+      change: Number
+    }],
+    floor: Number,
+    ceiling: Number,
+    limitedBy: String,
+    // Set when the customer booked at a locked fare
+    fareLock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FareLock'
+    },
+    pricedAt: Date
+  }],
+  
+  // Tax included in totalFare
+  tax: {
+    name: String,
+    ratePercent: Number,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
   
   // Payment information
   totalFare: {
@@ -101,6 +214,8 @@ const BookingSchema = new mongoose.Schema({
     enum: ['Pending', 'Paid', 'Failed', 'Refunded', 'Partially Paid', 'Partially Refunded'],
     default: 'Pending'
   },
+  // Unpaid pending bookings are cancelled after this time
+  paymentDueAt: Date,
   // Payment history - array of all payment attempts/transactions
   payments: [{
     amount: {
@@ -167,6 +282,24 @@ const BookingSchema = new mongoose.Schema({
     processedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    // Gateway refund tracking
+    gateway: String, // Gateway that took the original payment, or 'Manual'
+    paymentReference: String, // Reference of the transaction being refunded
+    gatewayReference: String, // Refund reference returned by the gateway
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    failureReason: String,
+    completedAt: Date,
+    // Fare differences returned after a change reduce what was paid rather than refunding the booking
+    kind: {
+      type: String,
+      enum: ['refund', 'fare_difference'],
+      default: 'refund'
     }
   }],
   // Payment metadata
@@ -192,6 +325,91 @@ const BookingSchema = new mongoose.Schema({
     required: [true, 'Please specify the user who made this booking']
   },
   
+  // Cancellation details
+  cancellationReason: String,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Moves to another departure, oldest first
+  changeHistory: [{
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    from: {
+      trip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trip'
+      },
+      bus: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bus'
+      },
+      departureDate: Date,
+      segment: {
+        from: String,
+        to: String
+      },
+      seats: [String],
+      fare: Number
+    },
+    to: {
+      trip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trip'
+      },
+      bus: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bus'
+      },
+      departureDate: Date,
+      segment: {
+        from: String,
+        to: String
+      },
+      seats: [String],
+      fare: Number
+    },
+    fareDifference: Number,
+    changeFee: {
+      type: Number,
+      default: 0
+    },
+    feeWaived: {
+      type: Boolean,
+      default: false
+    },
+    amountDue: {
+      type: Number,
+      default: 0
+    },
+    refundAmount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Tickets issued before this time are void; set when a change reissues the ticket
+  ticketsValidFrom: Date,
+  statusHistory: [{
+    status: String,
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
   // Metadata
   additionalInformation: {
     bookingSource: {
@@ -199,7 +417,12 @@ const BookingSchema = new mongoose.Schema({
       enum: ['Website', 'Mobile App', 'Customer Service', 'Agent', 'Other'],
       default: 'Website'
     },
+    // Promotion applied on the server; discountApplied is the amount taken off the fare
     promoCode: String,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
     discountApplied: Number,
     ipAddress: String,
     userAgent: String
@@ -218,14 +441,22 @@ const BookingSchema = new mongoose.Schema({
     busUsed: String,
     result: {
       type: String,
-      enum: ['valid', 'invalid', 'expired'],
+      enum: ['valid', 'invalid', 'expired', 'conflict'],
       default: 'valid'
     },
     notes: String,
     isManual: {
       type: Boolean,
       default: false
-    }
+    },
+    // Offline scans uploaded from a conductor device
+    scanId: String,
+    ticketId: String,
+    scannedOffline: {
+      type: Boolean,
+      default: false
+    },
+    syncedAt: Date
   }],
   verificationAttempts: [{
     ticketId: String,
@@ -253,69 +484,81 @@ const BookingSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate booking number before saving
+// Indexes for trip-based seat lookups
+BookingSchema.index({ trip: 1, status: 1 });
+BookingSchema.index({ returnTrip: 1, status: 1 });
+BookingSchema.index({ status: 1, paymentStatus: 1, paymentDueAt: 1 });
+BookingSchema.index({ 'journey.reference': 1 }, { sparse: true });
+BookingSchema.index({ 'additionalInformation.promotion': 1, user: 1 }, { sparse: true });
+
+// Generate booking number and payment deadline before saving
 BookingSchema.pre('save', function(next) {
   if (!this.bookingNumber) {
     this.bookingNumber = 'BKG-' + crypto.randomBytes(4).toString('hex').toUpperCase();
   }
+  if (this.isNew && !this.paymentDueAt && this.status === 'Pending' && this.paymentStatus === 'Pending') {
+    this.paymentDueAt = this.constructor.calculatePaymentDueAt(this.departureDate);
+  }
   next();
 });
 
-// Method to calculate total fare
-BookingSchema.methods.calculateTotalFare = async function() {
-  try {
-    const Route = mongoose.model('Route');
-    const route = await Route.findById(this.route);
-    
-    if (!route) {
-      throw new Error('Route not found');
-    }
-    
-    let totalFare = 0;
-    
-    // Calculate fare for each passenger
-    for (const passenger of this.passengers) {
-      const options = {
-        isChild: passenger.passengerType === 'Child',
-        isSenior: passenger.passengerType === 'Senior',
-        // Additional options can be determined here
-        isPeakTime: this._isPeakTime(),
-        isWeekend: this._isWeekend(),
-        isHoliday: false, // Would need a holiday service to determine this
-      };
-      
-      let passengerFare = route.calculateFare(options);
-      totalFare += passengerFare;
-    }
-    
-    // For round trips, double the fare (excluding any special calculations)
-    if (this.bookingType === 'Round-Trip') {
-      totalFare *= 2;
-    }
-    
-    // Apply any discounts from promo codes
-    if (this.additionalInformation && this.additionalInformation.discountApplied) {
-      totalFare = totalFare * (1 - this.additionalInformation.discountApplied);
-    }
-    
-    this.totalFare = Math.round(totalFare * 100) / 100;
-    return this.totalFare;
-  } catch (error) {
-    console.error('Error calculating fare:', error);
-    throw error;
+// Remember the stored status, to tell when a booking stops counting towards its promotion
+BookingSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Cancelling a booking gives back the use of its promotion
+BookingSchema.post('save', async function() {
+  const promotion = this.additionalInformation?.promotion;
+  const { savedStatus } = this.$locals;
+  this.$locals.savedStatus = this.status;
+
+  if (promotion && savedStatus && savedStatus !== 'Cancelled' && this.status === 'Cancelled') {
+    await mongoose.model('Promotion').releaseRedemption(promotion, this.populated('user') || this.user);
   }
-};
+});
 
-// Check if time is peak time (typically morning and evening commute)
-BookingSchema.methods._isPeakTime = function() {
-  const departureHour = new Date(this.departureDate).getHours();
-  return (departureHour >= 7 && departureHour <= 9) || (departureHour >= 16 && departureHour <= 19);
+/**
+ * Work out when an unpaid booking should expire
+ * The window is shorter when departure is close, and never runs past departure
+ * @param {Date} departureDate - Departure date/time
+ * @param {Date} from - When the booking was made
+ * @returns {Date} - Payment deadline
+ */
+BookingSchema.statics.calculatePaymentDueAt = function(departureDate, from = new Date()) {
+  const { paymentWindowMinutes, lateWindowMinutes, lateThresholdHours } = config.bookingExpiry;
+  const departure = new Date(departureDate);
+  const hoursToDeparture = (departure - from) / (1000 * 60 * 60);
+  const windowMinutes = hoursToDeparture <= lateThresholdHours ? lateWindowMinutes : paymentWindowMinutes;
+  const dueAt = new Date(from.getTime() + windowMinutes * 60 * 1000);
+
+  return departure > from && departure < dueAt ? departure : dueAt;
 };
 
-// Check if date is weekend
-BookingSchema.methods._isWeekend = function() {
-  const day = new Date(this.departureDate).getDay();
-  return day === 0 || day === 6; // 0 is Sunday, 6 is Saturday
+/**
+ * Work out the surcharge on each seat sold in a premium class
+ * @param {Object} options - { route, bus, outboundSeats, returnSeats, segment }
+ * @returns {Array} - Seat charges; standard seats are left out
+ */
+BookingSchema.statics.buildSeatCharges = function({ route, bus, outboundSeats = [], returnSeats = [], segment = null }) {
+  const seatClasses = bus.getSeatClasses();
+  // Percentage surcharges on the outbound leg follow the fare between the booked stops
+  const outboundFare = segment ? route.getSegmentFare(segment) : route.baseFare;
+  const charges = [];
+
+  const addCharges = (leg, seats, fare) => {
+    seats.forEach(seatNumber => {
+      const seatClass = seatClasses.get(seatNumber) || 'Standard';
+      const surcharge = route.getSeatSurcharge(seatClass, fare);
+      if (surcharge > 0) {
+        charges.push({ leg, seatNumber, seatClass, surcharge });
+      }
+    });
+  };
+
+  addCharges('outbound', outboundSeats, outboundFare);
+  addCharges('return', returnSeats, route.baseFare);
+  return charges;
 };
 
 // Method to check seat availability
@@ -494,20 +737,30 @@ BookingSchema.methods.updatePaymentStatus = function() {
   }
 };
 
-// Method to get total paid amount
+// Method to get total paid amount, less fare differences returned after changes
 BookingSchema.methods.getTotalPaid = function() {
-  return this.payments
+  const paid = this.payments
     .filter(payment => payment.status === 'Completed')
     .reduce((total, payment) => total + payment.amount, 0);
+  // Count returned differences as soon as they're owed, unless they failed for good
+  const returned = this.refunds
+    .filter(refund => refund.kind === 'fare_difference' && (refund.status !== 'Failed' || refund.nextAttemptAt))
+    .reduce((total, refund) => total + refund.amount, 0);
+  return Math.round((paid - returned) * 100) / 100;
 };
 
 // Method to get total refunded amount
 BookingSchema.methods.getTotalRefunded = function() {
   return this.refunds
-    .filter(refund => refund.status === 'Completed')
+    .filter(refund => refund.status === 'Completed' && refund.kind !== 'fare_difference')
     .reduce((total, refund) => total + refund.amount, 0);
 };
 
+// Method to get the fees charged for changes of departure
+BookingSchema.methods.getChangeFeesTotal = function() {
+  return (this.changeHistory || []).reduce((total, change) => total + (change.changeFee || 0), 0);
+};
+
 // Method to update payment metadata
 BookingSchema.methods.updatePaymentMetadata = function() {
   if (!this.paymentMetadata) {
@@ -539,57 +792,66 @@ BookingSchema.methods.addRefund = function(refundData) {
       amount,
       reason,
       refundTransactionId,
-      processedBy
+      processedBy,
+      status = 'Completed',
+      gateway,
+      paymentReference,
+      gatewayReference,
+      kind = 'refund'
     } = refundData;
 
-    const refund = {
+    this.refunds.push({
       amount: parseFloat(amount),
       reason,
       refundTransactionId: refundTransactionId || `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-      status: 'Completed',
+      status,
       date: new Date(),
-      processedBy
-    };
-
-    this.refunds.push(refund);
+      processedBy,
+      gateway,
+      paymentReference,
+      gatewayReference,
+      completedAt: status === 'Completed' ? new Date() : undefined,
+      kind
+    });
     this.updatePaymentStatus();
     this.updatePaymentMetadata();
 
-    return refund;
+    // Return the stored subdocument so callers can keep updating it
+    return this.refunds[this.refunds.length - 1];
   } catch (error) {
     console.error('Error adding refund:', error);
     throw error;
   }
 };
 
+// Method to mark a pending refund as completed
+BookingSchema.methods.markRefundCompleted = function(refund) {
+  refund.status = 'Completed';
+  refund.completedAt = new Date();
+  refund.failureReason = undefined;
+  refund.nextAttemptAt = undefined;
+  this.updatePaymentStatus();
+  this.updatePaymentMetadata();
+  return refund;
+};
+
+// Method to work out the refund for a cancellation under the applicable policy
+BookingSchema.methods.getCancellationQuote = async function(options = {}) {
+  const policy = await CancellationPolicy.resolveForBooking(this);
+
+  return policy.calculateRefund({
+    amountPaid: this.getTotalPaid(),
+    departureDate: this.departureDate,
+    isStaff: options.isStaff,
+    now: options.now
+  });
+};
+
 // Method to handle cancellations
-BookingSchema.methods.handleCancellation = async function(reason = '') {
+BookingSchema.methods.handleCancellation = async function(reason = '', options = {}) {
   try {
-    const now = new Date();
-    const departureDate = new Date(this.departureDate);
-    const hoursToDeparture = (departureDate - now) / (1000 * 60 * 60);
-    
-    // Different refund policies based on cancellation time
-    let refundPercentage = 0;
-    
-    if (hoursToDeparture > 72) {
-      // More than 72 hours before departure - full refund
-      refundPercentage = 1.0;
-    } else if (hoursToDeparture > 48) {
-      // 48-72 hours before departure - 75% refund
-      refundPercentage = 0.75;
-    } else if (hoursToDeparture > 24) {
-      // 24-48 hours before departure - 50% refund
-      refundPercentage = 0.5;
-    } else if (hoursToDeparture > 12) {
-      // 12-24 hours before departure - 25% refund
-      refundPercentage = 0.25;
-    }
-    // Less than 12 hours - no refund (refundPercentage remains 0)
-    
-    // Calculate refund amount based on what was actually paid
-    const totalPaid = this.getTotalPaid();
-    const refundAmount = Math.round(totalPaid * refundPercentage * 100) / 100;
+    const quote = await this.getCancellationQuote(options);
+    const refundAmount = quote.refundAmount;
     
     if (refundAmount > 0) {
       // Add refund record
@@ -602,8 +864,9 @@ BookingSchema.methods.handleCancellation = async function(reason = '') {
       return {
         success: true,
         refundAmount,
-        refundPercentage,
-        refundTransactionId: refund.refundTransactionId
+        refundPercentage: quote.refundPercentage,
+        refundTransactionId: refund.refundTransactionId,
+        quote
       };
     }
     
@@ -611,7 +874,8 @@ BookingSchema.methods.handleCancellation = async function(reason = '') {
       success: true,
       refundAmount: 0,
       refundPercentage: 0,
-      message: 'No refund applicable due to cancellation policy'
+      message: 'No refund applicable due to cancellation policy',
+      quote
     };
   } catch (error) {
     console.error('Error handling cancellation:', error);
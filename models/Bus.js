@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { SEAT_ATTRIBUTES, SEAT_CLASSES, buildSeatList } = require('../utils/seatLayout');
 
 const BusSchema = new mongoose.Schema({
   busNumber: {
@@ -63,7 +65,25 @@ const BusSchema = new mongoose.Schema({
     layout: {
       type: [[String]],
       default: []
-    }
+    },
+    // Attributes and classes set for individual seats; seats not listed get
+    // window/aisle from the layout and the Standard class
+    seats: [{
+      _id: false,
+      label: {
+        type: String,
+        required: true
+      },
+      attributes: [{
+        type: String,
+        enum: SEAT_ATTRIBUTES
+      }],
+      seatClass: {
+        type: String,
+        enum: SEAT_CLASSES,
+        default: 'Standard'
+      }
+    }]
   },
   driver: {
     name: String,
@@ -71,6 +91,28 @@ const BusSchema = new mongoose.Schema({
     phoneNumber: String,
     experience: Number
   },
+  // Latest GPS fix, kept here for fast lookups (history lives in BusLocation)
+  // Not selected by default so public bus listings don't reveal positions
+  lastLocation: {
+    type: new mongoose.Schema({
+      latitude: Number,
+      longitude: Number,
+      speed: Number,
+      heading: Number,
+      accuracy: Number,
+      trip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trip'
+      },
+      recordedAt: Date
+    }, { _id: false }),
+    select: false
+  },
+  // Hash of the key GPS devices on this bus report with
+  trackingKeyHash: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -105,6 +147,49 @@ BusSchema.virtual('hirings', {
   justOne: false
 });
 
+// Method to issue a new tracking device key (only the hash is stored)
+BusSchema.methods.createTrackingKey = function() {
+  const key = crypto.randomBytes(24).toString('base64url');
+  this.trackingKeyHash = crypto.createHash('sha256').update(key).digest('hex');
+  return key;
+};
+
+// Method to check a tracking device key (needs trackingKeyHash selected)
+BusSchema.methods.verifyTrackingKey = function(key) {
+  if (!this.trackingKeyHash || typeof key !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.trackingKeyHash, 'hex');
+  const provided = crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(expected, provided);
+};
+
+// Method to list the seats on the bus with their labels and attributes
+BusSchema.methods.getSeats = function() {
+  return buildSeatList(this);
+};
+
+// Method to count the seats that can be sold (blocked seats are never sold)
+BusSchema.methods.getSellableCapacity = function() {
+  const blocked = this.getSeats().filter(seat => seat.attributes.includes('blocked')).length;
+  return Math.max(0, this.capacity - blocked);
+};
+
+// Method to get the class each seat is sold in, by seat label
+BusSchema.methods.getSeatClasses = function() {
+  return new Map(this.getSeats().map(seat => [seat.label, seat.seatClass]));
+};
+
+// Method to find requested seats that don't exist on the bus or are blocked
+BusSchema.methods.findUnbookableSeats = function(labels = []) {
+  const seats = new Map(this.getSeats().map(seat => [seat.label, seat]));
+  return {
+    unknown: labels.filter(label => !seats.has(label)),
+    blocked: labels.filter(label => seats.has(label) && seats.get(label).attributes.includes('blocked'))
+  };
+};
+
 // Method to check if bus is available on a specific date
 BusSchema.methods.isAvailable = async function(startDate, endDate) {
   const Booking = mongoose.model('Booking');
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+/**
+ * GPS fix reported by a bus.
+ * Stored in a MongoDB time-series collection keyed by bus; fixes older
+ * than the configured retention are removed automatically.
+ */
+const BusLocationSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Please specify the bus']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Please provide latitude'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Please provide longitude'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  // km/h
+  speed: {
+    type: Number,
+    min: [0, 'Speed cannot be negative']
+  },
+  // Degrees clockwise from north
+  heading: {
+    type: Number,
+    min: [0, 'Heading must be between 0 and 360'],
+    max: [360, 'Heading must be between 0 and 360']
+  },
+  // Metres
+  accuracy: {
+    type: Number,
+    min: [0, 'Accuracy cannot be negative']
+  },
+  recordedAt: {
+    type: Date,
+    required: [true, 'Please provide the time of the fix']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['http', 'socket'],
+    default: 'http'
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'bus',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: config.tracking.retentionDays * 24 * 60 * 60,
+  versionKey: false
+});
+
+BusLocationSchema.index({ bus: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('BusLocation', BusLocationSchema);
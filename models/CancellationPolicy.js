@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+
+const BUS_TYPES = ['Standard', 'Luxury', 'Mini', 'Double-Decker', 'Sleeper'];
+const RATE_TYPES = ['Per Day', 'Per Hour', 'Per Kilometer', 'Fixed', 'Route-Based'];
+
+/**
+ * Cancellation and refund policy for bookings or hirings.
+ * A policy can be assigned to specific routes, bus types or hiring rate
+ * types; the most specific active policy wins, then the default policy.
+ */
+const CancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a policy name'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  appliesTo: {
+    type: String,
+    enum: ['booking', 'hiring'],
+    required: [true, 'Please specify whether the policy applies to bookings or hirings']
+  },
+  // Assignment
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  busTypes: [{
+    type: String,
+    enum: BUS_TYPES
+  }],
+  rateTypes: [{
+    type: String,
+    enum: RATE_TYPES
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Refund tiers: cancelling at least minHoursBefore departure refunds refundPercent
+  tiers: {
+    type: [{
+      minHoursBefore: {
+        type: Number,
+        required: [true, 'Please provide the hours before departure for the tier'],
+        min: [0, 'Hours before departure cannot be negative']
+      },
+      refundPercent: {
+        type: Number,
+        required: [true, 'Please provide the refund percentage for the tier'],
+        min: [0, 'Refund percentage cannot be negative'],
+        max: [100, 'Refund percentage cannot exceed 100']
+      }
+    }],
+    validate: {
+      validator: function(tiers) {
+        const hours = tiers.map(tier => tier.minHoursBefore);
+        return new Set(hours).size === hours.length;
+      },
+      message: 'Each tier must have a different number of hours before departure'
+    }
+  },
+  // Flat fee deducted from any refund
+  fixedFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative']
+  },
+  // Part of the amount paid that is never refunded
+  nonRefundableDeposit: {
+    type: {
+      type: String,
+      enum: ['none', 'fixed', 'percentage', 'hiring_deposit'],
+      default: 'none'
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Deposit cannot be negative']
+    }
+  },
+  // Customers cannot cancel themselves inside this window
+  customerCutoffHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Cutoff cannot be negative']
+  },
+  // Refund percentage when staff cancel inside the customer cutoff
+  staffLateRefundPercent: {
+    type: Number,
+    min: [0, 'Refund percentage cannot be negative'],
+    max: [100, 'Refund percentage cannot exceed 100']
+  },
+  // Fee for moving a booking to another departure; percentages are of the booking's fare
+  changeFee: {
+    type: {
+      type: String,
+      enum: ['none', 'fixed', 'percentage'],
+      default: 'none'
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fee cannot be negative']
+    }
+  },
+  // Customers cannot change a booking themselves inside this window
+  changeCutoffHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Cutoff cannot be negative']
+  },
+  // How many times a customer may change a booking; unset for no limit
+  maxChanges: {
+    type: Number,
+    min: [0, 'Maximum changes cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CancellationPolicySchema.index({ appliesTo: 1, isActive: 1 });
+CancellationPolicySchema.index({ name: 1, appliesTo: 1 }, { unique: true });
+
+/**
+ * Built-in policies used when nothing has been configured.
+ * They match the refund rules the system has always applied.
+ */
+const BUILT_IN_POLICIES = {
+  booking: {
+    name: 'Default',
+    appliesTo: 'booking',
+    tiers: [
+      { minHoursBefore: 72, refundPercent: 100 },
+      { minHoursBefore: 48, refundPercent: 75 },
+      { minHoursBefore: 24, refundPercent: 50 }
+    ],
+    customerCutoffHours: 24,
+    staffLateRefundPercent: 50
+  },
+  hiring: {
+    Standard: {
+      name: 'Standard',
+      appliesTo: 'hiring',
+      tiers: [
+        { minHoursBefore: 14 * 24, refundPercent: 90 },
+        { minHoursBefore: 7 * 24, refundPercent: 75 },
+        { minHoursBefore: 3 * 24, refundPercent: 50 },
+        { minHoursBefore: 24, refundPercent: 25 }
+      ],
+      customerCutoffHours: 24
+    },
+    Flexible: {
+      name: 'Flexible',
+      appliesTo: 'hiring',
+      tiers: [
+        { minHoursBefore: 7 * 24, refundPercent: 100 },
+        { minHoursBefore: 3 * 24, refundPercent: 80 },
+        { minHoursBefore: 24, refundPercent: 50 }
+      ],
+      customerCutoffHours: 24
+    },
+    Strict: {
+      name: 'Strict',
+      appliesTo: 'hiring',
+      tiers: [
+        { minHoursBefore: 30 * 24, refundPercent: 75 },
+        { minHoursBefore: 14 * 24, refundPercent: 50 },
+        { minHoursBefore: 7 * 24, refundPercent: 25 }
+      ],
+      customerCutoffHours: 24
+    }
+  }
+};
+
+/**
+ * Work out what a cancellation would refund under this policy
+ * @param {Object} options - { amountPaid, departureDate, deposit, isStaff, now }
+ * @returns {Object} - Itemised refund quote
+ */
+CancellationPolicySchema.methods.calculateRefund = function(options) {
+  const { amountPaid = 0, departureDate, deposit = 0, isStaff = false, now = new Date() } = options;
+  const round = value => Math.round(value * 100) / 100;
+
+  const hoursToDeparture = (new Date(departureDate) - now) / (1000 * 60 * 60);
+  const insideCutoff = hoursToDeparture < this.customerCutoffHours;
+
+  const tier = [...this.tiers]
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+    .find(entry => hoursToDeparture >= entry.minHoursBefore);
+
+  let refundPercent = tier ? tier.refundPercent : 0;
+  if (isStaff && insideCutoff && this.staffLateRefundPercent !== undefined && this.staffLateRefundPercent !== null) {
+    refundPercent = Math.max(refundPercent, this.staffLateRefundPercent);
+  }
+
+  let nonRefundableAmount = 0;
+  const depositRule = this.nonRefundableDeposit || {};
+  if (depositRule.type === 'fixed') {
+    nonRefundableAmount = depositRule.amount;
+  } else if (depositRule.type === 'percentage') {
+    nonRefundableAmount = amountPaid * depositRule.amount / 100;
+  } else if (depositRule.type === 'hiring_deposit') {
+    nonRefundableAmount = deposit;
+  }
+  nonRefundableAmount = round(Math.min(amountPaid, nonRefundableAmount));
+
+  const refundableBase = round(amountPaid - nonRefundableAmount);
+  const grossRefund = round(refundableBase * refundPercent / 100);
+  const fee = grossRefund > 0 ? round(Math.min(grossRefund, this.fixedFee || 0)) : 0;
+
+  return {
+    policyId: this.isNew ? null : this._id,
+    policyName: this.name,
+    canCancel: isStaff || !insideCutoff,
+    reason: !isStaff && insideCutoff
+      ? `Cancellations must be made at least ${this.customerCutoffHours} hours before departure`
+      : undefined,
+    hoursToDeparture: round(hoursToDeparture),
+    tier: tier ? { minHoursBefore: tier.minHoursBefore, refundPercent: tier.refundPercent } : null,
+    refundPercentage: refundPercent / 100,
+    amountPaid: round(amountPaid),
+    nonRefundableAmount,
+    refundableBase,
+    grossRefund,
+    fee,
+    refundAmount: round(grossRefund - fee)
+  };
+};
+
+/**
+ * Work out whether a booking can be moved to another departure and the fee for it
+ * @param {Object} options - { fare, departureDate, changesMade, isStaff, now }
+ * @returns {Object} - Change fee quote
+ */
+CancellationPolicySchema.methods.calculateChangeFee = function(options) {
+  const { fare = 0, departureDate, changesMade = 0, isStaff = false, now = new Date() } = options;
+  const round = value => Math.round(value * 100) / 100;
+
+  const hoursToDeparture = (new Date(departureDate) - now) / (1000 * 60 * 60);
+  const hasMaxChanges = this.maxChanges !== undefined && this.maxChanges !== null;
+
+  let reason;
+  if (!isStaff && hoursToDeparture < this.changeCutoffHours) {
+    reason = `Changes must be made at least ${this.changeCutoffHours} hours before departure`;
+  } else if (!isStaff && hasMaxChanges && changesMade >= this.maxChanges) {
+    reason = this.maxChanges === 0
+      ? 'This booking cannot be changed'
+      : `This booking can only be changed ${this.maxChanges} time${this.maxChanges === 1 ? '' : 's'}`;
+  }
+
+  const feeRule = this.changeFee || {};
+  let fee = 0;
+  if (feeRule.type === 'fixed') {
+    fee = feeRule.amount;
+  } else if (feeRule.type === 'percentage') {
+    fee = fare * feeRule.amount / 100;
+  }
+
+  return {
+    policyId: this.isNew ? null : this._id,
+    policyName: this.name,
+    canChange: !reason,
+    reason,
+    hoursToDeparture: round(hoursToDeparture),
+    changesMade,
+    maxChanges: hasMaxChanges ? this.maxChanges : null,
+    feeType: feeRule.type || 'none',
+    fee: round(fee)
+  };
+};
+
+/**
+ * Find the policy for a booking: route, then bus type, then default
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - Policy document (unsaved built-in if none configured)
+ */
+CancellationPolicySchema.statics.resolveForBooking = async function(booking) {
+  const Bus = mongoose.model('Bus');
+  const busId = booking.populated('bus') || booking.bus;
+  const bus = await Bus.findById(busId).select('type');
+  const routeId = booking.populated('route') || booking.route;
+
+  const policies = await this.find({ appliesTo: 'booking', isActive: true });
+
+  const policy = policies.find(entry => entry.routes.some(route => route.equals(routeId))) ||
+    (bus && policies.find(entry => entry.busTypes.includes(bus.type))) ||
+    policies.find(entry => entry.isDefault);
+
+  return policy || new this(BUILT_IN_POLICIES.booking);
+};
+
+/**
+ * Find the policy for a hiring: named policy, route, rate type, bus type, then default
+ * @param {Object} hiring - Hiring document
+ * @returns {Promise<Object>} - Policy document (unsaved built-in if none configured)
+ */
+CancellationPolicySchema.statics.resolveForHiring = async function(hiring) {
+  const Bus = mongoose.model('Bus');
+  const busId = hiring.populated('bus') || hiring.bus;
+  const bus = await Bus.findById(busId).select('type');
+  const routeId = hiring.populated('route') || hiring.route;
+
+  const policies = await this.find({ appliesTo: 'hiring', isActive: true });
+
+  const policy = policies.find(entry => entry.name === hiring.cancellationPolicy) ||
+    (routeId && policies.find(entry => entry.routes.some(route => route.equals(routeId)))) ||
+    policies.find(entry => entry.rateTypes.includes(hiring.rateType)) ||
+    (bus && policies.find(entry => entry.busTypes.includes(bus.type))) ||
+    policies.find(entry => entry.isDefault);
+
+  if (policy) {
+    return policy;
+  }
+
+  const builtIn = BUILT_IN_POLICIES.hiring[hiring.cancellationPolicy] || BUILT_IN_POLICIES.hiring.Standard;
+  return new this(builtIn);
+};
+
+CancellationPolicySchema.statics.BUILT_IN_POLICIES = BUILT_IN_POLICIES;
+
+module.exports = mongoose.model('CancellationPolicy', CancellationPolicySchema);
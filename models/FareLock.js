@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * A fare quoted to a customer for a trip and held for them during checkout.
+ * It also records how the fare was reached (the holiday calendar, the demand
+ * measured and each pricing rule that changed it), so it is kept after it
+ * is used or runs out as the audit of the quoted price.
+ */
+const FareLockSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  departureDate: Date,
+  // Part of the route the fare is for; unset for the whole route
+  segment: {
+    from: String,
+    to: String,
+    fromKm: Number,
+    toKm: Number
+  },
+  // Fare per passenger, and the steps that led to it
+  fare: {
+    type: Number,
+    required: true
+  },
+  baseFare: Number,
+  calendarFare: Number,
+  calendar: {
+    isHoliday: Boolean,
+    isSeasonal: Boolean,
+    holidays: [String]
+  },
+  metrics: {
+    loadFactor: Number,
+    daysBeforeDeparture: Number,
+    bookingVelocity: Number
+  },
+  adjustments: [{
+    _id: false,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PricingRule'
+    },
+    name: String,
+    metric: String,
+    value: Number,
+    adjustmentType: String,
+    adjustment: Number,
+    change: Number
+  }],
+  floor: Number,
+  ceiling: Number,
+  // Set when the floor or ceiling overrode the rules
+  limitedBy: {
+    type: String,
+    enum: ['floor', 'ceiling']
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Used', 'Cancelled'],
+    default: 'Active'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+FareLockSchema.index({ user: 1, trip: 1, status: 1 });
+FareLockSchema.index({ trip: 1, createdAt: -1 });
+
+/**
+ * Check whether the fare can still be booked at
+ * @param {Date} now - Time of the check
+ * @returns {Boolean}
+ */
+FareLockSchema.methods.isActive = function(now = new Date()) {
+  return this.status === 'Active' && this.lockedUntil > now;
+};
+
+/**
+ * Pricing details in the shape the pricing engine returns them
+ * @returns {Object}
+ */
+FareLockSchema.methods.toPricing = function() {
+  return {
+    fare: this.fare,
+    baseFare: this.baseFare,
+    calendarFare: this.calendarFare,
+    calendar: {
+      isHoliday: Boolean(this.calendar && this.calendar.isHoliday),
+      isSeasonal: Boolean(this.calendar && this.calendar.isSeasonal),
+      holidays: this.calendar ? [...this.calendar.holidays] : []
+    },
+    metrics: this.metrics ? this.metrics.toObject() : {},
+    adjustments: this.adjustments.map(adjustment => adjustment.toObject()),
+    floor: this.floor,
+    ceiling: this.ceiling,
+    limitedBy: this.limitedBy,
+    pricedAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('FareLock', FareLockSchema);
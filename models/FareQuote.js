@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { signFields, verifyFields } = require('../utils/ticketSigning');
+
+/**
+ * An itemized price the server quoted for a booking or a bus hire. The
+ * customer gets a signed quote id and books with it, so the website, the
+ * app and the admin panel all charge the price the server worked out
+ * instead of doing the sums themselves. The request the quote was made for
+ * is fingerprinted; the quote is only honoured for the same request.
+ */
+const FareQuoteSchema = new mongoose.Schema({
+  recordType: {
+    type: String,
+    enum: ['booking', 'hiring'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What was priced, and its fingerprint for matching the booking or hire to the quote
+  request: mongoose.Schema.Types.Mixed,
+  requestKey: {
+    type: String,
+    required: true
+  },
+  // Itemized price in the shape the booking or hire stores it
+  pricing: mongoose.Schema.Types.Mixed,
+  total: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Used'],
+    default: 'Active'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  hiring: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hiring'
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+FareQuoteSchema.index({ user: 1, createdAt: -1 });
+FareQuoteSchema.index({ expiresAt: 1, status: 1 });
+
+/**
+ * Work out the fingerprint of a priced request
+ * @param {Object} request - Normalised request, the same shape for the quote and the booking
+ * @returns {String}
+ */
+FareQuoteSchema.statics.fingerprint = function(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+};
+
+/**
+ * Get the signed id the customer books with
+ * @returns {String}
+ */
+FareQuoteSchema.methods.getQuoteId = function() {
+  return signFields(['FQ', this._id.toString(), String(this.expiresAt.getTime())]);
+};
+
+/**
+ * Read a signed quote id
+ * @param {String} quoteId - Signed quote id
+ * @returns {Object} - { valid, id, expiresAt } or { valid: false }
+ */
+FareQuoteSchema.statics.readQuoteId = function(quoteId) {
+  const verified = typeof quoteId === 'string' ? verifyFields(quoteId) : { valid: false };
+  if (!verified.valid || verified.fields[0] !== 'FQ' || !mongoose.isValidObjectId(verified.fields[1])) {
+    return { valid: false };
+  }
+  return { valid: true, id: verified.fields[1], expiresAt: new Date(Number(verified.fields[2])) };
+};
+
+module.exports = mongoose.model('FareQuote', FareQuoteSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const CancellationPolicy = require('./CancellationPolicy');
+const Promotion = require('./Promotion');
+const Holiday = require('./Holiday');
+const { calculateTax } = require('../utils/tax');
+const config = require('../config/config');
 
 const HiringSchema = new mongoose.Schema({
   // Basic hiring information
@@ -13,7 +18,8 @@ const HiringSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Confirmed', 'Cancelled', 'Rejected', 'In Progress', 'Completed', 'Refunded'],
+    // Charter requests start as Quote Requested and are Quoted until a quote is accepted
+    enum: ['Quote Requested', 'Quoted', 'Pending', 'Approved', 'Confirmed', 'Cancelled', 'Rejected', 'In Progress', 'Completed', 'Refunded'],
     default: 'Pending'
   },
   purpose: {
@@ -116,6 +122,18 @@ const HiringSchema = new mongoose.Schema({
     enum: ['Per Day', 'Per Hour', 'Per Kilometer', 'Fixed', 'Route-Based'],
     default: 'Per Day'
   },
+  // Holidays and travel seasons during the hire
+  pricingCalendar: {
+    isHoliday: {
+      type: Boolean,
+      default: false
+    },
+    isSeasonal: {
+      type: Boolean,
+      default: false
+    },
+    holidays: [String]
+  },
   // Route-based pricing multiplier (if using existing route)
   routePriceMultiplier: {
     type: Number,
@@ -152,6 +170,139 @@ const HiringSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Promotion applied on the server; the discount is already taken off totalCost
+  promoCode: String,
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  discountApplied: {
+    type: Number,
+    default: 0
+  },
+  // Tax included in totalCost
+  tax: {
+    name: String,
+    ratePercent: Number,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // Priced quotes staff issued on a charter request; accepting one sets the hire's cost
+  quoteRevisions: [{
+    revision: {
+      type: Number,
+      required: true
+    },
+    // Bus offered, when it differs from the one requested
+    bus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bus'
+    },
+    items: [{
+      _id: false,
+      description: {
+        type: String,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true
+      }
+    }],
+    subtotal: Number,
+    tax: {
+      name: String,
+      ratePercent: Number,
+      amount: Number
+    },
+    total: Number,
+    // Paid when the quote is accepted; the rest is the balance
+    deposit: Number,
+    // Payment plan the hire takes on if this quote is accepted
+    paymentPlan: {
+      depositPercent: Number,
+      balanceDueDays: Number,
+      missedAction: {
+        type: String,
+        enum: ['hold', 'cancel']
+      }
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    notes: String,
+    status: {
+      type: String,
+      enum: ['Issued', 'Accepted', 'Declined', 'Superseded'],
+      default: 'Issued'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // When and why the customer accepted or declined it
+    respondedAt: Date,
+    responseNote: String
+  }],
+  acceptedRevision: Number,
+  // Payment plan of the accepted quote: what is invoiced when, and what a missed payment does
+  paymentPlan: {
+    depositPercent: Number,
+    // The balance is due this many days before the hire starts
+    balanceDueDays: Number,
+    missedAction: {
+      type: String,
+      enum: ['hold', 'cancel']
+    }
+  },
+  // Set while the hire is held for a missed payment; paying what is overdue releases it
+  paymentHold: {
+    heldAt: Date,
+    invoiceNumber: String,
+    reason: String
+  },
+  
+  // Invoices raised on the hire; payments settle them in due date order
+  invoices: [{
+    invoiceNumber: {
+      type: String,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['Deposit', 'Balance'],
+      required: true
+    },
+    description: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    dueDate: Date,
+    status: {
+      type: String,
+      enum: ['Unpaid', 'Paid', 'Void'],
+      default: 'Unpaid'
+    },
+    quoteRevision: Number,
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    paidAt: Date,
+    // Days before the due date reminders were sent at
+    remindersSent: [Number],
+    // When the grace period ran out with the invoice unpaid
+    missedAt: Date
+  }],
   
   // Payment information
   paymentStatus: {
@@ -164,14 +315,53 @@ const HiringSchema = new mongoose.Schema({
     date: Date,
     method: {
       type: String,
-      enum: ['Credit Card', 'Debit Card', 'Bank Transfer', 'Cash', 'Mobile Money', 'Other']
+      enum: ['Paystack', 'Credit Card', 'Debit Card', 'Bank Transfer', 'Cash', 'Mobile Money', 'Other']
     },
     transactionId: String,
+    reference: String, // Payment gateway reference
+    gateway: String,
     status: {
       type: String,
       enum: ['Pending', 'Completed', 'Failed', 'Refunded']
     }
   }],
+  // Refund information
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    refundTransactionId: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Completed', 'Failed'],
+      default: 'Pending'
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Gateway refund tracking
+    gateway: String, // Gateway that took the original payment, or 'Manual'
+    paymentReference: String, // Reference of the transaction being refunded
+    gatewayReference: String, // Refund reference returned by the gateway
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    failureReason: String,
+    completedAt: Date
+  }],
   
   // Relationships
   user: {
@@ -214,93 +404,148 @@ const HiringSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to calculate total hiring cost
-HiringSchema.methods.calculateTotalCost = async function() {
-  try {
-    let totalCost = 0;
-    const startDate = new Date(this.startDate);
-    const endDate = new Date(this.endDate);
-    
-    // Calculate duration in various units
-    const durationInMs = endDate - startDate;
-    const durationInHours = durationInMs / (1000 * 60 * 60);
-    const durationInDays = durationInHours / 24;
-    
-    // Calculate base cost according to rate type
-    switch (this.rateType) {
-      case 'Per Day':
-        totalCost = this.baseRate * Math.ceil(durationInDays); // Round up to full days
-        break;
-      case 'Per Hour':
-        totalCost = this.baseRate * Math.ceil(durationInHours); // Round up to full hours
-        break;
-      case 'Per Kilometer':
-        totalCost = this.baseRate * this.estimatedDistance;
-        break;
-      case 'Fixed':
-        totalCost = this.baseRate; // Fixed rate regardless of duration or distance
-        break;
-      case 'Route-Based':
-        // Use existing route pricing with multiplier for hiring
-        if (this.route) {
-          const Route = mongoose.model('Route');
-          const Bus = mongoose.model('Bus');
-          const route = await Route.findById(this.route);
-          const bus = await Bus.findById(this.bus);
-          
-          if (route && bus) {
-            // For hiring, use the base fare directly without dynamic pricing multipliers
-            // This ensures consistent pricing with the frontend calculation
-            const baseFareAmount = this.baseRate || route.baseFare;
-            
-            // For hiring, calculate the cost as: (base fare per passenger) x (bus capacity) x (multiplier)
-            // This ensures that hiring a bus costs the equivalent of booking all seats
-            // For route-based hiring, we don't multiply by duration to match frontend logic
-            totalCost = baseFareAmount * bus.capacity * (this.routePriceMultiplier || 1);
-            
-            // Note: For route-based hiring, we don't multiply by duration
-            // This matches the frontend calculation which treats hiring as a flat rate
-          } else {
-            throw new Error('Route or Bus not found for route-based pricing');
-          }
-        } else {
-          throw new Error('Route is required for route-based pricing');
-        }
-        break;
-      default:
-        totalCost = this.baseRate * Math.ceil(durationInDays);
+/**
+ * Work out the cost of the hire, item by item
+ * This is the only place hires are priced; clients show the items from the
+ * quote endpoint rather than doing the sums themselves. Sets pricingCalendar.
+ * @returns {Promise<Object>} - { items, subtotal, discount, tax, total, calendar }
+ */
+HiringSchema.methods.itemizeCost = async function() {
+  const items = [];
+  const add = (type, description, amount) => {
+    const rounded = Math.round(amount * 100) / 100;
+    if (rounded !== 0 || type === 'base_rate') {
+      items.push({ type, description, amount: rounded });
     }
-    
-    // Add driver allowance
-    if (this.driverAllowance > 0) {
-      totalCost += this.driverAllowance;
+  };
+  const sum = () => Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+
+  const startDate = new Date(this.startDate);
+  const endDate = new Date(this.endDate);
+  
+  // Calculate duration in various units
+  const durationInMs = endDate - startDate;
+  const durationInHours = durationInMs / (1000 * 60 * 60);
+  const durationInDays = durationInHours / 24;
+  const days = Math.ceil(durationInDays); // Round up to full days
+  
+  // Any holiday or travel season from pickup to the end of the hire counts
+  const lastDay = this.returnDate && new Date(this.returnDate) > endDate ? new Date(this.returnDate) : endDate;
+  const calendar = await Holiday.getPricingCalendar(startDate, lastDay);
+  this.pricingCalendar = calendar;
+  
+  // Calculate base cost according to rate type
+  switch (this.rateType) {
+    case 'Per Hour': {
+      const hours = Math.ceil(durationInHours); // Round up to full hours
+      add('base_rate', `${hours} hour(s) at ${this.baseRate} per hour`, this.baseRate * hours);
+      break;
     }
-    
-    // Add overtime charges if applicable (e.g., more than 8 hours per day)
-    const standardHoursPerDay = 8;
-    const totalStandardHours = Math.ceil(durationInDays) * standardHoursPerDay;
-    
-    if (durationInHours > totalStandardHours && this.overtimeRate > 0) {
-      const overtimeHours = durationInHours - totalStandardHours;
-      totalCost += overtimeHours * this.overtimeRate;
+    case 'Per Kilometer':
+      add('base_rate', `${this.estimatedDistance} km at ${this.baseRate} per km`, this.baseRate * this.estimatedDistance);
+      break;
+    case 'Fixed':
+      add('base_rate', 'Fixed rate', this.baseRate); // Fixed rate regardless of duration or distance
+      break;
+    case 'Route-Based': {
+      // Use existing route pricing with multiplier for hiring
+      if (!this.route) {
+        throw new Error('Route is required for route-based pricing');
+      }
+      const Route = mongoose.model('Route');
+      const Bus = mongoose.model('Bus');
+      const route = await Route.findById(this.route);
+      const bus = await Bus.findById(this.bus);
+      if (!route || !bus) {
+        throw new Error('Route or Bus not found for route-based pricing');
+      }
+      
+      // For hiring, use the base fare directly without peak and weekend multipliers
+      const baseFareAmount = this.baseRate || route.baseFare;
+      
+      // Hiring a bus costs the equivalent of booking all its seats, (base fare per passenger)
+      // x (bus capacity) x (multiplier), as a flat rate for the journey whatever its duration
+      const multiplier = this.routePriceMultiplier || 1;
+      const baseCost = baseFareAmount * bus.capacity * multiplier;
+      add('base_rate', `Route fare ${baseFareAmount} x ${bus.capacity} seats${multiplier !== 1 ? ` x${multiplier}` : ''}`, baseCost);
+      
+      // Holiday and seasonal demand raise the hire as they do the route's fares
+      const holidays = calendar.holidays.length > 0 ? ` (${calendar.holidays.join(', ')})` : '';
+      let calendarCost = baseCost;
+      if (calendar.isHoliday) {
+        add('multiplier', `Holiday pricing x${route.holidayMultiplier}${holidays}`, calendarCost * (route.holidayMultiplier - 1));
+        calendarCost *= route.holidayMultiplier;
+      }
+      if (calendar.isSeasonal) {
+        add('multiplier', `Season pricing x${route.seasonalMultiplier}${holidays}`, calendarCost * (route.seasonalMultiplier - 1));
+      }
+      break;
     }
-    
-    // Add all additional charges
-    if (this.additionalCharges && this.additionalCharges.length > 0) {
-      this.additionalCharges.forEach(charge => {
-        totalCost += charge.amount;
-      });
+    default:
+      // Per Day, and hires without a rate type
+      add('base_rate', `${days} day(s) at ${this.baseRate} per day`, this.baseRate * days);
+  }
+  
+  // Add driver allowance
+  if (this.driverAllowance > 0) {
+    add('driver_allowance', 'Driver allowance', this.driverAllowance);
+  }
+  
+  // Add overtime charges if applicable (e.g., more than 8 hours per day)
+  const standardHoursPerDay = 8;
+  const totalStandardHours = days * standardHoursPerDay;
+  
+  if (durationInHours > totalStandardHours && this.overtimeRate > 0) {
+    const overtimeHours = durationInHours - totalStandardHours;
+    add('overtime', `${Math.round(overtimeHours * 100) / 100} overtime hour(s) at ${this.overtimeRate} per hour`, overtimeHours * this.overtimeRate);
+  }
+  
+  // Add all additional charges
+  (this.additionalCharges || []).forEach(charge => {
+    add('additional_charge', charge.description, charge.amount);
+  });
+  
+  // A round trip pays for the whole journey again on the way back
+  if (this.tripType === 'Round-Trip') {
+    add('round_trip', 'Return journey', sum());
+  }
+  
+  const subtotal = sum();
+  
+  // Revalue the hiring's promotion on the new cost
+  let discount = 0;
+  if (this.promotion) {
+    const promotion = await Promotion.findById(this.promotion);
+    discount = promotion ? promotion.calculateDiscount(subtotal) : 0;
+    if (discount > 0) {
+      add('promotion', `Promotion ${promotion.code}`, -discount);
     }
-    
-    // Handle round trip pricing
-    if (this.tripType === 'Round-Trip') {
-      // For round trips, simply double the cost to match frontend calculation
-      // This ensures consistency between frontend and backend
-      totalCost *= 2;
+  }
+  
+  const tax = calculateTax(subtotal - discount);
+  if (tax.amount > 0) {
+    add('tax', `${tax.name} (${tax.ratePercent}%)`, tax.amount);
+  }
+  
+  return {
+    items,
+    subtotal,
+    discount,
+    tax,
+    total: Math.round((subtotal - discount + tax.amount) * 100) / 100,
+    calendar
+  };
+};
+
+// Method to calculate total hiring cost
+HiringSchema.methods.calculateTotalCost = async function() {
+  try {
+    const cost = await this.itemizeCost();
+    if (this.promotion) {
+      this.discountApplied = cost.discount;
     }
-    
-    // Round to 2 decimal places
-    this.totalCost = Math.round(totalCost * 100) / 100;
+    this.tax = cost.tax;
+    this.totalCost = cost.total;
     return this.totalCost;
   } catch (error) {
     console.error('Error calculating total cost:', error);
@@ -395,7 +640,8 @@ HiringSchema.methods.checkBusAvailability = async function() {
           }
         }
       ],
-      status: { $in: ['Confirmed', 'Pending', 'In Progress'] }
+      // Approved hires keep the bus while their payment is awaited
+      status: { $in: ['Approved', 'Confirmed', 'Pending', 'In Progress'] }
     });
     
     if (hirings.length > 0) {
@@ -457,87 +703,23 @@ HiringSchema.methods.updateStatus = async function(newStatus, reason = '') {
   }
 };
 
+// Method to work out the refund for a cancellation under the applicable policy
+HiringSchema.methods.getCancellationQuote = async function(options = {}) {
+  const policy = await CancellationPolicy.resolveForHiring(this);
+
+  return policy.calculateRefund({
+    amountPaid: this.totalPaid,
+    departureDate: this.startDate,
+    deposit: this.deposit,
+    isStaff: options.isStaff,
+    now: options.now
+  });
+};
+
 // Method to handle cancellations and refunds
-HiringSchema.methods.handleCancellation = async function(reason = '') {
+HiringSchema.methods.handleCancellation = async function(reason = '', options = {}) {
   try {
-    const now = new Date();
-    const startDate = new Date(this.startDate);
-    const daysToDeparture = (startDate - now) / (1000 * 60 * 60 * 24);
-    
-    // Different refund policies based on cancellation time
-    let refundPercentage = 0;
-    
-    // Standard cancellation policy
-    if (this.cancellationPolicy === 'Standard') {
-      if (daysToDeparture > 14) {
-        // More than 14 days before start - 90% refund
-        refundPercentage = 0.9;
-      } else if (daysToDeparture > 7) {
-        // 7-14 days before start - 75% refund
-        refundPercentage = 0.75;
-      } else if (daysToDeparture > 3) {
-        // 3-7 days before start - It was late so 50% refund
-        refundPercentage = 0.5;
-      } else if (daysToDeparture > 1) {
-        // 1-3 days before start - It was too late so 25% refund
-        refundPercentage = 0.25;
-      }
-      // Less than 1 day - no refund (refundPercentage remains 0)
-    } else if (this.cancellationPolicy === 'Flexible') {
-      // Flexible cancellation policy (more generous)
-      if (daysToDeparture > 7) {
-        // More than 7 days before start - full refund
-        refundPercentage = 1.0;
-      } else if (daysToDeparture > 3) {
-        // 3-7 days before start - 80% refund
-        refundPercentage = 0.8;
-      } else if (daysToDeparture > 1) {
-        // 1-3 days before start - 50% refund
-        refundPercentage = 0.5;
-      }
-      // Less than 1 day - no refund (refundPercentage remains 0)
-    } else if (this.cancellationPolicy === 'Strict') {
-      // Strict cancellation policy (less generous)
-      if (daysToDeparture > 30) {
-        // More than 30 days before start - 75% refund
-        refundPercentage = 0.75;
-      } else if (daysToDeparture > 14) {
-        // 14-30 days before start - 50% refund
-        refundPercentage = 0.5;
-      } else if (daysToDeparture > 7) {
-        // 7-14 days before start - 25% refund
-        refundPercentage = 0.25;
-      }
-      // Less than 7 days - no refund (refundPercentage remains 0)
-    }
-    
-    // Calculate refund amount
-    const totalPaid = this.payments.reduce((sum, payment) => {
-      if (payment.status === 'Completed') {
-        return sum + payment.amount;
-      }
-      return sum;
-    }, 0);
-    
-    const refundAmount = Math.round(totalPaid * refundPercentage * 100) / 100;
-    
-    // Record the refund in payment history
-    if (refundAmount > 0) {
-      this.payments.push({
-        amount: -refundAmount, // Negative to indicate refund
-        date: new Date(),
-        method: 'Refund',
-        status: 'Completed',
-        transactionId: `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
-      });
-      
-      // Update payment status
-      if (refundAmount >= totalPaid) {
-        this.paymentStatus = 'Refunded';
-      } else {
-        this.paymentStatus = 'Partially Refunded';
-      }
-    }
+    const quote = await this.getCancellationQuote(options);
     
     // Add cancellation details
     this.notes = this.notes ? 
@@ -546,8 +728,9 @@ HiringSchema.methods.handleCancellation = async function(reason = '') {
     
     return {
       success: true,
-      refundAmount,
-      refundPercentage
+      refundAmount: quote.refundAmount,
+      refundPercentage: quote.refundPercentage,
+      quote
     };
   } catch (error) {
     console.error('Error handling cancellation:', error);
@@ -555,10 +738,67 @@ HiringSchema.methods.handleCancellation = async function(reason = '') {
   }
 };
 
+// Method to add a refund
+HiringSchema.methods.addRefund = function(refundData) {
+  const {
+    amount,
+    reason,
+    refundTransactionId,
+    processedBy,
+    status = 'Pending',
+    gateway,
+    paymentReference,
+    gatewayReference
+  } = refundData;
+
+  this.refunds.push({
+    amount: parseFloat(amount),
+    reason,
+    refundTransactionId: refundTransactionId || `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    status,
+    date: new Date(),
+    processedBy,
+    gateway,
+    paymentReference,
+    gatewayReference,
+    completedAt: status === 'Completed' ? new Date() : undefined
+  });
+  this.updateRefundStatus();
+
+  return this.refunds[this.refunds.length - 1];
+};
+
+// Method to mark a pending refund as completed
+HiringSchema.methods.markRefundCompleted = function(refund) {
+  refund.status = 'Completed';
+  refund.completedAt = new Date();
+  refund.failureReason = undefined;
+  refund.nextAttemptAt = undefined;
+  this.updateRefundStatus();
+  return refund;
+};
+
+// Method to get total refunded amount
+HiringSchema.methods.getTotalRefunded = function() {
+  return this.refunds
+    .filter(refund => refund.status === 'Completed')
+    .reduce((total, refund) => total + refund.amount, 0);
+};
+
+// Method to update payment status once refunds complete
+HiringSchema.methods.updateRefundStatus = function() {
+  const totalRefunded = this.getTotalRefunded();
+  const totalPaid = this.totalPaid;
+
+  if (totalRefunded > 0) {
+    this.paymentStatus = totalRefunded >= totalPaid ? 'Refunded' : 'Partially Refunded';
+  }
+};
+
 // Method to process payment
 HiringSchema.methods.processPayment = async function(paymentData) {
   try {
-    const { amount, method, transactionId } = paymentData;
+    const { amount, method, transactionId, reference, gateway } = paymentData;
     
     if (!amount || amount <= 0) {
       throw new Error('Invalid payment amount');
@@ -570,6 +810,8 @@ HiringSchema.methods.processPayment = async function(paymentData) {
       date: new Date(),
       method: method || 'Other',
       transactionId: transactionId || `PAY-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      reference,
+      gateway,
       status: 'Completed'
     };
     
@@ -597,6 +839,8 @@ HiringSchema.methods.processPayment = async function(paymentData) {
       this.status = 'Confirmed';
     }
     
+    this.settleInvoices();
+    
     await this.save();
     
     return {
@@ -611,6 +855,297 @@ HiringSchema.methods.processPayment = async function(paymentData) {
   }
 };
 
+/**
+ * Find a quote revision by its number
+ * @param {Number} revision - Revision number
+ * @returns {Object|undefined}
+ */
+HiringSchema.methods.getQuoteRevision = function(revision) {
+  return this.quoteRevisions.find(quote => quote.revision === Number(revision));
+};
+
+/**
+ * Check whether a quote revision can still be accepted
+ * @param {Object} quote - Quote revision
+ * @param {Date} now - Time of the check
+ * @returns {Boolean}
+ */
+HiringSchema.methods.isQuoteOpen = function(quote, now = new Date()) {
+  return quote.status === 'Issued' && quote.expiresAt > now;
+};
+
+/**
+ * Issue a priced quote revision on a charter request
+ * Tax is added to the line items; the deposit is a share of the total
+ * @param {Object} options - { items, depositPercent, balanceDueDays, missedAction, expiresAt, notes, bus, issuedBy, supersedePrevious }
+ * @returns {Object} - The new revision
+ */
+HiringSchema.methods.issueQuoteRevision = function({
+  items,
+  depositPercent,
+  balanceDueDays,
+  missedAction,
+  expiresAt,
+  notes,
+  bus,
+  issuedBy,
+  supersedePrevious = true
+}) {
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const subtotal = round(items.reduce((total, item) => total + Number(item.amount), 0));
+  const tax = calculateTax(subtotal);
+  const total = round(subtotal + tax.amount);
+
+  // A revised quote replaces the open ones unless it is offered alongside them
+  if (supersedePrevious) {
+    this.quoteRevisions
+      .filter(quote => quote.status === 'Issued')
+      .forEach(quote => { quote.status = 'Superseded'; });
+  }
+
+  this.quoteRevisions.push({
+    revision: this.quoteRevisions.length + 1,
+    bus,
+    items,
+    subtotal,
+    tax,
+    total,
+    deposit: round(total * depositPercent / 100),
+    paymentPlan: { depositPercent, balanceDueDays, missedAction },
+    expiresAt,
+    notes,
+    issuedBy
+  });
+  this.status = 'Quoted';
+
+  return this.quoteRevisions[this.quoteRevisions.length - 1];
+};
+
+/**
+ * Accept a quote revision: the hire takes its price, bus and payment plan,
+ * is confirmed, and the deposit and balance are invoiced
+ * @param {Object} quote - Quote revision being accepted
+ * @param {Object} options - { depositDueAt, note, now }
+ * @returns {Array} - The invoices raised, deposit first
+ */
+HiringSchema.methods.acceptQuoteRevision = function(quote, { depositDueAt, note, now = new Date() }) {
+  quote.status = 'Accepted';
+  quote.respondedAt = now;
+  quote.responseNote = note;
+  this.quoteRevisions
+    .filter(other => other !== quote && other.status === 'Issued')
+    .forEach(other => { other.status = 'Superseded'; });
+
+  this.acceptedRevision = quote.revision;
+  if (quote.bus) {
+    this.bus = quote.bus;
+  }
+  this.totalCost = quote.total;
+  this.tax = quote.tax;
+  this.discountApplied = 0;
+  this.deposit = quote.deposit;
+  this.status = 'Confirmed';
+
+  // Quotes issued before payment plans existed take the default plan
+  const plan = quote.paymentPlan || {};
+  this.paymentPlan = {
+    depositPercent: plan.depositPercent,
+    balanceDueDays: plan.balanceDueDays !== undefined && plan.balanceDueDays !== null
+      ? plan.balanceDueDays
+      : config.hiringPayments.balanceDueDays,
+    missedAction: plan.missedAction || config.hiringPayments.missedAction
+  };
+
+  return this.raisePlanInvoices({
+    total: quote.total,
+    deposit: quote.deposit,
+    depositDueAt,
+    label: `quote revision ${quote.revision}`,
+    quoteRevision: quote.revision
+  });
+};
+
+/**
+ * Put a hire that wasn't quoted on the default payment plan once staff
+ * approve or confirm it, invoicing the deposit and the balance
+ * Hires that already have invoices are left as they are
+ * @param {Date} now - Time of approval
+ * @returns {Array} - The invoices raised, deposit first
+ */
+HiringSchema.methods.applyDefaultPaymentPlan = function(now = new Date()) {
+  if (this.invoices.length > 0 || !(this.totalCost > 0)) {
+    return [];
+  }
+
+  const depositPercent = config.hiringQuotes.depositPercent;
+  if (!(this.deposit > 0)) {
+    this.deposit = Math.round(this.totalCost * depositPercent) / 100;
+  }
+  this.paymentPlan = {
+    depositPercent,
+    balanceDueDays: config.hiringPayments.balanceDueDays,
+    missedAction: config.hiringPayments.missedAction
+  };
+
+  return this.raisePlanInvoices({
+    total: this.totalCost,
+    deposit: this.deposit,
+    depositDueAt: this.getDepositDueAt(now),
+    label: `hire ${this.hiringNumber}`
+  });
+};
+
+/**
+ * When a deposit asked for now falls due: within a few days, and before the hire starts
+ * @param {Date} now - Time the deposit is asked for
+ * @returns {Date}
+ */
+HiringSchema.methods.getDepositDueAt = function(now = new Date()) {
+  return new Date(Math.min(
+    now.getTime() + config.hiringQuotes.depositDueDays * 24 * 60 * 60 * 1000,
+    this.startDate.getTime()
+  ));
+};
+
+/**
+ * Invoice the deposit and balance of the hire's payment plan
+ * @param {Object} options - { total, deposit, depositDueAt, label, quoteRevision }
+ * @returns {Array} - The invoices raised, deposit first
+ */
+HiringSchema.methods.raisePlanInvoices = function({ total, deposit, depositDueAt, label, quoteRevision }) {
+  const invoices = [];
+  if (deposit > 0) {
+    invoices.push(this.addInvoice({
+      kind: 'Deposit',
+      description: `Deposit on ${label}`,
+      amount: deposit,
+      dueDate: depositDueAt,
+      quoteRevision
+    }));
+  }
+
+  // The balance falls due before the hire starts, but never before the deposit
+  const balance = Math.round((total - (deposit || 0)) * 100) / 100;
+  if (balance > 0) {
+    const balanceDueAt = new Date(this.startDate.getTime() - this.paymentPlan.balanceDueDays * 24 * 60 * 60 * 1000);
+    invoices.push(this.addInvoice({
+      kind: 'Balance',
+      description: `Balance on ${label}`,
+      amount: balance,
+      dueDate: new Date(Math.max(balanceDueAt.getTime(), depositDueAt.getTime())),
+      quoteRevision
+    }));
+  }
+
+  return invoices;
+};
+
+/**
+ * Raise an invoice on the hire
+ * @param {Object} invoice - { kind, description, amount, dueDate, quoteRevision }
+ * @returns {Object} - The new invoice
+ */
+HiringSchema.methods.addInvoice = function(invoice) {
+  this.invoices.push({
+    ...invoice,
+    invoiceNumber: `${this.hiringNumber}-INV${this.invoices.length + 1}`
+  });
+  const added = this.invoices[this.invoices.length - 1];
+  this.settleInvoices();
+  return added;
+};
+
+/**
+ * Mark invoices paid, earliest due first, as far as completed payments cover them
+ */
+HiringSchema.methods.settleInvoices = function() {
+  let available = this.totalPaid;
+  const invoices = this.invoices
+    .filter(invoice => invoice.status !== 'Void')
+    .sort((a, b) => (a.dueDate || a.issuedAt) - (b.dueDate || b.issuedAt));
+
+  invoices.forEach(invoice => {
+    if (available + 0.01 >= invoice.amount) {
+      available -= invoice.amount;
+      if (invoice.status !== 'Paid') {
+        invoice.status = 'Paid';
+        invoice.paidAt = new Date();
+      }
+    } else {
+      available = 0;
+    }
+  });
+
+  // Paying everything that was missed releases a payment hold
+  if (this.paymentHold && this.paymentHold.heldAt &&
+      !this.invoices.some(invoice => invoice.status === 'Unpaid' && invoice.missedAt)) {
+    this.paymentHold = undefined;
+  }
+};
+
+/**
+ * Work out what has been paid on the hire, what is due and what is overdue
+ * Payments are allocated to invoices earliest due first; any cost not yet
+ * invoiced is due when the hire starts.
+ * @param {Date} now - Time of the statement
+ * @returns {Object} - { totalCost, paid, due, overdue, outstanding, milestones, onHold }
+ */
+HiringSchema.methods.getPaymentStatement = function(now = new Date()) {
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const milestones = this.invoices
+    .filter(invoice => invoice.status !== 'Void')
+    .sort((a, b) => (a.dueDate || a.issuedAt) - (b.dueDate || b.issuedAt))
+    .map(invoice => ({
+      invoiceNumber: invoice.invoiceNumber,
+      kind: invoice.kind,
+      description: invoice.description,
+      amount: invoice.amount,
+      dueDate: invoice.dueDate
+    }));
+
+  const invoiced = milestones.reduce((total, milestone) => total + milestone.amount, 0);
+  const uninvoiced = round(this.totalCost - invoiced);
+  if (uninvoiced > 0) {
+    milestones.push({
+      invoiceNumber: null,
+      kind: 'Balance',
+      description: 'Not yet invoiced',
+      amount: uninvoiced,
+      dueDate: this.startDate
+    });
+  }
+
+  let available = this.totalPaid;
+  const totals = { due: 0, overdue: 0 };
+  milestones.forEach(milestone => {
+    milestone.paid = round(Math.min(available, milestone.amount));
+    milestone.outstanding = round(milestone.amount - milestone.paid);
+    available = round(available - milestone.paid);
+
+    if (milestone.outstanding <= 0.01) {
+      milestone.status = 'Paid';
+    } else if (milestone.dueDate && milestone.dueDate < now) {
+      milestone.status = 'Overdue';
+      totals.overdue += milestone.outstanding;
+    } else {
+      milestone.status = 'Due';
+      totals.due += milestone.outstanding;
+    }
+  });
+
+  return {
+    totalCost: this.totalCost,
+    paid: round(this.totalPaid),
+    due: round(totals.due),
+    overdue: round(totals.overdue),
+    outstanding: round(totals.due + totals.overdue),
+    paymentPlan: this.paymentPlan,
+    onHold: Boolean(this.paymentHold && this.paymentHold.heldAt),
+    paymentHold: this.paymentHold && this.paymentHold.heldAt ? this.paymentHold : undefined,
+    milestones
+  };
+};
+
 // Virtual for total paid amount
 HiringSchema.virtual('totalPaid').get(function() {
   return this.payments.reduce((sum, payment) => {
@@ -643,11 +1178,28 @@ HiringSchema.virtual('durationHours').get(function() {
   return Math.ceil(durationInMs / (1000 * 60 * 60));
 });
 
+// Remember the stored status, to tell when a hiring stops counting towards its promotion
+HiringSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Cancelled and rejected hirings give back the use of their promotion
+HiringSchema.post('save', async function() {
+  const { savedStatus } = this.$locals;
+  this.$locals.savedStatus = this.status;
+
+  const ended = ['Cancelled', 'Rejected'];
+  if (this.promotion && savedStatus && !ended.includes(savedStatus) && ended.includes(this.status)) {
+    await Promotion.releaseRedemption(this.promotion, this.populated('user') || this.user);
+  }
+});
+
 // Define indexes for better query performance
 HiringSchema.index({ user: 1 });
 HiringSchema.index({ bus: 1 });
 HiringSchema.index({ status: 1 });
 HiringSchema.index({ startDate: 1, endDate: 1 });
+HiringSchema.index({ promotion: 1, user: 1 }, { sparse: true });
 
 // Export the model
 module.exports = mongoose.model('Hiring', HiringSchema);
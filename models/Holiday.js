@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const HOLIDAY_TYPES = ['public_holiday', 'travel_season'];
+const SCOPES = ['national', 'state'];
+
+/**
+ * Helper function to get the start of the local day a date falls on
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Helper function to get a sortable month and day key for a date
+ */
+const dayOfYearKey = (date) => date.getMonth() * 100 + date.getDate();
+
+/**
+ * Helper function to match a state name whatever its case
+ */
+const stateQuery = (state) =>
+  new RegExp(`^${state.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+/**
+ * A day or run of days on the pricing calendar. Public holidays apply the
+ * routes' holiday multiplier and travel seasons (e.g. the Christmas rush)
+ * their seasonal multiplier. State holidays only count in the state the
+ * service runs in; recurring entries repeat on the same dates every year.
+ */
+const HolidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a holiday name'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: HOLIDAY_TYPES,
+    default: 'public_holiday'
+  },
+  scope: {
+    type: String,
+    enum: SCOPES,
+    default: 'national'
+  },
+  // State the holiday is observed in, for state holidays
+  state: {
+    type: String,
+    trim: true,
+    required: [
+      function() { return this.scope === 'state'; },
+      'Please provide the state a state holiday is observed in'
+    ]
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide the date of the holiday']
+  },
+  // Last day of the holiday, the start date for one-day holidays
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(endDate) {
+        return !endDate || !this.startDate || endDate >= this.startDate;
+      },
+      message: 'The end of the holiday cannot be before its start'
+    }
+  },
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+HolidaySchema.index({ name: 1, startDate: 1, scope: 1, state: 1 }, { unique: true });
+HolidaySchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+// Holidays cover whole days
+HolidaySchema.pre('validate', function(next) {
+  if (this.startDate) {
+    this.startDate = startOfDay(this.startDate);
+    this.endDate = startOfDay(this.endDate || this.startDate);
+  }
+  if (this.scope === 'national') {
+    this.state = undefined;
+  }
+  if (this.recurring && this.endDate - this.startDate >= 365 * 24 * 60 * 60 * 1000) {
+    this.invalidate('endDate', 'A recurring holiday must be shorter than a year');
+  }
+  next();
+});
+
+/**
+ * Check whether the holiday falls on a day
+ * @param {Date} date - Any time on the day
+ * @returns {Boolean}
+ */
+HolidaySchema.methods.coversDay = function(date) {
+  const day = startOfDay(date);
+  if (!this.recurring) {
+    return day >= this.startDate && day <= this.endDate;
+  }
+
+  // Recurring seasons may run over the new year (e.g. 20 Dec - 5 Jan)
+  const key = dayOfYearKey(day);
+  const from = dayOfYearKey(this.startDate);
+  const to = dayOfYearKey(this.endDate);
+  return from <= to ? key >= from && key <= to : key >= from || key <= to;
+};
+
+/**
+ * Find the holidays and travel seasons that fall on any day of a date range
+ * @param {Date} start - First day
+ * @param {Date} end - Last day, the first day when pricing a single day
+ * @param {Object} options - { state }, defaults to the state the service runs in
+ * @returns {Promise<Array>} - Matching holidays
+ */
+HolidaySchema.statics.findForRange = async function(start, end = start, options = {}) {
+  const { state = config.holidays.state } = options;
+  const first = startOfDay(start);
+  const last = startOfDay(end && end > start ? end : start);
+
+  const scopes = [{ scope: 'national' }];
+  if (state) {
+    scopes.push({ scope: 'state', state: stateQuery(state) });
+  }
+
+  const candidates = await this.find({
+    isActive: true,
+    $and: [
+      { $or: scopes },
+      { $or: [{ recurring: true }, { startDate: { $lte: last }, endDate: { $gte: first } }] }
+    ]
+  }).sort({ startDate: 1 });
+
+  // Every day of a range shorter than a year is enough to place recurring ones
+  const days = [];
+  for (const day = new Date(first); day <= last && days.length < 366; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+
+  return candidates.filter(holiday => days.some(day => holiday.coversDay(day)));
+};
+
+/**
+ * Work out the calendar flags fares are priced with over a date range
+ * @param {Date} start - First day
+ * @param {Date} end - Last day, the first day when pricing a single day
+ * @param {Object} options - { state }
+ * @returns {Promise<Object>} - { isHoliday, isSeasonal, holidays }
+ */
+HolidaySchema.statics.getPricingCalendar = async function(start, end = start, options = {}) {
+  const holidays = await this.findForRange(start, end, options);
+
+  return {
+    isHoliday: holidays.some(holiday => holiday.type === 'public_holiday'),
+    isSeasonal: holidays.some(holiday => holiday.type === 'travel_season'),
+    holidays: holidays.map(holiday => holiday.name)
+  };
+};
+
+HolidaySchema.statics.HOLIDAY_TYPES = HOLIDAY_TYPES;
+HolidaySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
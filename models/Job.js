@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Number of recent runs kept on each job
+const HISTORY_LIMIT = 20;
+
+/**
+ * Recurring background job.
+ * Job handlers are defined in code; this record keeps the schedule state,
+ * pause flag, retry counters and run history across restarts and instances.
+ */
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a job name'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  schedule: {
+    type: String,
+    required: [true, 'Please provide a cron schedule']
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Paused'],
+    default: 'Active'
+  },
+  nextRunAt: Date,
+  // Lock held by the instance currently running the job
+  lockedBy: String,
+  lockedUntil: Date,
+  // Retry state for the current failure streak
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  retryBaseSeconds: {
+    type: Number,
+    default: 60
+  },
+  // Last run summary
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['Running', 'Succeeded', 'Failed']
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  history: [{
+    trigger: {
+      type: String,
+      enum: ['schedule', 'retry', 'manual']
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    status: {
+      type: String,
+      enum: ['Succeeded', 'Failed']
+    },
+    error: String,
+    result: mongoose.Schema.Types.Mixed,
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  pausedAt: Date,
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+JobSchema.index({ status: 1, nextRunAt: 1 });
+
+JobSchema.statics.HISTORY_LIMIT = HISTORY_LIMIT;
+
+module.exports = mongoose.model('Job', JobSchema);
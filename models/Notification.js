@@ -34,12 +34,20 @@ const NotificationSchema = new mongoose.Schema({
       'booking_confirmed',
       'booking_cancelled', 
       'booking_reminder',
+      'booking_rescheduled',
       'payment_successful',
       'payment_failed',
       'refund_processed',
       'bus_delayed',
       'bus_cancelled',
       'route_updated',
+      'waitlist_offer',
+      'waitlist_expired',
+      'hiring_quoted',
+      'hiring_confirmed',
+      'hiring_cancelled',
+      'hiring_payment_reminder',
+      'hiring_payment_overdue',
       'promotional',
       'system_maintenance',
       'security_alert',
@@ -125,6 +133,10 @@ const NotificationSchema = new mongoose.Schema({
   scheduledFor: {
     type: Date
   },
+  // Set once a scheduled notification has been pushed to the recipient
+  dispatchedAt: {
+    type: Date
+  },
   
   // Auto-expiry
   expiresAt: {
@@ -193,7 +205,10 @@ NotificationSchema.statics.createAndSend = async function (notificationData) {
     );
 
     if (!notificationData.expiresAt) {
-      const expiryDate = new Date();
+      // Scheduled notifications expire 30 days after they are due
+      const expiryDate = notificationData.scheduledFor
+        ? new Date(notificationData.scheduledFor)
+        : new Date();
       expiryDate.setDate(expiryDate.getDate() + 30);
       notificationData.expiresAt = expiryDate;
     }
@@ -214,12 +229,24 @@ NotificationSchema.statics.createAndSend = async function (notificationData) {
   }
 };
 
+// Static method to build a filter hiding notifications scheduled for later
+NotificationSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { scheduledFor: { $exists: false } },
+      { scheduledFor: null },
+      { scheduledFor: { $lte: now } }
+    ]
+  };
+};
+
 // Static method to get unread count for a user
 NotificationSchema.statics.getUnreadCount = async function(userId) {
   try {
     const count = await this.countDocuments({
       recipient: userId,
-      read: false
+      read: false,
+      ...this.visibleFilter()
     });
     return count;
   } catch (error) {
@@ -253,12 +280,20 @@ NotificationSchema.pre('save', function(next) {
       'booking_confirmed': 'booking',
       'booking_cancelled': 'booking', 
       'booking_reminder': 'booking',
+      'booking_rescheduled': 'booking',
       'payment_successful': 'payment',
       'payment_failed': 'payment',
       'refund_processed': 'payment',
       'bus_delayed': 'alert',
       'bus_cancelled': 'alert',
       'route_updated': 'system',
+      'waitlist_offer': 'booking',
+      'waitlist_expired': 'booking',
+      'hiring_quoted': 'booking',
+      'hiring_confirmed': 'booking',
+      'hiring_cancelled': 'booking',
+      'hiring_payment_reminder': 'payment',
+      'hiring_payment_overdue': 'payment',
       'promotional': 'promotional',
       'system_maintenance': 'system',
       'security_alert': 'alert',
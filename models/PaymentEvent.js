@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment gateway webhook event.
+ * One document per event type and reference, so redelivered webhooks
+ * are recognised and only applied once.
+ */
+const PaymentEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    default: 'Paystack'
+  },
+  event: {
+    type: String,
+    required: [true, 'Please specify the event type']
+  },
+  reference: {
+    type: String,
+    required: [true, 'Please provide the event reference']
+  },
+  // Review: the charge couldn't be applied automatically (e.g. it is more
+  // than the balance) and staff need to settle or refund it
+  status: {
+    type: String,
+    enum: ['Processing', 'Processed', 'Ignored', 'Review', 'Failed'],
+    default: 'Processing'
+  },
+  recordType: {
+    type: String,
+    enum: ['booking', 'hiring']
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  outcome: String,
+  error: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+PaymentEventSchema.index({ gateway: 1, event: 1, reference: 1 }, { unique: true });
+PaymentEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const METRICS = ['load_factor', 'days_before_departure', 'booking_velocity'];
+
+/**
+ * A demand rule that raises or lowers the fare on a trip while a measure of
+ * demand is within a range, e.g. +15% once a trip is 80% full or -10% more
+ * than 30 days out. Every matching rule applies; each adds its change to
+ * the fare before the route's floor and ceiling are enforced.
+ *
+ * Metrics:
+ * - load_factor: percentage of the trip's sellable seats already booked
+ * - days_before_departure: days left until the trip leaves
+ * - booking_velocity: seats booked on the trip in the last
+ *   PRICING_VELOCITY_WINDOW_HOURS hours
+ */
+const PricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  metric: {
+    type: String,
+    enum: METRICS,
+    required: [true, 'Please specify what the rule measures']
+  },
+  // Range of the metric the rule applies in: min <= value < max, either may be unset
+  min: Number,
+  max: {
+    type: Number,
+    validate: {
+      validator: function(max) {
+        return max === undefined || max === null || this.min === undefined || this.min === null || max > this.min;
+      },
+      message: 'The top of the range must be above its bottom'
+    }
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  // Negative to lower the fare; percentages are of the fare before demand pricing
+  adjustment: {
+    type: Number,
+    required: [true, 'Please provide the fare adjustment'],
+    validate: {
+      validator: function(adjustment) {
+        return this.adjustmentType !== 'percentage' || adjustment >= -100;
+      },
+      message: 'A fare cannot be lowered by more than 100%'
+    }
+  },
+  // Routes the rule is limited to; empty for every route
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  // Higher priority rules are listed first in fare audits
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PricingRuleSchema.index({ isActive: 1, metric: 1 });
+
+/**
+ * Check whether the rule applies on a route at a measured demand
+ * @param {Object} route - Route ID
+ * @param {Object} metrics - { loadFactor, daysBeforeDeparture, bookingVelocity }
+ * @returns {Boolean}
+ */
+PricingRuleSchema.methods.matches = function(route, metrics) {
+  if (this.routes.length > 0 && !this.routes.some(entry => entry.equals(route))) {
+    return false;
+  }
+
+  const value = metrics[PricingRuleSchema.statics.METRIC_KEYS[this.metric]];
+  // A metric that couldn't be measured (e.g. load on a booking without a trip) matches nothing
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  const aboveMin = this.min === undefined || this.min === null || value >= this.min;
+  const belowMax = this.max === undefined || this.max === null || value < this.max;
+  return aboveMin && belowMax;
+};
+
+/**
+ * Work out the change the rule makes to a fare
+ * @param {Number} fare - Fare before demand pricing
+ * @returns {Number} - Amount added to the fare (negative when lowering it)
+ */
+PricingRuleSchema.methods.calculateChange = function(fare) {
+  const change = this.adjustmentType === 'percentage'
+    ? fare * this.adjustment / 100
+    : this.adjustment;
+  return Math.round(change * 100) / 100;
+};
+
+PricingRuleSchema.statics.METRICS = METRICS;
+// Key of each metric in the measured demand
+PricingRuleSchema.statics.METRIC_KEYS = {
+  load_factor: 'loadFactor',
+  days_before_departure: 'daysBeforeDeparture',
+  booking_velocity: 'bookingVelocity'
+};
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
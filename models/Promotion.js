@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const PromotionUsage = require('./PromotionUsage');
+
+const BUS_TYPES = ['Standard', 'Luxury', 'Mini', 'Double-Decker', 'Sleeper'];
+const RECORD_TYPES = ['booking', 'hiring'];
+
+/**
+ * A promo code customers can enter when booking seats or hiring a bus.
+ * Codes are only ever valued on the server: the discount comes from the
+ * promotion, never from the client. Usage is counted from the bookings and
+ * hirings that used the code, so cancelled ones give their use back. Each use
+ * is also reserved atomically before the booking or hiring is saved, so
+ * concurrent requests can't take the code past its limits.
+ */
+const PromotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a promo code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo codes must be 3-30 letters, numbers, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a promotion name'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Please specify the discount type']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Please provide the discount value'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100'
+    }
+  },
+  // Cap on a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Smallest fare or hiring cost the code can be used on
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  validFrom: Date,
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(validUntil) {
+        return !validUntil || !this.validFrom || validUntil > this.validFrom;
+      },
+      message: 'The end of the promotion must be after its start'
+    }
+  },
+  // Restrictions; empty lists mean no restriction
+  appliesTo: {
+    type: [{
+      type: String,
+      enum: RECORD_TYPES
+    }],
+    default: RECORD_TYPES
+  },
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  busTypes: [{
+    type: String,
+    enum: BUS_TYPES
+  }],
+  // Only for customers who have never booked or hired before
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Usage limits; unset for no limit
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Uses reserved by live bookings and hirings; see reserveRedemption
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PromotionSchema.index({ isActive: 1, validUntil: 1 });
+
+/**
+ * Work out the discount on an amount
+ * @param {Number} amount - Fare or hiring cost before the discount
+ * @returns {Number} - Discount, never more than the amount
+ */
+PromotionSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? amount * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+/**
+ * Count the bookings and hirings that used this promotion
+ * Cancelled and rejected ones don't count
+ * @param {String} user - Only count this user's uses
+ * @returns {Promise<Number>} - Number of uses
+ */
+PromotionSchema.methods.countRedemptions = async function(user = null) {
+  const Booking = mongoose.model('Booking');
+  const Hiring = mongoose.model('Hiring');
+
+  const bookingQuery = { 'additionalInformation.promotion': this._id, status: { $ne: 'Cancelled' } };
+  const hiringQuery = { promotion: this._id, status: { $nin: ['Cancelled', 'Rejected'] } };
+  if (user) {
+    bookingQuery.user = user;
+    hiringQuery.user = user;
+  }
+
+  const [bookings, hirings] = await Promise.all([
+    Booking.countDocuments(bookingQuery),
+    Hiring.countDocuments(hiringQuery)
+  ]);
+  return bookings + hirings;
+};
+
+/**
+ * Check a customer can use this promotion and value it
+ * @param {Object} options - { user, recordType, amount, route, busType, now }
+ * @returns {Promise<Object>} - { valid, discount } or { valid: false, reason, message }
+ */
+PromotionSchema.methods.evaluate = async function(options) {
+  const { user, recordType, amount = 0, route, busType, now = new Date() } = options;
+  const refuse = (reason, message) => ({ valid: false, reason, message });
+
+  if (!this.isActive) {
+    return refuse('inactive', 'This promo code is no longer active');
+  }
+  if (this.validFrom && now < this.validFrom) {
+    return refuse('not_started', `This promo code can be used from ${this.validFrom.toDateString()}`);
+  }
+  if (this.validUntil && now > this.validUntil) {
+    return refuse('expired', 'This promo code has expired');
+  }
+  if (this.appliesTo.length > 0 && !this.appliesTo.includes(recordType)) {
+    return refuse('not_applicable', `This promo code can't be used for ${recordType === 'hiring' ? 'bus hire' : 'seat bookings'}`);
+  }
+  if (this.routes.length > 0 && !(route && this.routes.some(entry => entry.equals(route)))) {
+    return refuse('route_not_eligible', "This promo code can't be used on this route");
+  }
+  if (this.busTypes.length > 0 && !this.busTypes.includes(busType)) {
+    return refuse('bus_type_not_eligible', "This promo code can't be used on this type of bus");
+  }
+  if (amount < this.minAmount) {
+    return refuse('minimum_not_met', `This promo code needs a minimum spend of ₦${this.minAmount.toLocaleString()}`);
+  }
+
+  if (this.usageLimit && await this.countRedemptions() >= this.usageLimit) {
+    return refuse('usage_limit_reached', 'This promo code has been fully redeemed');
+  }
+  if (this.perUserLimit && await this.countRedemptions(user) >= this.perUserLimit) {
+    return refuse('user_limit_reached', 'You have already used this promo code');
+  }
+
+  if (this.firstRideOnly) {
+    const Booking = mongoose.model('Booking');
+    const Hiring = mongoose.model('Hiring');
+    const [hasBooked, hasHired] = await Promise.all([
+      Booking.exists({ user, status: { $ne: 'Cancelled' } }),
+      Hiring.exists({ user, status: { $nin: ['Cancelled', 'Rejected'] } })
+    ]);
+    if (hasBooked || hasHired) {
+      return refuse('first_ride_only', 'This promo code is only for your first trip');
+    }
+  }
+
+  return {
+    valid: true,
+    discount: this.calculateDiscount(amount)
+  };
+};
+
+/**
+ * Reserve one use of a promotion for a booking or hiring about to be saved
+ * The counters are only raised while they are under the limits, in a single
+ * update each, so two requests can't both take the last use
+ * @param {String} promotionId - Promotion ID
+ * @param {String} user - Customer using it
+ * @returns {Promise<Object>} - { valid } or { valid: false, reason, message }
+ */
+PromotionSchema.statics.reserveRedemption = async function(promotionId, user) {
+  const promotion = await this.findById(promotionId).select('usageLimit perUserLimit');
+  if (!promotion) {
+    return { valid: false, reason: 'not_found', message: 'This promo code no longer exists' };
+  }
+
+  const underLimit = promotion.usageLimit
+    ? { $or: [{ redemptionCount: { $lt: promotion.usageLimit } }, { redemptionCount: { $exists: false } }] }
+    : {};
+  const reserved = await this.findOneAndUpdate(
+    { _id: promotion._id, ...underLimit },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!reserved) {
+    return { valid: false, reason: 'usage_limit_reached', message: 'This promo code has been fully redeemed' };
+  }
+
+  // At the limit the filter misses the customer's record, and the upsert
+  // then collides with it on the unique index
+  try {
+    await PromotionUsage.findOneAndUpdate(
+      {
+        promotion: promotion._id,
+        user,
+        ...(promotion.perUserLimit ? { count: { $lt: promotion.perUserLimit } } : {})
+      },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await this.updateOne({ _id: promotion._id, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+    if (error.code === 11000) {
+      return { valid: false, reason: 'user_limit_reached', message: 'You have already used this promo code' };
+    }
+    throw error;
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Give back a use of a promotion, when the booking or hiring it was reserved
+ * for wasn't saved or no longer counts
+ * @param {String} promotionId - Promotion ID
+ * @param {String} user - Customer who used it
+ */
+PromotionSchema.statics.releaseRedemption = async function(promotionId, user) {
+  await Promise.all([
+    this.updateOne({ _id: promotionId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } }),
+    PromotionUsage.updateOne({ promotion: promotionId, user, count: { $gt: 0 } }, { $inc: { count: -1 } })
+  ]);
+};
+
+/**
+ * Look up a promo code and check a customer can use it
+ * @param {Object} options - { code, user, recordType, amount, route, busType, now }
+ * @returns {Promise<Object>} - { valid, promotion, discount } or { valid: false, reason, message }
+ */
+PromotionSchema.statics.evaluateCode = async function(options) {
+  const code = String(options.code || '').trim().toUpperCase();
+  const promotion = code ? await this.findOne({ code }) : null;
+
+  if (!promotion) {
+    return {
+      valid: false,
+      reason: 'not_found',
+      message: 'Invalid promo code'
+    };
+  }
+
+  const result = await promotion.evaluate(options);
+  return result.valid ? { ...result, promotion } : result;
+};
+
+PromotionSchema.statics.BUS_TYPES = BUS_TYPES;
+PromotionSchema.statics.RECORD_TYPES = RECORD_TYPES;
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * How many live bookings and hirings a customer has made with a promotion.
+ * The unique index lets a customer's use be reserved with one conditional
+ * upsert, so concurrent requests can't take them past the per-user limit.
+ */
+const PromotionUsageSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+PromotionUsageSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionUsage', PromotionUsageSchema);
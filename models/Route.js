@@ -1,11 +1,12 @@
 const mongoose = require('mongoose');
+const { SEAT_CLASSES } = require('../utils/seatLayout');
 
 /**
  * Helper function to check if a given time is during peak hours
  * @param {Date} date - The date to check
  * @returns {boolean} - Whether the time is during peak hours
  */
-const isPeakTime = (date) => {
+const isPeakHour = (date) => {
   const hours = date.getHours();
   // Define peak hours as 7-10 AM and 4-7 PM
   return (hours >= 7 && hours <= 10) || (hours >= 16 && hours <= 19);
@@ -16,12 +17,26 @@ const isPeakTime = (date) => {
  * @param {Date} date - The date to check
  * @returns {boolean} - Whether the date is a weekend
  */
-const isWeekend = (date) => {
+const isWeekendDay = (date) => {
   const day = date.getDay();
   // 0 is Sunday, 6 is Saturday
   return day === 0 || day === 6;
 };
 
+// Optional map position of a terminus or stop
+const coordinatesField = {
+  latitude: {
+    type: Number,
+    min: [-90, "Latitude must be between -90 and 90"],
+    max: [90, "Latitude must be between -90 and 90"],
+  },
+  longitude: {
+    type: Number,
+    min: [-180, "Longitude must be between -180 and 180"],
+    max: [180, "Longitude must be between -180 and 180"],
+  },
+};
+
 const RouteSchema = new mongoose.Schema(
   {
     routeCode: {
@@ -55,6 +70,9 @@ const RouteSchema = new mongoose.Schema(
       type: Number, // Duration in minutes
       required: [true, "Please provide estimated duration in minutes"],
     },
+    // Terminus positions, used with stop coordinates to place a live bus on the route
+    sourceCoordinates: coordinatesField,
+    destinationCoordinates: coordinatesField,
     // Stop points along the way
     stopPoints: [
       {
@@ -69,6 +87,7 @@ const RouteSchema = new mongoose.Schema(
           default: 5,
         },
         distanceFromSource: Number, // In kilometers
+        coordinates: coordinatesField,
         fare: Number, // Additional fare for this stop if any
       },
     ],
@@ -164,6 +183,16 @@ const RouteSchema = new mongoose.Schema(
       default: 1.0,
       min: [1, "Seasonal multiplier cannot be less than 1"],
     },
+    // Limits demand pricing keeps the full-route fare within; segment fares
+    // are limited in proportion to their share of the base fare
+    fareFloor: {
+      type: Number,
+      min: [0, "Fare floor cannot be negative"],
+    },
+    fareCeiling: {
+      type: Number,
+      min: [0, "Fare ceiling cannot be negative"],
+    },
     // Special rates
     childrenDiscount: {
       type: Number,
@@ -177,6 +206,28 @@ const RouteSchema = new mongoose.Schema(
       min: [0, "Discount cannot be negative"],
       max: [1, "Discount cannot be more than 100%"],
     },
+    // Extra charged for seats in premium classes on this route
+    seatClassSurcharges: [
+      {
+        _id: false,
+        seatClass: {
+          type: String,
+          enum: SEAT_CLASSES,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["fixed", "percentage"],
+          default: "fixed",
+        },
+        // Naira for fixed surcharges, a fraction of the fare (0.2 = 20%) for percentages
+        amount: {
+          type: Number,
+          required: true,
+          min: [0, "Surcharge cannot be negative"],
+        },
+      },
+    ],
 
     // Relationships
     bus: {
@@ -293,6 +344,17 @@ RouteSchema.methods.checkAvailability = async function(date) {
   };
 };
 
+// Method to get the surcharge for a seat class on a fare (0 for standard seats)
+RouteSchema.methods.getSeatSurcharge = function(seatClass, fare = this.baseFare) {
+  const surcharge = (this.seatClassSurcharges || []).find(s => s.seatClass === seatClass);
+  if (!surcharge) {
+    return 0;
+  }
+
+  const amount = surcharge.type === "percentage" ? fare * surcharge.amount : surcharge.amount;
+  return Math.round(amount * 100) / 100;
+};
+
 // Method to calculate fare based on various factors
 RouteSchema.methods.calculateFare = function(options = {}) {
   const {
@@ -303,31 +365,36 @@ RouteSchema.methods.calculateFare = function(options = {}) {
     isHoliday = false,
     isSeasonal = false,
     stopPoint = null,
+    segment = null,
+    seatClass = null,
     date = null
   } = options;
   
   let fare = this.baseFare;
   
-  // Apply stop point fare if specified
-  if (stopPoint) {
+  // Price a journey between intermediate stops from the stop fares
+  if (segment) {
+    fare = this.getSegmentFare(segment);
+  } else if (stopPoint) {
     const stop = this.stopPoints.find(s => s.name === stopPoint);
     if (stop && stop.fare) {
       fare = stop.fare;
     }
   }
   
+  // Seat surcharges are worked out on the journey fare before multipliers
+  const seatSurcharge = this.getSeatSurcharge(seatClass, fare);
+  
   // If date is provided, automatically determine peak time and weekend status
   let isPeakTimeValue = isPeakTime;
   let isWeekendValue = isWeekend;
   
   if (date) {
     const checkDate = date instanceof Date ? date : new Date(date);
-    const hours = checkDate.getHours();
-    const day = checkDate.getDay();
     
     // Use the helper functions defined at the top of the file
-    isPeakTimeValue = isPeakTimeValue || ((hours >= 7 && hours <= 10) || (hours >= 16 && hours <= 19));
-    isWeekendValue = isWeekendValue || (day === 0 || day === 6);
+    isPeakTimeValue = isPeakTimeValue || isPeakHour(checkDate);
+    isWeekendValue = isWeekendValue || isWeekendDay(checkDate);
   }
   
   // Apply dynamic pricing multipliers
@@ -340,10 +407,15 @@ RouteSchema.methods.calculateFare = function(options = {}) {
   if (isChild) fare *= (1 - this.childrenDiscount);
   if (isSenior) fare *= (1 - this.seniorDiscount);
   
+  // The seat surcharge is paid in full whoever sits there
+  fare += seatSurcharge;
+  
   // Return more detailed fare object
   return {
     total: Math.round(fare * 100) / 100,
     base: this.baseFare,
+    seatClass: seatClass || "Standard",
+    seatSurcharge,
     factors: {
       isPeakTime: isPeakTimeValue,
       isWeekend: isWeekendValue,
@@ -365,6 +437,162 @@ RouteSchema.methods.calculateFare = function(options = {}) {
   };
 };
 
+/**
+ * Helper function to get the minutes from one HH:MM time to a later one,
+ * wrapping past midnight
+ */
+const minutesBetween = (from, to) => {
+  const [fromHours, fromMinutes] = from.split(":").map(Number);
+  const [toHours, toMinutes] = to.split(":").map(Number);
+  const difference = toHours * 60 + toMinutes - (fromHours * 60 + fromMinutes);
+  return difference < 0 ? difference + 24 * 60 : difference;
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Get the stops passengers can board or leave at, in travel order
+ * The source and destination are the first and last stops. Stops without a
+ * distance are placed proportionally between their neighbours. Offsets are
+ * the timetabled minutes after the route's departure time.
+ * @returns {Array} - [{ name, distanceFromSource, fare, arrivalOffset, departureOffset }]
+ */
+RouteSchema.methods.getStopSequence = function() {
+  const stops = [
+    { name: this.source, distanceFromSource: 0, fare: 0 },
+    ...(this.stopPoints || []).map((stop) => ({
+      name: stop.name,
+      distanceFromSource: Number.isFinite(stop.distanceFromSource) ? stop.distanceFromSource : null,
+      fare: Number.isFinite(stop.fare) ? stop.fare : null,
+      arrivalTime: stop.arrivalTime,
+      departureTime: stop.departureTime,
+      stopDuration: stop.stopDuration,
+    })),
+    { name: this.destination, distanceFromSource: this.distance, fare: this.baseFare },
+  ];
+
+  // Fill missing distances between the nearest known ones
+  let previous = 0;
+  for (let i = 1; i < stops.length - 1; i++) {
+    if (stops[i].distanceFromSource !== null) {
+      previous = i;
+      continue;
+    }
+    let next = i + 1;
+    while (stops[next].distanceFromSource === null) next++;
+    const start = stops[previous].distanceFromSource;
+    const end = stops[next].distanceFromSource;
+    stops[i].distanceFromSource = start + ((end - start) * (i - previous)) / (next - previous);
+  }
+
+  // Timetable offsets, kept moving forward even if stop times are inconsistent
+  const last = stops.length - 1;
+  let previousOffset = 0;
+  return stops.map((stop, index) => {
+    let arrivalOffset;
+    let departureOffset;
+
+    if (index === 0) {
+      arrivalOffset = 0;
+      departureOffset = 0;
+    } else if (index === last) {
+      arrivalOffset = Math.max(this.estimatedDuration, previousOffset);
+      departureOffset = arrivalOffset;
+    } else {
+      arrivalOffset = TIME_PATTERN.test(stop.arrivalTime || "")
+        ? minutesBetween(this.departureTime, stop.arrivalTime)
+        : (stop.distanceFromSource / this.distance) * this.estimatedDuration;
+      arrivalOffset = Math.max(arrivalOffset, previousOffset);
+      departureOffset = TIME_PATTERN.test(stop.departureTime || "")
+        ? minutesBetween(this.departureTime, stop.departureTime)
+        : arrivalOffset + (stop.stopDuration || 0);
+      departureOffset = Math.max(departureOffset, arrivalOffset);
+    }
+    previousOffset = departureOffset;
+
+    return {
+      name: stop.name,
+      distanceFromSource: stop.distanceFromSource,
+      fare: stop.fare,
+      arrivalOffset: Math.round(arrivalOffset),
+      departureOffset: Math.round(departureOffset),
+    };
+  });
+};
+
+/**
+ * Resolve a journey between two stops on this route
+ * @param {String} fromStop - Boarding stop name (defaults to the source)
+ * @param {String} toStop - Alighting stop name (defaults to the destination)
+ * @returns {Object} - { segment } or { error }
+ */
+RouteSchema.methods.resolveSegment = function(fromStop, toStop) {
+  const stops = this.getStopSequence();
+  const normalise = (name) => String(name).trim().toLowerCase();
+  const findStop = (name, fallback) =>
+    name ? stops.findIndex((stop) => normalise(stop.name) === normalise(name)) : fallback;
+
+  const fromIndex = findStop(fromStop, 0);
+  const toIndex = findStop(toStop, stops.length - 1);
+
+  if (fromIndex === -1) {
+    return { error: `${fromStop} is not a stop on this route` };
+  }
+  if (toIndex === -1) {
+    return { error: `${toStop} is not a stop on this route` };
+  }
+  if (toIndex <= fromIndex) {
+    return { error: "The alighting stop must come after the boarding stop" };
+  }
+  if (stops[toIndex].distanceFromSource <= stops[fromIndex].distanceFromSource) {
+    return { error: "Stop distances on this route are inconsistent" };
+  }
+
+  return {
+    segment: {
+      from: stops[fromIndex].name,
+      to: stops[toIndex].name,
+      fromKm: stops[fromIndex].distanceFromSource,
+      toKm: stops[toIndex].distanceFromSource,
+    },
+  };
+};
+
+/**
+ * Work out the one-way adult fare between two stops, before multipliers
+ * A stop's fare is the fare from the source to that stop; stops without one
+ * are priced by distance. The segment fare is the difference between the two.
+ * @param {Object} segment - { from, to } as returned by resolveSegment
+ * @returns {Number} - Fare
+ */
+RouteSchema.methods.getSegmentFare = function(segment) {
+  const stops = this.getStopSequence();
+  const fareTo = (name) => {
+    const stop = stops.find((s) => s.name === name);
+    if (!stop) return null;
+    if (stop.fare !== null) return stop.fare;
+    return (this.baseFare * stop.distanceFromSource) / this.distance;
+  };
+
+  const fromFare = fareTo(segment.from);
+  const toFare = fareTo(segment.to);
+  if (fromFare === null || toFare === null) {
+    return this.baseFare;
+  }
+
+  let fare = toFare - fromFare;
+  // Inconsistent stop fares fall back to distance pricing
+  if (fare <= 0) {
+    const stopAt = (name) => stops.find((s) => s.name === name);
+    fare =
+      (this.baseFare *
+        (stopAt(segment.to).distanceFromSource - stopAt(segment.from).distanceFromSource)) /
+      this.distance;
+  }
+
+  return Math.round(fare * 100) / 100;
+};
+
 // Update available seats when bus is assigned or changed
 RouteSchema.pre('save', async function(next) {
   // Update timestamps
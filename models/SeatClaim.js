@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A claim left behind by a crashed request stops blocking its seats after this
+const CLAIM_SECONDS = 30;
+
+// Seat label of a claim on the whole bus
+const WHOLE_BUS = '*';
+
+/**
+ * Short-lived claim on a seat of a bus for a departure day, taken while a
+ * request checks that the seat is free and then books or holds it. The
+ * unique index lets only one request at a time through for each seat, so
+ * two customers can't both pass the checks and take the same seat.
+ * Claims are released as soon as the request has saved what it reserved.
+ */
+const SeatClaimSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  // Start of the departure day
+  day: {
+    type: Date,
+    required: true
+  },
+  seat: {
+    type: String,
+    required: true
+  },
+  // Shared by the seats claimed together, to release them together
+  claimId: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+SeatClaimSchema.index({ bus: 1, day: 1, seat: 1 }, { unique: true });
+SeatClaimSchema.index({ claimId: 1 });
+SeatClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Claim seats on one or more departures, all or none
+ * @param {Array} departures - [{ bus, departureDate, seats }]
+ * @returns {Promise<String|null>} - Claim ID, or null when another request has one of the seats
+ */
+SeatClaimSchema.statics.acquire = async function(departures) {
+  const now = new Date();
+  const claimId = crypto.randomBytes(12).toString('hex');
+  const expiresAt = new Date(now.getTime() + CLAIM_SECONDS * 1000);
+
+  const docs = [];
+  const keys = new Set();
+  departures.forEach(({ bus, departureDate, seats }) => {
+    const day = new Date(departureDate);
+    day.setHours(0, 0, 0, 0);
+    seats.forEach(seat => {
+      const key = `${bus}|${day.getTime()}|${seat}`;
+      if (keys.has(key)) return;
+      keys.add(key);
+      docs.push({ bus, day, seat, claimId, expiresAt });
+    });
+  });
+
+  if (docs.length === 0) {
+    return claimId;
+  }
+
+  // The TTL monitor only runs every minute; clear lapsed claims on these seats now
+  await this.deleteMany({
+    $or: docs.map(({ bus, day, seat }) => ({ bus, day, seat })),
+    expiresAt: { $lte: now }
+  });
+
+  try {
+    await this.insertMany(docs, { ordered: true });
+    return claimId;
+  } catch (error) {
+    await this.release(claimId);
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Claim a whole bus for every day of a hire, so only one request at a time
+ * can check that the bus is free for those days and then take it
+ * @param {ObjectId} bus - Bus ID
+ * @param {Date} startDate - First day of the hire
+ * @param {Date} endDate - Last day of the hire
+ * @returns {Promise<String|null>} - Claim ID, or null when another request has one of the days
+ */
+SeatClaimSchema.statics.acquireBus = function(bus, startDate, endDate) {
+  const departures = [];
+  const day = new Date(startDate);
+  day.setHours(0, 0, 0, 0);
+  while (day <= endDate) {
+    departures.push({ bus, departureDate: new Date(day), seats: [WHOLE_BUS] });
+    day.setDate(day.getDate() + 1);
+  }
+  return this.acquire(departures);
+};
+
+/**
+ * Release seats claimed together
+ * @param {String} claimId - Claim ID
+ */
+SeatClaimSchema.statics.release = async function(claimId) {
+  if (claimId) {
+    await this.deleteMany({ claimId });
+  }
+};
+
+module.exports = mongoose.model('SeatClaim', SeatClaimSchema);
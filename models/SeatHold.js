@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { segmentsOverlap } = require('../utils/segments');
+
+/**
+ * Temporary seat hold placed while a customer is checking out.
+ * A hold locks specific seats on a bus for a departure day until it
+ * expires, is released by its owner or is converted into a booking.
+ */
+const SeatHoldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please specify the user placing the hold']
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Please specify the bus']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  departureDate: {
+    type: Date,
+    required: [true, 'Please provide departure date']
+  },
+  // Part of the route the seats are held for; absent for the whole route
+  segment: {
+    from: String,
+    to: String,
+    fromKm: Number,
+    toKm: Number
+  },
+  seats: {
+    type: [String],
+    validate: {
+      validator: function(seats) {
+        return Array.isArray(seats) && seats.length > 0;
+      },
+      message: 'At least one seat must be held'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Released', 'Expired', 'Converted'],
+    default: 'Active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please provide hold expiry time']
+  },
+  releasedAt: Date,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for looking up live holds on a bus/day and for the expiry sweep
+SeatHoldSchema.index({ bus: 1, departureDate: 1, status: 1 });
+SeatHoldSchema.index({ status: 1, expiresAt: 1 });
+// Remove finished holds from the collection a day after they lapse
+SeatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * Build the start/end of the day a departure falls on
+ * @param {Date|String} date - Departure date
+ * @returns {Object} - { start, end }
+ */
+SeatHoldSchema.statics.dayRange = function(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Find holds that are still active for a bus on a departure day
+ * @param {Object} options - { bus, departureDate, excludeUser }
+ * @returns {Promise<Array>} - Active hold documents
+ */
+SeatHoldSchema.statics.findActiveHolds = function({ bus, departureDate, excludeUser = null }) {
+  const { start, end } = this.dayRange(departureDate);
+  const query = {
+    bus,
+    departureDate: { $gte: start, $lte: end },
+    status: 'Active',
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (excludeUser) {
+    query.user = { $ne: excludeUser };
+  }
+
+  return this.find(query);
+};
+
+/**
+ * Get the set of seats currently held on a bus for a departure day
+ * @param {Object} options - { bus, departureDate, excludeUser, segment }
+ * @returns {Promise<Set>} - Held seat numbers (only holds overlapping the segment, if given)
+ */
+SeatHoldSchema.statics.getHeldSeats = async function(options) {
+  const holds = await this.findActiveHolds(options);
+  const heldSeats = new Set();
+  holds.forEach(hold => {
+    if (options.segment && !segmentsOverlap(hold.segment, options.segment)) {
+      return;
+    }
+    hold.seats.forEach(seat => heldSeats.add(seat));
+  });
+  return heldSeats;
+};
+
+// Whether the hold still locks its seats
+SeatHoldSchema.methods.isActive = function() {
+  return this.status === 'Active' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('SeatHold', SeatHoldSchema);
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const { segmentsOverlap } = require('../utils/segments');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Helper function to normalise a date to the start of its service day
+ * @param {Date|String} date - Any time on the day
+ * @returns {Date} - Midnight at the start of that day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Helper function to combine a service day with an HH:MM time
+ * @param {Date} day - Service day
+ * @param {String} time - Time in HH:MM format
+ * @returns {Date} - Date and time combined
+ */
+const combineDateAndTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const dateTime = new Date(day);
+  dateTime.setHours(hours, minutes, 0, 0);
+  return dateTime;
+};
+
+/**
+ * A scheduled trip is one concrete departure of a route on a service day,
+ * e.g. the 07:30 Uyo → Lagos on 2026-11-02. Seats, delays, cancellations,
+ * bus substitutions and driver assignments attach to the trip.
+ */
+const TripSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Please specify the route']
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Please specify the bus']
+  },
+  // Bus originally scheduled from the route, kept when a substitute is assigned
+  originalBus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  // Service day (midnight)
+  date: {
+    type: Date,
+    required: [true, 'Please provide the trip date']
+  },
+  departureTime: {
+    type: String,
+    required: [true, 'Please provide departure time'],
+    match: [
+      /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+      'Departure time must be in HH:MM format (24-hour)'
+    ]
+  },
+  arrivalTime: {
+    type: String,
+    match: [
+      /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+      'Arrival time must be in HH:MM format (24-hour)'
+    ]
+  },
+  departureDateTime: {
+    type: Date,
+    required: [true, 'Please provide departure date and time']
+  },
+  arrivalDateTime: Date,
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Delayed', 'Cancelled', 'Departed', 'Completed'],
+    default: 'Scheduled'
+  },
+  delayMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delay cannot be negative']
+  },
+  cancellationReason: String,
+  // Recorded from live tracking when the bus leaves and reaches the termini
+  actualDepartureDateTime: Date,
+  actualArrivalDateTime: Date,
+  // Latest live estimate of the delay at the destination
+  predictedDelayMinutes: Number,
+  etaUpdatedAt: Date,
+  // Predicted delay passengers were last notified about
+  delayNotifiedMinutes: {
+    type: Number,
+    default: 0
+  },
+  driver: {
+    name: String,
+    licenseNumber: String,
+    phoneNumber: String
+  },
+  notes: String,
+  // Audit trail of per-trip overrides
+  overrideHistory: [{
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    reason: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Whether this trip was created by the generator or by hand
+  generated: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One trip per route per service day
+TripSchema.index({ route: 1, date: 1 }, { unique: true });
+TripSchema.index({ bus: 1, date: 1 });
+TripSchema.index({ status: 1, departureDateTime: 1 });
+TripSchema.index({ route: 1, status: 1, actualArrivalDateTime: -1 });
+
+// Expected departure once any delay is taken into account
+TripSchema.virtual('expectedDepartureDateTime').get(function() {
+  if (!this.departureDateTime) return null;
+  return new Date(this.departureDateTime.getTime() + (this.delayMinutes || 0) * 60 * 1000);
+});
+
+// Virtual for retrieving all bookings on this trip
+TripSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'trip',
+  justOne: false
+});
+
+/**
+ * Get the booked seats for this trip
+ * Bookings made before trips existed are matched by route, bus and day
+ * @param {Object} segment - Only count bookings overlapping this part of the route
+ * @returns {Promise<Object>} - { seats: Set, bookings: Array }
+ */
+TripSchema.methods.getBookedSeats = async function(segment = null) {
+  const Booking = mongoose.model('Booking');
+  const busId = this.populated('bus') || this.bus;
+  const dayStart = startOfDay(this.date);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const bookings = await Booking.find({
+    status: { $in: ['Pending', 'Confirmed'] },
+    $or: [
+      { trip: this._id },
+      { returnTrip: this._id },
+      {
+        trip: null,
+        route: this.populated('route') || this.route,
+        bus: busId,
+        departureDate: { $gte: dayStart, $lte: dayEnd }
+      }
+    ]
+  });
+
+  const seats = new Set();
+  const occupying = [];
+  bookings.forEach(booking => {
+    const isReturnLeg = booking.returnTrip && booking.returnTrip.equals(this._id);
+    // Segments describe the outbound leg; a return leg covers the whole route
+    if (segment && !isReturnLeg && !segmentsOverlap(booking.segment, segment)) {
+      return;
+    }
+    occupying.push(booking);
+    if (isReturnLeg) {
+      (booking.selectedSeats?.return || []).forEach(seat => seats.add(seat));
+    } else {
+      booking.passengers.forEach(passenger => {
+        if (passenger.seatNumber) {
+          seats.add(passenger.seatNumber);
+        }
+      });
+    }
+  });
+
+  return { seats, bookings: occupying };
+};
+
+/**
+ * Check seat availability for this trip
+ * @param {Object} segment - Part of the route to check, or nothing for all of it
+ * @returns {Promise<Object>} - Availability summary
+ */
+TripSchema.methods.checkAvailability = async function(segment = null) {
+  if (this.status === 'Cancelled') {
+    return {
+      available: false,
+      reason: 'Trip has been cancelled'
+    };
+  }
+
+  const Bus = mongoose.model('Bus');
+  const bus = await Bus.findById(this.populated('bus') || this.bus);
+
+  if (!bus) {
+    return {
+      available: false,
+      reason: 'Bus not found'
+    };
+  }
+
+  const { seats } = await this.getBookedSeats(segment);
+  const availableSeats = Math.max(0, bus.getSellableCapacity() - seats.size);
+
+  return {
+    available: availableSeats > 0,
+    availableSeats,
+    totalCapacity: bus.capacity,
+    bookedSeats: seats.size
+  };
+};
+
+/**
+ * Record an override on the trip and apply the new value
+ * @param {String} field - Field being overridden
+ * @param {*} newValue - New value
+ * @param {Object} meta - { reason, updatedBy }
+ */
+TripSchema.methods.applyOverride = function(field, newValue, meta = {}) {
+  const oldValue = this.get(field);
+  this.set(field, newValue);
+  this.overrideHistory.push({
+    field,
+    oldValue,
+    newValue,
+    reason: meta.reason,
+    updatedBy: meta.updatedBy,
+    date: new Date()
+  });
+};
+
+/**
+ * Build the trip fields for a route on a service day
+ * @param {Object} route - Route document
+ * @param {Date} day - Service day
+ * @returns {Object} - Trip fields
+ */
+TripSchema.statics.buildFromRoute = function(route, day) {
+  const date = startOfDay(day);
+  const departureDateTime = combineDateAndTime(date, route.departureTime);
+  const arrivalDateTime = new Date(departureDateTime.getTime() + route.estimatedDuration * 60 * 1000);
+
+  return {
+    route: route._id,
+    bus: route.bus,
+    date,
+    departureTime: route.departureTime,
+    arrivalTime: route.arrivalTime,
+    departureDateTime,
+    arrivalDateTime,
+    generated: true
+  };
+};
+
+/**
+ * Generate trips for a route over a date range from its operating days
+ * Existing trips (including their overrides) are left untouched
+ * @param {Object} route - Route document
+ * @param {Date} startDate - First day to generate
+ * @param {Date} endDate - Last day to generate
+ * @returns {Promise<Object>} - { created, existing }
+ */
+TripSchema.statics.generateForRoute = async function(route, startDate, endDate) {
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+
+  if (start > end) {
+    throw new Error('Start date must be before end date');
+  }
+
+  const operations = [];
+  const currentDate = new Date(start);
+
+  while (currentDate <= end) {
+    const dayOfWeek = DAY_NAMES[currentDate.getDay()];
+
+    if (route.operatingDays.includes(dayOfWeek)) {
+      const tripData = this.buildFromRoute(route, currentDate);
+      operations.push({
+        updateOne: {
+          filter: { route: route._id, date: tripData.date },
+          update: { $setOnInsert: tripData },
+          upsert: true
+        }
+      });
+    }
+
+    currentDate.setDate(currentDate.getDate() + 1);
+  }
+
+  if (operations.length === 0) {
+    return { created: 0, existing: 0 };
+  }
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+
+  return {
+    created: result.upsertedCount,
+    existing: operations.length - result.upsertedCount
+  };
+};
+
+/**
+ * Generate trips for all active routes over a horizon of days
+ * @param {Object} options - { startDate, days, routeIds }
+ * @returns {Promise<Object>} - Generation summary
+ */
+TripSchema.statics.generateTrips = async function(options = {}) {
+  const { startDate = new Date(), days = 30, routeIds = null } = options;
+  const Route = mongoose.model('Route');
+
+  const query = { isActive: true };
+  if (routeIds && routeIds.length > 0) {
+    query._id = { $in: routeIds };
+  }
+
+  const routes = await Route.find(query);
+  const start = startOfDay(startDate);
+  const end = new Date(start);
+  end.setDate(end.getDate() + Math.max(0, days - 1));
+
+  const summary = {
+    routes: routes.length,
+    created: 0,
+    existing: 0,
+    startDate: start,
+    endDate: end
+  };
+
+  for (const route of routes) {
+    const result = await this.generateForRoute(route, start, end);
+    summary.created += result.created;
+    summary.existing += result.existing;
+  }
+
+  return summary;
+};
+
+/**
+ * Find the trip for a route departing on a given day
+ * @param {String} routeId - Route ID
+ * @param {Date|String} date - Any time on the service day
+ * @returns {Promise<Object|null>} - Trip document
+ */
+TripSchema.statics.findForRouteAndDate = function(routeId, date) {
+  return this.findOne({ route: routeId, date: startOfDay(date) });
+};
+
+TripSchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model('Trip', TripSchema);
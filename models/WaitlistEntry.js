@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * A customer waiting for seats on a sold-out trip.
+ * Entries are served in the order they joined. When seats free up the next
+ * entry that fits gets an offer: the seats are held for them for a short
+ * time, and if they don't book before it lapses the next entry is offered.
+ */
+const WaitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please specify the user']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Please specify the trip']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  departureDate: Date,
+  // Part of the route the customer wants to travel; absent for the whole route
+  segment: {
+    from: String,
+    to: String,
+    fromKm: Number,
+    toKm: Number
+  },
+  passengers: {
+    type: Number,
+    required: [true, 'Please specify the number of passengers'],
+    min: [1, 'At least one passenger is required']
+  },
+  // No offers are made after this time
+  deadline: {
+    type: Date,
+    required: [true, 'Please provide a deadline']
+  },
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Booked', 'Expired', 'Cancelled'],
+    default: 'Waiting'
+  },
+  // Seats held for the customer while an offer is open
+  offer: {
+    seats: [String],
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeatHold'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date,
+  // Why the entry left the waitlist without a booking
+  closeReason: {
+    type: String,
+    enum: ['deadline_passed', 'offer_lapsed', 'trip_unavailable', 'left_waitlist']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for serving a trip's queue in order and for the offer sweep
+WaitlistEntrySchema.index({ trip: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+WaitlistEntrySchema.index({ user: 1, status: 1 });
+
+// Statuses of entries still on the waitlist
+WaitlistEntrySchema.statics.ACTIVE_STATUSES = ['Waiting', 'Offered'];
+
+/**
+ * Mark a customer's open offers on a departure as taken up by a booking
+ * @param {Object} options - { user, bus, departureDate, booking }
+ * @returns {Promise<Number>} Number of entries marked booked
+ */
+WaitlistEntrySchema.statics.markBooked = async function({ user, bus, departureDate, booking }) {
+  const dayStart = new Date(departureDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const result = await this.updateMany(
+    {
+      user,
+      bus,
+      departureDate: { $gte: dayStart, $lte: dayEnd },
+      status: 'Offered'
+    },
+    {
+      $set: {
+        status: 'Booked',
+        booking,
+        closedAt: new Date()
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Whether the entry's offer is still open
+WaitlistEntrySchema.methods.hasOpenOffer = function() {
+  return this.status === 'Offered' && this.offer && this.offer.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
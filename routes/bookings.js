@@ -6,7 +6,7 @@ const bookingController = require('../controllers/bookingController');
 
 // Import middleware
 const { protect, authorize, checkOwnership } = require('../middleware/auth');
-const { bookingValidation } = require('../middleware/validation');
+const { bookingValidation, journeyBookingValidation, rescheduleValidation } = require('../middleware/validation');
 const { bookingLimiter } = require('../middleware/rateLimit');
 const { requireFeature } = require('../middleware/apiVersion');
 const { clearCache } = require('../middleware/cache');
@@ -18,6 +18,28 @@ const { clearCache } = require('../middleware/cache');
  */
 router.get('/check-availability', bookingController.checkSeatAvailability);
 
+/**
+ * @route   POST /api/bookings/holds
+ * @desc    Temporarily hold seats during checkout
+ * @access  Private
+ */
+router.post(
+  '/holds',
+  protect,
+  bookingController.createSeatHold
+);
+
+/**
+ * @route   DELETE /api/bookings/holds/:holdId
+ * @desc    Release a seat hold
+ * @access  Private (own hold or admin)
+ */
+router.delete(
+  '/holds/:holdId',
+  protect,
+  bookingController.releaseSeatHold
+);
+
 /**
  * @route   GET /api/bookings/me
  * @desc    Get all bookings for the current user
@@ -92,6 +114,20 @@ router.post(
   bookingController.createBooking
 );
 
+/**
+ * @route   POST /api/bookings/journeys
+ * @desc    Book every leg of a multi-leg journey at once
+ * @access  Private
+ */
+router.post(
+  '/journeys',
+  bookingLimiter,
+  protect,
+  journeyBookingValidation,
+  clearCache(['api/buses', 'api/routes']), // Clear cache for related resources
+  bookingController.createJourneyBooking
+);
+
 /**
  * @route   PUT /api/bookings/:id
  * @desc    Update booking
@@ -132,6 +168,46 @@ router.delete(
   bookingController.cancelBooking
 );
 
+/**
+ * @route   GET /api/bookings/:id/cancellation-preview
+ * @desc    Preview the refund for cancelling a booking
+ * @access  Private (own booking or admin)
+ */
+router.get(
+  '/:id/cancellation-preview',
+  protect,
+  checkOwnership(req => bookingController.getBookingUserId(req.params.id)),
+  bookingController.getCancellationPreview
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule/quote
+ * @desc    Quote moving a booking to another departure
+ * @access  Private (own booking or admin)
+ */
+router.post(
+  '/:id/reschedule/quote',
+  protect,
+  checkOwnership(req => bookingController.getBookingUserId(req.params.id)),
+  rescheduleValidation,
+  bookingController.getRescheduleQuote
+);
+
+/**
+ * @route   POST /api/bookings/:id/reschedule
+ * @desc    Move a booking to another departure and reissue its ticket
+ * @access  Private (own booking or admin)
+ */
+router.post(
+  '/:id/reschedule',
+  protect,
+  bookingLimiter,
+  checkOwnership(req => bookingController.getBookingUserId(req.params.id)),
+  rescheduleValidation,
+  clearCache(['api/buses', 'api/routes']), // Clear cache for related resources
+  bookingController.rescheduleBooking
+);
+
 /**
  * @route   DELETE /api/bookings/:id/permanent
  * @desc    Permanently delete booking
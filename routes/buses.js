@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const busController = require('../controllers/busController');
+const trackingController = require('../controllers/trackingController');
 const auth = require('../middleware/auth');
 const roleCheck = require('../middleware/roleCheck');
 
@@ -76,6 +77,24 @@ router.delete(
   busController.deleteBus
 );
 
+/**
+ * @route   GET /api/buses/:id/layout
+ * @desc    Get the seating layout with seat attributes
+ * @access  Public
+ */
+router.get('/:id/layout', busController.getSeatLayout);
+
+/**
+ * @route   PUT /api/buses/:id/layout
+ * @desc    Replace the seating layout and seat attributes
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id/layout',
+  [auth.protect, roleCheck('admin')],
+  busController.updateSeatLayout
+);
+
 /**
  * @route   GET /api/buses/:id/availability
  * @desc    Check bus availability for a specific date range
@@ -97,5 +116,45 @@ router.get(
  */
 router.get('/:id/schedule', busController.getBusSchedule);
 
+/**
+ * @route   POST /api/buses/:id/location
+ * @desc    Report GPS fixes for a bus (single fix or { fixes: [...] })
+ * @access  Private (tracking device via X-Device-Key, or driver/conductor/admin)
+ */
+router.post('/:id/location', trackingController.authenticateReporter, trackingController.reportLocation);
+
+/**
+ * @route   GET /api/buses/:id/location
+ * @desc    Get the latest position of a bus
+ * @access  Private (passengers with an upcoming booking or seat hold, and staff)
+ */
+router.get(
+  '/:id/location',
+  [auth.protect, trackingController.authorizeFollower],
+  trackingController.getLocation
+);
+
+/**
+ * @route   GET /api/buses/:id/track
+ * @desc    Get the recorded track of a bus between two times
+ * @access  Private (passengers with an upcoming booking or seat hold, and staff)
+ */
+router.get(
+  '/:id/track',
+  [auth.protect, trackingController.authorizeFollower],
+  trackingController.getTrack
+);
+
+/**
+ * @route   POST /api/buses/:id/tracking-key
+ * @desc    Issue a new key for the bus's GPS device
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/tracking-key',
+  [auth.protect, roleCheck('admin')],
+  trackingController.rotateTrackingKey
+);
+
 module.exports = router;
 
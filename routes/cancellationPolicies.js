@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
+const { protect, authorize } = require('../middleware/auth');
+const { cancellationPolicyValidation } = require('../middleware/validation');
+
+// All policy management is admin only
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/cancellation-policies
+ * @desc    Get cancellation policies
+ * @access  Private/Admin
+ */
+router.get('/', cancellationPolicyController.getPolicies);
+
+/**
+ * @route   POST /api/cancellation-policies
+ * @desc    Create cancellation policy
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  cancellationPolicyValidation,
+  cancellationPolicyController.createPolicy
+);
+
+/**
+ * @route   GET /api/cancellation-policies/:id
+ * @desc    Get single cancellation policy
+ * @access  Private/Admin
+ */
+router.get('/:id', cancellationPolicyController.getPolicy);
+
+/**
+ * @route   PUT /api/cancellation-policies/:id
+ * @desc    Update cancellation policy
+ * @access  Private/Admin
+ */
+router.put('/:id', cancellationPolicyController.updatePolicy);
+
+/**
+ * @route   DELETE /api/cancellation-policies/:id
+ * @desc    Delete cancellation policy
+ * @access  Private/Admin
+ */
+router.delete('/:id', cancellationPolicyController.deletePolicy);
+
+/**
+ * @route   POST /api/cancellation-policies/:id/preview
+ * @desc    Preview the refund a policy gives for a payment and departure
+ * @access  Private/Admin
+ */
+router.post('/:id/preview', cancellationPolicyController.previewPolicy);
+
+module.exports = router;
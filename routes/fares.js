@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const { protect } = require('../middleware/auth');
+const { fareQuoteValidation } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/fares/quote
+ * @desc    Quote a booking's fare, itemized, with a signed quote id to book it at
+ * @access  Private
+ */
+router.post(
+  '/quote',
+  protect,
+  fareQuoteValidation,
+  bookingController.quoteBooking
+);
+
+module.exports = router;
@@ -6,7 +6,12 @@ const hiringController = require('../controllers/hiringController');
 
 // Import middleware
 const { protect, authorize, checkOwnership } = require('../middleware/auth');
-const { hiringValidation } = require('../middleware/validation');
+const {
+  hiringValidation,
+  hiringQuoteValidation,
+  hiringRequestValidation,
+  hiringQuoteRevisionValidation
+} = require('../middleware/validation');
 const { bookingLimiter } = require('../middleware/rateLimit'); // Reuse booking limiter
 const { requireFeature } = require('../middleware/apiVersion');
 const { clearCache } = require('../middleware/cache');
@@ -69,6 +74,31 @@ router.get(
   hiringController.getHiring
 );
 
+/**
+ * @route   POST /api/hiring/quote
+ * @desc    Quote a hire, itemized, with a signed quote id to hire at
+ * @access  Private
+ */
+router.post(
+  '/quote',
+  protect,
+  hiringQuoteValidation,
+  hiringController.quoteHiring
+);
+
+/**
+ * @route   POST /api/hiring/requests
+ * @desc    Request a charter quote, priced by staff before the hire is booked
+ * @access  Private
+ */
+router.post(
+  '/requests',
+  bookingLimiter,
+  protect,
+  hiringRequestValidation,
+  hiringController.requestHiringQuote
+);
+
 /**
  * @route   POST /api/hiring
  * @desc    Create a new hiring request
@@ -136,6 +166,18 @@ router.patch(
   hiringController.cancelHiring
 );
 
+/**
+ * @route   GET /api/hiring/:id/cancellation-preview
+ * @desc    Preview the refund for cancelling a hiring
+ * @access  Private (own hiring or admin)
+ */
+router.get(
+  '/:id/cancellation-preview',
+  protect,
+  checkOwnership(req => hiringController.getHiringUserId(req.params.id)),
+  hiringController.getCancellationPreview
+);
+
 /**
  * @route   POST /api/hiring/:id/payment
  * @desc    Process payment for hiring
@@ -150,6 +192,18 @@ router.post(
   hiringController.processHiringPayment
 );
 
+/**
+ * @route   GET /api/hiring/:id/statement
+ * @desc    Get the payment statement: paid, due and overdue amounts by milestone
+ * @access  Private (own hiring or admin)
+ */
+router.get(
+  '/:id/statement',
+  protect,
+  checkOwnership(req => hiringController.getHiringUserId(req.params.id)),
+  hiringController.getHiringStatement
+);
+
 /**
  * @route   GET /api/hiring/:id/receipt
  * @desc    Get hiring ticket/receipt (JSON format)
@@ -212,6 +266,56 @@ router.post(
   hiringController.rejectHiring
 );
 
+/**
+ * @route   GET /api/hiring/:id/quotes
+ * @desc    Get the quote revisions and invoices on a hiring
+ * @access  Private (own hiring or admin)
+ */
+router.get(
+  '/:id/quotes',
+  protect,
+  checkOwnership(req => hiringController.getHiringUserId(req.params.id)),
+  hiringController.getHiringQuotes
+);
+
+/**
+ * @route   POST /api/hiring/:id/quotes
+ * @desc    Issue a priced quote revision on a charter request
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/quotes',
+  protect,
+  authorize('admin'),
+  hiringQuoteRevisionValidation,
+  hiringController.issueHiringQuote
+);
+
+/**
+ * @route   POST /api/hiring/:id/quotes/:revision/accept
+ * @desc    Accept a quote revision, confirming the hire and invoicing the deposit
+ * @access  Private (own hiring or admin)
+ */
+router.post(
+  '/:id/quotes/:revision/accept',
+  protect,
+  checkOwnership(req => hiringController.getHiringUserId(req.params.id)),
+  clearCache(['api/buses']), // Clear cache for related resources
+  hiringController.acceptHiringQuote
+);
+
+/**
+ * @route   POST /api/hiring/:id/quotes/:revision/decline
+ * @desc    Decline a quote revision
+ * @access  Private (own hiring or admin)
+ */
+router.post(
+  '/:id/quotes/:revision/decline',
+  protect,
+  checkOwnership(req => hiringController.getHiringUserId(req.params.id)),
+  hiringController.declineHiringQuote
+);
+
 /**
  * @route   POST /api/hiring/:id/notify
  * @desc    Send hiring notification
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const holidayController = require('../controllers/holidayController');
+const { protect, authorize } = require('../middleware/auth');
+const { holidayValidation } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/holidays
+ * @desc    Get holidays on the calendar
+ * @access  Public
+ */
+router.get('/', holidayController.getHolidays);
+
+/**
+ * @route   GET /api/holidays/check
+ * @desc    Check whether holiday or seasonal pricing applies to a date or date range
+ * @access  Public
+ */
+router.get('/check', holidayController.checkDates);
+
+/**
+ * @route   POST /api/holidays/import
+ * @desc    Import holidays from a CSV file (text/csv body) or a JSON list
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  protect,
+  authorize('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  holidayController.importHolidays
+);
+
+/**
+ * @route   GET /api/holidays/:id
+ * @desc    Get single holiday
+ * @access  Public
+ */
+router.get('/:id', holidayController.getHoliday);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Add a holiday or travel season
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  protect,
+  authorize('admin'),
+  holidayValidation,
+  holidayController.createHoliday
+);
+
+/**
+ * @route   PUT /api/holidays/:id
+ * @desc    Update holiday
+ * @access  Private/Admin
+ */
+router.put('/:id', protect, authorize('admin'), holidayController.updateHoliday);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Delete holiday
+ * @access  Private/Admin
+ */
+router.delete('/:id', protect, authorize('admin'), holidayController.deleteHoliday);
+
+module.exports = router;
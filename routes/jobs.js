@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Background jobs are managed by admins only
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Get background jobs and their schedule state
+ * @access  Private/Admin
+ */
+router.get('/', jobController.getJobs);
+
+/**
+ * @route   GET /api/jobs/:name
+ * @desc    Get a background job with its run history
+ * @access  Private/Admin
+ */
+router.get('/:name', jobController.getJob);
+
+/**
+ * @route   PATCH /api/jobs/:name/pause
+ * @desc    Pause a background job
+ * @access  Private/Admin
+ */
+router.patch('/:name/pause', jobController.pauseJob);
+
+/**
+ * @route   PATCH /api/jobs/:name/resume
+ * @desc    Resume a paused background job
+ * @access  Private/Admin
+ */
+router.patch('/:name/resume', jobController.resumeJob);
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a background job now
+ * @access  Private/Admin
+ */
+router.post('/:name/run', jobController.runJob);
+
+module.exports = router;
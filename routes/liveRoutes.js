@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const routeController = require('../controllers/routeController');
+const { cacheControl } = require('../middleware/cache');
+
+// Mounted ahead of the cached route endpoints, since these answers change by the minute
+const noCacheControl = cacheControl({ noCache: true });
+
+/**
+ * @route   GET /api/routes/journeys
+ * @desc    Plan journeys with transfers between two places on a date
+ * @access  Public
+ */
+router.get('/journeys', noCacheControl, routeController.planJourneys);
+
+/**
+ * @route   GET /api/routes/:id/trips/:date/eta
+ * @desc    Get live arrival estimates for each stop of the route's trip on a date
+ * @access  Public
+ */
+router.get('/:id/trips/:date/eta', noCacheControl, routeController.getTripEta);
+
+module.exports = router;
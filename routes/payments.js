@@ -4,25 +4,49 @@ const {
   verifyPayment,
   initializePayment,
   getPaymentDetails,
+  handleWebhook,
+  getRefunds,
+  getPaymentEvents,
 } = require("../controllers/paymentController");
 
 // Middleware imports
-const { protect } = require("../middleware/auth");
+const { protect, authorize } = require("../middleware/auth");
 
 /**
  * @route   POST /api/payments/verify
- * @desc    Verify Paystack payment
+ * @desc    Verify a gateway payment
  * @access  Private
  */
-router.post("/verify", verifyPayment);
+router.post("/verify", protect, verifyPayment);
+
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Receive payment gateway webhook events
+ * @access  Public (signed by the gateway)
+ */
+router.post("/webhook", handleWebhook);
 
 /**
  * @route   POST /api/payments/initialize
- * @desc    Initialize Paystack payment
+ * @desc    Initialize a gateway payment
  * @access  Private
  */
 router.post("/initialize", protect, initializePayment);
 
+/**
+ * @route   GET /api/payments/refunds
+ * @desc    List refunds across bookings and hirings (outstanding by default)
+ * @access  Private/Admin
+ */
+router.get("/refunds", protect, authorize("admin"), getRefunds);
+
+/**
+ * @route   GET /api/payments/events
+ * @desc    List gateway webhook events needing attention (for review or failed by default)
+ * @access  Private/Admin
+ */
+router.get("/events", protect, authorize("admin"), getPaymentEvents);
+
 /**
  * @route   GET /api/payments/:reference
  * @desc    Get payment details by reference
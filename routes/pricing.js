@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const pricingController = require('../controllers/pricingController');
+const { protect, authorize } = require('../middleware/auth');
+const { pricingRuleValidation, fareLockValidation } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/pricing/trips/:tripId
+ * @desc    Get the current fare on a trip and how it was reached
+ * @access  Public
+ */
+router.get('/trips/:tripId', pricingController.getTripFare);
+
+/**
+ * @route   POST /api/pricing/locks
+ * @desc    Lock the current fare on a trip during checkout
+ * @access  Private
+ */
+router.post(
+  '/locks',
+  protect,
+  fareLockValidation,
+  pricingController.lockFare
+);
+
+/**
+ * @route   GET /api/pricing/locks
+ * @desc    Get locked fares and how each was priced
+ * @access  Private/Admin
+ */
+router.get('/locks', protect, authorize('admin'), pricingController.getFareLocks);
+
+/**
+ * @route   GET /api/pricing/locks/:id
+ * @desc    Get a fare lock
+ * @access  Private (own lock or admin)
+ */
+router.get('/locks/:id', protect, pricingController.getFareLock);
+
+// Pricing rule management is admin only
+router.use('/rules', protect, authorize('admin'));
+
+/**
+ * @route   GET /api/pricing/rules
+ * @desc    Get pricing rules
+ * @access  Private/Admin
+ */
+router.get('/rules', pricingController.getRules);
+
+/**
+ * @route   POST /api/pricing/rules
+ * @desc    Create pricing rule
+ * @access  Private/Admin
+ */
+router.post(
+  '/rules',
+  pricingRuleValidation,
+  pricingController.createRule
+);
+
+/**
+ * @route   GET /api/pricing/rules/:id
+ * @desc    Get single pricing rule
+ * @access  Private/Admin
+ */
+router.get('/rules/:id', pricingController.getRule);
+
+/**
+ * @route   PUT /api/pricing/rules/:id
+ * @desc    Update pricing rule
+ * @access  Private/Admin
+ */
+router.put('/rules/:id', pricingController.updateRule);
+
+/**
+ * @route   DELETE /api/pricing/rules/:id
+ * @desc    Delete pricing rule
+ * @access  Private/Admin
+ */
+router.delete('/rules/:id', pricingController.deleteRule);
+
+module.exports = router;
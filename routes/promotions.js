@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/auth');
+const { promotionValidation, promotionCheckValidation } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/promotions/validate
+ * @desc    Check a promo code and preview its discount
+ * @access  Private
+ */
+router.post(
+  '/validate',
+  protect,
+  promotionCheckValidation,
+  promotionController.validatePromotion
+);
+
+// Everything else is promotion management, which is admin only
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get promotions
+ * @access  Private/Admin
+ */
+router.get('/', promotionController.getPromotions);
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Create promotion
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  promotionValidation,
+  promotionController.createPromotion
+);
+
+/**
+ * @route   GET /api/promotions/:id
+ * @desc    Get single promotion
+ * @access  Private/Admin
+ */
+router.get('/:id', promotionController.getPromotion);
+
+/**
+ * @route   PUT /api/promotions/:id
+ * @desc    Update promotion
+ * @access  Private/Admin
+ */
+router.put('/:id', promotionController.updatePromotion);
+
+/**
+ * @route   DELETE /api/promotions/:id
+ * @desc    Delete or deactivate promotion
+ * @access  Private/Admin
+ */
+router.delete('/:id', promotionController.deletePromotion);
+
+module.exports = router;
@@ -19,6 +19,42 @@ router.post(
   ticketVerificationController.verifyTicketQR
 );
 
+/**
+ * @route   GET /api/tickets/manifest
+ * @desc    Download a signed boarding manifest for offline verification
+ * @access  Private (Admin/Conductor)
+ */
+router.get(
+  '/manifest',
+  protect,
+  authorize('admin', 'conductor'),
+  ticketVerificationController.getOfflineManifest
+);
+
+/**
+ * @route   GET /api/tickets/manifest-key
+ * @desc    Get the public keys used to check tickets and manifests offline
+ * @access  Private (Admin/Conductor)
+ */
+router.get(
+  '/manifest-key',
+  protect,
+  authorize('admin', 'conductor'),
+  ticketVerificationController.getManifestKey
+);
+
+/**
+ * @route   POST /api/tickets/sync
+ * @desc    Upload ticket scans made while offline
+ * @access  Private (Admin/Conductor)
+ */
+router.post(
+  '/sync',
+  protect,
+  authorize('admin', 'conductor'),
+  ticketVerificationController.syncOfflineScans
+);
+
 /**
  * @route   GET /api/tickets/:id/verifications
  * @desc    Get verification history for a specific ticket
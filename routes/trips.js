@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const tripController = require('../controllers/tripController');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/trips
+ * @desc    Get scheduled trips with filtering options
+ * @access  Public
+ */
+router.get('/', tripController.getTrips);
+
+/**
+ * @route   POST /api/trips/generate
+ * @desc    Generate trips from route operating days over a horizon
+ * @access  Private/Admin
+ */
+router.post(
+  '/generate',
+  protect,
+  authorize('admin'),
+  tripController.generateTrips
+);
+
+/**
+ * @route   GET /api/trips/:id
+ * @desc    Get single trip with seat availability
+ * @access  Public
+ */
+router.get('/:id', tripController.getTrip);
+
+/**
+ * @route   GET /api/trips/:id/seat-map
+ * @desc    Get the seat map with booked, held and blocked seats (optionally between stops)
+ * @access  Public
+ */
+router.get('/:id/seat-map', tripController.getSeatMap);
+
+/**
+ * @route   PUT /api/trips/:id
+ * @desc    Override a trip (cancel, delay, substitute bus, assign driver)
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id',
+  protect,
+  authorize('admin'),
+  tripController.updateTrip
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const waitlistController = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for a sold-out trip
+ * @access  Private
+ */
+router.post(
+  '/',
+  protect,
+  [
+    check('tripId', 'A valid trip ID is required').isMongoId(),
+    check('passengers', 'Passengers must be between 1 and 10').isInt({ min: 1, max: 10 }),
+    check('deadline', 'Deadline must be a valid date').optional().isISO8601(),
+    check('fromStop', 'Boarding stop must be text').optional().isString(),
+    check('toStop', 'Alighting stop must be text').optional().isString()
+  ],
+  waitlistController.joinWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    Get own waitlist entries (admins can filter by trip, user and status)
+ * @access  Private
+ */
+router.get('/', protect, waitlistController.getWaitlistEntries);
+
+/**
+ * @route   POST /api/waitlist/trips/:tripId/process
+ * @desc    Offer free seats on a trip to its waitlist now
+ * @access  Private/Admin
+ */
+router.post(
+  '/trips/:tripId/process',
+  protect,
+  authorize('admin'),
+  waitlistController.processTripWaitlist
+);
+
+/**
+ * @route   GET /api/waitlist/:id
+ * @desc    Get a waitlist entry with its position in the queue
+ * @access  Private (own entry or admin)
+ */
+router.get('/:id', protect, waitlistController.getWaitlistEntry);
+
+/**
+ * @route   DELETE /api/waitlist/:id
+ * @desc    Leave the waitlist
+ * @access  Private (own entry or admin)
+ */
+router.delete('/:id', protect, waitlistController.leaveWaitlist);
+
+module.exports = router;
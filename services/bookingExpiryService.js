@@ -0,0 +1,124 @@
+const Booking = require('../models/Booking');
+const Promotion = require('../models/Promotion');
+const NotificationService = require('./notificationService');
+const config = require('../config/config');
+
+// Recorded as the cancellation reason of expired bookings
+const EXPIRY_REASON = 'payment_timeout';
+
+class BookingExpiryService {
+  constructor(io, waitlistService = null) {
+    this.io = io;
+    // Offers the released seats to customers on the waitlist
+    this.waitlistService = waitlistService;
+  }
+
+  /**
+   * Cancel pending bookings that were not paid within their payment window
+   * Bookings created before payment deadlines existed use the standard window
+   * @returns {Promise<Array>} Bookings that were expired
+   */
+  async expireUnpaidBookings() {
+    try {
+      const now = new Date();
+      const legacyCutoff = new Date(now.getTime() - config.bookingExpiry.paymentWindowMinutes * 60 * 1000);
+
+      const dueBookings = await Booking.find({
+        status: 'Pending',
+        paymentStatus: 'Pending',
+        $or: [
+          { paymentDueAt: { $lte: now } },
+          { paymentDueAt: { $exists: false }, createdAt: { $lte: legacyCutoff } }
+        ]
+      }).select('_id');
+
+      const expired = [];
+      for (const { _id } of dueBookings) {
+        const booking = await this._expireBooking(_id, now);
+        if (booking) {
+          expired.push(booking);
+        }
+      }
+
+      if (expired.length > 0) {
+        console.log(`Expired ${expired.length} unpaid bookings`);
+      }
+
+      return expired;
+    } catch (error) {
+      console.error('Error expiring unpaid bookings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel one booking, unless a payment arrived since it was selected
+   * @returns {Promise<Object|null>} The cancelled booking, or null if it was paid meanwhile
+   */
+  async _expireBooking(bookingId, now) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, status: 'Pending', paymentStatus: 'Pending' },
+      {
+        $set: {
+          status: 'Cancelled',
+          cancellationReason: EXPIRY_REASON,
+          cancelledAt: now
+        },
+        $push: {
+          statusHistory: {
+            status: 'Cancelled',
+            date: now,
+            notes: 'Payment not received within the payment window'
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      return null;
+    }
+
+    // The update skips the model's hooks, so give back the promotion's use here
+    if (booking.additionalInformation?.promotion) {
+      await Promotion.releaseRedemption(booking.additionalInformation.promotion, booking.user);
+    }
+
+    // Announce the released seats to everyone viewing the bus
+    if (this.io) {
+      this.io.to(`seats:${booking.bus}`).emit('seat-updated', {
+        busId: booking.bus,
+        date: booking.departureDate,
+        bookingId: booking._id,
+        action: 'booking_expired',
+        affectedSeats: booking.passengers.map(p => p.seatNumber),
+        timestamp: new Date()
+      });
+      console.log(`🚌 Seat update emitted for bus ${booking.bus} (booking expired)`);
+    }
+
+    if (this.waitlistService) {
+      this.waitlistService.handleSeatsReleased({
+        trip: booking.trip,
+        bus: booking.bus,
+        departureDate: booking.departureDate
+      }).catch(() => {});
+    }
+
+    try {
+      const notificationService = new NotificationService(this.io);
+      await notificationService.sendBookingNotification(booking, 'booking_cancelled', {
+        reason: 'Payment was not received in time, so your seats have been released.',
+        cancellationReason: EXPIRY_REASON
+      });
+    } catch (notificationError) {
+      console.error('Error sending booking expiry notification:', notificationError);
+    }
+
+    return booking;
+  }
+}
+
+BookingExpiryService.EXPIRY_REASON = EXPIRY_REASON;
+
+module.exports = BookingExpiryService;
@@ -0,0 +1,509 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const NotificationService = require('./notificationService');
+const { projectOntoSegment, isValidPoint } = require('../utils/geo');
+const config = require('../config/config');
+
+// Historic journey times are re-read from completed trips this often
+const HISTORY_CACHE_MS = 60 * 60 * 1000;
+
+// A journey pace outside these multiples of the timetable is treated as noise
+const MIN_PACE_RATIO = 0.5;
+const MAX_PACE_RATIO = 3;
+
+// Scheduled minutes the bus must have covered before its own pace is trusted
+const MIN_LIVE_MINUTES = 5;
+
+// Positions this long before departure belong to an earlier journey
+const PRE_DEPARTURE_WINDOW_MS = 60 * 60 * 1000;
+
+// A bus first seen further along than this was already under way when
+// tracking began, so its departure time is unknown
+const MAX_DEPARTURE_DETECTION_KM = 5;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Helper function to get the minutes between two HH:MM times, wrapping past midnight
+ */
+const minutesBetween = (from, to) => {
+  const [fromHours, fromMinutes] = from.split(':').map(Number);
+  const [toHours, toMinutes] = to.split(':').map(Number);
+  const difference = (toHours * 60 + toMinutes) - (fromHours * 60 + fromMinutes);
+  return difference < 0 ? difference + 24 * 60 : difference;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+class EtaService {
+  constructor(io) {
+    this.io = io;
+    this.notificationService = new NotificationService(io);
+    // Per trip: { computedAt, signature } of the last published estimate
+    this.published = new Map();
+    // Per route: { minutes, expiresAt }
+    this.historyCache = new Map();
+  }
+
+  /**
+   * Estimate arrival times for a trip from its bus's latest position
+   * @param {Object} trip - Trip document
+   * @returns {Promise<Object|null>} Estimate, or null when the route is gone
+   */
+  async getTripEta(trip) {
+    const [route, bus] = await Promise.all([
+      Route.findById(trip.route),
+      Bus.findById(trip.bus).select('+lastLocation')
+    ]);
+
+    if (!route) {
+      return null;
+    }
+
+    return this.estimate(trip, route, bus ? bus.lastLocation : null);
+  }
+
+  /**
+   * Recalculate a trip's ETAs after its bus reported a new position
+   * Called by the tracking service; throttled per trip. Records the actual
+   * departure and arrival, pushes changed estimates to the bus room and
+   * notifies booked passengers when the delay passes the threshold.
+   * @param {String} busId - Bus ID
+   * @param {Object} location - Latest fix ({ latitude, longitude, trip, recordedAt })
+   */
+  async handleLocation(busId, location) {
+    if (!location || !location.trip) {
+      return;
+    }
+
+    const tripId = location.trip.toString();
+    const now = Date.now();
+    const state = this.published.get(tripId);
+    if (state && now - state.computedAt < config.eta.recomputeSeconds * 1000) {
+      return;
+    }
+    // Claim the slot before awaiting so concurrent fixes don't recompute too
+    this.published.set(tripId, { ...state, computedAt: now });
+
+    try {
+      const trip = await Trip.findById(tripId);
+      if (!trip || ['Cancelled', 'Completed'].includes(trip.status)) {
+        return;
+      }
+
+      const route = await Route.findById(trip.route);
+      if (!route) {
+        return;
+      }
+
+      const estimate = await this.estimate(trip, route, location);
+      await this._recordProgress(trip, estimate);
+      this._publish(trip, estimate);
+      await this._checkDelay(trip, estimate);
+    } catch (error) {
+      console.error('Error updating trip ETA:', error);
+    }
+  }
+
+  /**
+   * Work out per-stop arrival estimates for a trip
+   * With a usable live position, the remaining timetable is stretched by a
+   * blend of the bus's pace so far and the route's historic journey time;
+   * otherwise the timetable is shifted by the expected departure.
+   * @param {Object} trip - Trip document
+   * @param {Object} route - Route document
+   * @param {Object} location - Bus position, if known
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Estimate
+   */
+  async estimate(trip, route, location, now = new Date()) {
+    const checkpoints = this._buildCheckpoints(route);
+    const destination = checkpoints[checkpoints.length - 1];
+    const historicMinutes = await this.getHistoricDurationMinutes(route);
+    const historicRatio = clamp(historicMinutes / route.estimatedDuration, MIN_PACE_RATIO, MAX_PACE_RATIO);
+    const scheduledDeparture = trip.departureDateTime;
+    const expectedDeparture = trip.expectedDepartureDateTime || scheduledDeparture;
+
+    const result = {
+      tripId: trip._id,
+      routeId: route._id,
+      busId: trip.bus,
+      date: trip.date,
+      status: 'scheduled',
+      basis: 'schedule',
+      scheduledDeparture,
+      expectedDeparture,
+      actualDeparture: trip.actualDepartureDateTime || null,
+      actualArrival: trip.actualArrivalDateTime || null,
+      distanceKm: route.distance,
+      progressKm: null,
+      lastPositionAt: null,
+      historicDurationMinutes: Math.round(historicMinutes),
+      delayMinutes: 0,
+      stops: [],
+      destination: null,
+      computedAt: now
+    };
+
+    if (trip.status === 'Cancelled') {
+      result.status = 'cancelled';
+      return result;
+    }
+
+    const position = this._locate(trip, checkpoints, location);
+    let departed = Boolean(result.actualDeparture) || trip.status === 'Departed';
+    let arrived = Boolean(result.actualArrival) || trip.status === 'Completed';
+
+    if (position) {
+      result.basis = 'live';
+      result.progressKm = Math.round(position.progressKm * 10) / 10;
+      result.lastPositionAt = position.recordedAt;
+
+      const leftSource = position.progressKm > config.eta.terminalRadiusKm;
+      if (!departed && leftSource && position.recordedAt >= scheduledDeparture.getTime() - PRE_DEPARTURE_WINDOW_MS) {
+        departed = true;
+        if (position.progressKm <= MAX_DEPARTURE_DETECTION_KM) {
+          result.actualDeparture = new Date(position.recordedAt);
+        }
+      }
+
+      if (departed && !arrived && destination.km - position.progressKm <= config.eta.terminalRadiusKm) {
+        arrived = true;
+        result.actualArrival = new Date(position.recordedAt);
+      }
+    }
+
+    // Where the timetable clock starts and how fast it runs
+    let coveredMinutes = 0;
+    let base;
+    let ratio = historicRatio;
+
+    if (arrived) {
+      result.status = 'completed';
+    } else if (departed && position) {
+      result.status = 'in_progress';
+      coveredMinutes = this._offsetAtKm(checkpoints, position.progressKm);
+      const start = result.actualDeparture || expectedDeparture;
+      const elapsedMinutes = (position.recordedAt - start.getTime()) / 60000;
+      if (coveredMinutes >= MIN_LIVE_MINUTES && elapsedMinutes > 0) {
+        const liveRatio = clamp(elapsedMinutes / coveredMinutes, MIN_PACE_RATIO, MAX_PACE_RATIO);
+        const completed = coveredMinutes / destination.offset;
+        ratio = completed * liveRatio + (1 - completed) * historicRatio;
+      }
+      base = new Date(position.recordedAt);
+    } else if (departed) {
+      result.status = 'in_progress';
+      base = result.actualDeparture || expectedDeparture;
+    } else {
+      // Not yet left: the journey starts no earlier than now
+      base = new Date(Math.max(expectedDeparture.getTime(), now.getTime()));
+    }
+
+    const describe = (checkpoint) => {
+      const scheduledArrival = addMinutes(scheduledDeparture, checkpoint.offset);
+      const entry = {
+        name: checkpoint.name,
+        distanceFromSource: Math.round(checkpoint.km * 10) / 10,
+        scheduledArrival,
+        estimatedArrival: null,
+        delayMinutes: 0,
+        status: 'upcoming'
+      };
+
+      if (arrived) {
+        entry.status = 'passed';
+        if (checkpoint.isDestination && result.actualArrival) {
+          entry.estimatedArrival = result.actualArrival;
+          entry.delayMinutes = Math.round((result.actualArrival - scheduledArrival) / 60000);
+        }
+        return entry;
+      }
+
+      if (position && departed && checkpoint.km <= position.progressKm) {
+        entry.status = 'passed';
+        return entry;
+      }
+
+      let estimatedArrival = addMinutes(base, (checkpoint.offset - coveredMinutes) * ratio);
+      if (estimatedArrival < now) {
+        if (position) {
+          // The bus hasn't reached it yet, so it can't be earlier than now
+          estimatedArrival = now;
+        } else if (departed) {
+          entry.status = 'passed';
+        }
+      }
+
+      entry.estimatedArrival = estimatedArrival;
+      entry.delayMinutes = Math.round((estimatedArrival - scheduledArrival) / 60000);
+      return entry;
+    };
+
+    result.stops = checkpoints.slice(1, -1).map(describe);
+    result.destination = describe(destination);
+    result.delayMinutes = Math.max(0, result.destination.delayMinutes);
+
+    return result;
+  }
+
+  /**
+   * Median journey time of the route's recent completed trips
+   * Falls back to the timetable when no trip has been tracked end to end
+   * @param {Object} route - Route document
+   * @returns {Promise<Number>} Minutes
+   */
+  async getHistoricDurationMinutes(route) {
+    const key = route._id.toString();
+    const cached = this.historyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.minutes;
+    }
+
+    const trips = await Trip.find({
+      route: route._id,
+      status: 'Completed',
+      actualDepartureDateTime: { $exists: true },
+      actualArrivalDateTime: { $exists: true }
+    })
+      .sort({ actualArrivalDateTime: -1 })
+      .limit(config.eta.historyTrips)
+      .select('actualDepartureDateTime actualArrivalDateTime')
+      .lean();
+
+    const durations = trips
+      .map(trip => (trip.actualArrivalDateTime - trip.actualDepartureDateTime) / 60000)
+      .filter(minutes =>
+        minutes >= route.estimatedDuration * MIN_PACE_RATIO &&
+        minutes <= route.estimatedDuration * MAX_PACE_RATIO
+      )
+      .sort((a, b) => a - b);
+
+    let minutes = route.estimatedDuration;
+    if (durations.length > 0) {
+      const middle = Math.floor(durations.length / 2);
+      minutes = durations.length % 2
+        ? durations[middle]
+        : (durations[middle - 1] + durations[middle]) / 2;
+    }
+
+    this.historyCache.set(key, { minutes, expiresAt: Date.now() + HISTORY_CACHE_MS });
+    return minutes;
+  }
+
+  /**
+   * Clear published estimates and cached history
+   */
+  stop() {
+    this.published.clear();
+    this.historyCache.clear();
+  }
+
+  /**
+   * List the route's termini and stops in travel order with their distance
+   * and timetable offset (minutes after departure)
+   * Stops missing a distance or time borrow it from the other, or from
+   * their position in the list
+   */
+  _buildCheckpoints(route) {
+    const totalKm = route.distance;
+    const totalMinutes = route.estimatedDuration;
+    const stops = route.stopPoints || [];
+
+    const checkpoints = stops.map((stop, index) => {
+      const share = (index + 1) / (stops.length + 1);
+      let km = Number.isFinite(stop.distanceFromSource) ? stop.distanceFromSource : null;
+      let offset = stop.arrivalTime && /^\d{1,2}:\d{2}$/.test(stop.arrivalTime)
+        ? minutesBetween(route.departureTime, stop.arrivalTime)
+        : null;
+
+      if (offset === null) {
+        offset = km !== null ? (km / totalKm) * totalMinutes : share * totalMinutes;
+      }
+      if (km === null) {
+        km = (offset / totalMinutes) * totalKm;
+      }
+
+      return {
+        name: stop.name,
+        km: clamp(km, 0, totalKm),
+        offset: clamp(offset, 0, totalMinutes),
+        coordinates: stop.coordinates
+      };
+    }).sort((a, b) => a.km - b.km);
+
+    const all = [
+      { name: route.source, km: 0, offset: 0, coordinates: route.sourceCoordinates },
+      ...checkpoints,
+      {
+        name: route.destination,
+        km: totalKm,
+        offset: totalMinutes,
+        coordinates: route.destinationCoordinates,
+        isDestination: true
+      }
+    ];
+
+    // Keep the timetable moving forward even if stop times are inconsistent
+    for (let i = 1; i < all.length; i++) {
+      all[i].offset = Math.max(all[i].offset, all[i - 1].offset);
+    }
+
+    return all;
+  }
+
+  /**
+   * Interpolate the timetable offset at a distance along the route
+   */
+  _offsetAtKm(checkpoints, km) {
+    for (let i = 1; i < checkpoints.length; i++) {
+      const previous = checkpoints[i - 1];
+      const next = checkpoints[i];
+      if (km <= next.km) {
+        const span = next.km - previous.km;
+        const fraction = span > 0 ? (km - previous.km) / span : 1;
+        return previous.offset + fraction * (next.offset - previous.offset);
+      }
+    }
+    return checkpoints[checkpoints.length - 1].offset;
+  }
+
+  /**
+   * Place a bus position on the route by snapping it to the nearest leg
+   * between checkpoints that have coordinates
+   * @returns {Object|null} { progressKm, recordedAt } or null if unusable
+   */
+  _locate(trip, checkpoints, location) {
+    if (!location || !location.recordedAt || !isValidPoint(location)) {
+      return null;
+    }
+
+    if (location.trip && !trip._id.equals(location.trip)) {
+      return null;
+    }
+
+    const recordedAt = new Date(location.recordedAt).getTime();
+    if (recordedAt < trip.departureDateTime.getTime() - PRE_DEPARTURE_WINDOW_MS) {
+      return null;
+    }
+
+    const mapped = checkpoints.filter(checkpoint => isValidPoint(checkpoint.coordinates));
+    if (mapped.length < 2) {
+      return null;
+    }
+
+    let best = null;
+    for (let i = 1; i < mapped.length; i++) {
+      const start = mapped[i - 1];
+      const end = mapped[i];
+      const { fraction, distanceKm } = projectOntoSegment(location, start.coordinates, end.coordinates);
+      if (!best || distanceKm < best.distanceKm) {
+        best = { distanceKm, progressKm: start.km + fraction * (end.km - start.km) };
+      }
+    }
+
+    if (best.distanceKm > config.eta.offRouteKm) {
+      return null;
+    }
+
+    return { progressKm: best.progressKm, recordedAt };
+  }
+
+  /**
+   * Save the live estimate, departure and arrival on the trip
+   */
+  async _recordProgress(trip, estimate) {
+    const updates = {
+      predictedDelayMinutes: estimate.delayMinutes,
+      etaUpdatedAt: estimate.computedAt
+    };
+
+    if (estimate.actualDeparture && !trip.actualDepartureDateTime) {
+      updates.actualDepartureDateTime = estimate.actualDeparture;
+    }
+    if (estimate.status === 'in_progress' && ['Scheduled', 'Delayed'].includes(trip.status)) {
+      updates.status = 'Departed';
+    }
+
+    if (estimate.actualArrival && !trip.actualArrivalDateTime) {
+      updates.actualArrivalDateTime = estimate.actualArrival;
+      updates.status = 'Completed';
+      // The finished journey feeds the next estimates
+      this.historyCache.delete(trip.route.toString());
+    }
+
+    await Trip.updateOne({ _id: trip._id }, { $set: updates });
+    trip.set(updates);
+  }
+
+  /**
+   * Push the estimate to the bus room when any arrival time moved
+   */
+  _publish(trip, estimate) {
+    const tripId = trip._id.toString();
+    const signature = [
+      estimate.status,
+      ...estimate.stops.map(stop => stop.estimatedArrival ? Math.round(stop.estimatedArrival / 60000) : stop.status),
+      estimate.destination.estimatedArrival ? Math.round(estimate.destination.estimatedArrival / 60000) : ''
+    ].join('|');
+
+    const state = this.published.get(tripId) || {};
+    this.published.set(tripId, { computedAt: estimate.computedAt.getTime(), signature });
+
+    if (estimate.status === 'completed') {
+      // Nothing more to estimate for this journey
+      this.published.delete(tripId);
+    }
+
+    if (!this.io || state.signature === signature) {
+      return;
+    }
+
+    this.io.to(`bus:${trip.bus}`).emit('trip:eta', {
+      ...estimate,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Notify booked passengers when the predicted delay first reaches the
+   * threshold, and again each time it grows by another threshold step
+   */
+  async _checkDelay(trip, estimate) {
+    const threshold = config.eta.delayThresholdMinutes;
+    const delay = estimate.delayMinutes;
+
+    if (delay < threshold || estimate.status === 'completed') {
+      return;
+    }
+
+    // Claim the notification so concurrent updates send it once
+    const claimed = await Trip.findOneAndUpdate(
+      {
+        _id: trip._id,
+        $or: [
+          { delayNotifiedMinutes: { $exists: false } },
+          { delayNotifiedMinutes: { $lte: delay - threshold } }
+        ]
+      },
+      { $set: { delayNotifiedMinutes: delay } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      await this.notificationService.sendTripNotification(claimed, 'bus_delayed', {
+        delayMinutes: delay,
+        estimatedArrival: estimate.destination.estimatedArrival,
+        reason: `The bus is now expected at ${estimate.destination.name} around ${estimate.destination.estimatedArrival.toLocaleTimeString()}.`
+      });
+    } catch (error) {
+      console.error('Error sending delay notification:', error);
+    }
+  }
+}
+
+module.exports = EtaService;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * Local payment gateway for development and tests.
+ * Behaviour is decided by the reference alone, so results are repeatable
+ * and no network access is needed:
+ * - references look like MOCK-<amount in kobo>-<suffix>
+ * - a reference containing "FAIL" is a failed charge
+ * - a reference containing "PENDING" has not been paid yet
+ * Only references this process initialised can be verified, and webhooks
+ * need MOCK_GATEWAY_SECRET to be set. The mock is never used in production.
+ */
+class MockGateway {
+  constructor({ webhookSecret, callbackBaseUrl }) {
+    this.name = 'Mock';
+    this.paymentMethod = 'Other';
+    this.webhookSecret = webhookSecret;
+    this.callbackBaseUrl = callbackBaseUrl;
+    // Metadata given at initialisation, returned again on verification
+    this.transactions = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookSecret);
+  }
+
+  async initialize({ email, amount, reference, metadata }) {
+    const kobo = Math.round(amount * 100);
+    const suffix = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ email, kobo, metadata }))
+      .digest('hex')
+      .slice(0, 10)
+      .toUpperCase();
+    const transactionReference = reference || `MOCK-${kobo}-${suffix}`;
+
+    this.transactions.set(transactionReference, { email, metadata, initializedAt: new Date() });
+
+    return {
+      success: true,
+      authorizationUrl: `${this.callbackBaseUrl}/payments/mock?reference=${transactionReference}`,
+      accessCode: suffix,
+      reference: transactionReference
+    };
+  }
+
+  async verify(reference) {
+    const match = /^MOCK-(\d+)-/.exec(reference || '');
+    if (!match || !this.transactions.has(reference)) {
+      return {
+        success: false,
+        found: false,
+        status: 'failed',
+        reference,
+        amount: 0,
+        message: 'Transaction reference not found'
+      };
+    }
+
+    const status = reference.includes('FAIL')
+      ? 'failed'
+      : reference.includes('PENDING') ? 'abandoned' : 'success';
+    const stored = this.transactions.get(reference);
+    const amount = parseInt(match[1], 10) / 100;
+    const raw = {
+      reference,
+      status,
+      amount: parseInt(match[1], 10),
+      paid_at: status === 'success' ? stored.initializedAt.toISOString() : null,
+      customer: { email: stored.email },
+      metadata: stored.metadata,
+      gateway_response: status === 'success' ? 'Approved' : 'Declined'
+    };
+
+    return {
+      success: status === 'success',
+      found: true,
+      status,
+      reference,
+      amount,
+      paidAt: raw.paid_at,
+      customer: raw.customer,
+      metadata: stored.metadata,
+      message: 'Verification successful',
+      raw
+    };
+  }
+
+  async refund({ reference, amount }) {
+    const refundReference = `MOCK-RFD-${crypto
+      .createHash('sha256')
+      .update(`${reference}:${amount}`)
+      .digest('hex')
+      .slice(0, 10)
+      .toUpperCase()}`;
+
+    if (reference.includes('REFUNDFAIL')) {
+      return { success: false, status: 'failed', message: 'Refund declined' };
+    }
+
+    return {
+      success: true,
+      status: 'processed',
+      refundReference,
+      raw: { reference, amount, refundReference }
+    };
+  }
+
+  /**
+   * Mock webhooks use the Paystack body shape, signed with the mock secret
+   * in an x-mock-signature header
+   */
+  parseWebhook({ rawBody, headers, body }) {
+    const signature = headers['x-mock-signature'];
+    if (!this.webhookSecret || !rawBody || !signature) {
+      return { valid: false };
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha512', this.webhookSecret).update(rawBody).digest('hex')
+    );
+    const provided = Buffer.from(String(signature));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false };
+    }
+
+    const { event, data = {} } = body;
+    const isRefund = event && event.startsWith('refund.');
+
+    return {
+      valid: true,
+      event,
+      reference: isRefund ? data.refund_reference : data.reference,
+      data: {
+        amount: (data.amount || 0) / 100,
+        metadata: data.metadata,
+        transactionReference: data.transaction_reference,
+        gatewayResponse: data.gateway_response,
+        raw: data
+      }
+    };
+  }
+}
+
+module.exports = MockGateway;
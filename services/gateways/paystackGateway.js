@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+/**
+ * Paystack payment gateway adapter.
+ * Amounts are passed in and returned in Naira; Paystack works in kobo.
+ */
+class PaystackGateway {
+  constructor({ secretKey }) {
+    this.name = 'Paystack';
+    this.paymentMethod = 'Paystack';
+    this.secretKey = secretKey;
+    this.client = secretKey ? require('paystack-api')(secretKey) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Start a payment and get the checkout URL for the customer
+   * @param {Object} options - { email, amount, reference, metadata, callbackUrl }
+   * @returns {Promise<Object>} { success, authorizationUrl, accessCode, reference, message }
+   */
+  async initialize({ email, amount, reference, metadata, callbackUrl }) {
+    this._ensureConfigured();
+
+    const response = await this.client.transaction.initialize({
+      email,
+      amount: Math.round(amount * 100),
+      currency: 'NGN',
+      reference,
+      callback_url: callbackUrl,
+      metadata
+    });
+
+    if (!response.status) {
+      return { success: false, message: response.message };
+    }
+
+    return {
+      success: true,
+      authorizationUrl: response.data.authorization_url,
+      accessCode: response.data.access_code,
+      reference: response.data.reference
+    };
+  }
+
+  /**
+   * Look up a transaction by reference
+   * @param {String} reference - Transaction reference
+   * @returns {Promise<Object>} Normalised transaction
+   */
+  async verify(reference) {
+    this._ensureConfigured();
+
+    const response = await this.client.transaction.verify({ reference });
+    const data = response.data || {};
+
+    return {
+      success: Boolean(response.status) && data.status === 'success',
+      found: Boolean(response.status),
+      status: data.status || 'failed',
+      reference: data.reference || reference,
+      amount: (data.amount || 0) / 100,
+      paidAt: data.paid_at,
+      customer: data.customer,
+      metadata: data.metadata,
+      message: response.message,
+      raw: data
+    };
+  }
+
+  /**
+   * Refund all or part of a transaction
+   * @param {Object} options - { reference, amount }
+   * @returns {Promise<Object>} { success, status, refundReference, raw }
+   */
+  async refund({ reference, amount }) {
+    this._ensureConfigured();
+
+    const response = await this.client.refund.create({
+      transaction: reference,
+      amount: Math.round(amount * 100)
+    });
+    const data = response.data || {};
+
+    return {
+      success: Boolean(response.status),
+      status: data.status === 'processed' ? 'processed' : 'pending',
+      refundReference: data.id ? String(data.id) : undefined,
+      message: response.message,
+      raw: data
+    };
+  }
+
+  /**
+   * Check a webhook request and normalise its event
+   * @param {Object} request - { rawBody, headers, body }
+   * @returns {Object} { valid, event, reference, data }
+   */
+  parseWebhook({ rawBody, headers, body }) {
+    const signature = headers['x-paystack-signature'];
+    if (!this.secretKey || !rawBody || !signature) {
+      return { valid: false };
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha512', this.secretKey).update(rawBody).digest('hex')
+    );
+    const provided = Buffer.from(String(signature));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false };
+    }
+
+    const { event, data = {} } = body;
+    const isRefund = event && event.startsWith('refund.');
+
+    return {
+      valid: true,
+      event,
+      reference: isRefund
+        ? String(data.refund_reference || data.id || data.transaction_reference || '')
+        : data.reference,
+      data: {
+        amount: (data.amount || 0) / 100,
+        metadata: data.metadata,
+        transactionReference: data.transaction_reference,
+        gatewayResponse: data.gateway_response,
+        raw: data
+      }
+    };
+  }
+
+  _ensureConfigured() {
+    if (!this.client) {
+      throw new Error('Paystack is not configured');
+    }
+  }
+}
+
+module.exports = PaystackGateway;
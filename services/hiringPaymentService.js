@@ -0,0 +1,208 @@
+const Hiring = require('../models/Hiring');
+const NotificationService = require('./notificationService');
+const RefundService = require('./refundService');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HiringPaymentService {
+  constructor(io) {
+    this.io = io;
+    this.notificationService = new NotificationService(io);
+  }
+
+  /**
+   * Remind customers about hire invoices falling due
+   * Each invoice gets one reminder per reminder day it passes, even if the job runs again
+   * @param {Date} now - Time of the run
+   * @returns {Promise<Number>} Number of reminders sent
+   */
+  async sendPaymentReminders(now = new Date()) {
+    try {
+      const reminderDays = [...config.hiringPayments.reminderDays].sort((a, b) => a - b);
+      if (reminderDays.length === 0) {
+        return 0;
+      }
+
+      const horizon = new Date(now.getTime() + reminderDays[reminderDays.length - 1] * DAY_MS);
+      const hirings = await Hiring.find({
+        status: { $in: ['Approved', 'Confirmed'] },
+        invoices: {
+          $elemMatch: { status: 'Unpaid', dueDate: { $gt: now, $lte: horizon } }
+        }
+      });
+
+      let sent = 0;
+      for (const hiring of hirings) {
+        const reminders = [];
+        hiring.invoices
+          .filter(invoice => invoice.status === 'Unpaid' && invoice.dueDate > now && invoice.dueDate <= horizon)
+          .forEach(invoice => {
+            // The closest reminder day still ahead of the due date
+            const daysLeft = (invoice.dueDate - now) / DAY_MS;
+            const reminderDay = reminderDays.find(days => days >= daysLeft);
+            if (reminderDay !== undefined && !invoice.remindersSent.includes(reminderDay)) {
+              invoice.remindersSent.push(reminderDay);
+              reminders.push(invoice);
+            }
+          });
+
+        if (reminders.length === 0) {
+          continue;
+        }
+        await hiring.save();
+
+        for (const invoice of reminders) {
+          try {
+            await this.notificationService.sendHiringNotification(hiring, 'hiring_payment_reminder', {
+              invoiceNumber: invoice.invoiceNumber,
+              kind: invoice.kind,
+              amount: invoice.amount,
+              dueDate: invoice.dueDate
+            });
+            sent += 1;
+          } catch (notificationError) {
+            console.error('Error sending hiring payment reminder:', notificationError);
+          }
+        }
+      }
+
+      return sent;
+    } catch (error) {
+      console.error('Error sending hiring payment reminders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold or cancel hires with a payment still unpaid after its grace period,
+   * as their payment plan says
+   * @param {Date} now - Time of the run
+   * @returns {Promise<Object>} { held, cancelled }
+   */
+  async enforcePaymentMilestones(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - config.hiringPayments.graceHours * 60 * 60 * 1000);
+      const hirings = await Hiring.find({
+        status: { $in: ['Approved', 'Confirmed'] },
+        invoices: {
+          $elemMatch: { status: 'Unpaid', missedAt: { $exists: false }, dueDate: { $lte: cutoff } }
+        }
+      });
+
+      const result = { held: 0, cancelled: 0 };
+      for (const hiring of hirings) {
+        // A payment may have come in since the invoices were last settled
+        hiring.settleInvoices();
+        const missed = hiring.invoices.find(invoice =>
+          invoice.status === 'Unpaid' && !invoice.missedAt && invoice.dueDate <= cutoff
+        );
+        if (!missed) {
+          await hiring.save();
+          continue;
+        }
+
+        missed.missedAt = now;
+        const action = (hiring.paymentPlan && hiring.paymentPlan.missedAction) || config.hiringPayments.missedAction;
+        if (action === 'cancel') {
+          await this._cancelHiring(hiring, missed, now);
+          result.cancelled += 1;
+        } else {
+          await this._holdHiring(hiring, missed, now);
+          result.held += 1;
+        }
+      }
+
+      if (result.held > 0 || result.cancelled > 0) {
+        console.log(`Missed hire payments: ${result.held} held, ${result.cancelled} cancelled`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error enforcing hiring payment milestones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a hire on hold until the missed invoice is paid
+   */
+  async _holdHiring(hiring, invoice, now) {
+    const reason = `Invoice ${invoice.invoiceNumber} was not paid by its due date`;
+    if (!hiring.paymentHold || !hiring.paymentHold.heldAt) {
+      hiring.paymentHold = { heldAt: now, invoiceNumber: invoice.invoiceNumber, reason };
+    }
+    await hiring.save();
+
+    try {
+      await this.notificationService.sendHiringNotification(hiring, 'hiring_payment_overdue', {
+        invoiceNumber: invoice.invoiceNumber,
+        amount: invoice.amount,
+        dueDate: invoice.dueDate
+      });
+    } catch (notificationError) {
+      console.error('Error sending hiring hold notification:', notificationError);
+    }
+
+    if (this.io) {
+      this.io.to(`hiring:${hiring._id}`).emit('hiring:payment-hold', {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        invoiceNumber: invoice.invoiceNumber,
+        heldAt: now
+      });
+    }
+  }
+
+  /**
+   * Cancel a hire for a missed payment, refunding what its cancellation policy allows
+   */
+  async _cancelHiring(hiring, invoice, now) {
+    const reason = `Invoice ${invoice.invoiceNumber} was not paid by its due date`;
+    const cancellation = await hiring.handleCancellation(reason, { isStaff: true, now });
+
+    hiring.status = 'Cancelled';
+    hiring.paymentHold = undefined;
+    hiring.invoices
+      .filter(unpaid => unpaid.status === 'Unpaid')
+      .forEach(unpaid => { unpaid.status = 'Void'; });
+
+    const refundService = new RefundService(this.io);
+    const refunds = cancellation.refundAmount > 0
+      ? refundService.createRefunds(hiring, {
+          amount: cancellation.refundAmount,
+          reason: `Cancellation: ${reason}`
+        })
+      : [];
+
+    await hiring.save();
+
+    // Failed gateway refunds are retried later
+    if (refunds.length > 0) {
+      try {
+        await refundService.processRefunds(hiring, 'hiring', refunds);
+      } catch (refundError) {
+        console.error('Error processing missed payment refund:', refundError);
+      }
+    }
+
+    try {
+      await this.notificationService.sendHiringNotification(hiring, 'hiring_cancelled', {
+        reason: `${reason}, so the hire has been cancelled.`
+      });
+    } catch (notificationError) {
+      console.error('Error sending hiring cancellation notification:', notificationError);
+    }
+
+    if (this.io) {
+      this.io.to(`hiring:${hiring._id}`).emit('hiring:cancelled', {
+        id: hiring._id,
+        hiringNumber: hiring.hiringNumber,
+        cancelledAt: now,
+        reason
+      });
+    }
+  }
+}
+
+module.exports = HiringPaymentService;
@@ -0,0 +1,355 @@
+const os = require('os');
+const Redis = require('ioredis');
+const Job = require('../models/Job');
+const cron = require('../utils/cron');
+const config = require('../config/config');
+
+// Releases a Redis lock only if this instance still holds it
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+class JobScheduler {
+  constructor(io) {
+    this.io = io;
+    this.definitions = new Map();
+    this.running = new Set();
+    this.tickTimer = null;
+    this.redis = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a recurring job
+   * @param {String} name - Unique job name
+   * @param {Object} options - { schedule, description, handler, maxAttempts, retryBaseSeconds, runOnStart }
+   */
+  define(name, options) {
+    const { schedule, handler } = options;
+
+    if (!cron.isValid(schedule)) {
+      throw new Error(`Invalid schedule "${schedule}" for job ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Job ${name} needs a handler`);
+    }
+
+    this.definitions.set(name, {
+      maxAttempts: 3,
+      retryBaseSeconds: 60,
+      runOnStart: false,
+      ...options
+    });
+  }
+
+  /**
+   * Create or update the stored job records and start polling for due jobs
+   * @param {Number} tickSeconds - Polling interval
+   */
+  async start(tickSeconds = config.jobs.tickSeconds) {
+    if (this.tickTimer) {
+      return;
+    }
+
+    this._connectRedis();
+    await this.syncJobs();
+
+    this.tickTimer = setInterval(() => {
+      this.tick().catch(() => {});
+    }, tickSeconds * 1000);
+
+    // Don't keep the process alive just for the scheduler
+    this.tickTimer.unref();
+  }
+
+  /**
+   * Stop polling for due jobs
+   */
+  async stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+
+    if (this.redis) {
+      await this.redis.quit().catch(() => {});
+      this.redis = null;
+    }
+  }
+
+  /**
+   * Make sure every defined job has a stored record with the current schedule
+   * Paused jobs stay paused across restarts
+   */
+  async syncJobs() {
+    try {
+      const now = new Date();
+
+      for (const [name, definition] of this.definitions) {
+        const job = await Job.findOne({ name });
+
+        if (!job) {
+          await Job.create({
+            name,
+            description: definition.description,
+            schedule: definition.schedule,
+            maxAttempts: definition.maxAttempts,
+            retryBaseSeconds: definition.retryBaseSeconds,
+            nextRunAt: definition.runOnStart ? now : cron.nextRun(definition.schedule, now)
+          });
+          continue;
+        }
+
+        const scheduleChanged = job.schedule !== definition.schedule;
+        job.description = definition.description;
+        job.schedule = definition.schedule;
+        job.maxAttempts = definition.maxAttempts;
+        job.retryBaseSeconds = definition.retryBaseSeconds;
+
+        if (definition.runOnStart) {
+          job.nextRunAt = now;
+        } else if (scheduleChanged || !job.nextRunAt) {
+          job.nextRunAt = cron.nextRun(definition.schedule, now);
+        }
+
+        await job.save();
+      }
+    } catch (error) {
+      console.error('Error syncing scheduled jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run every active job that is due
+   * @returns {Promise<Number>} Number of jobs that ran
+   */
+  async tick() {
+    try {
+      const dueJobs = await Job.find({
+        name: { $in: Array.from(this.definitions.keys()) },
+        status: 'Active',
+        nextRunAt: { $lte: new Date() }
+      }).sort({ nextRunAt: 1 });
+
+      let ran = 0;
+      for (const job of dueJobs) {
+        const result = await this.runJob(job.name, {
+          trigger: job.attempts > 0 ? 'retry' : 'schedule'
+        });
+        if (result.started) ran++;
+      }
+
+      return ran;
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a job now, unless another run of it is in progress
+   * @param {String} name - Job name
+   * @param {Object} options - { trigger: 'schedule'|'retry'|'manual', triggeredBy }
+   * @returns {Promise<Object>} { started, status, result, error } or { started: false, reason }
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy } = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      return { started: false, reason: 'unknown_job' };
+    }
+
+    if (this.running.has(name)) {
+      return { started: false, reason: 'already_running' };
+    }
+
+    this.running.add(name);
+    const lockMs = config.jobs.lockTimeoutSeconds * 1000;
+    let redisLocked = false;
+
+    try {
+      redisLocked = await this._acquireRedisLock(name, lockMs);
+      if (redisLocked === null) {
+        return { started: false, reason: 'already_running' };
+      }
+
+      const startedAt = new Date();
+      const claim = {
+        name,
+        $or: [
+          { lockedUntil: { $exists: false } },
+          { lockedUntil: null },
+          { lockedUntil: { $lte: startedAt } }
+        ]
+      };
+      if (trigger !== 'manual') {
+        claim.status = 'Active';
+        claim.nextRunAt = { $lte: startedAt };
+      }
+
+      const job = await Job.findOneAndUpdate(claim, {
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(startedAt.getTime() + lockMs),
+        lastRunAt: startedAt,
+        lastStatus: 'Running'
+      }, { new: true });
+
+      if (!job) {
+        return { started: false, reason: 'already_running' };
+      }
+
+      let status = 'Succeeded';
+      let result;
+      let errorMessage;
+      try {
+        result = await definition.handler();
+      } catch (error) {
+        status = 'Failed';
+        errorMessage = error.message;
+        console.error(`Job ${name} failed:`, error);
+      }
+
+      const finishedAt = new Date();
+      const update = {
+        $set: {
+          lastStatus: status,
+          lastFinishedAt: finishedAt,
+          lastResult: result === undefined ? null : result,
+          lastError: errorMessage || null
+        },
+        $unset: { lockedBy: '', lockedUntil: '' },
+        $inc: { runCount: 1, failureCount: status === 'Failed' ? 1 : 0 },
+        $push: {
+          history: {
+            $each: [{
+              trigger,
+              startedAt,
+              finishedAt,
+              durationMs: finishedAt - startedAt,
+              status,
+              error: errorMessage,
+              result,
+              triggeredBy
+            }],
+            $slice: -Job.HISTORY_LIMIT
+          }
+        }
+      };
+
+      if (status === 'Failed' && job.attempts + 1 < job.maxAttempts) {
+        // Retry with exponential backoff before falling back to the schedule
+        const attempts = job.attempts + 1;
+        update.$set.attempts = attempts;
+        update.$set.nextRunAt = new Date(
+          finishedAt.getTime() + job.retryBaseSeconds * Math.pow(2, attempts - 1) * 1000
+        );
+      } else {
+        update.$set.attempts = 0;
+        update.$set.nextRunAt = cron.nextRun(job.schedule, finishedAt);
+      }
+
+      await Job.updateOne({ _id: job._id }, update);
+
+      return { started: true, status, result, error: errorMessage };
+    } finally {
+      this.running.delete(name);
+      if (redisLocked) {
+        await this._releaseRedisLock(name);
+      }
+    }
+  }
+
+  /**
+   * Pause a job so it no longer runs on schedule
+   * @param {String} name - Job name
+   * @param {String} userId - Admin pausing the job
+   * @returns {Promise<Object|null>} Updated job
+   */
+  async pauseJob(name, userId) {
+    return Job.findOneAndUpdate(
+      { name },
+      { status: 'Paused', pausedAt: new Date(), pausedBy: userId },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resume a paused job from its next scheduled time
+   * @param {String} name - Job name
+   * @returns {Promise<Object|null>} Updated job
+   */
+  async resumeJob(name) {
+    const job = await Job.findOne({ name });
+    if (!job) {
+      return null;
+    }
+
+    job.status = 'Active';
+    job.attempts = 0;
+    job.nextRunAt = cron.nextRun(job.schedule, new Date());
+    job.pausedAt = undefined;
+    job.pausedBy = undefined;
+    await job.save();
+
+    return job;
+  }
+
+  /**
+   * Whether a job has a handler registered on this instance
+   * @param {String} name - Job name
+   * @returns {Boolean}
+   */
+  isDefined(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Connect to Redis for job locks when configured
+   */
+  _connectRedis() {
+    if (!config.jobs.redisUrl || this.redis) {
+      return;
+    }
+
+    this.redis = new Redis(config.jobs.redisUrl, {
+      keyPrefix: 'jobs:',
+      maxRetriesPerRequest: 1
+    });
+
+    this.redis.on('error', (err) => {
+      console.error('Job scheduler Redis error:', err.message);
+    });
+  }
+
+  /**
+   * Take the Redis lock for a job
+   * @returns {Promise<Boolean|null>} true if locked, null if held elsewhere,
+   *   false when Redis isn't used (the database lock still applies)
+   */
+  async _acquireRedisLock(name, lockMs) {
+    if (!this.redis) {
+      return false;
+    }
+
+    try {
+      const result = await this.redis.set(`lock:${name}`, this.instanceId, 'PX', lockMs, 'NX');
+      return result === 'OK' ? true : null;
+    } catch (error) {
+      console.error(`Could not take Redis lock for job ${name}:`, error.message);
+      return false;
+    }
+  }
+
+  async _releaseRedisLock(name) {
+    try {
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, `lock:${name}`, this.instanceId);
+    } catch (error) {
+      console.error(`Could not release Redis lock for job ${name}:`, error.message);
+    }
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,292 @@
+const Trip = require('../models/Trip');
+const Holiday = require('../models/Holiday');
+const PricingEngine = require('./pricingEngine');
+const config = require('../config/config');
+
+// Stop exploring once this many itineraries have been found
+const MAX_CANDIDATES = 200;
+
+// Ranking keys for each sort order, most important first
+const SORT_KEYS = {
+  duration: ['durationMinutes', 'farePerPassenger', 'transfers'],
+  price: ['farePerPassenger', 'durationMinutes', 'transfers'],
+  transfers: ['transfers', 'durationMinutes', 'farePerPassenger']
+};
+
+const normalise = (name) => String(name).trim().toLowerCase();
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+class JourneyPlanner {
+  constructor() {
+    this.pricingEngine = new PricingEngine();
+  }
+
+  /**
+   * Find itineraries between two places, direct or with transfers
+   * Legs connect at stops with the same name, leaving at least the minimum
+   * connection time after the previous leg arrives
+   * @param {Object} options - { source, destination, date, passengers, maxTransfers,
+   *   minConnectionMinutes, sortBy, limit, now }
+   * @returns {Promise<Array>} Itineraries with seats for every leg, best first
+   */
+  async plan(options) {
+    try {
+      const {
+        source,
+        destination,
+        date,
+        passengers = 1,
+        now = new Date()
+      } = options;
+      const maxTransfers = options.maxTransfers !== undefined
+        ? Math.min(Math.max(parseInt(options.maxTransfers, 10) || 0, 0), config.journeys.maxTransfers)
+        : config.journeys.maxTransfers;
+      const minConnectionMinutes = options.minConnectionMinutes !== undefined
+        ? Math.max(parseInt(options.minConnectionMinutes, 10) || 0, 0)
+        : config.journeys.minConnectionMinutes;
+      const limit = Math.min(parseInt(options.limit, 10) || config.journeys.maxResults, 50);
+      const sortKeys = SORT_KEYS[options.sortBy] || SORT_KEYS.duration;
+
+      const day = Trip.startOfDay(date);
+      const timetables = await this._loadTimetables(day);
+
+      // Index every departure by stop so transfers can be looked up quickly
+      const departuresByStop = new Map();
+      timetables.forEach(timetable => {
+        timetable.stops.forEach((stop, index) => {
+          if (index === timetable.stops.length - 1) return;
+          const key = normalise(stop.name);
+          if (!departuresByStop.has(key)) departuresByStop.set(key, []);
+          departuresByStop.get(key).push({ timetable, index });
+        });
+      });
+
+      const sourceText = normalise(source);
+      const destinationText = normalise(destination);
+      const candidates = [];
+
+      const explore = (timetable, fromIndex, legs, visited) => {
+        for (let toIndex = fromIndex + 1; toIndex < timetable.stops.length; toIndex++) {
+          if (candidates.length >= MAX_CANDIDATES) return;
+
+          const stop = timetable.stops[toIndex];
+          const key = normalise(stop.name);
+          if (visited.has(key)) continue;
+
+          const leg = this._buildLeg(timetable, fromIndex, toIndex);
+          if (!leg) continue;
+          const journey = [...legs, leg];
+
+          if (key.includes(destinationText)) {
+            candidates.push(journey);
+            continue;
+          }
+
+          if (journey.length > maxTransfers) continue;
+
+          const earliest = addMinutes(leg.arrival, minConnectionMinutes);
+          const latest = addMinutes(leg.arrival, config.journeys.maxConnectionHours * 60);
+          for (const next of departuresByStop.get(key) || []) {
+            if (next.timetable.route._id.equals(timetable.route._id)) continue;
+            const departure = next.timetable.departures[next.index];
+            if (departure < earliest || departure > latest) continue;
+            explore(next.timetable, next.index, journey, new Set([...visited, key]));
+          }
+        }
+      };
+
+      // The first leg must leave on the requested day and in the future
+      timetables.forEach(timetable => {
+        if (timetable.trip.date.getTime() !== day.getTime()) return;
+        timetable.stops.forEach((stop, index) => {
+          if (index === timetable.stops.length - 1) return;
+          if (!normalise(stop.name).includes(sourceText)) return;
+          if (timetable.departures[index] < now) return;
+          explore(timetable, index, [], new Set([normalise(stop.name)]));
+        });
+      });
+
+      const itineraries = candidates.map(legs => this._buildItinerary(legs, passengers));
+
+      // Ranked on the demand-priced fares they would be booked at
+      const available = await this._withAvailability(itineraries, passengers);
+      return this._rank(available, sortKeys).slice(0, limit);
+    } catch (error) {
+      console.error('Error planning journeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out when a trip leaves one stop and reaches a later one
+   * @param {Object} trip - Trip document
+   * @param {Object} route - Route document
+   * @param {Object} segment - { from, to }, or nothing for the whole route
+   * @returns {Object|null} { departure, arrival }, or null if the stops aren't on the route
+   */
+  getLegSchedule(trip, route, segment = null) {
+    const stops = route.getStopSequence();
+    const fromIndex = segment ? stops.findIndex(stop => stop.name === segment.from) : 0;
+    const toIndex = segment ? stops.findIndex(stop => stop.name === segment.to) : stops.length - 1;
+
+    if (fromIndex === -1 || toIndex === -1) {
+      return null;
+    }
+
+    const start = trip.expectedDepartureDateTime || trip.departureDateTime;
+    return {
+      departure: addMinutes(start, stops[fromIndex].departureOffset),
+      arrival: addMinutes(start, stops[toIndex].arrivalOffset)
+    };
+  }
+
+  /**
+   * Load bookable trips for the day and the next (for connections after
+   * midnight) with their stop times
+   */
+  async _loadTimetables(day) {
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const trips = await Trip.find({
+      date: { $in: [day, nextDay] },
+      status: { $in: ['Scheduled', 'Delayed'] }
+    }).populate('route');
+
+    // Fares follow the holiday calendar of the day each trip runs
+    const [calendar, nextDayCalendar] = await Promise.all([
+      Holiday.getPricingCalendar(day),
+      Holiday.getPricingCalendar(nextDay)
+    ]);
+
+    return trips
+      .filter(trip => trip.route && trip.route.isActive)
+      .map(trip => {
+        const stops = trip.route.getStopSequence();
+        const start = trip.expectedDepartureDateTime;
+        return {
+          trip,
+          route: trip.route,
+          calendar: trip.date.getTime() === day.getTime() ? calendar : nextDayCalendar,
+          stops,
+          departures: stops.map(stop => addMinutes(start, stop.departureOffset)),
+          arrivals: stops.map(stop => addMinutes(start, stop.arrivalOffset))
+        };
+      });
+  }
+
+  /**
+   * Describe travelling on one trip between two of its stops
+   * Returns null when the stops can't be booked between
+   */
+  _buildLeg(timetable, fromIndex, toIndex) {
+    const { trip, route, stops, calendar } = timetable;
+    const wholeRoute = fromIndex === 0 && toIndex === stops.length - 1;
+    let segment = null;
+    if (!wholeRoute) {
+      const resolved = route.resolveSegment(stops[fromIndex].name, stops[toIndex].name);
+      if (resolved.error) return null;
+      segment = resolved.segment;
+    }
+
+    return {
+      tripId: trip._id,
+      routeId: route._id,
+      routeCode: route.routeCode,
+      routeName: route.name,
+      busId: trip.bus,
+      from: stops[fromIndex].name,
+      to: stops[toIndex].name,
+      segment,
+      departure: timetable.departures[fromIndex],
+      arrival: timetable.arrivals[toIndex],
+      durationMinutes: Math.round((timetable.arrivals[toIndex] - timetable.departures[fromIndex]) / 60000),
+      fare: this.pricingEngine.calendarFare({ route, segment, calendar, date: trip.departureDateTime }),
+      trip
+    };
+  }
+
+  /**
+   * Summarise a sequence of legs as one itinerary
+   */
+  _buildItinerary(legs, passengers) {
+    const departure = legs[0].departure;
+    const arrival = legs[legs.length - 1].arrival;
+    const farePerPassenger = Math.round(legs.reduce((total, leg) => total + leg.fare, 0) * 100) / 100;
+
+    return {
+      from: legs[0].from,
+      to: legs[legs.length - 1].to,
+      departure,
+      arrival,
+      durationMinutes: Math.round((arrival - departure) / 60000),
+      transfers: legs.length - 1,
+      connections: legs.slice(1).map((leg, index) => ({
+        at: leg.from,
+        waitMinutes: Math.round((leg.departure - legs[index].arrival) / 60000)
+      })),
+      farePerPassenger,
+      totalFare: Math.round(farePerPassenger * passengers * 100) / 100,
+      legs
+    };
+  }
+
+  /**
+   * Sort itineraries by the given keys, earliest departure breaking ties
+   */
+  _rank(itineraries, sortKeys) {
+    return [...itineraries].sort((a, b) => {
+      for (const key of sortKeys) {
+        if (a[key] !== b[key]) return a[key] - b[key];
+      }
+      return a.departure - b.departure;
+    });
+  }
+
+  /**
+   * Keep the itineraries that have enough free seats on every leg, with each
+   * leg at the demand-priced fare it would be booked at
+   */
+  async _withAvailability(itineraries, passengers) {
+    const availabilityCache = new Map();
+    const fareCache = new Map();
+    const rules = await this.pricingEngine.loadRules();
+    const results = [];
+
+    for (const itinerary of itineraries) {
+      // Legs are shared between itineraries, so build copies for the response
+      const legs = [];
+      for (const { trip, ...leg } of itinerary.legs) {
+        const key = `${leg.tripId}:${leg.segment ? `${leg.segment.fromKm}-${leg.segment.toKm}` : 'all'}`;
+        if (!availabilityCache.has(key)) {
+          availabilityCache.set(key, await trip.checkAvailability(leg.segment));
+        }
+        const availability = availabilityCache.get(key);
+        const availableSeats = availability.availableSeats || 0;
+        if (!availability.available || availableSeats < passengers) {
+          break;
+        }
+        if (!fareCache.has(key)) {
+          const pricing = await this.pricingEngine.priceTrip({ route: trip.route, trip, segment: leg.segment, rules });
+          fareCache.set(key, pricing.fare);
+        }
+        legs.push({ ...leg, fare: fareCache.get(key), availableSeats });
+      }
+
+      if (legs.length === itinerary.legs.length) {
+        const farePerPassenger = Math.round(legs.reduce((total, leg) => total + leg.fare, 0) * 100) / 100;
+        results.push({
+          ...itinerary,
+          farePerPassenger,
+          totalFare: Math.round(farePerPassenger * passengers * 100) / 100,
+          legs
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = JourneyPlanner;
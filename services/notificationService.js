@@ -26,25 +26,7 @@ class NotificationService {
       
       // Send real-time notification if Socket.io is available
       if (this.io && !notificationData.scheduledFor) {
-        const userRoom = `user:${notification.recipient}`;
-        console.log('📡 NotificationService: Emitting to Socket.io room:', userRoom);
-        
-        this.io.to(userRoom).emit('notification:new', {
-          notification: {
-            _id: notification._id,
-            title: notification.title,
-            message: notification.message,
-            type: notification.type,
-            category: notification.category,
-            priority: notification.priority,
-            createdAt: notification.createdAt,
-            data: notification.data,
-            relatedBooking: notification.relatedBooking,
-            relatedBus: notification.relatedBus,
-            relatedRoute: notification.relatedRoute
-          }
-        });
-        
+        this._emitNotification(notification);
         console.log('✅ NotificationService: Socket.io event emitted successfully');
       } else {
         console.log('⚠️ NotificationService: Socket.io not available or notification scheduled for later');
@@ -57,6 +39,32 @@ class NotificationService {
     }
   }
 
+  /**
+   * Push a notification to the recipient's open sockets
+   * @param {Object} notification - Notification document
+   */
+  _emitNotification(notification) {
+    const recipientId = notification.recipient?._id || notification.recipient;
+    const userRoom = `user:${recipientId}`;
+    console.log('📡 NotificationService: Emitting to Socket.io room:', userRoom);
+
+    this.io.to(userRoom).emit('notification:new', {
+      notification: {
+        _id: notification._id,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        category: notification.category,
+        priority: notification.priority,
+        createdAt: notification.createdAt,
+        data: notification.data,
+        relatedBooking: notification.relatedBooking,
+        relatedBus: notification.relatedBus,
+        relatedRoute: notification.relatedRoute
+      }
+    });
+  }
+
   /**
    * Send notification to multiple users
    * @param {Array} recipients - Array of user IDs
@@ -107,6 +115,16 @@ class NotificationService {
           message = `Reminder: Your journey ${booking.bookingNumber} is scheduled for ${new Date(booking.departureDate).toLocaleDateString()}. Please be at the departure point on time.`;
           priority = 'high';
           break;
+        case 'booking_rescheduled':
+          title = 'Booking Changed';
+          message = `Your booking ${booking.bookingNumber} has been moved to ${new Date(booking.departureDate).toLocaleString()}. Your previous ticket is no longer valid.`;
+          if (additionalData.amountDue > 0) {
+            message += ` Please pay the outstanding ₦${additionalData.amountDue.toLocaleString()} to receive your new ticket.`;
+          } else if (additionalData.refundAmount > 0) {
+            message += ` ₦${additionalData.refundAmount.toLocaleString()} will be refunded to you.`;
+          }
+          priority = 'high';
+          break;
         case 'payment_successful':
           title = '💳 Payment Successful!';
           const paymentAmount = additionalData.amount || booking.totalFare || 0;
@@ -166,7 +184,14 @@ class NotificationService {
       switch (type) {
         case 'hiring_confirmed':
           title = 'Hiring Confirmed';
-          message = `Your bus hiring request ${hiring.hiringNumber} has been confirmed. Have a safe journey!`;
+          message = additionalData.invoiceNumber
+            ? `Your bus hiring request ${hiring.hiringNumber} has been confirmed. Please pay the deposit of ₦${(additionalData.depositDue || 0).toLocaleString()} (invoice ${additionalData.invoiceNumber}) by ${new Date(additionalData.depositDueAt).toLocaleDateString()}.`
+            : `Your bus hiring request ${hiring.hiringNumber} has been confirmed. Have a safe journey!`;
+          priority = 'high';
+          break;
+        case 'hiring_quoted':
+          title = 'Hiring Quote Ready';
+          message = `We've quoted ${additionalData.currency || '₦'}${(additionalData.total || 0).toLocaleString()} for your hiring request ${hiring.hiringNumber}. Review and accept it before ${additionalData.expiresAt ? new Date(additionalData.expiresAt).toLocaleDateString() : 'it expires'}.`;
           priority = 'high';
           break;
         case 'hiring_cancelled':
@@ -174,6 +199,16 @@ class NotificationService {
           message = `Your hiring request ${hiring.hiringNumber} has been cancelled. ${additionalData.reason || 'Refund will be processed if applicable.'}`;
           priority = 'high';
           break;
+        case 'hiring_payment_reminder':
+          title = 'Hiring Payment Due';
+          message = `Your ${(additionalData.kind || 'payment').toLowerCase()} of ₦${(additionalData.amount || 0).toLocaleString()} for hiring ${hiring.hiringNumber} (invoice ${additionalData.invoiceNumber}) is due by ${new Date(additionalData.dueDate).toLocaleDateString()}.`;
+          priority = 'high';
+          break;
+        case 'hiring_payment_overdue':
+          title = 'Hiring On Hold';
+          message = `Your hiring ${hiring.hiringNumber} is on hold because invoice ${additionalData.invoiceNumber} for ₦${(additionalData.amount || 0).toLocaleString()} was not paid by ${new Date(additionalData.dueDate).toLocaleDateString()}. Please pay it to keep your booking.`;
+          priority = 'urgent';
+          break;
         case 'hiring_approved':
           title = 'Hiring Approved';
           message = `Your bus hiring request ${hiring.hiringNumber} has been approved. Please complete payment to confirm.`;
@@ -288,6 +323,66 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send trip-related notification to passengers booked on a scheduled trip
+   * @param {Object} trip - Trip object
+   * @param {string} type - Notification type
+   * @param {Object} additionalData - Additional notification data
+   * @returns {Promise<Array>} Array of created notifications
+   */
+  async sendTripNotification(trip, type, additionalData = {}) {
+    try {
+      const { bookings } = await trip.getBookedSeats();
+
+      if (bookings.length === 0) {
+        return [];
+      }
+
+      const departure = new Date(trip.departureDateTime).toLocaleString();
+      let title, message, priority = 'normal';
+
+      switch (type) {
+        case 'bus_delayed':
+          title = 'Trip Delayed';
+          message = `Your trip departing ${departure} is delayed by ${additionalData.delayMinutes ?? trip.delayMinutes} minutes. ${additionalData.reason || 'We apologize for the inconvenience.'}`;
+          priority = 'high';
+          break;
+        case 'bus_cancelled':
+          title = 'Trip Cancelled';
+          message = `Unfortunately, your trip departing ${departure} has been cancelled. ${additionalData.reason || 'Please contact support for rebooking or refund.'}`;
+          priority = 'urgent';
+          break;
+        case 'route_updated':
+          title = 'Trip Updated';
+          message = `There's a change to your trip departing ${departure}. ${additionalData.reason || 'Please check your booking for details.'}`;
+          priority = 'high';
+          break;
+        default:
+          title = 'Trip Update';
+          message = `There's an update regarding your trip departing ${departure}.`;
+      }
+
+      const recipients = [...new Set(bookings.map(booking => booking.user.toString()))];
+      const notificationData = {
+        title,
+        message,
+        type,
+        priority,
+        relatedBus: trip.populated('bus') || trip.bus,
+        relatedRoute: trip.populated('route') || trip.route,
+        data: {
+          tripId: trip._id,
+          ...additionalData
+        }
+      };
+
+      return await this.sendBulkNotification(recipients, notificationData);
+    } catch (error) {
+      console.error('Error sending trip notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send promotional notification to all users or specific segments
    * @param {Object} promoData - Promotional notification data
@@ -388,6 +483,15 @@ class NotificationService {
       const notifications = [];
       
       for (const booking of upcomingBookings) {
+        // Only remind once per booking, even if the job runs again
+        const alreadyReminded = await Notification.exists({
+          relatedBooking: booking._id,
+          type: 'booking_reminder'
+        });
+        if (alreadyReminded) {
+          continue;
+        }
+
         const notification = await this.sendBookingNotification(
           booking, 
           'booking_reminder',
@@ -406,6 +510,49 @@ class NotificationService {
     }
   }
 
+  /**
+   * Deliver notifications whose scheduled time has arrived
+   * @param {number} batchSize - Maximum notifications to deliver in one run
+   * @returns {Promise<Number>} Number of notifications delivered
+   */
+  async dispatchScheduledNotifications(batchSize = 500) {
+    try {
+      const now = new Date();
+      const dueNotifications = await Notification.find({
+        scheduledFor: { $lte: now },
+        dispatchedAt: { $exists: false }
+      })
+        .sort({ scheduledFor: 1 })
+        .limit(batchSize);
+
+      let dispatched = 0;
+      for (const due of dueNotifications) {
+        // Claim the notification so concurrent runs don't send it twice
+        const notification = await Notification.findOneAndUpdate(
+          { _id: due._id, dispatchedAt: { $exists: false } },
+          { dispatchedAt: now },
+          { new: true }
+        );
+
+        if (notification) {
+          if (this.io) {
+            this._emitNotification(notification);
+          }
+          dispatched++;
+        }
+      }
+
+      if (dispatched > 0) {
+        console.log(`Dispatched ${dispatched} scheduled notifications`);
+      }
+
+      return dispatched;
+    } catch (error) {
+      console.error('Error dispatching scheduled notifications:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up old notifications
    * @param {number} daysOld - Number of days old to consider for cleanup
@@ -0,0 +1,48 @@
+const config = require('../config/config');
+const PaystackGateway = require('./gateways/paystackGateway');
+const MockGateway = require('./gateways/mockGateway');
+
+/**
+ * Payment gateways share one interface, with amounts in Naira:
+ * - name / paymentMethod: labels recorded on payments
+ * - isConfigured(): whether the gateway can take payments
+ * - initialize({ email, amount, reference, metadata, callbackUrl })
+ * - verify(reference): normalised transaction with success, status, amount, metadata, raw
+ * - refund({ reference, amount }): { success, status, refundReference }
+ * - parseWebhook({ rawBody, headers, body }): { valid, event, reference, data }
+ */
+const adapters = {
+  paystack: () => new PaystackGateway({
+    secretKey: config.payments.paystackSecretKey
+  }),
+  mock: () => new MockGateway({
+    webhookSecret: config.payments.mockWebhookSecret,
+    callbackBaseUrl: config.clientUrl
+  })
+};
+
+const instances = {};
+
+/**
+ * Get the configured payment gateway (or a named one)
+ * @param {String} name - Gateway name, defaults to config.payments.gateway
+ * @returns {Object} Gateway adapter
+ */
+exports.getPaymentGateway = (name = config.payments.gateway) => {
+  const key = String(name).toLowerCase();
+
+  if (!adapters[key]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  // The mock approves any reference it made, so it must never take real orders
+  if (key === 'mock' && config.nodeEnv === 'production') {
+    throw new Error('The mock payment gateway cannot be used in production');
+  }
+
+  if (!instances[key]) {
+    instances[key] = adapters[key]();
+  }
+
+  return instances[key];
+};
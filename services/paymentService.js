@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Hiring = require('../models/Hiring');
+const NotificationService = require('./notificationService');
+const RefundService = require('./refundService');
+const { getPaymentGateway } = require('./paymentGateway');
+
+class PaymentService {
+  constructor(io, gateway = getPaymentGateway()) {
+    this.io = io;
+    this.gateway = gateway;
+    this.notificationService = new NotificationService(io);
+  }
+
+  /**
+   * Find the booking or hiring a gateway transaction belongs to
+   * @param {Object} lookup - { reference, bookingId, hiringId, metadata }
+   * @returns {Promise<Object>} { record, recordType } or { record: null }
+   */
+  async findRecord({ reference, bookingId, hiringId, metadata = {} }) {
+    const targetBookingId = bookingId || metadata?.bookingId;
+    const targetHiringId = hiringId || metadata?.hiringId;
+
+    if (targetBookingId) {
+      const booking = await Booking.findById(targetBookingId);
+      if (booking) return { record: booking, recordType: 'booking' };
+    }
+
+    if (targetHiringId) {
+      const hiring = await Hiring.findById(targetHiringId);
+      if (hiring) return { record: hiring, recordType: 'hiring' };
+    }
+
+    // Fall back to a payment already recorded under this reference
+    if (reference) {
+      const booking = await Booking.findOne({ 'payments.transactionId': reference });
+      if (booking) return { record: booking, recordType: 'booking' };
+
+      const hiring = await Hiring.findOne({ 'payments.transactionId': reference });
+      if (hiring) return { record: hiring, recordType: 'hiring' };
+    }
+
+    return { record: null, recordType: null };
+  }
+
+  /**
+   * Verify a transaction with the gateway and apply it if it succeeded
+   * @param {Object} options - { reference, bookingId, hiringId, processedBy }
+   * @returns {Promise<Object>} Outcome, with the gateway verification attached
+   */
+  async verifyAndApply({ reference, bookingId, hiringId, processedBy }) {
+    const verification = await this.gateway.verify(reference);
+
+    if (!verification.success) {
+      return { outcome: 'verification_failed', verification };
+    }
+
+    const result = await this.applySuccessfulCharge({
+      reference: verification.reference,
+      amount: verification.amount,
+      paymentData: verification.raw,
+      bookingId,
+      hiringId,
+      processedBy
+    });
+
+    return { ...result, verification };
+  }
+
+  /**
+   * Apply a successful gateway charge to its booking or hiring
+   * Used by both manual verification and the gateway webhook
+   * @param {Object} charge - { reference, amount, paymentData, bookingId, hiringId, processedBy }
+   * @returns {Promise<Object>} Outcome of applying the charge
+   */
+  async applySuccessfulCharge(charge) {
+    const { reference, amount, paymentData, bookingId, hiringId, processedBy } = charge;
+
+    const { record, recordType } = await this.findRecord({
+      reference,
+      bookingId,
+      hiringId,
+      metadata: paymentData.metadata
+    });
+
+    if (!record) {
+      return { outcome: 'unlinked' };
+    }
+
+    const existingPayment = record.payments.find(
+      payment => payment.reference === reference || payment.transactionId === reference
+    );
+
+    if (existingPayment) {
+      return { outcome: 'already_processed', record, recordType, payment: existingPayment };
+    }
+
+    // A charge only pays for the record it was initialized for, and only once
+    const metadata = paymentData.metadata || {};
+    const chargedFor = metadata.bookingId || metadata.hiringId;
+    if (chargedFor && String(chargedFor) !== String(record._id)) {
+      return { outcome: 'reference_mismatch', recordType };
+    }
+    if (await this._isReferenceRecorded(reference, record._id)) {
+      return { outcome: 'reference_in_use', recordType };
+    }
+
+    // Save with a version check, so that when the same charge is delivered
+    // twice at once only one delivery records it; the other starts over and
+    // finds the payment already there
+    record.increment();
+    try {
+      return await this._recordCharge(record, recordType, charge);
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        throw error;
+      }
+      return this.applySuccessfulCharge(charge);
+    }
+  }
+
+  /**
+   * Record a charge already checked against its booking or hiring
+   */
+  async _recordCharge(record, recordType, { reference, amount, paymentData, processedBy }) {
+    const metadata = paymentData.metadata || {};
+
+    // The booking expired or was cancelled while the customer was paying;
+    // keep a record of the charge and send it straight back
+    if (recordType === 'booking' && record.status === 'Cancelled') {
+      if (String(metadata.bookingId) !== String(record._id)) {
+        return { outcome: 'reference_mismatch', recordType };
+      }
+      return this._refundLateCharge(record, { reference, amount, paymentData, processedBy });
+    }
+
+    const expectedAmount = recordType === 'booking' ? record.totalFare : record.totalCost;
+    const totalPaid = recordType === 'booking' ? record.getTotalPaid() : record.totalPaid;
+    const remainingAmount = expectedAmount - totalPaid;
+
+    if (amount > remainingAmount + 0.01) { // Allow for small rounding differences
+      return {
+        outcome: 'amount_exceeds',
+        record,
+        recordType,
+        expectedAmount,
+        totalPaid,
+        remainingAmount
+      };
+    }
+
+    let payment;
+    if (recordType === 'booking') {
+      payment = record.addPayment({
+        amount,
+        transactionId: reference,
+        reference,
+        method: this.gateway.paymentMethod,
+        gateway: this.gateway.name,
+        gatewayResponse: paymentData,
+        processedBy
+      });
+      await record.save();
+    } else {
+      const result = await record.processPayment({
+        amount,
+        method: this.gateway.paymentMethod,
+        transactionId: reference,
+        reference,
+        gateway: this.gateway.name
+      });
+      payment = result.payment;
+
+      if (record.paymentStatus === 'Paid' && record.status === 'Pending') {
+        record.status = 'Confirmed';
+        await record.save();
+      }
+    }
+
+    console.log(`Payment processed successfully: ${reference} for ${recordType} ${this._recordNumber(record, recordType)}`);
+
+    await this._notify(record, recordType, 'payment_successful', {
+      amount,
+      method: this.gateway.name,
+      transactionId: reference,
+      currency: 'NGN'
+    });
+
+    return { outcome: 'processed', record, recordType, payment };
+  }
+
+  /**
+   * Check whether a reference is already recorded on a booking or hiring other than this one
+   */
+  async _isReferenceRecorded(reference, recordId) {
+    const query = { _id: { $ne: recordId }, 'payments.transactionId': reference };
+    const [booking, hiring] = await Promise.all([
+      Booking.exists(query),
+      Hiring.exists(query)
+    ]);
+    return Boolean(booking || hiring);
+  }
+
+  /**
+   * Record a charge made against a cancelled booking and refund it in full
+   */
+  async _refundLateCharge(record, { reference, amount, paymentData, processedBy }) {
+    const payment = record.addPayment({
+      amount,
+      transactionId: reference,
+      reference,
+      method: this.gateway.paymentMethod,
+      gateway: this.gateway.name,
+      gatewayResponse: paymentData,
+      processedBy
+    });
+
+    const refundService = new RefundService(this.io);
+    const refunds = refundService.createRefunds(record, {
+      amount,
+      reason: `Payment received after booking was cancelled (${record.cancellationReason || 'cancelled'})`,
+      processedBy
+    });
+    await record.save();
+
+    try {
+      await refundService.processRefunds(record, 'booking', refunds);
+    } catch (refundError) {
+      console.error('Error refunding payment for cancelled booking:', refundError);
+    }
+
+    console.log(`Payment ${reference} arrived after booking ${record.bookingNumber} was cancelled; refunding`);
+
+    return { outcome: 'record_cancelled', record, recordType: 'booking', payment, refunds };
+  }
+
+  /**
+   * Record a failed gateway charge and let the customer know
+   * @param {Object} charge - { reference, paymentData }
+   * @returns {Promise<Object>} Outcome
+   */
+  async applyFailedCharge({ reference, paymentData }) {
+    const { record, recordType } = await this.findRecord({
+      reference,
+      metadata: paymentData.metadata
+    });
+
+    if (!record) {
+      return { outcome: 'unlinked' };
+    }
+
+    // A later successful charge under the same reference wins
+    const existingPayment = record.payments.find(payment => payment.transactionId === reference);
+    if (existingPayment) {
+      return { outcome: 'already_processed', record, recordType };
+    }
+
+    await this._notify(record, recordType, 'payment_failed', {
+      transactionId: reference,
+      reason: paymentData.gateway_response
+    });
+
+    return { outcome: 'failed', record, recordType };
+  }
+
+  /**
+   * Record a refund the gateway has completed
+   * @param {Object} refund - { transactionReference, refundReference, amount }
+   * @returns {Promise<Object>} Outcome
+   */
+  async applyProcessedRefund({ transactionReference, refundReference, amount }) {
+    const { record, recordType } = await this.findRecord({ reference: transactionReference });
+
+    if (!record) {
+      return { outcome: 'unlinked' };
+    }
+
+    // Match the refund we requested, falling back to amount for gateways
+    // that don't echo our refund reference
+    const refund = record.refunds.find(entry =>
+      entry.gatewayReference === refundReference || entry.refundTransactionId === refundReference
+    ) || record.refunds.find(entry =>
+      entry.paymentReference === transactionReference &&
+      entry.status !== 'Completed' &&
+      Math.abs(entry.amount - amount) < 0.01
+    );
+
+    if (refund && refund.status === 'Completed') {
+      return { outcome: 'already_processed', record, recordType };
+    }
+
+    if (refund) {
+      refund.gatewayReference = refund.gatewayReference || refundReference;
+      record.markRefundCompleted(refund);
+    } else {
+      // Refund issued directly from the gateway dashboard
+      record.addRefund({
+        amount,
+        reason: 'Refund processed by payment gateway',
+        refundTransactionId: refundReference,
+        status: 'Completed',
+        gateway: this.gateway.name,
+        paymentReference: transactionReference,
+        gatewayReference: refundReference
+      });
+    }
+
+    await record.save();
+
+    await this._notify(record, recordType, 'refund_processed', {
+      amount,
+      refundTransactionId: refundReference
+    });
+
+    return { outcome: 'processed', record, recordType };
+  }
+
+  /**
+   * Send a payment notification without failing the payment flow
+   */
+  async _notify(record, recordType, type, data) {
+    try {
+      if (recordType === 'booking') {
+        await this.notificationService.sendBookingNotification(record, type, data);
+      } else {
+        await this.notificationService.sendHiringNotification(record, type, data);
+      }
+    } catch (notificationError) {
+      console.error(`Error sending ${type} notification:`, notificationError);
+    }
+  }
+
+  _recordNumber(record, recordType) {
+    return recordType === 'booking' ? record.bookingNumber : record.hiringNumber;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,711 @@
+const PricingRule = require('../models/PricingRule');
+const FareLock = require('../models/FareLock');
+const Holiday = require('../models/Holiday');
+const Bus = require('../models/Bus');
+const Booking = require('../models/Booking');
+const Promotion = require('../models/Promotion');
+const FareQuote = require('../models/FareQuote');
+const config = require('../config/config');
+const { calculateTax } = require('../utils/tax');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Works out the fare on a trip: the route's fare between the stops, raised
+ * for holidays, travel seasons, peak hours and weekends, then moved up or down by the pricing
+ * rules that match the trip's demand and kept within the route's floor and
+ * ceiling. Every step is returned so the price can be audited.
+ *
+ * Whole bookings are priced and itemized here too, and the signed quotes
+ * customers book at are issued and checked here, so every client is charged
+ * the same price for the same request.
+ */
+class PricingEngine {
+  /**
+   * Load the active pricing rules, highest priority first
+   * @returns {Promise<Array>} PricingRule documents
+   */
+  async loadRules() {
+    return PricingRule.find({ isActive: true }).sort({ priority: -1, createdAt: 1 });
+  }
+
+  /**
+   * Measure demand for a departure
+   * Load and velocity need a trip; without one they are left unset
+   * @param {Object} options - { trip, segment, departureDate, now }
+   * @returns {Promise<Object>} { loadFactor, daysBeforeDeparture, bookingVelocity }
+   */
+  async measureDemand({ trip = null, segment = null, departureDate = null, now = new Date() }) {
+    const metrics = {
+      loadFactor: null,
+      daysBeforeDeparture: departureDate
+        ? round(Math.max(0, (new Date(departureDate) - now) / DAY_MS))
+        : null,
+      bookingVelocity: null
+    };
+
+    if (!trip) {
+      return metrics;
+    }
+
+    const bus = await Bus.findById(trip.populated('bus') || trip.bus);
+    const { seats, bookings } = await trip.getBookedSeats(segment);
+    const capacity = bus ? bus.getSellableCapacity() : 0;
+    if (capacity > 0) {
+      metrics.loadFactor = round(seats.size / capacity * 100);
+    }
+
+    // Seats sold on the trip recently, counting return legs of round trips
+    const since = new Date(now.getTime() - config.pricing.velocityWindowHours * 60 * 60 * 1000);
+    metrics.bookingVelocity = bookings
+      .filter(booking => booking.createdAt >= since)
+      .reduce((total, booking) => {
+        const isReturnLeg = booking.returnTrip && booking.returnTrip.equals(trip._id);
+        return total + (isReturnLeg ? (booking.selectedSeats?.return || []).length : booking.passengers.length);
+      }, 0);
+
+    return metrics;
+  }
+
+  /**
+   * The route's fare between the stops on a departure, raised by the route's
+   * holiday and season multipliers and, given the departure time, its peak
+   * hour and weekend ones
+   * @param {Object} options - { route, segment, calendar, date }
+   * @returns {Number} Fare before demand pricing
+   */
+  calendarFare({ route, segment = null, calendar, date = null }) {
+    return route.calculateFare({
+      segment,
+      isHoliday: calendar.isHoliday,
+      isSeasonal: calendar.isSeasonal,
+      date
+    }).total;
+  }
+
+  /**
+   * Price one passenger's journey on a trip
+   * @param {Object} options - { route, trip, segment, departureDate, rules, now }
+   *   departureDate is only needed when there's no trip; rules saves reloading them
+   * @returns {Promise<Object>} { fare, baseFare, calendarFare, calendar, metrics,
+   *   adjustments, floor, ceiling, limitedBy, pricedAt }
+   */
+  async priceTrip({ route, trip = null, segment = null, departureDate = null, rules = null, now = new Date() }) {
+    const departure = trip ? trip.departureDateTime : departureDate;
+    const date = departure || now;
+    const baseFare = segment ? route.getSegmentFare(segment) : route.baseFare || 0;
+
+    // Holidays, travel seasons, peak hours and weekends come first, as the route's own multipliers
+    const calendar = await Holiday.getPricingCalendar(date);
+    const calendarFare = this.calendarFare({ route, segment, calendar, date: departure });
+
+    const metrics = await this.measureDemand({ trip, segment, departureDate: date, now });
+    const activeRules = rules || await this.loadRules();
+    const adjustments = activeRules
+      .filter(rule => rule.matches(route._id, metrics))
+      .map(rule => ({
+        rule: rule._id,
+        name: rule.name,
+        metric: rule.metric,
+        value: metrics[PricingRule.METRIC_KEYS[rule.metric]],
+        adjustmentType: rule.adjustmentType,
+        adjustment: rule.adjustment,
+        change: rule.calculateChange(calendarFare)
+      }));
+
+    let fare = calendarFare + adjustments.reduce((total, adjustment) => total + adjustment.change, 0);
+
+    // Segments are limited in proportion to their share of the route's fare
+    const share = route.baseFare > 0 ? baseFare / route.baseFare : 1;
+    const floor = route.fareFloor !== undefined && route.fareFloor !== null ? round(route.fareFloor * share) : undefined;
+    const ceiling = route.fareCeiling !== undefined && route.fareCeiling !== null ? round(route.fareCeiling * share) : undefined;
+    let limitedBy;
+    if (floor !== undefined && fare < floor) {
+      fare = floor;
+      limitedBy = 'floor';
+    }
+    if (ceiling !== undefined && fare > ceiling) {
+      fare = ceiling;
+      limitedBy = 'ceiling';
+    }
+
+    return {
+      fare: round(Math.max(0, fare)),
+      baseFare: round(baseFare),
+      calendarFare,
+      calendar,
+      metrics,
+      adjustments,
+      floor,
+      ceiling,
+      limitedBy,
+      pricedAt: now
+    };
+  }
+
+  /**
+   * Quote the fare on a trip and hold it for the customer during checkout
+   * @param {Object} options - { user, trip, route, segment, now }
+   * @returns {Promise<Object>} FareLock document
+   */
+  async lockFare({ user, trip, route, segment = null, now = new Date() }) {
+    const { pricedAt, ...pricing } = await this.priceTrip({ route, trip, segment, now });
+
+    // A fare can't be held past departure
+    const lockedUntil = new Date(Math.min(
+      now.getTime() + config.pricing.lockMinutes * 60 * 1000,
+      trip.departureDateTime.getTime()
+    ));
+
+    return FareLock.create({
+      user,
+      trip: trip._id,
+      route: route._id,
+      departureDate: trip.departureDateTime,
+      segment: segment || undefined,
+      ...pricing,
+      lockedUntil
+    });
+  }
+
+  /**
+   * Find a customer's fare lock and check it covers the journey being booked
+   * @param {Object} options - { lockId, user, trip, segment, now }
+   * @returns {Promise<Object>} { valid, lock } or { valid: false, reason, message }
+   */
+  async findUsableLock({ lockId, user, trip, segment = null, now = new Date() }) {
+    const refuse = (reason, message) => ({ valid: false, reason, message });
+
+    const lock = await FareLock.findById(lockId);
+    if (!lock || lock.user.toString() !== user.toString()) {
+      return refuse('not_found', 'Fare lock not found');
+    }
+    if (!trip || !lock.trip.equals(trip._id)) {
+      return refuse('wrong_trip', 'This fare was locked for a different trip');
+    }
+    const lockedFrom = lock.segment && lock.segment.from ? `${lock.segment.from}>${lock.segment.to}` : null;
+    const bookingFrom = segment && segment.from ? `${segment.from}>${segment.to}` : null;
+    if (lockedFrom !== bookingFrom) {
+      return refuse('wrong_segment', 'This fare was locked for a different journey on the trip');
+    }
+    if (lock.status !== 'Active') {
+      return refuse('lock_used', 'This fare lock has already been used');
+    }
+    if (!lock.isActive(now)) {
+      return refuse('lock_expired', 'This fare lock has expired; please get a new fare');
+    }
+
+    return { valid: true, lock };
+  }
+
+  /**
+   * Claim fare locks for a booking before it is saved, so each lock books once
+   * All the locks are claimed or none are
+   * @param {Array} locks - FareLock documents
+   * @param {Object} booking - Booking being made at the locked fares
+   * @param {Date} now - Time of the claim
+   * @returns {Promise<Boolean>} False if a lock was used or ran out in the meantime
+   */
+  async claimLocks(locks, booking, now = new Date()) {
+    const claimed = [];
+    for (const lock of locks) {
+      const updated = await FareLock.findOneAndUpdate(
+        { _id: lock._id, status: 'Active', lockedUntil: { $gt: now } },
+        { $set: { status: 'Used', booking: booking._id, usedAt: now } },
+        { new: true }
+      );
+      if (!updated) {
+        await this.releaseLocks(claimed, booking);
+        return false;
+      }
+      claimed.push(updated);
+    }
+    return true;
+  }
+
+  /**
+   * Give back fare locks claimed for a booking that wasn't saved
+   * @param {Array} locks - FareLock documents
+   * @param {Object} booking - Booking the locks were claimed for
+   */
+  async releaseLocks(locks, booking) {
+    if (locks.length === 0) return;
+    await FareLock.updateMany(
+      { _id: { $in: locks.map(lock => lock._id) }, status: 'Used', booking: booking._id },
+      { $set: { status: 'Active' }, $unset: { booking: 1, usedAt: 1 } }
+    );
+  }
+
+  /**
+   * Find the fare locks a booking asks to be priced with
+   * @param {Object} options - { user, bookingType, fareLockId, returnFareLockId, trip, returnTrip, segment }
+   * @returns {Promise<Object>} { valid, locks: { fareLock, returnFareLock } } or { valid: false, reason, message }
+   */
+  async findUsableLocks({ user, bookingType, fareLockId, returnFareLockId, trip, returnTrip = null, segment = null }) {
+    const locks = {};
+    const requested = [
+      ['fareLock', fareLockId, trip],
+      ['returnFareLock', bookingType === 'Round-Trip' ? returnFareLockId : null, returnTrip]
+    ];
+
+    for (const [key, lockId, legTrip] of requested) {
+      if (!lockId) continue;
+      const result = await this.findUsableLock({ lockId, user, trip: legTrip, segment });
+      if (!result.valid) {
+        return result;
+      }
+      locks[key] = result.lock;
+    }
+
+    return { valid: true, locks };
+  }
+
+  /**
+   * Price each leg of a booking
+   * Legs are priced afresh (calendar, demand rules and the route's floor and
+   * ceiling) unless the customer locked a fare at checkout or a leg keeps the
+   * pricing it was booked with
+   * @param {Object} options - { route, segment, bookingType, trip, departureDate, returnTrip,
+   *   returnDate, fareLock, returnFareLock, keep }, where keep holds farePricing entries by leg
+   * @returns {Promise<Object>} { fare, returnFare, pricingCalendar, farePricing }
+   */
+  async priceLegs({
+    route,
+    segment = null,
+    bookingType,
+    trip = null,
+    departureDate = null,
+    returnTrip = null,
+    returnDate = null,
+    fareLock = null,
+    returnFareLock = null,
+    keep = {}
+  }) {
+    let rules = null;
+
+    const priceLeg = async (leg, legTrip, legDate, lock) => {
+      if (keep[leg]) {
+        return keep[leg];
+      }
+      if (lock) {
+        return { ...lock.toPricing(), leg, trip: lock.trip, fareLock: lock._id };
+      }
+      rules = rules || await this.loadRules();
+      const pricing = await this.priceTrip({ route, trip: legTrip, segment, departureDate: legDate, rules });
+      return { ...pricing, leg, trip: legTrip ? legTrip._id : undefined };
+    };
+
+    const farePricing = [await priceLeg('outbound', trip, departureDate, fareLock)];
+    if (bookingType === 'Round-Trip') {
+      farePricing.push(await priceLeg('return', returnTrip, returnDate || departureDate, returnFareLock));
+    }
+
+    // The holidays the booking was priced with, for receipts and support
+    const calendars = farePricing.map(entry => entry.calendar || {});
+    const pricingCalendar = {
+      isHoliday: calendars.some(calendar => calendar.isHoliday),
+      isSeasonal: calendars.some(calendar => calendar.isSeasonal),
+      holidays: [...new Set(calendars.flatMap(calendar => calendar.holidays || []))]
+    };
+
+    return {
+      fare: farePricing[0].fare,
+      returnFare: farePricing[1] ? farePricing[1].fare : 0,
+      pricingCalendar,
+      farePricing
+    };
+  }
+
+  /**
+   * Itemize how a leg's fare per passenger was reached
+   * @param {Object} entry - Leg pricing from priceLegs
+   * @param {Number} passengers - Passengers paying the fare
+   * @returns {Array} Items adding up to the leg fare for every passenger
+   */
+  itemizeLeg(entry, passengers) {
+    const label = entry.leg === 'return' ? 'Return' : 'Outbound';
+    const items = [];
+    const add = (type, description, amount) => {
+      const unitAmount = round(amount);
+      if (unitAmount !== 0 || type === 'base_fare') {
+        items.push({ type, leg: entry.leg, description, quantity: passengers, unitAmount, amount: round(unitAmount * passengers) });
+      }
+    };
+
+    const baseFare = entry.baseFare ?? entry.fare;
+    const calendarFare = entry.calendarFare ?? baseFare;
+    const adjustments = entry.adjustments || [];
+    const calendar = entry.calendar || {};
+
+    add('base_fare', `${label} fare`, baseFare);
+    if (calendarFare !== baseFare) {
+      const kind = [calendar.isHoliday && 'holiday', calendar.isSeasonal && 'season'].filter(Boolean).join(' and ');
+      const holidays = calendar.holidays && calendar.holidays.length ? ` (${calendar.holidays.join(', ')})` : '';
+      const multiplier = baseFare > 0 ? ` x${round(calendarFare / baseFare)}` : '';
+      add('multiplier', `${label} ${kind || 'calendar'} pricing${multiplier}${holidays}`, calendarFare - baseFare);
+    }
+    adjustments.forEach(adjustment => add('demand', `${label} ${adjustment.name}`, adjustment.change));
+
+    // Whatever the floor or ceiling took off or added to the rules' fare
+    const ruledFare = calendarFare + adjustments.reduce((total, adjustment) => total + adjustment.change, 0);
+    add('fare_limit', `${label} fare ${entry.limitedBy || 'limit'}`, entry.fare - ruledFare);
+
+    return items;
+  }
+
+  /**
+   * Price a booking's seats and itemize the price
+   * Every passenger pays the leg fares worked out by priceLegs (the return fare too
+   * for round trips) less any child or senior discount, plus the surcharge on
+   * premium seats. The promotion comes off that subtotal and tax is added last.
+   * @param {Object} options - { route, bus, bookingType, outboundSeats, returnSeats, passengerTypes,
+   *   segment, promotion, legs }, where legs is what priceLegs returned and passengerTypes
+   *   follows the order of outboundSeats
+   * @returns {Object} { totalFare, subtotal, discount, tax, seatCharges, items }
+   */
+  priceBooking({
+    route,
+    bus,
+    bookingType,
+    outboundSeats,
+    returnSeats = [],
+    passengerTypes = [],
+    segment = null,
+    promotion = null,
+    legs
+  }) {
+    const items = [];
+
+    legs.farePricing.forEach(entry => {
+      items.push(...this.itemizeLeg(entry, outboundSeats.length));
+
+      // Children and seniors pay part of the fare; seat surcharges are paid in full
+      [['Child', route.childrenDiscount], ['Senior', route.seniorDiscount]].forEach(([passengerType, rate]) => {
+        const count = passengerTypes.filter(type => type === passengerType).length;
+        const unitAmount = round(-entry.fare * (rate || 0));
+        if (count > 0 && unitAmount !== 0) {
+          items.push({
+            type: 'passenger_discount',
+            leg: entry.leg,
+            description: `${passengerType} discount (${round(rate * 100)}%)`,
+            quantity: count,
+            unitAmount,
+            amount: round(unitAmount * count)
+          });
+        }
+      });
+    });
+
+    // Add surcharges for seats in premium classes
+    const seatCharges = Booking.buildSeatCharges({
+      route,
+      bus,
+      outboundSeats,
+      returnSeats: bookingType === 'Round-Trip' ? returnSeats : [],
+      segment
+    });
+    seatCharges.forEach(charge => items.push({
+      type: 'seat_surcharge',
+      leg: charge.leg,
+      description: `${charge.seatClass} seat ${charge.seatNumber}`,
+      quantity: 1,
+      unitAmount: charge.surcharge,
+      amount: charge.surcharge
+    }));
+
+    const subtotal = round(items.reduce((total, item) => total + item.amount, 0));
+
+    // Apply the promotion's discount if one was redeemed
+    const discount = promotion ? promotion.calculateDiscount(subtotal) : 0;
+    if (discount > 0) {
+      items.push({ type: 'promotion', description: `Promotion ${promotion.code}`, amount: -discount });
+    }
+
+    const tax = calculateTax(subtotal - discount);
+    if (tax.amount > 0) {
+      items.push({ type: 'tax', description: `${tax.name} (${tax.ratePercent}%)`, amount: tax.amount });
+    }
+
+    return {
+      totalFare: round(subtotal - discount + tax.amount),
+      subtotal,
+      discount,
+      tax,
+      seatCharges,
+      items
+    };
+  }
+
+  /**
+   * Price a new booking, checking its promo code on the way
+   * @param {Object} options - { user, route, bus, bookingType, trip, departureDate, returnTrip,
+   *   returnDate, segment, passengers, returnSeats, promoCode, fareLocks }
+   * @returns {Promise<Object>} { valid, pricing } or { valid: false, reason, message }
+   *   pricing is { farePricing, pricingCalendar, seatCharges, items, subtotal, discount,
+   *   tax, totalFare, promotion, promoCode }
+   */
+  async quoteBooking({
+    user,
+    route,
+    bus,
+    bookingType,
+    trip = null,
+    departureDate = null,
+    returnTrip = null,
+    returnDate = null,
+    segment = null,
+    passengers,
+    returnSeats = [],
+    promoCode = null,
+    fareLocks = {}
+  }) {
+    const legs = await this.priceLegs({
+      route,
+      segment,
+      bookingType,
+      trip,
+      departureDate,
+      returnTrip,
+      returnDate,
+      ...fareLocks
+    });
+
+    const seats = {
+      route,
+      bus,
+      bookingType,
+      outboundSeats: passengers.map(passenger => passenger.seatNumber),
+      returnSeats,
+      passengerTypes: passengers.map(passenger => passenger.passengerType || 'Adult'),
+      segment,
+      legs
+    };
+
+    // Promo codes are checked and valued here; discounts sent by the client are ignored
+    let promotion = null;
+    if (promoCode) {
+      const promoResult = await Promotion.evaluateCode({
+        code: promoCode,
+        user,
+        recordType: 'booking',
+        amount: this.priceBooking(seats).subtotal,
+        route: route._id,
+        busType: bus.type
+      });
+      if (!promoResult.valid) {
+        return promoResult;
+      }
+      promotion = promoResult.promotion;
+    }
+
+    const price = this.priceBooking({ ...seats, promotion });
+
+    return {
+      valid: true,
+      pricing: {
+        farePricing: legs.farePricing,
+        pricingCalendar: legs.pricingCalendar,
+        seatCharges: price.seatCharges,
+        items: price.items,
+        subtotal: price.subtotal,
+        discount: price.discount,
+        tax: price.tax,
+        totalFare: price.totalFare,
+        promotion: promotion ? promotion._id : null,
+        promoCode: promotion ? promotion.code : null
+      }
+    };
+  }
+
+  /**
+   * Describe a booking request in the form its quote is matched on
+   * @param {Object} options - { route, bus, trip, returnTrip, departureDate, returnDate,
+   *   bookingType, segment, passengers, returnSeats, promoCode }
+   * @returns {Object}
+   */
+  describeBookingRequest({
+    route,
+    bus,
+    trip = null,
+    returnTrip = null,
+    departureDate,
+    returnDate = null,
+    bookingType,
+    segment = null,
+    passengers,
+    returnSeats = [],
+    promoCode = null
+  }) {
+    const isRoundTrip = bookingType === 'Round-Trip';
+
+    return {
+      bookingType,
+      route: route._id.toString(),
+      bus: bus._id.toString(),
+      trip: trip ? trip._id.toString() : null,
+      returnTrip: isRoundTrip && returnTrip ? returnTrip._id.toString() : null,
+      departureDate: new Date(departureDate).toISOString(),
+      returnDate: isRoundTrip && returnDate ? new Date(returnDate).toISOString() : null,
+      segment: segment ? `${segment.from}>${segment.to}` : null,
+      passengers: passengers.map(passenger => `${passenger.seatNumber}:${passenger.passengerType || 'Adult'}`),
+      returnSeats: isRoundTrip ? returnSeats.map(String) : [],
+      promoCode: promoCode ? String(promoCode).trim().toUpperCase() : null
+    };
+  }
+
+  /**
+   * Describe a hire in the form its quote is matched on
+   * @param {Object} hiring - Unsaved Hiring document set up from the request
+   * @param {String} promoCode - Promo code the customer entered
+   * @returns {Object}
+   */
+  describeHiringRequest(hiring, promoCode = null) {
+    const toIso = (date) => (date && !isNaN(new Date(date)) ? new Date(date).toISOString() : null);
+
+    return {
+      bus: hiring.bus ? hiring.bus.toString() : null,
+      route: hiring.route ? hiring.route.toString() : null,
+      startDate: toIso(hiring.startDate),
+      endDate: toIso(hiring.endDate),
+      returnDate: toIso(hiring.returnDate),
+      tripType: hiring.tripType,
+      rateType: hiring.rateType,
+      baseRate: hiring.baseRate ?? null,
+      routePriceMultiplier: hiring.routePriceMultiplier ?? null,
+      estimatedDistance: hiring.estimatedDistance ?? null,
+      additionalCharges: (hiring.additionalCharges || []).map(charge => `${charge.description}:${charge.amount}`),
+      driverAllowance: hiring.driverAllowance || 0,
+      promoCode: promoCode ? String(promoCode).trim().toUpperCase() : null
+    };
+  }
+
+  /**
+   * Save an itemized price for a customer to book or hire at
+   * @param {Object} options - { recordType, user, request, pricing, total, expiresBy, now }
+   *   expiresBy caps how long the quote lasts (e.g. the departure)
+   * @returns {Promise<Object>} { quote, quoteId }
+   */
+  async createQuote({ recordType, user, request, pricing, total, expiresBy = null, now = new Date() }) {
+    let expiresAt = now.getTime() + config.pricing.quoteMinutes * 60 * 1000;
+    if (expiresBy) {
+      expiresAt = Math.min(expiresAt, new Date(expiresBy).getTime());
+    }
+
+    const quote = await FareQuote.create({
+      recordType,
+      user,
+      request,
+      requestKey: FareQuote.fingerprint(request),
+      pricing,
+      total,
+      expiresAt: new Date(expiresAt)
+    });
+
+    return { quote, quoteId: quote.getQuoteId() };
+  }
+
+  /**
+   * Find the quote a booking or hire is made with and check it covers the request
+   * @param {Object} options - { quoteId, user, recordType, request, now }
+   * @returns {Promise<Object>} { valid, quote } or { valid: false, reason, message }
+   */
+  async findUsableQuote({ quoteId, user, recordType, request, now = new Date() }) {
+    const refuse = (reason, message) => ({ valid: false, reason, message });
+
+    const signed = FareQuote.readQuoteId(quoteId);
+    if (!signed.valid) {
+      return refuse('invalid_quote', 'This quote is not valid');
+    }
+
+    const quote = await FareQuote.findById(signed.id);
+    if (!quote || quote.recordType !== recordType || quote.user.toString() !== user.toString()) {
+      return refuse('not_found', 'Quote not found');
+    }
+    if (quote.status !== 'Active') {
+      return refuse('quote_used', 'This quote has already been used');
+    }
+    if (quote.expiresAt <= now) {
+      return refuse('quote_expired', 'This quote has expired; please get a new quote');
+    }
+    if (quote.requestKey !== FareQuote.fingerprint(request)) {
+      return refuse('quote_mismatch', 'The request does not match what was quoted; please get a new quote');
+    }
+
+    // The promotion is checked again, so several quotes can't all take one use of a code
+    if (quote.pricing.promotion) {
+      const promotion = await Promotion.findById(quote.pricing.promotion);
+      const bus = quote.request.bus ? await Bus.findById(quote.request.bus).select('type') : null;
+      const promoResult = promotion
+        ? await promotion.evaluate({
+            user,
+            recordType,
+            amount: quote.pricing.subtotal,
+            route: quote.request.route,
+            busType: bus ? bus.type : undefined,
+            now
+          })
+        : { valid: false, message: 'This promo code no longer exists' };
+      if (!promoResult.valid) {
+        return refuse('quote_mismatch', `The promotion on this quote can no longer be used: ${promoResult.message}`);
+      }
+    }
+
+    return { valid: true, quote };
+  }
+
+  /**
+   * Claim a quote, and any fare locks it was priced with, for a booking or hire
+   * before it is saved, so each quote is taken up once
+   * @param {Object} quote - FareQuote document
+   * @param {Object} record - Booking or hiring being made at the quoted price
+   * @param {Date} now - Time of the claim
+   * @returns {Promise<Boolean>} False if the quote was used or ran out in the meantime
+   */
+  async claimQuote(quote, record, now = new Date()) {
+    const claimed = await FareQuote.findOneAndUpdate(
+      { _id: quote._id, status: 'Active', expiresAt: { $gt: now } },
+      { $set: { status: 'Used', [quote.recordType]: record._id, usedAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    const locks = this._quoteLocks(quote);
+    if (!(await this.claimLocks(locks, record, now))) {
+      await this.releaseQuote(quote, record, { locks: false });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Give back a quote claimed for a booking or hire that wasn't saved
+   * @param {Object} quote - FareQuote document
+   * @param {Object} record - Booking or hiring the quote was claimed for
+   * @param {Object} options - { locks }, false to leave the quote's fare locks alone
+   */
+  async releaseQuote(quote, record, { locks = true } = {}) {
+    await FareQuote.updateOne(
+      { _id: quote._id, status: 'Used', [quote.recordType]: record._id },
+      { $set: { status: 'Active' }, $unset: { [quote.recordType]: 1, usedAt: 1 } }
+    );
+    if (locks) {
+      await this.releaseLocks(this._quoteLocks(quote), record);
+    }
+  }
+
+  /**
+   * Fare locks a quote was priced with
+   */
+  _quoteLocks(quote) {
+    return (quote.pricing.farePricing || [])
+      .map(entry => entry.fareLock)
+      .filter(Boolean)
+      .map(_id => ({ _id }));
+  }
+}
+
+module.exports = PricingEngine;
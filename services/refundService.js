@@ -0,0 +1,220 @@
+const Booking = require('../models/Booking');
+const Hiring = require('../models/Hiring');
+const NotificationService = require('./notificationService');
+const { getPaymentGateway } = require('./paymentGateway');
+const config = require('../config/config');
+
+class RefundService {
+  constructor(io) {
+    this.io = io;
+  }
+
+  /**
+   * Record pending refunds for a booking or hiring
+   * The amount is split across the gateway payments it was paid with, newest
+   * first; whatever can't be sent back through a gateway is left as a
+   * 'Manual' refund for finance to handle.
+   * The caller is responsible for saving the record.
+   * @param {Object} record - Booking or Hiring document
+   * @param {Object} options - { amount, reason, processedBy, kind }
+   * @returns {Array} Refund subdocuments that were added
+   */
+  createRefunds(record, { amount, reason, processedBy, kind }) {
+    let remaining = Math.round(amount * 100) / 100;
+    const refunds = [];
+
+    // Amount already refunded (or being refunded) against each transaction
+    const refundedByReference = {};
+    record.refunds
+      .filter(refund => refund.status !== 'Failed' || refund.nextAttemptAt)
+      .forEach(refund => {
+        if (refund.paymentReference) {
+          refundedByReference[refund.paymentReference] =
+            (refundedByReference[refund.paymentReference] || 0) + refund.amount;
+        }
+      });
+
+    const gatewayPayments = record.payments
+      .filter(payment =>
+        payment.status === 'Completed' &&
+        payment.amount > 0 &&
+        payment.gateway &&
+        payment.gateway !== 'Manual' &&
+        (payment.reference || payment.transactionId)
+      )
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    for (const payment of gatewayPayments) {
+      if (remaining <= 0) break;
+
+      const reference = payment.reference || payment.transactionId;
+      const refundable = payment.amount - (refundedByReference[reference] || 0);
+      const refundAmount = Math.min(remaining, refundable);
+
+      if (refundAmount > 0) {
+        refunds.push(record.addRefund({
+          amount: refundAmount,
+          reason,
+          processedBy,
+          status: 'Pending',
+          gateway: payment.gateway,
+          paymentReference: reference,
+          kind
+        }));
+        remaining = Math.round((remaining - refundAmount) * 100) / 100;
+      }
+    }
+
+    if (remaining > 0) {
+      refunds.push(record.addRefund({
+        amount: remaining,
+        reason,
+        processedBy,
+        status: 'Pending',
+        gateway: 'Manual',
+        kind
+      }));
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Send pending refunds to their payment gateways
+   * @param {Object} record - Booking or Hiring document
+   * @param {String} recordType - 'booking' or 'hiring'
+   * @param {Array} refunds - Refund subdocuments to process
+   * @returns {Promise<Array>} The refunds after processing
+   */
+  async processRefunds(record, recordType, refunds) {
+    const completed = [];
+
+    for (const refund of refunds) {
+      const wasCompleted = refund.status === 'Completed';
+      await this._attemptRefund(record, refund);
+      if (!wasCompleted && refund.status === 'Completed') {
+        completed.push(refund);
+      }
+    }
+
+    await record.save();
+
+    for (const refund of completed) {
+      await this._notifyRefund(record, recordType, refund);
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Retry failed gateway refunds whose backoff has elapsed
+   * @returns {Promise<Number>} Number of refunds retried
+   */
+  async retryFailedRefunds() {
+    try {
+      const now = new Date();
+      const query = {
+        refunds: {
+          $elemMatch: {
+            status: 'Failed',
+            nextAttemptAt: { $lte: now }
+          }
+        }
+      };
+
+      const [bookings, hirings] = await Promise.all([
+        Booking.find(query),
+        Hiring.find(query)
+      ]);
+
+      let retried = 0;
+      const records = [
+        ...bookings.map(record => ({ record, recordType: 'booking' })),
+        ...hirings.map(record => ({ record, recordType: 'hiring' }))
+      ];
+
+      for (const { record, recordType } of records) {
+        const due = record.refunds.filter(refund =>
+          refund.status === 'Failed' && refund.nextAttemptAt && refund.nextAttemptAt <= now
+        );
+        await this.processRefunds(record, recordType, due);
+        retried += due.length;
+      }
+
+      if (retried > 0) {
+        console.log(`Retried ${retried} failed refunds`);
+      }
+
+      return retried;
+    } catch (error) {
+      console.error('Error retrying failed refunds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send one refund to its gateway and record the outcome on the refund
+   */
+  async _attemptRefund(record, refund) {
+    // Refunds of cash or bank transfer payments are handled by finance
+    if (refund.gateway === 'Manual' || refund.status === 'Completed') {
+      return refund;
+    }
+
+    refund.attempts = (refund.attempts || 0) + 1;
+    refund.lastAttemptAt = new Date();
+    refund.status = 'Pending';
+
+    try {
+      const gateway = getPaymentGateway(refund.gateway);
+      const result = await gateway.refund({
+        reference: refund.paymentReference,
+        amount: refund.amount
+      });
+
+      if (!result.success) {
+        throw new Error(result.message || 'Refund was declined by the gateway');
+      }
+
+      refund.gatewayReference = result.refundReference;
+      refund.failureReason = undefined;
+      refund.nextAttemptAt = undefined;
+
+      // Paystack refunds complete later and are confirmed by webhook
+      if (result.status === 'processed') {
+        record.markRefundCompleted(refund);
+      }
+    } catch (error) {
+      const { maxAttempts, retryBaseMinutes } = config.refunds;
+      console.error(`Refund ${refund.refundTransactionId} failed:`, error.message);
+
+      refund.status = 'Failed';
+      refund.failureReason = error.message;
+      refund.nextAttemptAt = refund.attempts < maxAttempts
+        ? new Date(Date.now() + retryBaseMinutes * Math.pow(2, refund.attempts - 1) * 60 * 1000)
+        : undefined;
+    }
+
+    return refund;
+  }
+
+  async _notifyRefund(record, recordType, refund) {
+    try {
+      const notificationService = new NotificationService(this.io);
+      const data = {
+        amount: refund.amount,
+        refundTransactionId: refund.refundTransactionId
+      };
+
+      if (recordType === 'booking') {
+        await notificationService.sendBookingNotification(record, 'refund_processed', data);
+      } else {
+        await notificationService.sendHiringNotification(record, 'refund_processed', data);
+      }
+    } catch (notificationError) {
+      console.error('Error sending refund notification:', notificationError);
+    }
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,108 @@
+const NotificationService = require('./notificationService');
+const HiringPaymentService = require('./hiringPaymentService');
+const SeatHoldService = require('./seatHoldService');
+const BookingExpiryService = require('./bookingExpiryService');
+const WaitlistService = require('./waitlistService');
+const RefundService = require('./refundService');
+const Trip = require('../models/Trip');
+const config = require('../config/config');
+
+/**
+ * Register the application's recurring jobs with the scheduler
+ * @param {Object} scheduler - JobScheduler instance
+ * @param {Object} io - Socket.io server
+ * @param {Object} services - { waitlistService } shared with the app
+ */
+const registerScheduledJobs = (scheduler, io, { waitlistService = new WaitlistService(io) } = {}) => {
+  const { schedules, notificationRetentionDays } = config.jobs;
+  const notificationService = new NotificationService(io);
+  const hiringPaymentService = new HiringPaymentService(io);
+  const seatHoldService = new SeatHoldService(io, waitlistService);
+  const bookingExpiryService = new BookingExpiryService(io, waitlistService);
+  const refundService = new RefundService(io);
+
+  scheduler.define('journey-reminders', {
+    description: 'Remind passengers about journeys departing tomorrow',
+    schedule: schedules.journeyReminders,
+    handler: async () => {
+      const notifications = await notificationService.sendJourneyReminders();
+      return { sent: notifications.length };
+    }
+  });
+
+  scheduler.define('scheduled-notifications', {
+    description: 'Deliver notifications whose scheduled time has arrived',
+    schedule: schedules.scheduledNotifications,
+    retryBaseSeconds: 30,
+    handler: async () => {
+      const dispatched = await notificationService.dispatchScheduledNotifications();
+      return { dispatched };
+    }
+  });
+
+  scheduler.define('notification-cleanup', {
+    description: `Delete read notifications older than ${notificationRetentionDays} days`,
+    schedule: schedules.notificationCleanup,
+    handler: async () => {
+      const result = await notificationService.cleanupOldNotifications(notificationRetentionDays);
+      return { deleted: result.deletedCount };
+    }
+  });
+
+  // Also runs at startup so a fresh deployment has trips to book
+  scheduler.define('trip-generation', {
+    description: 'Generate scheduled trips ahead for every active route',
+    schedule: schedules.tripGeneration,
+    runOnStart: true,
+    retryBaseSeconds: 300,
+    handler: () => Trip.generateTrips({ days: config.trips.generationHorizonDays })
+  });
+
+  scheduler.define('hiring-payments', {
+    description: 'Remind customers of hire payments due, and hold or cancel hires with missed payments',
+    schedule: schedules.hiringPayments,
+    handler: async () => {
+      const reminded = await hiringPaymentService.sendPaymentReminders();
+      const { held, cancelled } = await hiringPaymentService.enforcePaymentMilestones();
+      return { reminded, held, cancelled };
+    }
+  });
+
+  scheduler.define('seat-hold-expiry', {
+    description: 'Release expired seat holds and notify open seat maps',
+    schedule: schedules.seatHoldExpiry,
+    retryBaseSeconds: 30,
+    handler: async () => {
+      const released = await seatHoldService.releaseExpiredHolds();
+      return { released: released.length };
+    }
+  });
+
+  scheduler.define('booking-expiry', {
+    description: 'Cancel unpaid bookings whose payment window has passed',
+    schedule: schedules.bookingExpiry,
+    retryBaseSeconds: 30,
+    handler: async () => {
+      const expired = await bookingExpiryService.expireUnpaidBookings();
+      return { expired: expired.length };
+    }
+  });
+
+  scheduler.define('waitlist-offers', {
+    description: 'Close lapsed waitlist offers and offer freed seats to waiting customers',
+    schedule: schedules.waitlistOffers,
+    retryBaseSeconds: 30,
+    handler: async () => {
+      const offered = await waitlistService.processAll();
+      return { offered: offered.length };
+    }
+  });
+
+  scheduler.define('refund-retries', {
+    description: 'Retry failed gateway refunds whose backoff has elapsed',
+    schedule: schedules.refundRetries,
+    handler: async () => ({ retried: await refundService.retryFailedRefunds() })
+  });
+};
+
+module.exports = registerScheduledJobs;
@@ -0,0 +1,241 @@
+const SeatHold = require('../models/SeatHold');
+const SeatClaim = require('../models/SeatClaim');
+const Booking = require('../models/Booking');
+const config = require('../config/config');
+const { segmentsOverlap } = require('../utils/segments');
+
+class SeatHoldService {
+  constructor(io, waitlistService = null) {
+    this.io = io;
+    // Offers seats from lapsed or released holds to customers on the waitlist
+    this.waitlistService = waitlistService;
+  }
+
+  /**
+   * Place a temporary hold on seats for a bus departure
+   * Any previous active hold by the same user on the same bus/day is replaced
+   * @param {Object} holdData - { user, bus, route, departureDate, seats, segment, durationMinutes }
+   * @returns {Promise<Object>} Result with the created hold or the conflicting seats
+   */
+  async createHold(holdData) {
+    try {
+      const { user, bus, route, departureDate, seats, segment } = holdData;
+      const { durationMinutes: defaultMinutes, maxDurationMinutes } = config.seatHold;
+      const durationMinutes = Math.min(
+        parseInt(holdData.durationMinutes, 10) || defaultMinutes,
+        maxDurationMinutes
+      );
+
+      const uniqueSeats = [...new Set(seats)];
+      const { start, end } = SeatHold.dayRange(departureDate);
+
+      // Only one request at a time may check and hold each seat
+      const claimId = await SeatClaim.acquire([{ bus, departureDate, seats: uniqueSeats }]);
+      if (!claimId) {
+        return {
+          success: false,
+          reason: 'seats_held',
+          message: 'The selected seats are being held by another customer',
+          conflictingSeats: uniqueSeats
+        };
+      }
+
+      try {
+        // Seats already taken by a booking cannot be held
+        const bookings = await Booking.find({
+          bus,
+          departureDate: { $gte: start, $lte: end },
+          status: { $in: ['Pending', 'Confirmed'] },
+          'passengers.seatNumber': { $in: uniqueSeats }
+        });
+
+        const bookedSeats = new Set();
+        bookings.forEach(booking => {
+          if (segment && !segmentsOverlap(booking.segment, segment)) {
+            return;
+          }
+          booking.passengers.forEach(passenger => {
+            if (uniqueSeats.includes(passenger.seatNumber)) {
+              bookedSeats.add(passenger.seatNumber);
+            }
+          });
+        });
+
+        if (bookedSeats.size > 0) {
+          return {
+            success: false,
+            reason: 'seats_booked',
+            message: 'The selected seats are already booked for this departure',
+            conflictingSeats: Array.from(bookedSeats)
+          };
+        }
+
+        // Seats held by other customers cannot be held either
+        const heldSeats = await SeatHold.getHeldSeats({ bus, departureDate, excludeUser: user, segment });
+        const heldConflicts = uniqueSeats.filter(seat => heldSeats.has(seat));
+
+        if (heldConflicts.length > 0) {
+          return {
+            success: false,
+            reason: 'seats_held',
+            message: 'The selected seats are currently held by another customer',
+            conflictingSeats: heldConflicts
+          };
+        }
+
+        // Replace the user's previous selection on this departure
+        const previousHolds = await SeatHold.findActiveHolds({ bus, departureDate })
+          .where('user').equals(user);
+
+        for (const previousHold of previousHolds) {
+          await this._finishHold(previousHold, 'Released', 'hold_released');
+        }
+
+        const hold = await SeatHold.create({
+          user,
+          bus,
+          route,
+          departureDate,
+          segment: segment || undefined,
+          seats: uniqueSeats,
+          expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+        });
+
+        this._emitSeatUpdate(hold, 'seats_held');
+
+        return {
+          success: true,
+          hold
+        };
+      } finally {
+        await SeatClaim.release(claimId);
+      }
+    } catch (error) {
+      console.error('Error creating seat hold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a hold before it expires
+   * @param {Object} hold - SeatHold document
+   * @returns {Promise<Object>} Released hold
+   */
+  async releaseHold(hold) {
+    try {
+      if (hold.status !== 'Active') {
+        return hold;
+      }
+      return await this._finishHold(hold, 'Released', 'hold_released');
+    } catch (error) {
+      console.error('Error releasing seat hold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a user's holds on a departure as converted once they have booked their seats
+   * Holds on none of the booked seats are left alone, and holds on some of them
+   * keep only the seats that weren't booked
+   * @param {Object} options - { user, bus, departureDate, bookingId, seats }
+   * @returns {Promise<Number>} Number of holds converted
+   */
+  async convertHolds({ user, bus, departureDate, bookingId, seats }) {
+    try {
+      const bookedSeats = new Set(seats);
+      const holds = await SeatHold.findActiveHolds({ bus, departureDate })
+        .where('user').equals(user);
+
+      let converted = 0;
+      for (const hold of holds) {
+        const remainingSeats = hold.seats.filter(seat => !bookedSeats.has(seat));
+        if (remainingSeats.length === hold.seats.length) {
+          continue;
+        }
+
+        if (remainingSeats.length > 0) {
+          hold.seats = remainingSeats;
+        } else {
+          hold.status = 'Converted';
+          hold.booking = bookingId;
+          hold.releasedAt = new Date();
+          converted += 1;
+        }
+        await hold.save();
+      }
+
+      return converted;
+    } catch (error) {
+      console.error('Error converting seat holds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire every active hold whose time is up and announce the freed seats
+   * @returns {Promise<Array>} Holds that were expired
+   */
+  async releaseExpiredHolds() {
+    try {
+      const expiredHolds = await SeatHold.find({
+        status: 'Active',
+        expiresAt: { $lte: new Date() }
+      });
+
+      for (const hold of expiredHolds) {
+        await this._finishHold(hold, 'Expired', 'hold_expired');
+      }
+
+      if (expiredHolds.length > 0) {
+        console.log(`Released ${expiredHolds.length} expired seat holds`);
+      }
+
+      return expiredHolds;
+    } catch (error) {
+      console.error('Error releasing expired seat holds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a hold with the given status and notify seat map viewers
+   */
+  async _finishHold(hold, status, action) {
+    hold.status = status;
+    hold.releasedAt = new Date();
+    await hold.save();
+
+    this._emitSeatUpdate(hold, action);
+
+    if (this.waitlistService) {
+      this.waitlistService.handleSeatsReleased({
+        bus: hold.bus,
+        departureDate: hold.departureDate
+      }).catch(() => {});
+    }
+    return hold;
+  }
+
+  /**
+   * Emit a seat update for a hold to everyone viewing the bus
+   */
+  _emitSeatUpdate(hold, action) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`seats:${hold.bus}`).emit('seat-updated', {
+      busId: hold.bus,
+      date: hold.departureDate,
+      holdId: hold._id,
+      segment: hold.segment && hold.segment.from ? hold.segment : undefined,
+      action,
+      affectedSeats: hold.seats,
+      expiresAt: hold.expiresAt,
+      timestamp: new Date()
+    });
+    console.log(`🚌 Seat update emitted for bus ${hold.bus} (${action})`);
+  }
+}
+
+module.exports = SeatHoldService;
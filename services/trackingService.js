@@ -0,0 +1,247 @@
+const Bus = require('../models/Bus');
+const BusLocation = require('../models/BusLocation');
+const Trip = require('../models/Trip');
+const config = require('../config/config');
+
+// Fixes stamped further ahead than this are treated as a bad device clock
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+class TrackingService {
+  /**
+   * @param {Object} io - Socket.io server
+   * @param {Object} etaService - Optional EtaService refreshed on each new position
+   */
+  constructor(io, etaService = null) {
+    this.io = io;
+    this.etaService = etaService;
+    // Per bus: { lastBroadcastAt, pending, timer }
+    this.broadcasts = new Map();
+    // Trip lookups per bus and day, so every fix doesn't query trips
+    this.tripCache = new Map();
+  }
+
+  /**
+   * Validate and store GPS fixes for a bus, then broadcast the latest one
+   * Fixes may arrive out of order (devices buffer while offline); only a
+   * fix newer than the bus's last known position moves the bus
+   * @param {String} busId - Bus ID
+   * @param {Array} fixes - [{ latitude, longitude, speed, heading, accuracy, recordedAt }]
+   * @param {Object} options - { source, reportedBy }
+   * @returns {Promise<Object>} { accepted, rejected: [{ index, reason }], location }
+   */
+  async recordFixes(busId, fixes, { source = 'http', reportedBy } = {}) {
+    try {
+      const now = Date.now();
+      const rejected = [];
+      const documents = [];
+
+      fixes.forEach((fix, index) => {
+        const reason = this._validateFix(fix, now);
+        if (reason) {
+          rejected.push({ index, reason });
+          return;
+        }
+
+        documents.push({
+          bus: busId,
+          latitude: Number(fix.latitude),
+          longitude: Number(fix.longitude),
+          speed: fix.speed !== undefined ? Number(fix.speed) : undefined,
+          heading: fix.heading !== undefined ? Number(fix.heading) : undefined,
+          accuracy: fix.accuracy !== undefined ? Number(fix.accuracy) : undefined,
+          recordedAt: fix.recordedAt ? new Date(fix.recordedAt) : new Date(now),
+          source,
+          reportedBy
+        });
+      });
+
+      if (documents.length === 0) {
+        return { accepted: 0, rejected, location: null };
+      }
+
+      for (const document of documents) {
+        document.trip = await this._findTripId(busId, document.recordedAt);
+      }
+
+      await BusLocation.insertMany(documents);
+
+      // Move the bus to the newest fix, unless a newer one is already known
+      const latest = documents.reduce((newest, fix) =>
+        fix.recordedAt > newest.recordedAt ? fix : newest
+      );
+      const location = {
+        latitude: latest.latitude,
+        longitude: latest.longitude,
+        speed: latest.speed,
+        heading: latest.heading,
+        accuracy: latest.accuracy,
+        trip: latest.trip,
+        recordedAt: latest.recordedAt
+      };
+
+      const updated = await Bus.findOneAndUpdate(
+        {
+          _id: busId,
+          $or: [
+            { 'lastLocation.recordedAt': { $exists: false } },
+            { 'lastLocation.recordedAt': { $lt: latest.recordedAt } }
+          ]
+        },
+        { lastLocation: location },
+        { new: true }
+      );
+
+      if (updated) {
+        this._queueBroadcast(busId, location);
+        if (this.etaService) {
+          // Not awaited: ETA updates must not slow down ingestion
+          this.etaService.handleLocation(busId, location);
+        }
+      }
+
+      return { accepted: documents.length, rejected, location: updated ? location : null };
+    } catch (error) {
+      console.error('Error recording bus location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored track of a bus between two times
+   * @param {String} busId - Bus ID
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Array>} Fixes, oldest first
+   */
+  async getTrack(busId, { from, to, limit = 1000 }) {
+    return BusLocation.find({
+      bus: busId,
+      recordedAt: { $gte: from, $lte: to }
+    })
+      .sort({ recordedAt: 1 })
+      .limit(limit)
+      .select('latitude longitude speed heading accuracy recordedAt trip -_id')
+      .lean();
+  }
+
+  /**
+   * Clear pending broadcast timers
+   */
+  stop() {
+    for (const state of this.broadcasts.values()) {
+      clearTimeout(state.timer);
+    }
+    this.broadcasts.clear();
+  }
+
+  /**
+   * Check a fix and return why it's unusable, if it is
+   */
+  _validateFix(fix, now) {
+    if (!fix || typeof fix !== 'object') {
+      return 'invalid_fix';
+    }
+
+    const latitude = Number(fix.latitude);
+    const longitude = Number(fix.longitude);
+    if (fix.latitude === undefined || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+      return 'invalid_latitude';
+    }
+    if (fix.longitude === undefined || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      return 'invalid_longitude';
+    }
+
+    if (fix.speed !== undefined && !(Number(fix.speed) >= 0)) {
+      return 'invalid_speed';
+    }
+    if (fix.heading !== undefined && !(Number(fix.heading) >= 0 && Number(fix.heading) <= 360)) {
+      return 'invalid_heading';
+    }
+    if (fix.accuracy !== undefined && !(Number(fix.accuracy) >= 0)) {
+      return 'invalid_accuracy';
+    }
+
+    if (fix.recordedAt !== undefined) {
+      const recordedAt = new Date(fix.recordedAt).getTime();
+      if (isNaN(recordedAt)) {
+        return 'invalid_timestamp';
+      }
+      if (recordedAt > now + MAX_CLOCK_SKEW_MS) {
+        return 'timestamp_in_future';
+      }
+      if (recordedAt < now - config.tracking.retentionDays * 24 * 60 * 60 * 1000) {
+        return 'timestamp_too_old';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the scheduled trip a bus is running on a given day
+   */
+  async _findTripId(busId, recordedAt) {
+    const day = Trip.startOfDay(recordedAt);
+    const key = `${busId}:${day.getTime()}`;
+
+    if (!this.tripCache.has(key)) {
+      // Keep the cache small; it only needs today's buses
+      if (this.tripCache.size > 1000) {
+        this.tripCache.clear();
+      }
+
+      const trip = await Trip.findOne({
+        bus: busId,
+        date: day,
+        status: { $ne: 'Cancelled' }
+      }).select('_id');
+      this.tripCache.set(key, trip ? trip._id : undefined);
+    }
+
+    return this.tripCache.get(key);
+  }
+
+  /**
+   * Broadcast a position to the bus room, at most once per interval
+   * The latest position inside an interval is sent when it ends
+   */
+  _queueBroadcast(busId, location) {
+    if (!this.io) {
+      return;
+    }
+
+    const key = busId.toString();
+    const intervalMs = config.tracking.broadcastIntervalSeconds * 1000;
+    const state = this.broadcasts.get(key) || { lastBroadcastAt: 0, pending: null, timer: null };
+    this.broadcasts.set(key, state);
+
+    const wait = state.lastBroadcastAt + intervalMs - Date.now();
+    if (wait <= 0) {
+      this._broadcast(key, location, state);
+      return;
+    }
+
+    state.pending = location;
+    if (!state.timer) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        if (state.pending) {
+          this._broadcast(key, state.pending, state);
+        }
+      }, wait);
+      state.timer.unref();
+    }
+  }
+
+  _broadcast(busId, location, state) {
+    state.lastBroadcastAt = Date.now();
+    state.pending = null;
+
+    this.io.to(`bus:${busId}`).emit('bus:location', {
+      busId,
+      ...location,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = TrackingService;
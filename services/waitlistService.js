@@ -0,0 +1,398 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const SeatHold = require('../models/SeatHold');
+const SeatHoldService = require('./seatHoldService');
+const NotificationService = require('./notificationService');
+const config = require('../config/config');
+
+class WaitlistService {
+  constructor(io) {
+    this.io = io;
+    // Trips being processed, so overlapping triggers don't make duplicate offers
+    this.processing = new Set();
+  }
+
+  /**
+   * Add a customer to the waitlist of a sold-out trip
+   * @param {Object} entryData - { user, trip, passengers, segment, deadline }
+   * @returns {Promise<Object>} Result with the entry and its position, or the reason it was refused
+   */
+  async join(entryData) {
+    try {
+      const { user, trip, passengers, segment } = entryData;
+      const now = new Date();
+
+      if (!['Scheduled', 'Delayed'].includes(trip.status) || trip.departureDateTime <= now) {
+        return {
+          success: false,
+          reason: 'trip_unavailable',
+          message: 'This trip is no longer taking bookings'
+        };
+      }
+
+      const existing = await WaitlistEntry.findOne({
+        user,
+        trip: trip._id,
+        status: { $in: WaitlistEntry.ACTIVE_STATUSES }
+      });
+      if (existing) {
+        return {
+          success: false,
+          reason: 'already_waiting',
+          message: 'You are already on the waitlist for this trip',
+          entry: existing
+        };
+      }
+
+      const bus = await Bus.findById(trip.bus);
+      const freeSeats = await this._freeSeats(trip, bus, segment);
+      if (freeSeats.length >= passengers) {
+        return {
+          success: false,
+          reason: 'seats_available',
+          message: 'Seats are available on this trip, so it can be booked directly',
+          availableSeats: freeSeats.length
+        };
+      }
+
+      // Offers stop at departure at the latest
+      const deadline = entryData.deadline && new Date(entryData.deadline) < trip.departureDateTime
+        ? new Date(entryData.deadline)
+        : trip.departureDateTime;
+      if (deadline <= now) {
+        return {
+          success: false,
+          reason: 'invalid_deadline',
+          message: 'The deadline must be in the future'
+        };
+      }
+
+      const entry = await WaitlistEntry.create({
+        user,
+        trip: trip._id,
+        route: trip.route,
+        bus: trip.bus,
+        departureDate: trip.departureDateTime,
+        segment: segment || undefined,
+        passengers,
+        deadline
+      });
+
+      return {
+        success: true,
+        entry,
+        position: await this.getPosition(entry)
+      };
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a customer off the waitlist, giving up any seats offered to them
+   * @param {Object} entry - WaitlistEntry document
+   * @returns {Promise<Object>} The cancelled entry
+   */
+  async leave(entry) {
+    try {
+      const hadOffer = entry.status === 'Offered';
+
+      entry.status = 'Cancelled';
+      entry.closeReason = 'left_waitlist';
+      entry.closedAt = new Date();
+      await entry.save();
+
+      // Pass the offered seats on to the next customer
+      if (hadOffer && entry.offer.hold) {
+        const hold = await SeatHold.findById(entry.offer.hold);
+        if (hold) {
+          await new SeatHoldService(this.io).releaseHold(hold);
+        }
+        await this.processTrip(entry.trip);
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an entry's place in its trip's queue (1 is next in line)
+   * @param {Object} entry - WaitlistEntry document
+   * @returns {Promise<Number|null>} Position, or null if the entry isn't waiting
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'Waiting') {
+      return null;
+    }
+
+    const ahead = await WaitlistEntry.countDocuments({
+      // The trip may be populated
+      trip: entry.trip._id || entry.trip,
+      status: 'Waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Offer freed seats on a trip to the waiting customers, first come first served
+   * Customers whose party doesn't fit in the free seats are passed over
+   * @param {String|Object} tripId - Trip ID
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  async processTrip(tripId) {
+    const key = tripId.toString();
+    if (this.processing.has(key)) {
+      return [];
+    }
+    this.processing.add(key);
+
+    try {
+      await this._closeLapsedEntries({ trip: tripId });
+
+      const trip = await Trip.findById(tripId);
+      const now = new Date();
+      if (!trip || !['Scheduled', 'Delayed'].includes(trip.status) || trip.departureDateTime <= now) {
+        await this._closeEntries(
+          { trip: tripId, status: { $in: WaitlistEntry.ACTIVE_STATUSES } },
+          'trip_unavailable'
+        );
+        return [];
+      }
+
+      const bus = await Bus.findById(trip.bus);
+      if (!bus) {
+        return [];
+      }
+
+      const waiting = await WaitlistEntry.find({
+        trip: trip._id,
+        status: 'Waiting',
+        deadline: { $gt: now }
+      }).sort({ createdAt: 1 });
+
+      const offered = [];
+      for (const entry of waiting) {
+        const segment = entry.segment && entry.segment.from ? entry.segment : null;
+        const freeSeats = await this._freeSeats(trip, bus, segment);
+        if (freeSeats.length < entry.passengers) {
+          continue;
+        }
+
+        if (await this._makeOffer(entry, trip, freeSeats.slice(0, entry.passengers))) {
+          offered.push(entry);
+        }
+      }
+
+      return offered;
+    } catch (error) {
+      console.error('Error processing waitlist:', error);
+      throw error;
+    } finally {
+      this.processing.delete(key);
+    }
+  }
+
+  /**
+   * Offer seats to waiting customers after seats on a departure were released
+   * by a cancellation, an expired booking or a lapsed hold
+   * @param {Object} release - { trip, bus, departureDate }
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  async handleSeatsReleased({ trip, bus, departureDate }) {
+    try {
+      let tripIds = trip ? [trip] : [];
+      if (tripIds.length === 0 && bus && departureDate) {
+        const trips = await Trip.find({ bus, date: Trip.startOfDay(departureDate) }).select('_id');
+        tripIds = trips.map(t => t._id);
+      }
+
+      const offered = [];
+      for (const tripId of tripIds) {
+        const hasWaiting = await WaitlistEntry.exists({ trip: tripId, status: 'Waiting' });
+        if (hasWaiting) {
+          offered.push(...await this.processTrip(tripId));
+        }
+      }
+      return offered;
+    } catch (error) {
+      console.error('Error handling released seats for waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close lapsed offers and passed deadlines, then offer seats on every trip
+   * that still has customers waiting
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  async processAll() {
+    try {
+      await this._closeLapsedEntries();
+
+      const tripIds = await WaitlistEntry.distinct('trip', {
+        status: 'Waiting',
+        deadline: { $gt: new Date() }
+      });
+
+      const offered = [];
+      for (const tripId of tripIds) {
+        offered.push(...await this.processTrip(tripId));
+      }
+
+      if (offered.length > 0) {
+        console.log(`Made ${offered.length} waitlist offers`);
+      }
+      return offered;
+    } catch (error) {
+      console.error('Error processing waitlists:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seats on a trip that are neither booked, held nor blocked, in layout order
+   */
+  async _freeSeats(trip, bus, segment = null) {
+    if (!bus) {
+      return [];
+    }
+
+    const { seats: bookedSeats } = await trip.getBookedSeats(segment);
+    const heldSeats = await SeatHold.getHeldSeats({
+      bus: bus._id,
+      departureDate: trip.departureDateTime,
+      segment
+    });
+
+    return bus.getSeats()
+      .filter(seat => !seat.attributes.includes('blocked'))
+      .map(seat => seat.label)
+      .filter(label => !bookedSeats.has(label) && !heldSeats.has(label));
+  }
+
+  /**
+   * Hold seats for a waiting customer and tell them they can book
+   * @returns {Promise<Boolean>} Whether the offer was made
+   */
+  async _makeOffer(entry, trip, seats) {
+    const segment = entry.segment && entry.segment.from ? entry.segment : null;
+    const result = await new SeatHoldService(this.io).createHold({
+      user: entry.user,
+      bus: trip.bus,
+      route: trip.route,
+      departureDate: trip.departureDateTime,
+      seats,
+      segment,
+      durationMinutes: config.waitlist.offerMinutes
+    });
+
+    // Someone else took the seats in the meantime
+    if (!result.success) {
+      return false;
+    }
+
+    entry.status = 'Offered';
+    entry.offer = {
+      seats: result.hold.seats,
+      hold: result.hold._id,
+      offeredAt: new Date(),
+      expiresAt: result.hold.expiresAt
+    };
+    await entry.save();
+
+    await this._notify(entry, 'waitlist_offer', {
+      title: 'Seats Available',
+      message: `Seats ${entry.offer.seats.join(', ')} have opened up on your trip departing ${trip.departureDateTime.toLocaleString()}. They are held for you until ${entry.offer.expiresAt.toLocaleTimeString()}; book before then to keep them.`,
+      priority: 'high'
+    });
+
+    if (this.io) {
+      this.io.to(`user:${entry.user}`).emit('waitlist:offer', {
+        entryId: entry._id,
+        tripId: trip._id,
+        seats: entry.offer.seats,
+        holdId: entry.offer.hold,
+        expiresAt: entry.offer.expiresAt
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Expire offers that weren't taken up and entries whose deadline has passed
+   * @param {Object} filter - Extra conditions, e.g. { trip }
+   */
+  async _closeLapsedEntries(filter = {}) {
+    const now = new Date();
+    await this._closeEntries(
+      { ...filter, status: 'Offered', 'offer.expiresAt': { $lte: now } },
+      'offer_lapsed'
+    );
+    await this._closeEntries(
+      { ...filter, status: 'Waiting', deadline: { $lte: now } },
+      'deadline_passed'
+    );
+  }
+
+  /**
+   * Close matching entries one at a time and let each customer know
+   */
+  async _closeEntries(query, closeReason) {
+    const entries = await WaitlistEntry.find(query);
+
+    for (const entry of entries) {
+      // Skip entries that changed since they were selected (e.g. just booked)
+      const closed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: entry.status },
+        { $set: { status: 'Expired', closeReason, closedAt: new Date() } },
+        { new: true }
+      );
+      if (!closed) continue;
+
+      const messages = {
+        offer_lapsed: 'The seats offered to you were not booked in time and have been passed on to the next customer.',
+        deadline_passed: 'No seats opened up before your waitlist deadline.',
+        trip_unavailable: 'The trip you were waiting for is no longer taking bookings.'
+      };
+      await this._notify(closed, 'waitlist_expired', {
+        title: 'Waitlist Closed',
+        message: messages[closeReason]
+      });
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Send a waitlist notification, without failing the caller if it can't be sent
+   */
+  async _notify(entry, type, { title, message, priority = 'normal' }) {
+    try {
+      const notificationService = new NotificationService(this.io);
+      await notificationService.sendNotification({
+        recipient: entry.user,
+        title,
+        message,
+        type,
+        category: 'booking',
+        priority,
+        relatedBus: entry.bus,
+        relatedRoute: entry.route,
+        data: {
+          actionUrl: `/trips/${entry.trip}`
+        }
+      });
+    } catch (notificationError) {
+      console.error('Error sending waitlist notification:', notificationError);
+    }
+  }
+}
+
+module.exports = WaitlistService;
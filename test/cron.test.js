@@ -0,0 +1,57 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../utils/cron');
+
+test('parse expands lists, ranges and steps', () => {
+  const schedule = cron.parse('*/15 8-10 1,15 * 1-5');
+
+  assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...schedule.hour], [8, 9, 10]);
+  assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+  assert.equal(schedule.month.size, 12);
+  assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parse treats 7 as Sunday', () => {
+  assert.ok(cron.parse('0 0 * * 7').dayOfWeek.has(0));
+});
+
+test('isValid rejects malformed expressions', () => {
+  assert.equal(cron.isValid('0 * * * *'), true);
+  assert.equal(cron.isValid('0 * * *'), false);
+  assert.equal(cron.isValid('60 * * * *'), false);
+  assert.equal(cron.isValid('0 5-1 * * *'), false);
+  assert.equal(cron.isValid('*/0 * * * *'), false);
+  assert.equal(cron.isValid('a * * * *'), false);
+  assert.equal(cron.isValid(undefined), false);
+});
+
+test('nextRun finds the next matching minute after the start', () => {
+  const from = new Date(2026, 0, 5, 10, 7, 30);
+
+  assert.deepEqual(cron.nextRun('*/15 * * * *', from), new Date(2026, 0, 5, 10, 15));
+  assert.deepEqual(cron.nextRun('0 * * * *', from), new Date(2026, 0, 5, 11, 0));
+  assert.deepEqual(cron.nextRun('30 2 * * *', from), new Date(2026, 0, 6, 2, 30));
+});
+
+test('nextRun never returns the start time itself', () => {
+  const from = new Date(2026, 0, 5, 10, 0);
+
+  assert.deepEqual(cron.nextRun('0 10 * * *', from), new Date(2026, 0, 6, 10, 0));
+});
+
+test('nextRun rolls over months and years', () => {
+  const from = new Date(2026, 11, 31, 23, 59);
+
+  assert.deepEqual(cron.nextRun('0 0 1 * *', from), new Date(2027, 0, 1, 0, 0));
+  assert.deepEqual(cron.nextRun('0 6 * 3 *', from), new Date(2027, 2, 1, 6, 0));
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // Monday 5 January 2026; the 10th is a Saturday
+  const from = new Date(2026, 0, 5, 12, 0);
+
+  assert.deepEqual(cron.nextRun('0 9 10 * 3', from), new Date(2026, 0, 7, 9, 0));
+  assert.deepEqual(cron.nextRun('0 9 * * 6', from), new Date(2026, 0, 10, 9, 0));
+});
@@ -0,0 +1,27 @@
+// Settings the tests need before any app module loads its config
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.MOCK_GATEWAY_SECRET = process.env.MOCK_GATEWAY_SECRET || 'test_mock_secret';
+process.env.PAYMENT_GATEWAY = 'mock';
+
+/**
+ * Local date at midnight, so day-based helpers see the intended day
+ * @param {String} text - YYYY-MM-DD
+ * @returns {Date}
+ */
+exports.day = (text) => {
+  const [year, month, date] = text.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+/**
+ * Stop a document's save from needing a database
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} - The document
+ */
+exports.saveInMemory = (doc) => {
+  doc.save = async function() {
+    return this;
+  };
+  return doc;
+};
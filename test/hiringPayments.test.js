@@ -0,0 +1,154 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Hiring = require('../models/Hiring');
+const Bus = require('../models/Bus');
+const Booking = require('../models/Booking');
+const SeatClaim = require('../models/SeatClaim');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date(Date.UTC(2026, 10, 1));
+
+const buildHiring = (payments = []) => {
+  const hiring = new Hiring({
+    hiringNumber: 'HIR-TEST',
+    totalCost: 100000,
+    startDate: new Date(Date.UTC(2026, 11, 1)),
+    endDate: new Date(Date.UTC(2026, 11, 3)),
+    status: 'Confirmed'
+  });
+  payments.forEach(amount => hiring.payments.push({
+    amount,
+    method: 'Other',
+    status: 'Completed',
+    date: now
+  }));
+  return hiring;
+};
+
+/**
+ * Invoice a 30% deposit due in two days and the balance a week before the hire
+ */
+const invoicePlan = (hiring) => {
+  hiring.paymentPlan = { depositPercent: 30, balanceDueDays: 7, missedAction: 'hold' };
+  hiring.addInvoice({ kind: 'Deposit', amount: 30000, dueDate: new Date(now.getTime() + 2 * DAY_MS) });
+  hiring.addInvoice({ kind: 'Balance', amount: 70000, dueDate: new Date(hiring.startDate.getTime() - 7 * DAY_MS) });
+};
+
+test('approving an unquoted hire invoices the deposit and the balance', () => {
+  const hiring = buildHiring();
+  hiring.status = 'Pending';
+  const invoices = hiring.applyDefaultPaymentPlan(now);
+
+  assert.equal(hiring.deposit, 30000);
+  assert.deepEqual(invoices.map(invoice => [invoice.kind, invoice.amount]), [['Deposit', 30000], ['Balance', 70000]]);
+  // Deposit within two days; balance a week before the hire starts
+  assert.deepEqual(invoices[0].dueDate, new Date(now.getTime() + 2 * DAY_MS));
+  assert.deepEqual(invoices[1].dueDate, new Date(hiring.startDate.getTime() - 7 * DAY_MS));
+
+  // Approving again raises nothing new
+  assert.deepEqual(hiring.applyDefaultPaymentPlan(now), []);
+  assert.equal(hiring.invoices.length, 2);
+});
+
+test('invoices are numbered after the hire', () => {
+  const hiring = buildHiring();
+  invoicePlan(hiring);
+
+  assert.deepEqual(hiring.invoices.map(invoice => invoice.invoiceNumber), ['HIR-TEST-INV1', 'HIR-TEST-INV2']);
+});
+
+test('payments settle invoices earliest due first', () => {
+  const hiring = buildHiring([30000]);
+  invoicePlan(hiring);
+
+  assert.deepEqual(hiring.invoices.map(invoice => invoice.status), ['Paid', 'Unpaid']);
+
+  hiring.payments.push({ amount: 69999.995, method: 'Other', status: 'Completed', date: now });
+  hiring.settleInvoices();
+  assert.deepEqual(hiring.invoices.map(invoice => invoice.status), ['Paid', 'Paid']);
+});
+
+test('the statement allocates part payments and flags what is overdue', () => {
+  const hiring = buildHiring([20000]);
+  invoicePlan(hiring);
+
+  const statement = hiring.getPaymentStatement(new Date(now.getTime() + 3 * DAY_MS));
+
+  assert.equal(statement.paid, 20000);
+  assert.equal(statement.overdue, 10000);
+  assert.equal(statement.due, 70000);
+  assert.equal(statement.outstanding, 80000);
+  assert.deepEqual(
+    statement.milestones.map(({ kind, paid, outstanding, status }) => ({ kind, paid, outstanding, status })),
+    [
+      { kind: 'Deposit', paid: 20000, outstanding: 10000, status: 'Overdue' },
+      { kind: 'Balance', paid: 0, outstanding: 70000, status: 'Due' }
+    ]
+  );
+});
+
+test('cost not yet invoiced is due when the hire starts', () => {
+  const hiring = buildHiring([10000]);
+  hiring.addInvoice({ kind: 'Deposit', amount: 25000, dueDate: now });
+
+  const statement = hiring.getPaymentStatement(now);
+  const uninvoiced = statement.milestones[1];
+
+  assert.equal(uninvoiced.invoiceNumber, null);
+  assert.equal(uninvoiced.amount, 75000);
+  assert.deepEqual(uninvoiced.dueDate, hiring.startDate);
+  assert.equal(statement.outstanding, 90000);
+});
+
+test('void invoices are left out of the statement', () => {
+  const hiring = buildHiring();
+  invoicePlan(hiring);
+  hiring.invoices[1].status = 'Void';
+
+  const statement = hiring.getPaymentStatement(now);
+
+  assert.deepEqual(statement.milestones.map(milestone => milestone.invoiceNumber), ['HIR-TEST-INV1', null]);
+  assert.equal(statement.milestones[1].amount, 70000);
+});
+
+test('paying what was missed releases a payment hold', () => {
+  const hiring = buildHiring();
+  invoicePlan(hiring);
+  hiring.invoices[0].missedAt = now;
+  hiring.paymentHold = { heldAt: now, invoiceNumber: 'HIR-TEST-INV1', reason: 'Missed' };
+
+  hiring.settleInvoices();
+  assert.equal(hiring.getPaymentStatement(now).onHold, true);
+
+  hiring.payments.push({ amount: 30000, method: 'Other', status: 'Completed', date: now });
+  hiring.settleInvoices();
+  assert.equal(hiring.getPaymentStatement(now).onHold, false);
+});
+
+test('a hire claims its bus for every day it runs', async (t) => {
+  const acquire = t.mock.method(SeatClaim, 'acquire', async () => 'claim-1');
+  const bus = new mongoose.Types.ObjectId();
+
+  const claimId = await SeatClaim.acquireBus(bus, new Date(2026, 11, 1, 9), new Date(2026, 11, 3, 18));
+
+  assert.equal(claimId, 'claim-1');
+  const [departures] = acquire.mock.calls[0].arguments;
+  assert.deepEqual(departures.map(departure => departure.departureDate.getDate()), [1, 2, 3]);
+  assert.ok(departures.every(departure => departure.bus === bus && departure.seats.length === 1));
+});
+
+test('an approved hire of the bus blocks another over the same days', async (t) => {
+  const hiring = buildHiring();
+  hiring.bus = new mongoose.Types.ObjectId();
+  t.mock.method(Bus, 'findById', async () => ({ status: 'Active' }));
+  t.mock.method(Booking, 'find', async () => []);
+  const find = t.mock.method(Hiring, 'find', async () => [{ hiringNumber: 'HIR-OTHER' }]);
+
+  const availability = await hiring.checkBusAvailability();
+
+  assert.equal(availability.available, false);
+  assert.deepEqual(availability.conflictingHirings, ['HIR-OTHER']);
+  assert.ok(find.mock.calls[0].arguments[0].status.$in.includes('Approved'));
+});
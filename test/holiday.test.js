@@ -0,0 +1,67 @@
+const { day } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Holiday = require('../models/Holiday');
+
+test('a one-off holiday covers every day from its start to its end', () => {
+  const holiday = new Holiday({
+    name: 'Eid',
+    startDate: day('2026-03-20'),
+    endDate: day('2026-03-21')
+  });
+
+  assert.equal(holiday.coversDay(day('2026-03-19')), false);
+  assert.equal(holiday.coversDay(new Date(2026, 2, 20, 18, 30)), true);
+  assert.equal(holiday.coversDay(new Date(2026, 2, 21, 23, 59)), true);
+  assert.equal(holiday.coversDay(day('2026-03-22')), false);
+  assert.equal(holiday.coversDay(day('2027-03-20')), false);
+});
+
+test('a recurring holiday covers the same dates every year', () => {
+  const holiday = new Holiday({
+    name: 'Independence Day',
+    startDate: day('2020-10-01'),
+    endDate: day('2020-10-01'),
+    recurring: true
+  });
+
+  assert.equal(holiday.coversDay(day('2026-10-01')), true);
+  assert.equal(holiday.coversDay(day('2031-10-01')), true);
+  assert.equal(holiday.coversDay(day('2026-10-02')), false);
+});
+
+test('a recurring season may run over the new year', () => {
+  const season = new Holiday({
+    name: 'Christmas rush',
+    type: 'travel_season',
+    startDate: day('2025-12-20'),
+    endDate: day('2026-01-05'),
+    recurring: true
+  });
+
+  assert.equal(season.coversDay(day('2026-12-19')), false);
+  assert.equal(season.coversDay(day('2026-12-20')), true);
+  assert.equal(season.coversDay(day('2027-01-01')), true);
+  assert.equal(season.coversDay(day('2027-01-05')), true);
+  assert.equal(season.coversDay(day('2027-01-06')), false);
+  assert.equal(season.coversDay(day('2027-07-01')), false);
+});
+
+test('holidays are saved as whole days, one-day ones ending on their start', async () => {
+  const holiday = new Holiday({ name: 'Workers Day', startDate: new Date(2026, 4, 1, 15, 45) });
+  await holiday.validate();
+
+  assert.deepEqual(holiday.startDate, day('2026-05-01'));
+  assert.deepEqual(holiday.endDate, day('2026-05-01'));
+});
+
+test('a recurring holiday must be shorter than a year', async () => {
+  const holiday = new Holiday({
+    name: 'Too long',
+    startDate: day('2026-01-01'),
+    endDate: day('2027-01-01'),
+    recurring: true
+  });
+
+  await assert.rejects(holiday.validate(), /shorter than a year/);
+});
@@ -0,0 +1,51 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JourneyPlanner = require('../services/journeyPlanner');
+
+const buildTrip = (id, demandFare, availableSeats = 10) => ({
+  _id: id,
+  route: {},
+  demandFare,
+  checkAvailability: async () => ({ available: availableSeats > 0, availableSeats })
+});
+
+const buildItinerary = (trip, calendarFare, durationMinutes) => ({
+  departure: new Date(2026, 0, 7, 8),
+  durationMinutes,
+  transfers: 0,
+  farePerPassenger: calendarFare,
+  legs: [{ tripId: trip._id, segment: null, fare: calendarFare, trip }]
+});
+
+const buildPlanner = () => {
+  const planner = new JourneyPlanner();
+  planner.pricingEngine = {
+    loadRules: async () => [],
+    priceTrip: async ({ trip }) => ({ fare: trip.demandFare })
+  };
+  return planner;
+};
+
+test('journeys are ranked on the fares they would be booked at', async () => {
+  const planner = buildPlanner();
+  // Cheaper on the calendar, dearer once demand is priced in
+  const busy = buildItinerary(buildTrip('busy', 9000), 5000, 300);
+  const quiet = buildItinerary(buildTrip('quiet', 6000), 6000, 360);
+
+  const available = await planner._withAvailability([busy, quiet], 2);
+  const ranked = planner._rank(available, ['farePerPassenger', 'durationMinutes', 'transfers']);
+
+  assert.deepEqual(ranked.map(itinerary => itinerary.legs[0].tripId), ['quiet', 'busy']);
+  assert.deepEqual(ranked.map(itinerary => itinerary.totalFare), [12000, 18000]);
+});
+
+test('journeys without enough seats on every leg are left out', async () => {
+  const planner = buildPlanner();
+  const full = buildItinerary(buildTrip('full', 5000, 1), 5000, 300);
+  const open = buildItinerary(buildTrip('open', 6000), 6000, 360);
+
+  const available = await planner._withAvailability([full, open], 2);
+
+  assert.deepEqual(available.map(itinerary => itinerary.legs[0].tripId), ['open']);
+});
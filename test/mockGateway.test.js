@@ -0,0 +1,111 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { getPaymentGateway } = require('../services/paymentGateway');
+const MockGateway = require('../services/gateways/mockGateway');
+
+const buildGateway = (webhookSecret = 'webhook-secret') =>
+  new MockGateway({ webhookSecret, callbackBaseUrl: 'http://localhost:8081' });
+
+const signedWebhook = (body, secret = 'webhook-secret') => {
+  const rawBody = JSON.stringify(body);
+  return {
+    rawBody,
+    body,
+    headers: { 'x-mock-signature': crypto.createHmac('sha512', secret).update(rawBody).digest('hex') }
+  };
+};
+
+test('an initialised charge verifies for the amount in its reference', async () => {
+  const gateway = buildGateway();
+  const { reference } = await gateway.initialize({
+    email: 'ada@example.com',
+    amount: 2500.5,
+    metadata: { bookingId: 'BK-1' }
+  });
+
+  const verification = await gateway.verify(reference);
+
+  assert.match(reference, /^MOCK-250050-/);
+  assert.equal(verification.success, true);
+  assert.equal(verification.amount, 2500.5);
+  assert.deepEqual(verification.metadata, { bookingId: 'BK-1' });
+});
+
+test('references marked FAIL or PENDING are not paid', async () => {
+  const gateway = buildGateway();
+  await gateway.initialize({ email: 'ada@example.com', amount: 10, reference: 'MOCK-1000-FAIL' });
+  await gateway.initialize({ email: 'ada@example.com', amount: 10, reference: 'MOCK-1000-PENDING' });
+
+  assert.equal((await gateway.verify('MOCK-1000-FAIL')).status, 'failed');
+  assert.equal((await gateway.verify('MOCK-1000-PENDING')).status, 'abandoned');
+});
+
+test('webhooks are only accepted with a valid signature', () => {
+  const gateway = buildGateway();
+  const body = { event: 'charge.success', data: { reference: 'MOCK-1000-A', amount: 1000 } };
+
+  const parsed = gateway.parseWebhook(signedWebhook(body));
+  assert.equal(parsed.valid, true);
+  assert.equal(parsed.reference, 'MOCK-1000-A');
+  assert.equal(parsed.data.amount, 10);
+
+  assert.equal(gateway.parseWebhook(signedWebhook(body, 'other-secret')).valid, false);
+  assert.equal(gateway.parseWebhook({ ...signedWebhook(body), headers: { 'x-mock-signature': 'abc' } }).valid, false);
+});
+
+test('only references the gateway initialised can be verified', async () => {
+  const verification = await buildGateway().verify('MOCK-1000000-FORGED');
+
+  assert.equal(verification.success, false);
+  assert.equal(verification.found, false);
+});
+
+test('the mock needs a webhook secret', () => {
+  const gateway = buildGateway(null);
+  const body = { event: 'charge.success', data: { reference: 'MOCK-1000-A' } };
+
+  assert.equal(gateway.isConfigured(), false);
+  assert.equal(gateway.parseWebhook(signedWebhook(body, '')).valid, false);
+});
+
+test('the mock is refused in production', () => {
+  const nodeEnv = config.nodeEnv;
+  config.nodeEnv = 'production';
+  try {
+    assert.throws(() => getPaymentGateway('mock'), /cannot be used in production/);
+  } finally {
+    config.nodeEnv = nodeEnv;
+  }
+});
+
+test('client metadata cannot replace the booking or payer a payment is for', async () => {
+  const { initializePayment } = require('../controllers/paymentController');
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await initializePayment({
+    user: { id: 'user-1' },
+    body: {
+      email: 'ada@example.com',
+      amount: 100000,
+      bookingId: 'BK-1',
+      metadata: { bookingId: 'BK-2', hiringId: 'HR-1', userId: 'user-2', seat: 4 }
+    }
+  }, res);
+
+  const verification = await getPaymentGateway().verify(res.body.data.reference);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(verification.metadata, { bookingId: 'BK-1', hiringId: undefined, userId: 'user-1', seat: 4 });
+});
@@ -0,0 +1,78 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { generateTicket } = require('../utils/ticketGenerator');
+const { syncOfflineScans } = require('../controllers/ticketVerificationController');
+
+mongoose.set('bufferCommands', false);
+
+const buildBooking = (verifications = []) => new Booking({
+  bookingNumber: 'BK-SYNC',
+  user: new mongoose.Types.ObjectId(),
+  bus: new mongoose.Types.ObjectId(),
+  departureDate: new Date(),
+  totalFare: 10000,
+  status: 'Confirmed',
+  paymentStatus: 'Paid',
+  verifications
+});
+
+const buildRes = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const sync = async (scans) => {
+  const res = buildRes();
+  await syncOfflineScans({ user: { id: new mongoose.Types.ObjectId() }, body: { scans } }, res);
+  return res;
+};
+
+test('a boarding another sync records first is reported as a conflict', async (t) => {
+  const booking = buildBooking();
+  const { qrPayload } = await generateTicket(booking);
+  const boardedElsewhere = buildBooking([{ result: 'valid', verifiedAt: new Date(), scanId: 'other-device' }]);
+  boardedElsewhere._id = booking._id;
+
+  const filters = [];
+  t.mock.method(Booking, 'findById', async () => (filters.length ? boardedElsewhere : booking));
+  t.mock.method(Booking, 'findOneAndUpdate', async (filter, update) => {
+    filters.push(filter);
+    // The other device's boarding lands between this sync's read and its write
+    if (filters.length === 1) {
+      return null;
+    }
+    boardedElsewhere.verifications.push(update.$push.verifications);
+    return boardedElsewhere;
+  });
+
+  const res = await sync([{ scanId: 'this-device', qrData: qrPayload, scannedAt: new Date().toISOString() }]);
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(filters[0].verifications.$not.$elemMatch, 'a boarding is only added while there is none that day');
+  assert.equal(res.body.data.accepted.length, 0);
+  assert.equal(res.body.data.conflicts.length, 1);
+  assert.equal(res.body.data.conflicts[0].previousVerification.verifiedAt, boardedElsewhere.verifications[0].verifiedAt);
+  assert.equal(boardedElsewhere.verifications.at(-1).result, 'conflict');
+});
+
+test('a scan uploaded again is reported as a duplicate without a write', async (t) => {
+  const booking = buildBooking([{ result: 'valid', verifiedAt: new Date(), scanId: 'scan-1' }]);
+  const { qrPayload } = await generateTicket(booking);
+
+  t.mock.method(Booking, 'findById', async () => booking);
+  const update = t.mock.method(Booking, 'findOneAndUpdate', async () => booking);
+
+  const res = await sync([{ scanId: 'scan-1', qrData: qrPayload, scannedAt: new Date().toISOString() }]);
+
+  assert.equal(res.body.data.duplicates.length, 1);
+  assert.equal(update.mock.callCount(), 0);
+});
@@ -0,0 +1,182 @@
+const { saveInMemory } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PaymentService = require('../services/paymentService');
+const RefundService = require('../services/refundService');
+const { getPaymentGateway } = require('../services/paymentGateway');
+
+// Anything that reaches for the database fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+RefundService.prototype._notifyRefund = async () => {};
+
+const gateway = getPaymentGateway('mock');
+
+const buildBooking = (fields = {}) => saveInMemory(new Booking({
+  bookingNumber: 'BK-TEST',
+  totalFare: 10000,
+  status: 'Pending',
+  ...fields
+}));
+
+/**
+ * A payment service whose lookups return the given booking
+ */
+const buildService = (booking) => {
+  const service = new PaymentService(null, gateway);
+  service.findRecord = async () => ({ record: booking, recordType: 'booking' });
+  service._isReferenceRecorded = async () => false;
+  service._notify = async () => {};
+  return service;
+};
+
+const charge = (booking, reference, amount, metadata = { bookingId: String(booking._id) }) => ({
+  reference,
+  amount,
+  paymentData: { reference, metadata }
+});
+
+test('a charge is recorded once and marks the booking paid', async () => {
+  const booking = buildBooking();
+  const service = buildService(booking);
+
+  const first = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+  const repeat = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+
+  assert.equal(first.outcome, 'processed');
+  assert.equal(repeat.outcome, 'already_processed');
+  assert.equal(booking.payments.length, 1);
+  assert.equal(booking.paymentStatus, 'Paid');
+});
+
+test('part payments add up and overpayments are refused', async () => {
+  const booking = buildBooking();
+  const service = buildService(booking);
+
+  assert.equal((await service.applySuccessfulCharge(charge(booking, 'MOCK-400000-A', 4000))).outcome, 'processed');
+  assert.equal(booking.paymentStatus, 'Partially Paid');
+
+  const over = await service.applySuccessfulCharge(charge(booking, 'MOCK-700000-B', 7000));
+  assert.equal(over.outcome, 'amount_exceeds');
+  assert.equal(over.remainingAmount, 6000);
+  assert.equal(booking.payments.length, 1);
+});
+
+test('payments record the gateway that took them', async () => {
+  const booking = buildBooking();
+
+  await buildService(booking).applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+
+  assert.equal(booking.payments[0].gateway, 'Mock');
+  assert.equal(booking.payments[0].transactionId, 'MOCK-1000000-A');
+});
+
+test('a charge made for another booking is not applied', async () => {
+  const booking = buildBooking();
+  const service = buildService(booking);
+
+  const result = await service.applySuccessfulCharge(
+    charge(booking, 'MOCK-1000000-A', 10000, { bookingId: String(new mongoose.Types.ObjectId()) })
+  );
+
+  assert.equal(result.outcome, 'reference_mismatch');
+  assert.equal(booking.payments.length, 0);
+});
+
+test('a reference already recorded elsewhere is not applied again', async () => {
+  const booking = buildBooking();
+  const service = buildService(booking);
+  service._isReferenceRecorded = async () => true;
+
+  const result = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+
+  assert.equal(result.outcome, 'reference_in_use');
+  assert.equal(booking.payments.length, 0);
+});
+
+test('a concurrent delivery of the same charge starts over and finds it recorded', async () => {
+  const booking = buildBooking();
+  const service = buildService(booking);
+  const recordCharge = service._recordCharge.bind(service);
+  let attempts = 0;
+  service._recordCharge = async (record, recordType, details) => {
+    attempts += 1;
+    if (attempts === 1) {
+      // The other delivery saved first
+      await recordCharge(record, recordType, details);
+      throw new mongoose.Error.VersionError(record, 1, []);
+    }
+    return recordCharge(record, recordType, details);
+  };
+
+  const result = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+
+  assert.equal(result.outcome, 'already_processed');
+  assert.equal(attempts, 1);
+  assert.equal(booking.payments.length, 1);
+});
+
+test('a charge arriving after the booking was cancelled is refunded in full', async () => {
+  const booking = buildBooking({ status: 'Cancelled' });
+  const service = buildService(booking);
+
+  const result = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000));
+
+  assert.equal(result.outcome, 'record_cancelled');
+  assert.equal(booking.refunds.length, 1);
+  assert.equal(booking.refunds[0].amount, 10000);
+  assert.equal(booking.refunds[0].paymentReference, 'MOCK-1000000-A');
+  assert.equal(booking.refunds[0].status, 'Completed');
+  assert.match(booking.refunds[0].gatewayReference, /^MOCK-RFD-/);
+});
+
+test('a late charge is only refunded when it was made for the cancelled booking', async () => {
+  const booking = buildBooking({ status: 'Cancelled' });
+  const service = buildService(booking);
+
+  const result = await service.applySuccessfulCharge(charge(booking, 'MOCK-1000000-A', 10000, {}));
+
+  assert.equal(result.outcome, 'reference_mismatch');
+  assert.equal(booking.refunds.length, 0);
+});
+
+test('refunds are split across gateway payments, newest first', () => {
+  const booking = buildBooking({ totalFare: 15000 });
+  booking.payments.push(
+    { amount: 5000, method: 'Other', gateway: 'Mock', transactionId: 'MOCK-500000-OLD', status: 'Completed', date: new Date(2026, 0, 1) },
+    { amount: 8000, method: 'Other', gateway: 'Mock', transactionId: 'MOCK-800000-NEW', status: 'Completed', date: new Date(2026, 0, 2) },
+    { amount: 2000, method: 'Cash', gateway: 'Manual', transactionId: 'CASH-1', status: 'Completed', date: new Date(2026, 0, 3) }
+  );
+
+  const refunds = new RefundService(null).createRefunds(booking, { amount: 15000, reason: 'Trip cancelled' });
+
+  assert.deepEqual(
+    refunds.map(refund => [refund.gateway, refund.paymentReference, refund.amount]),
+    [['Mock', 'MOCK-800000-NEW', 8000], ['Mock', 'MOCK-500000-OLD', 5000], ['Manual', undefined, 2000]]
+  );
+});
+
+test('a payment is never refunded for more than what is left of it', () => {
+  const booking = buildBooking();
+  booking.payments.push({ amount: 10000, method: 'Other', gateway: 'Mock', transactionId: 'MOCK-1000000-A', status: 'Completed', date: new Date() });
+  const refundService = new RefundService(null);
+
+  refundService.createRefunds(booking, { amount: 4000, reason: 'Partial' });
+  const second = refundService.createRefunds(booking, { amount: 8000, reason: 'Rest' });
+
+  assert.deepEqual(second.map(refund => [refund.gateway, refund.amount]), [['Mock', 6000], ['Manual', 2000]]);
+});
+
+test('declined gateway refunds are scheduled for a retry', async () => {
+  const booking = buildBooking();
+  booking.payments.push({ amount: 10000, method: 'Other', gateway: 'Mock', transactionId: 'MOCK-1000000-REFUNDFAIL', status: 'Completed', date: new Date() });
+  const refundService = new RefundService(null);
+  const refunds = refundService.createRefunds(booking, { amount: 10000, reason: 'Trip cancelled' });
+
+  await refundService.processRefunds(booking, 'booking', refunds);
+
+  assert.equal(refunds[0].status, 'Failed');
+  assert.equal(refunds[0].attempts, 1);
+  assert.ok(refunds[0].nextAttemptAt > new Date());
+});
@@ -0,0 +1,50 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Route = require('../models/Route');
+const Holiday = require('../models/Holiday');
+const PricingEngine = require('../services/pricingEngine');
+
+const ordinaryDay = { isHoliday: false, isSeasonal: false, holidays: [] };
+Holiday.getPricingCalendar = async () => ordinaryDay;
+
+const buildRoute = () => new Route({
+  source: 'Lagos',
+  destination: 'Abuja',
+  distance: 700,
+  baseFare: 10000,
+  peakTimeMultiplier: 1.5,
+  weekendMultiplier: 1.2,
+  stopPoints: [{ name: 'Lokoja', distanceFromSource: 530, fare: 8000 }]
+});
+
+test('peak hours and weekends follow the departure time', () => {
+  const engine = new PricingEngine();
+  const route = buildRoute();
+  const fareAt = (date) => engine.calendarFare({ route, calendar: ordinaryDay, date });
+
+  // Wednesday and Saturday, 08:00 and 13:00 local time
+  assert.equal(fareAt(new Date(2026, 0, 7, 13)), 10000);
+  assert.equal(fareAt(new Date(2026, 0, 7, 8)), 15000);
+  assert.equal(fareAt(new Date(2026, 0, 10, 13)), 12000);
+  assert.equal(fareAt(new Date(2026, 0, 10, 8)), 18000);
+  // Without a departure time only the calendar applies
+  assert.equal(fareAt(null), 10000);
+});
+
+test('trips are priced with their peak and weekend multipliers', async () => {
+  const engine = new PricingEngine();
+  const route = buildRoute();
+  const segment = route.resolveSegment('Lagos', 'Lokoja').segment;
+
+  const pricing = await engine.priceTrip({
+    route,
+    segment,
+    departureDate: new Date(2026, 0, 10, 8),
+    rules: []
+  });
+
+  assert.equal(pricing.baseFare, 8000);
+  assert.equal(pricing.calendarFare, 14400);
+  assert.equal(pricing.fare, 14400);
+});
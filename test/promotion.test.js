@@ -0,0 +1,111 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionUsage = require('../models/PromotionUsage');
+
+const buildPromotion = (fields) => new Promotion({
+  code: 'SAVE10',
+  name: 'Save ten',
+  discountType: 'percentage',
+  discountValue: 10,
+  ...fields
+});
+
+test('percentage discounts are a share of the amount, rounded to kobo', () => {
+  assert.equal(buildPromotion().calculateDiscount(12345), 1234.5);
+  assert.equal(buildPromotion({ discountValue: 12.5 }).calculateDiscount(99.99), 12.5);
+});
+
+test('percentage discounts stop at the maximum discount', () => {
+  const promotion = buildPromotion({ discountValue: 50, maxDiscount: 2000 });
+
+  assert.equal(promotion.calculateDiscount(3000), 1500);
+  assert.equal(promotion.calculateDiscount(10000), 2000);
+});
+
+test('fixed discounts never exceed the amount', () => {
+  const promotion = buildPromotion({ discountType: 'fixed', discountValue: 1500 });
+
+  assert.equal(promotion.calculateDiscount(10000), 1500);
+  assert.equal(promotion.calculateDiscount(1000), 1000);
+});
+
+test('evaluate values a promotion the customer can use', async () => {
+  const result = await buildPromotion().evaluate({ recordType: 'booking', amount: 5000 });
+
+  assert.deepEqual(result, { valid: true, discount: 500 });
+});
+
+test('evaluate refuses promotions outside their terms', async () => {
+  const route = new mongoose.Types.ObjectId();
+  const now = new Date(2026, 5, 15);
+  const reasonFor = async (fields, options = {}) =>
+    (await buildPromotion(fields).evaluate({ recordType: 'booking', amount: 5000, now, ...options })).reason;
+
+  assert.equal(await reasonFor({ isActive: false }), 'inactive');
+  assert.equal(await reasonFor({ validFrom: new Date(2026, 6, 1) }), 'not_started');
+  assert.equal(await reasonFor({ validUntil: new Date(2026, 5, 1) }), 'expired');
+  assert.equal(await reasonFor({ appliesTo: ['hiring'] }), 'not_applicable');
+  assert.equal(await reasonFor({ routes: [route] }), 'route_not_eligible');
+  assert.equal(await reasonFor({ routes: [route] }, { route }), undefined);
+  assert.equal(await reasonFor({ busTypes: ['Luxury'] }, { busType: 'Standard' }), 'bus_type_not_eligible');
+  assert.equal(await reasonFor({ minAmount: 10000 }), 'minimum_not_met');
+});
+
+/**
+ * Stand in for the database's conditional updates on the promotion's counters
+ */
+const mockCounters = (t, promotion) => {
+  const counters = { total: 0, users: new Map() };
+
+  t.mock.method(Promotion, 'findById', () => ({ select: async () => promotion }));
+  t.mock.method(Promotion, 'findOneAndUpdate', async (filter) => {
+    const limit = filter.$or ? filter.$or[0].redemptionCount.$lt : Infinity;
+    if (counters.total >= limit) return null;
+    counters.total += 1;
+    return promotion;
+  });
+  t.mock.method(Promotion, 'updateOne', async (filter, update) => {
+    counters.total = Math.max(0, counters.total + update.$inc.redemptionCount);
+  });
+  t.mock.method(PromotionUsage, 'findOneAndUpdate', async ({ user, count }) => {
+    const used = counters.users.get(user) || 0;
+    if (count && used >= count.$lt) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    counters.users.set(user, used + 1);
+  });
+  t.mock.method(PromotionUsage, 'updateOne', async ({ user }) => {
+    counters.users.set(user, Math.max(0, (counters.users.get(user) || 0) - 1));
+  });
+
+  return counters;
+};
+
+test('uses are reserved only while under the promotion\'s limits', async (t) => {
+  const promotion = buildPromotion({ usageLimit: 2, perUserLimit: 1 });
+  const counters = mockCounters(t, promotion);
+
+  assert.deepEqual(await Promotion.reserveRedemption(promotion._id, 'ada'), { valid: true });
+
+  const again = await Promotion.reserveRedemption(promotion._id, 'ada');
+  assert.equal(again.reason, 'user_limit_reached');
+  // The refused customer's hold on the overall limit is given back
+  assert.equal(counters.total, 1);
+
+  assert.equal((await Promotion.reserveRedemption(promotion._id, 'ben')).valid, true);
+  assert.equal((await Promotion.reserveRedemption(promotion._id, 'cy')).reason, 'usage_limit_reached');
+});
+
+test('a released use can be reserved again', async (t) => {
+  const promotion = buildPromotion({ usageLimit: 1, perUserLimit: 1 });
+  const counters = mockCounters(t, promotion);
+
+  await Promotion.reserveRedemption(promotion._id, 'ada');
+  await Promotion.releaseRedemption(promotion._id, 'ada');
+
+  assert.deepEqual(counters, { total: 0, users: new Map([['ada', 0]]) });
+  assert.equal((await Promotion.reserveRedemption(promotion._id, 'ada')).valid, true);
+});
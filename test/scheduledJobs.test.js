@@ -0,0 +1,18 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobScheduler = require('../services/jobScheduler');
+const registerScheduledJobs = require('../services/scheduledJobs');
+
+test('the background sweeps run as scheduled jobs', async () => {
+  const scheduler = new JobScheduler(null);
+  const waitlistService = { processAll: async () => [{}, {}] };
+
+  registerScheduledJobs(scheduler, null, { waitlistService });
+
+  for (const name of ['seat-hold-expiry', 'booking-expiry', 'waitlist-offers', 'refund-retries']) {
+    assert.ok(scheduler.isDefined(name), `${name} is defined`);
+  }
+  // The app's waitlist service makes the offers, so its in-flight trips are shared
+  assert.deepEqual(await scheduler.definitions.get('waitlist-offers').handler(), { offered: 2 });
+});
@@ -0,0 +1,121 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  cellType,
+  deriveSeats,
+  buildSeatList,
+  validateLayout,
+  isGeneratedLayout,
+  reconcileGeneratedLayout
+} = require('../utils/seatLayout');
+
+const layout = [
+  ['DRIVER', '', '_', 'DOOR'],
+  ['A1', 'A2', '_', 'A3'],
+  ['B1', 'B2', '_', 'B3']
+];
+
+test('cellType tells seats from markers', () => {
+  assert.equal(cellType('A1'), 'seat');
+  assert.equal(cellType('_'), 'aisle');
+  assert.equal(cellType('driver'), 'driver');
+  assert.equal(cellType(''), 'empty');
+  assert.equal(cellType(' '), 'empty');
+});
+
+test('deriveSeats marks window and aisle seats', () => {
+  const seats = deriveSeats(layout);
+
+  assert.deepEqual([...seats.keys()], ['A1', 'A2', 'A3', 'B1', 'B2', 'B3']);
+  assert.deepEqual(seats.get('A1'), { row: 1, column: 0, attributes: ['window'] });
+  assert.deepEqual(seats.get('A2').attributes, ['aisle']);
+  assert.deepEqual(seats.get('A3').attributes, ['window', 'aisle']);
+});
+
+test('buildSeatList prefers saved attributes and falls back to S# seats', () => {
+  const seats = buildSeatList({
+    capacity: 6,
+    seatingArrangement: {
+      layout,
+      seats: [{ label: 'A2', attributes: ['premium'] }]
+    }
+  });
+
+  assert.deepEqual(seats.find(seat => seat.label === 'A2').attributes, ['premium']);
+  assert.deepEqual(seats.find(seat => seat.label === 'A3').attributes, ['window', 'aisle']);
+
+  const legacy = buildSeatList({ capacity: 3, seatingArrangement: {} });
+  assert.deepEqual(legacy.map(seat => seat.label), ['S1', 'S2', 'S3']);
+});
+
+test('buildSeatList gives seats their saved class, Standard by default', () => {
+  const seats = buildSeatList({
+    capacity: 6,
+    seatingArrangement: {
+      layout,
+      seats: [{ label: 'A2', attributes: ['premium'], seatClass: 'VIP' }]
+    }
+  });
+
+  assert.equal(seats.find(seat => seat.label === 'A2').seatClass, 'VIP');
+  assert.equal(seats.find(seat => seat.label === 'B1').seatClass, 'Standard');
+  assert.equal(buildSeatList({ capacity: 1, seatingArrangement: {} })[0].seatClass, 'Standard');
+});
+
+test('validateLayout accepts a layout matching the capacity', () => {
+  assert.deepEqual(validateLayout({ layout, seats: [{ label: 'A1', attributes: ['premium'] }], capacity: 6 }), []);
+});
+
+test('validateLayout reports shape, label and capacity problems', () => {
+  assert.deepEqual(validateLayout({ layout: [] }), ['Layout must be a non-empty array of rows']);
+
+  const errors = validateLayout({
+    layout: [['A1', 'a1'], ['B 1']],
+    capacity: 4
+  });
+  assert.ok(errors.includes('Every layout row must have 2 cells'));
+  assert.ok(errors.some(error => error.includes('"B 1" may only contain')));
+  assert.ok(errors.includes('Seat labels must be unique: a1'));
+  assert.ok(errors.includes('Layout has 3 seats but the bus capacity is 4'));
+});
+
+test('validateLayout checks seat descriptions against the layout', () => {
+  const errors = validateLayout({
+    layout,
+    seats: [
+      { label: 'Z9', attributes: [] },
+      { label: 'A2', attributes: ['wide'] },
+      { label: 'A2', attributes: [] }
+    ]
+  });
+
+  assert.ok(errors.includes('Seat "Z9" is not in the layout'));
+  assert.ok(errors.some(error => error.startsWith('Seat "A2" has unknown attributes: wide')));
+  assert.ok(errors.includes('Seat "A2" is described more than once'));
+});
+
+test('validateLayout checks seat classes', () => {
+  assert.deepEqual(validateLayout({ layout, seats: [{ label: 'A1', seatClass: 'Front Row' }] }), []);
+
+  const errors = validateLayout({ layout, seats: [{ label: 'A1', seatClass: 'Luxury' }] });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Seat "A1" has an unknown class "Luxury"/);
+});
+
+test('isGeneratedLayout only recognises the grid made at bus creation', () => {
+  assert.equal(isGeneratedLayout([['A1', 'A2'], ['B1', '']]), true);
+  assert.equal(isGeneratedLayout(layout), false);
+  assert.equal(isGeneratedLayout([]), false);
+});
+
+test('reconcileGeneratedLayout fits the grid to the capacity', () => {
+  assert.deepEqual(
+    reconcileGeneratedLayout([['A1', 'A2'], ['B1', 'B2']], 5),
+    [['A1', 'A2'], ['B1', 'B2'], ['C1', '']]
+  );
+  assert.deepEqual(
+    reconcileGeneratedLayout([['A1', 'A2'], ['B1', 'B2']], 3, { legacyLabels: true }),
+    [['S1', 'S2'], ['S3', '']]
+  );
+});
@@ -0,0 +1,83 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentRange, segmentsOverlap } = require('../utils/segments');
+const Route = require('../models/Route');
+
+const buildRoute = () => new Route({
+  source: 'Lagos',
+  destination: 'Abuja',
+  distance: 700,
+  baseFare: 14000,
+  stopPoints: [
+    { name: 'Ibadan', distanceFromSource: 140, fare: 3000 },
+    { name: 'Ilorin', distanceFromSource: 300 },
+    { name: 'Lokoja', distanceFromSource: 530, fare: 11000 }
+  ]
+});
+
+test('a missing segment covers the whole route', () => {
+  assert.deepEqual(segmentRange(undefined), { fromKm: 0, toKm: Infinity });
+  assert.deepEqual(segmentRange({ fromKm: 10, toKm: 50 }), { fromKm: 10, toKm: 50 });
+});
+
+test('segments overlap only when they share part of the route', () => {
+  const lagosIbadan = { fromKm: 0, toKm: 140 };
+  const ibadanLokoja = { fromKm: 140, toKm: 530 };
+  const ilorinAbuja = { fromKm: 300, toKm: 700 };
+
+  // A seat freed at a stop can be resold from it
+  assert.equal(segmentsOverlap(lagosIbadan, ibadanLokoja), false);
+  assert.equal(segmentsOverlap(ibadanLokoja, ilorinAbuja), true);
+  assert.equal(segmentsOverlap(lagosIbadan, ilorinAbuja), false);
+  assert.equal(segmentsOverlap(null, ilorinAbuja), true);
+  assert.equal(segmentsOverlap(null, null), true);
+});
+
+test('resolveSegment finds the stops whatever their case', () => {
+  const { segment, error } = buildRoute().resolveSegment(' ibadan', 'LOKOJA');
+
+  assert.equal(error, undefined);
+  assert.deepEqual(segment, { from: 'Ibadan', to: 'Lokoja', fromKm: 140, toKm: 530 });
+});
+
+test('resolveSegment defaults to the route ends', () => {
+  const { segment } = buildRoute().resolveSegment(undefined, 'Ilorin');
+
+  assert.deepEqual(segment, { from: 'Lagos', to: 'Ilorin', fromKm: 0, toKm: 300 });
+});
+
+test('resolveSegment rejects unknown and backwards stops', () => {
+  const route = buildRoute();
+
+  assert.match(route.resolveSegment('Kano', 'Abuja').error, /Kano is not a stop/);
+  assert.match(route.resolveSegment('Lokoja', 'Ibadan').error, /must come after/);
+  assert.match(route.resolveSegment('Ibadan', 'Ibadan').error, /must come after/);
+});
+
+test('getSegmentFare is the difference between the stop fares', () => {
+  const route = buildRoute();
+
+  assert.equal(route.getSegmentFare({ from: 'Ibadan', to: 'Lokoja' }), 8000);
+  assert.equal(route.getSegmentFare({ from: 'Lokoja', to: 'Abuja' }), 3000);
+});
+
+test('getSegmentFare prices stops without a fare by distance', () => {
+  const route = buildRoute();
+
+  // Ilorin is 300 of 700 km: 14000 * 300 / 700 = 6000
+  assert.equal(route.getSegmentFare({ from: 'Lagos', to: 'Ilorin' }), 6000);
+  assert.equal(route.getSegmentFare({ from: 'Ibadan', to: 'Ilorin' }), 3000);
+});
+
+test('getSegmentFare falls back to distance when stop fares are inconsistent', () => {
+  const route = buildRoute();
+  route.stopPoints[2].fare = 2000;
+
+  // Ibadan (3000) to Lokoja (2000) would be negative: 14000 * 390 / 700
+  assert.equal(route.getSegmentFare({ from: 'Ibadan', to: 'Lokoja' }), 7800);
+});
+
+test('getSegmentFare charges the base fare for unknown stops', () => {
+  assert.equal(buildRoute().getSegmentFare({ from: 'Kano', to: 'Abuja' }), 14000);
+});
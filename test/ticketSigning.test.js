@@ -0,0 +1,147 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../config/config');
+const signing = require('../utils/ticketSigning');
+
+const withKeys = (keys, activeKeyId, run) => {
+  const previous = { ...config.ticketSigning };
+  config.ticketSigning.keys = keys;
+  config.ticketSigning.activeKeyId = activeKeyId;
+  try {
+    run();
+  } finally {
+    Object.assign(config.ticketSigning, previous);
+  }
+};
+
+test('signed fields verify and round-trip', () => {
+  const token = signing.signFields(['BK-1', 'S4', '2026-01-05']);
+  const result = signing.verifyFields(token);
+
+  assert.match(token, /^IBT1\.default\./);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.fields, ['BK-1', 'S4', '2026-01-05']);
+});
+
+test('tampered tokens are rejected', () => {
+  const [version, keyId, , signature] = signing.signFields(['BK-1', 'S4']).split('.');
+  const forged = Buffer.from('BK-1|S5').toString('base64url');
+
+  assert.deepEqual(signing.verifyFields(`${version}.${keyId}.${forged}.${signature}`), {
+    valid: false,
+    reason: 'invalid_signature'
+  });
+  assert.equal(signing.verifyFields('BK-1').reason, 'unsigned');
+  assert.equal(signing.verifyFields(null).reason, 'unsigned');
+});
+
+test('tokens naming a key outside the keyring are rejected', () => {
+  const [version, , payload, signature] = signing.signFields(['BK-1']).split('.');
+
+  for (const keyId of ['retired', 'constructor', '__proto__', 'toString']) {
+    assert.equal(signing.verifyFields(`${version}.${keyId}.${payload}.${signature}`).reason, 'unknown_key');
+  }
+});
+
+test('retired keys still verify while they stay in the keyring', () => {
+  let token;
+  withKeys({ old: 'old-secret' }, 'old', () => {
+    token = signing.signFields(['BK-2']);
+  });
+
+  withKeys({ new: 'new-secret', old: 'old-secret' }, 'new', () => {
+    assert.equal(signing.verifyFields(token).keyId, 'old');
+    assert.match(signing.signFields(['BK-3']), /^IBT1\.new\./);
+  });
+
+  withKeys({ new: 'new-secret' }, 'new', () => {
+    assert.equal(signing.verifyFields(token).reason, 'unknown_key');
+  });
+});
+
+test('signing with an active key missing from the keyring fails', () => {
+  withKeys({ new: 'new-secret' }, 'missing', () => {
+    assert.throws(() => signing.signFields(['BK-4']), /not configured/);
+  });
+});
+
+const ed25519Key = () => crypto
+  .generateKeyPairSync('ed25519')
+  .privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const withManifestKeys = (keys, activeKeyId, run) => {
+  const previous = { ...config.ticketSigning };
+  config.ticketSigning.manifestKeys = keys;
+  config.ticketSigning.manifestActiveKeyId = activeKeyId;
+  try {
+    run();
+  } finally {
+    Object.assign(config.ticketSigning, previous);
+  }
+};
+
+const publicKeyFor = (keyId) =>
+  crypto.createPublicKey(signing.getManifestPublicKeys().find(key => key.keyId === keyId).publicKey);
+
+test('manifests verify with the published public key', () => {
+  const manifest = { trip: 'TRIP-1', tickets: [{ bookingNumber: 'BK-1', seats: ['S4'] }] };
+  const signed = signing.signDocument(manifest);
+  const verify = (payload) =>
+    crypto.verify(null, Buffer.from(payload), publicKeyFor(signed.keyId), Buffer.from(signed.signature, 'base64url'));
+
+  assert.equal(signed.algorithm, 'Ed25519');
+  assert.equal(signed.keyId, 'default');
+  assert.deepEqual(JSON.parse(Buffer.from(signed.payload, 'base64url').toString('utf8')), manifest);
+  assert.equal(verify(signed.payload), true);
+
+  const forged = Buffer.from(JSON.stringify({ ...manifest, tickets: [] })).toString('base64url');
+  assert.equal(verify(forged), false);
+});
+
+test('public tokens verify with the published key their kid names', () => {
+  const token = signing.signPublicFields(['BK-1', 'S4']);
+
+  assert.equal(signing.isPublicToken(token), true);
+  assert.match(token, /^IBT2\.default\./);
+  assert.deepEqual(signing.verifyPublicFields(token).fields, ['BK-1', 'S4']);
+
+  // What a conductor device does offline
+  const [version, keyId, payload, signature] = token.split('.');
+  assert.equal(
+    crypto.verify(null, Buffer.from(`${version}.${keyId}.${payload}`), publicKeyFor(keyId), Buffer.from(signature, 'base64url')),
+    true
+  );
+
+  const forged = Buffer.from('BK-1|S5').toString('base64url');
+  assert.equal(signing.verifyPublicFields(`${version}.${keyId}.${forged}.${signature}`).reason, 'invalid_signature');
+  assert.equal(signing.verifyPublicFields(`${version}.constructor.${payload}.${signature}`).reason, 'unknown_key');
+});
+
+test('rotated manifest keys keep verifying and are all published', () => {
+  const oldKey = ed25519Key();
+  const newKey = ed25519Key();
+  let token;
+  withManifestKeys({ old: oldKey }, 'old', () => {
+    token = signing.signPublicFields(['BK-2']);
+  });
+
+  withManifestKeys({ new: newKey, old: oldKey }, 'new', () => {
+    assert.equal(signing.verifyPublicFields(token).keyId, 'old');
+    assert.match(signing.signPublicFields(['BK-3']), /^IBT2\.new\./);
+    assert.equal(signing.signDocument({}).keyId, 'new');
+    assert.deepEqual(
+      signing.getManifestPublicKeys().map(({ keyId, active }) => [keyId, active]),
+      [['new', true], ['old', false]]
+    );
+  });
+
+  withManifestKeys({ new: newKey }, 'new', () => {
+    assert.equal(signing.verifyPublicFields(token).reason, 'unknown_key');
+  });
+
+  withManifestKeys({ new: newKey }, 'missing', () => {
+    assert.throws(() => signing.signPublicFields(['BK-4']), /not configured/);
+  });
+});
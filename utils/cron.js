@@ -0,0 +1,144 @@
+/**
+ * Minimal five-field cron expressions: minute hour day-of-month month day-of-week
+ * Supports "*", numbers, ranges ("1-5"), lists ("1,15") and steps ("*\/10", "8-18/2").
+ * Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Give up looking for a matching time after this many days
+const MAX_LOOKAHEAD_DAYS = 366 * 4;
+
+/**
+ * Helper function to expand one cron field into the set of values it matches
+ */
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseInt(value, 10));
+    } else {
+      start = parseInt(range, 10);
+      end = stepText === undefined ? start : max;
+    }
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field "${expression}" in cron expression`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Five-field cron expression
+ * @returns {Object} - Sets of matching values per field
+ */
+exports.parse = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.restrictDayOfMonth = parts[2] !== '*';
+  schedule.restrictDayOfWeek = parts[4] !== '*';
+
+  return schedule;
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {String} expression - Cron expression
+ * @returns {Boolean}
+ */
+exports.isValid = (expression) => {
+  try {
+    exports.parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Helper function to test the day fields against a date
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.restrictDayOfMonth && schedule.restrictDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Find the next time after `from` that matches a cron expression
+ * @param {String} expression - Cron expression
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date} - Next matching time
+ */
+exports.nextRun = (expression, from = new Date()) => {
+  const schedule = exports.parse(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setDate(limit.getDate() + MAX_LOOKAHEAD_DAYS);
+
+  while (date <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+};
@@ -0,0 +1,69 @@
+/**
+ * Small geographic helpers for positions given as { latitude, longitude }.
+ * Distances are in kilometres.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {Number} - Distance in km
+ */
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Project a point onto the straight segment between two points
+ * Uses a local flat approximation, which is accurate for road-length segments
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @returns {Object} - { fraction (0-1 along the segment), distanceKm (from the segment) }
+ */
+const projectOntoSegment = (point, start, end) => {
+  const cosLat = Math.cos(toRadians((start.latitude + end.latitude) / 2));
+  const toXY = (p) => ({
+    x: toRadians(p.longitude) * cosLat * EARTH_RADIUS_KM,
+    y: toRadians(p.latitude) * EARTH_RADIUS_KM
+  });
+
+  const p = toXY(point);
+  const a = toXY(start);
+  const b = toXY(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  const fraction = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+
+  return {
+    fraction,
+    distanceKm: Math.hypot(p.x - (a.x + fraction * dx), p.y - (a.y + fraction * dy))
+  };
+};
+
+/**
+ * Check that a value looks like a usable position
+ * @param {Object} point - Candidate { latitude, longitude }
+ * @returns {Boolean}
+ */
+const isValidPoint = (point) => Boolean(point) &&
+  Number.isFinite(point.latitude) && Number.isFinite(point.longitude) &&
+  Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+
+module.exports = {
+  distanceKm,
+  projectOntoSegment,
+  isValidPoint
+};
@@ -0,0 +1,230 @@
+/**
+ * Helpers for a bus seating layout.
+ * A layout is a grid of rows (front to back) where each cell is either a
+ * seat label customers see (e.g. "A1") or one of the markers below.
+ * Buses without a layout fall back to seats labelled S1..S<capacity>.
+ */
+
+// Cell values that are not seats
+const CELL_MARKERS = {
+  '': 'empty',
+  '_': 'aisle',
+  'DRIVER': 'driver',
+  'DOOR': 'door'
+};
+
+const SEAT_ATTRIBUTES = ['window', 'aisle', 'premium', 'accessible', 'blocked'];
+
+// Classes a seat can be sold in; routes set a surcharge for each non-standard class
+const SEAT_CLASSES = ['Standard', 'Front Row', 'Extra Legroom', 'VIP'];
+
+const SEAT_LABEL_PATTERN = /^[A-Za-z0-9-]{1,10}$/;
+
+/**
+ * Helper function to tell what a layout cell holds
+ * @param {String} cell - Cell value
+ * @returns {String} - 'seat', or the marker type
+ */
+const cellType = (cell) => {
+  const value = typeof cell === 'string' ? cell.trim() : '';
+  return CELL_MARKERS[value.toUpperCase()] || CELL_MARKERS[value] || 'seat';
+};
+
+/**
+ * Helper function to work out window/aisle attributes from seat positions
+ * A window seat is at either edge of its row; an aisle seat sits next to an aisle
+ * @param {Array} layout - Layout grid
+ * @returns {Map} - Seat label => { row, column, attributes }
+ */
+const deriveSeats = (layout) => {
+  const seats = new Map();
+  (layout || []).forEach((row, rowIndex) => {
+    row.forEach((cell, columnIndex) => {
+      if (cellType(cell) !== 'seat') return;
+
+      const attributes = [];
+      if (columnIndex === 0 || columnIndex === row.length - 1) {
+        attributes.push('window');
+      }
+      const neighbours = [row[columnIndex - 1], row[columnIndex + 1]];
+      if (neighbours.some(neighbour => neighbour !== undefined && cellType(neighbour) === 'aisle')) {
+        attributes.push('aisle');
+      }
+
+      seats.set(cell.trim(), { row: rowIndex, column: columnIndex, attributes });
+    });
+  });
+  return seats;
+};
+
+/**
+ * Build the list of seats on a bus with their attributes
+ * Attributes saved for a seat replace the ones worked out from its position
+ * @param {Object} bus - Bus document
+ * @returns {Array} - [{ label, row, column, attributes, seatClass }]
+ */
+const buildSeatList = (bus) => {
+  const arrangement = bus.seatingArrangement || {};
+  const derived = deriveSeats(arrangement.layout);
+
+  if (derived.size === 0) {
+    return Array.from({ length: bus.capacity || 0 }, (_, index) => ({
+      label: `S${index + 1}`,
+      row: null,
+      column: null,
+      attributes: [],
+      seatClass: 'Standard'
+    }));
+  }
+
+  const saved = new Map((arrangement.seats || []).map(seat => [seat.label, seat]));
+  return Array.from(derived, ([label, seat]) => ({
+    label,
+    row: seat.row,
+    column: seat.column,
+    attributes: saved.has(label) ? [...saved.get(label).attributes] : seat.attributes,
+    seatClass: (saved.has(label) && saved.get(label).seatClass) || 'Standard'
+  }));
+};
+
+/**
+ * Check a layout and seat attributes before saving them
+ * @param {Object} options - { layout, seats, capacity }
+ * @returns {Array} - Error messages; empty when the layout is valid
+ */
+const validateLayout = ({ layout, seats = [], capacity }) => {
+  const errors = [];
+
+  if (!Array.isArray(layout) || layout.length === 0 || !layout.every(Array.isArray)) {
+    return ['Layout must be a non-empty array of rows'];
+  }
+
+  const width = layout[0].length;
+  if (width === 0) {
+    errors.push('Layout rows must have at least one cell');
+  }
+  if (layout.some(row => row.length !== width)) {
+    errors.push(`Every layout row must have ${width} cells`);
+  }
+
+  const labels = new Set();
+  const normalisedLabels = new Set();
+  const duplicates = new Set();
+  layout.forEach((row, rowIndex) => {
+    row.forEach((cell, columnIndex) => {
+      if (typeof cell !== 'string') {
+        errors.push(`Cell ${rowIndex + 1}:${columnIndex + 1} must be a string`);
+        return;
+      }
+      if (cellType(cell) !== 'seat') return;
+
+      const label = cell.trim();
+      if (!SEAT_LABEL_PATTERN.test(label)) {
+        errors.push(`Seat label "${label}" may only contain letters, numbers and dashes (up to 10)`);
+      }
+      // Labels differing only in case would confuse customers
+      const key = label.toUpperCase();
+      if (normalisedLabels.has(key)) {
+        duplicates.add(label);
+      }
+      normalisedLabels.add(key);
+      labels.add(label);
+    });
+  });
+
+  if (duplicates.size > 0) {
+    errors.push(`Seat labels must be unique: ${Array.from(duplicates).join(', ')}`);
+  }
+
+  if (capacity !== undefined && labels.size !== capacity) {
+    errors.push(`Layout has ${labels.size} seats but the bus capacity is ${capacity}`);
+  }
+
+  if (!Array.isArray(seats)) {
+    errors.push('Seats must be an array');
+    return errors;
+  }
+
+  const described = new Set();
+  seats.forEach(seat => {
+    const label = seat && typeof seat.label === 'string' ? seat.label.trim() : '';
+    if (!labels.has(label)) {
+      errors.push(`Seat "${label}" is not in the layout`);
+      return;
+    }
+    if (described.has(label)) {
+      errors.push(`Seat "${label}" is described more than once`);
+    }
+    described.add(label);
+
+    if (seat.seatClass !== undefined && !SEAT_CLASSES.includes(seat.seatClass)) {
+      errors.push(`Seat "${label}" has an unknown class "${seat.seatClass}". Allowed: ${SEAT_CLASSES.join(', ')}`);
+    }
+
+    // Attributes may be left out to keep the ones worked out from the layout
+    if (seat.attributes === undefined) return;
+    if (!Array.isArray(seat.attributes)) {
+      errors.push(`Attributes for seat "${label}" must be an array`);
+      return;
+    }
+    const unknown = seat.attributes.filter(attribute => !SEAT_ATTRIBUTES.includes(attribute));
+    if (unknown.length > 0) {
+      errors.push(`Seat "${label}" has unknown attributes: ${unknown.join(', ')}. Allowed: ${SEAT_ATTRIBUTES.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Helper function to tell whether a layout is the grid bus creation
+ * generated from rows and columns (A1, A2, ... B1, B2, ...), rather than one
+ * an admin drew
+ * @param {Array} layout - Layout grid
+ * @returns {Boolean}
+ */
+const isGeneratedLayout = (layout) => {
+  if (!Array.isArray(layout) || layout.length === 0) return false;
+  return layout.every((row, rowIndex) => row.every((cell, columnIndex) =>
+    cell === '' || cell === String.fromCharCode(65 + rowIndex) + (columnIndex + 1)
+  ));
+};
+
+/**
+ * Rebuild a generated grid so it has exactly capacity seats, filled front to
+ * back and left to right; rows are added when the grid is too small and the
+ * cells past capacity are left empty
+ * Bookings made before buses had layouts are on seats S1..S<capacity>; with
+ * legacyLabels the seats take those labels so the bookings keep their seats
+ * @param {Array} layout - Generated layout grid
+ * @param {Number} capacity - Bus capacity
+ * @param {Object} options - { legacyLabels }
+ * @returns {Array} - Layout grid
+ */
+const reconcileGeneratedLayout = (layout, capacity, { legacyLabels = false } = {}) => {
+  const columns = Math.max(1, layout[0].length);
+  const rows = Math.max(layout.length, Math.ceil(capacity / columns));
+  let seatCount = 0;
+
+  return Array.from({ length: rows }, (_, rowIndex) =>
+    Array.from({ length: columns }, (_, columnIndex) => {
+      seatCount++;
+      if (seatCount > capacity) return '';
+      return legacyLabels
+        ? `S${seatCount}`
+        : String.fromCharCode(65 + rowIndex) + (columnIndex + 1);
+    })
+  );
+};
+
+module.exports = {
+  CELL_MARKERS,
+  SEAT_ATTRIBUTES,
+  SEAT_CLASSES,
+  cellType,
+  deriveSeats,
+  buildSeatList,
+  validateLayout,
+  isGeneratedLayout,
+  reconcileGeneratedLayout
+};
@@ -0,0 +1,37 @@
+/**
+ * Helpers for the part of a route a booking or hold occupies a seat on.
+ * A segment is { from, to, fromKm, toKm } with distances measured from the
+ * route's source. Bookings without a segment occupy the whole route.
+ * Ranges are half-open, so a seat freed at a stop can be resold from it.
+ */
+
+const FULL_ROUTE = { fromKm: 0, toKm: Infinity };
+
+/**
+ * Helper function to get the distance range a segment covers
+ * @param {Object} segment - Segment, or nothing for the whole route
+ * @returns {Object} - { fromKm, toKm }
+ */
+const segmentRange = (segment) => {
+  if (!segment || !Number.isFinite(segment.fromKm) || !Number.isFinite(segment.toKm)) {
+    return FULL_ROUTE;
+  }
+  return { fromKm: segment.fromKm, toKm: segment.toKm };
+};
+
+/**
+ * Check whether two segments share any part of the route
+ * @param {Object} a - Segment, or nothing for the whole route
+ * @param {Object} b - Segment, or nothing for the whole route
+ * @returns {Boolean}
+ */
+const segmentsOverlap = (a, b) => {
+  const first = segmentRange(a);
+  const second = segmentRange(b);
+  return first.fromKm < second.toKm && second.fromKm < first.toKm;
+};
+
+module.exports = {
+  segmentRange,
+  segmentsOverlap
+};
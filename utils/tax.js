@@ -0,0 +1,20 @@
+/**
+ * Tax on fares and hire costs, charged on the amount left after discounts
+ * at the rate set by FARE_TAX_RATE_PERCENT.
+ */
+const config = require('../config/config');
+
+/**
+ * Work out the tax on an amount
+ * @param {Number} amount - Taxable amount
+ * @returns {Object} - { name, ratePercent, amount }
+ */
+const calculateTax = (amount) => {
+  const { name, ratePercent } = config.fareTax;
+  const tax = amount > 0 ? Math.round(amount * ratePercent) / 100 : 0;
+  return { name, ratePercent, amount: tax };
+};
+
+module.exports = {
+  calculateTax
+};
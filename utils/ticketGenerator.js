@@ -1,6 +1,10 @@
 const QRCode = require('qrcode');
 const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
+const { signPublicFields, verifyFields, verifyPublicFields, isPublicToken } = require('./ticketSigning');
+
+// Single-letter record type codes used inside the signed QR payload
+const TYPE_CODES = { booking: 'b', hiring: 'h' };
 
 /**
  * Generate a ticket for booking or hiring
@@ -24,8 +28,17 @@ exports.generateTicket = async (data, type = 'booking') => {
       status: data.status
     };
 
+    // Only the fields needed to look the record up are signed into the QR,
+    // with the manifest key so conductor devices can check it offline
+    const qrPayload = signPublicFields([
+      TYPE_CODES[type],
+      data._id,
+      ticketId,
+      Math.floor(Date.now() / 1000).toString(36)
+    ]);
+
     // Generate QR code
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(verificationData), {
+    const qrCodeDataURL = await QRCode.toDataURL(qrPayload, {
       errorCorrectionLevel: 'M',
       type: 'image/png',
       quality: 0.92,
@@ -38,6 +51,7 @@ exports.generateTicket = async (data, type = 'booking') => {
       ticketId,
       type,
       qrCode: qrCodeDataURL,
+      qrPayload,
       verificationData,
       generatedAt: new Date(),
       ...getTicketDetails(data, type)
@@ -65,6 +79,8 @@ function getTicketDetails(data, type) {
       bookingType: data.bookingType,
       passengers: data.passengers,
       selectedSeats: data.selectedSeats,
+      segment: data.segment && data.segment.from ? data.segment : undefined,
+      seatCharges: data.seatCharges || [],
       totalFare: data.totalFare,
       paymentStatus: data.paymentStatus,
       status: data.status,
@@ -173,6 +189,11 @@ exports.generateTicketPDF = async (ticketData) => {
         
         doc.text(`Route: ${ticketData.route?.source || ticketData.startLocation} → ${ticketData.route?.destination || ticketData.endLocation}`, 50, currentY);
         currentY += 15;
+
+        if (ticketData.segment) {
+          doc.text(`Board at: ${ticketData.segment.from}  |  Alight at: ${ticketData.segment.to}`, 50, currentY);
+          currentY += 15;
+        }
         
         doc.text(`Departure: ${new Date(ticketData.departureDate).toLocaleString()}`, 50, currentY);
         currentY += 15;
@@ -191,6 +212,12 @@ exports.generateTicketPDF = async (ticketData) => {
         doc.text(`Passengers: ${ticketData.passengers?.length || 1}`, 50, currentY);
         currentY += 15;
         
+        const seatSurcharges = (ticketData.seatCharges || []).reduce((total, charge) => total + charge.surcharge, 0);
+        if (seatSurcharges > 0) {
+          doc.text(`Seat Surcharges: ₦${seatSurcharges.toLocaleString()}`, 50, currentY);
+          currentY += 15;
+        }
+        
         doc.text(`Total Fare: ₦${ticketData.totalFare?.toLocaleString() || '0'}`, 50, currentY);
       } else {
         doc.fontSize(10)
@@ -250,8 +277,13 @@ exports.generateTicketPDF = async (ticketData) => {
 
         currentY += 20;
         ticketData.passengers.forEach((passenger, index) => {
+          // Premium seats show their class and surcharge
+          const charge = (ticketData.seatCharges || []).find(
+            c => c.leg === 'outbound' && c.seatNumber === passenger.seatNumber
+          );
+          const seatClass = charge ? ` (${charge.seatClass}, +₦${charge.surcharge.toLocaleString()})` : '';
           doc.fontSize(10)
-             .text(`${index + 1}. ${passenger.name} - Seat ${passenger.seatNumber}`, 50, currentY);
+             .text(`${index + 1}. ${passenger.name} - Seat ${passenger.seatNumber}${seatClass}`, 50, currentY);
           currentY += 15;
         });
       }
@@ -273,32 +305,48 @@ exports.generateTicketPDF = async (ticketData) => {
 
 /**
  * Verify ticket using QR code data
+ * Only QR codes signed by this server are accepted; tickets issued before
+ * they were signed with the manifest key still verify against the keyring
  * @param {String} qrData - QR code string data
  * @returns {Object} - Verification result
  */
 exports.verifyTicket = async (qrData) => {
-  try {
-    const verificationData = JSON.parse(qrData);
-    
-    // Basic validation
-    if (!verificationData.ticketId || !verificationData.type || !verificationData.id) {
-      return {
-        valid: false,
-        message: 'Invalid ticket data'
-      };
-    }
+  const result = isPublicToken(qrData) ? verifyPublicFields(qrData) : verifyFields(qrData);
+
+  if (!result.valid) {
+    const messages = {
+      unsigned: 'Ticket is not signed. Please present a ticket issued by the app',
+      unknown_key: 'Ticket was signed with an unknown or retired key',
+      invalid_signature: 'Ticket signature is invalid'
+    };
 
-    // Here you would typically check against database to verify the ticket is genuine
-    // For now, we'll do basic structure validation
     return {
-      valid: true,
-      data: verificationData,
-      message: 'Ticket is valid'
+      valid: false,
+      reason: result.reason,
+      message: messages[result.reason]
     };
-  } catch (error) {
+  }
+
+  const [typeCode, id, ticketId, issuedAt] = result.fields;
+  const type = Object.keys(TYPE_CODES).find(key => TYPE_CODES[key] === typeCode);
+
+  if (!type || !id || !ticketId) {
     return {
       valid: false,
-      message: 'Invalid QR code format'
+      reason: 'invalid_payload',
+      message: 'Invalid ticket data'
     };
   }
+
+  return {
+    valid: true,
+    data: {
+      ticketId,
+      type,
+      id,
+      issuedAt: new Date(parseInt(issuedAt, 36) * 1000),
+      keyId: result.keyId
+    },
+    message: 'Ticket is valid'
+  };
 };
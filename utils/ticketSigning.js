@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Prefix identifying the signed token format, bumped if the layout changes
+const TOKEN_VERSION = 'IBT1';
+// Tokens signed with the manifest key, which conductor devices can check offline
+const PUBLIC_TOKEN_VERSION = 'IBT2';
+// HMAC-SHA256 truncated to 128 bits keeps the QR small while staying unforgeable
+const SIGNATURE_BYTES = 16;
+
+/**
+ * Helper function to build the signing keyring from config
+ * Falls back to a key derived from the JWT secret when no ticket keys are set
+ * @returns {Object} - { activeKeyId, keys: { kid: secret } }
+ */
+const getKeyring = () => {
+  const { keys, activeKeyId } = config.ticketSigning;
+
+  if (Object.keys(keys).length > 0) {
+    return {
+      activeKeyId: activeKeyId || Object.keys(keys)[0],
+      keys
+    };
+  }
+
+  if (!config.jwtSecret) {
+    throw new Error('No ticket signing key configured');
+  }
+
+  const derivedKey = crypto
+    .createHmac('sha256', config.jwtSecret)
+    .update('ticket-signing')
+    .digest('hex');
+
+  return {
+    activeKeyId: 'default',
+    keys: { default: derivedKey }
+  };
+};
+
+/**
+ * Helper function to compute the truncated signature of a token body
+ */
+const computeSignature = (secret, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(body)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+};
+
+/**
+ * Sign a list of string fields into a compact token only this server can check
+ * Used for fare quote IDs; tickets are signed with signPublicFields
+ * Format: IBT1.<kid>.<base64url fields>.<base64url signature>
+ * @param {Array<String>} fields - Values to sign (must not contain "|")
+ * @returns {String} - Signed token
+ */
+exports.signFields = (fields) => {
+  const { activeKeyId, keys } = getKeyring();
+  if (!Object.hasOwn(keys, activeKeyId)) {
+    throw new Error(`Ticket signing key "${activeKeyId}" is not configured`);
+  }
+
+  const payload = Buffer.from(fields.map(String).join('|')).toString('base64url');
+  const body = `${TOKEN_VERSION}.${activeKeyId}.${payload}`;
+
+  return `${body}.${computeSignature(keys[activeKeyId], body)}`;
+};
+
+/**
+ * Verify a compact token and return its fields
+ * Tokens signed with any key still in the keyring are accepted, so
+ * retired keys can stay configured until their tickets have been used
+ * @param {String} token - Signed token
+ * @returns {Object} - { valid, fields, keyId } or { valid: false, reason }
+ */
+exports.verifyFields = (token) => {
+  if (typeof token !== 'string') {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  const [version, keyId, payload, signature] = parts;
+  const { keys } = getKeyring();
+  // Only the keyring's own keys, never inherited properties such as "constructor"
+  const secret = Object.hasOwn(keys, keyId) ? keys[keyId] : undefined;
+
+  if (!secret) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, `${version}.${keyId}.${payload}`));
+  const provided = Buffer.from(signature);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return {
+    valid: true,
+    keyId,
+    fields: Buffer.from(payload, 'base64url').toString('utf8').split('|')
+  };
+};
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Helper function to build the Ed25519 keyring for offline tickets and manifests
+ * Falls back to a key derived from the JWT secret when none are configured
+ * @returns {Object} - { activeKeyId, keys: { kid: private KeyObject } }
+ */
+const getManifestKeyring = () => {
+  const { manifestKeys, manifestActiveKeyId } = config.ticketSigning;
+
+  if (Object.keys(manifestKeys).length > 0) {
+    const keys = {};
+    Object.entries(manifestKeys).forEach(([keyId, pem]) => {
+      keys[keyId] = crypto.createPrivateKey(pem);
+    });
+    return {
+      activeKeyId: manifestActiveKeyId || Object.keys(keys)[0],
+      keys
+    };
+  }
+
+  if (!config.jwtSecret) {
+    throw new Error('No manifest signing key configured');
+  }
+
+  const seed = crypto
+    .createHmac('sha256', config.jwtSecret)
+    .update('manifest-signing')
+    .digest();
+
+  return {
+    activeKeyId: 'default',
+    keys: {
+      default: crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: 'der',
+        type: 'pkcs8'
+      })
+    }
+  };
+};
+
+/**
+ * Helper function to get the key new tickets and manifests are signed with
+ * @returns {Object} - { keyId, privateKey }
+ */
+const getActiveManifestKey = () => {
+  const { activeKeyId, keys } = getManifestKeyring();
+  if (!Object.hasOwn(keys, activeKeyId)) {
+    throw new Error(`Manifest signing key "${activeKeyId}" is not configured`);
+  }
+
+  return { keyId: activeKeyId, privateKey: keys[activeKeyId] };
+};
+
+const exportPublicKey = (privateKey) => {
+  return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Get the public keys conductor devices use to check tickets and manifests offline
+ * Retired keys are listed until they are removed from the keyring, so
+ * tickets they signed keep verifying
+ * @returns {Array} - [{ keyId, publicKey (PEM), active }]
+ */
+exports.getManifestPublicKeys = () => {
+  const { activeKeyId, keys } = getManifestKeyring();
+
+  return Object.entries(keys).map(([keyId, privateKey]) => ({
+    keyId,
+    publicKey: exportPublicKey(privateKey),
+    active: keyId === activeKeyId
+  }));
+};
+
+/**
+ * Sign a document with the active manifest key
+ * The exact JSON that was signed is returned so clients verify the same bytes
+ * @param {Object} document - Document to sign
+ * @returns {Object} - { algorithm, keyId, payload, signature, publicKey }
+ */
+exports.signDocument = (document) => {
+  const payload = Buffer.from(JSON.stringify(document)).toString('base64url');
+  const { keyId, privateKey } = getActiveManifestKey();
+
+  return {
+    algorithm: 'Ed25519',
+    keyId,
+    payload,
+    signature: crypto.sign(null, Buffer.from(payload), privateKey).toString('base64url'),
+    publicKey: exportPublicKey(privateKey)
+  };
+};
+
+/**
+ * Sign a list of string fields with the active manifest key
+ * Anyone holding the public keys can check these, so tickets in this format
+ * can be verified by a conductor device without a connection
+ * Format: IBT2.<kid>.<base64url fields>.<base64url Ed25519 signature>
+ * @param {Array<String>} fields - Values to sign (must not contain "|")
+ * @returns {String} - Signed token
+ */
+exports.signPublicFields = (fields) => {
+  const { keyId, privateKey } = getActiveManifestKey();
+  const payload = Buffer.from(fields.map(String).join('|')).toString('base64url');
+  const body = `${PUBLIC_TOKEN_VERSION}.${keyId}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString('base64url');
+
+  return `${body}.${signature}`;
+};
+
+/**
+ * Verify a token signed with a manifest key and return its fields
+ * Tokens signed with any key still in the keyring are accepted
+ * @param {String} token - Signed token
+ * @returns {Object} - { valid, fields, keyId } or { valid: false, reason }
+ */
+exports.verifyPublicFields = (token) => {
+  if (typeof token !== 'string') {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== PUBLIC_TOKEN_VERSION) {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  const [version, keyId, payload, signature] = parts;
+  const { keys } = getManifestKeyring();
+  if (!Object.hasOwn(keys, keyId)) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${version}.${keyId}.${payload}`),
+    crypto.createPublicKey(keys[keyId]),
+    Buffer.from(signature, 'base64url')
+  );
+
+  if (!valid) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return {
+    valid: true,
+    keyId,
+    fields: Buffer.from(payload, 'base64url').toString('utf8').split('|')
+  };
+};
+
+/**
+ * Check whether a token is in the format signed with the manifest key
+ * @param {String} token - Token
+ * @returns {Boolean}
+ */
+exports.isPublicToken = (token) => {
+  return typeof token === 'string' && token.trim().startsWith(`${PUBLIC_TOKEN_VERSION}.`);
+};
+
+exports.PUBLIC_TOKEN_VERSION = PUBLIC_TOKEN_VERSION;